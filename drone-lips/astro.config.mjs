@@ -8,6 +8,8 @@ import react from '@astrojs/react';
 import basicSsl from '@vitejs/plugin-basic-ssl';
 import { defineConfig } from 'astro/config';
 
+import precacheManifest from './scripts/precache-manifest.mjs';
+
 const keyPath = path.resolve('certs/dev-key.pem');
 const certPath = path.resolve('certs/dev-cert.pem');
 
@@ -24,9 +26,12 @@ const auggiePort = Number(process.env.AUGGIE_SERVER_PORT || 4546);
 
 // https://astro.build/config
 export default defineConfig({
-  integrations: [react()],
+  integrations: [react(), precacheManifest()],
   vite: {
     plugins: https ? [] : [basicSsl()],
+    // The face landmarker worker is a classic worker (see faceLandmarker.worker.ts): build it as a single
+    // iife script with MediaPipe's lazy import inlined.
+    worker: { format: 'iife', rollupOptions: { output: { inlineDynamicImports: true } } },
     server: {
       https,
       proxy: {
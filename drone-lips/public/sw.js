@@ -0,0 +1,84 @@
+// Offline support. Production builds only (registered from src/pages/index.astro).
+//
+// On install the worker caches everything listed in precache-manifest.json (written by
+// scripts/precache-manifest.mjs at build time): the page, bundles and face model. The MediaPipe wasm is
+// cached the first time it loads, so only the variant this browser uses is stored.
+// Page loads go network-first so a deploy shows up as soon as there is a connection; everything else is
+// served cache-first. The build stamps its version into this file, so each deploy installs a new worker
+// with its own cache, and activating it deletes the old ones.
+
+const CACHE_PREFIX = 'drone-lips-';
+const VERSION = '__PRECACHE_VERSION__';
+const CACHE_NAME = `${CACHE_PREFIX}${VERSION}`;
+const MANIFEST_URL = new URL('precache-manifest.json', self.registration.scope).toString();
+const SHELL_URL = new URL('./', self.registration.scope).toString();
+
+async function readManifest() {
+  try {
+    const res = await fetch(MANIFEST_URL, { cache: 'no-store' });
+    if (res.ok) return await res.json();
+  } catch {
+    // offline, or not a production build
+  }
+  return null;
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    (async () => {
+      const manifest = await readManifest();
+      const cache = await caches.open(CACHE_NAME);
+      const urls = manifest?.urls ?? ['./'];
+      await cache.addAll(urls.map((u) => new URL(u, self.registration.scope).toString()));
+      await self.skipWaiting();
+    })(),
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    (async () => {
+      const keys = await caches.keys();
+      await Promise.all(
+        keys.filter((k) => k.startsWith(CACHE_PREFIX) && k !== CACHE_NAME).map((k) => caches.delete(k)),
+      );
+      await self.clients.claim();
+    })(),
+  );
+});
+
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const res = await fetch(request);
+    if (res.ok) await cache.put(SHELL_URL, res.clone());
+    return res;
+  } catch {
+    return (await cache.match(SHELL_URL)) ?? Response.error();
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const res = await fetch(request);
+  // A missing file comes back as the SPA fallback page (_redirects) with status 200; never keep that as
+  // the model or a script.
+  const isHtml = (res.headers.get('content-type') ?? '').includes('text/html');
+  if (res.ok && res.type === 'basic' && !isHtml) {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.put(request, res.clone());
+  }
+  return res;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin || url.pathname.includes('/api/')) return;
+  if (url.href === MANIFEST_URL) return;
+
+  event.respondWith(request.mode === 'navigate' ? networkFirst(request) : cacheFirst(request));
+});
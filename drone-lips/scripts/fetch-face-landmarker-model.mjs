@@ -0,0 +1,58 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// Vendors the FaceLandmarker model next to the wasm so the game never needs storage.googleapis.com at runtime.
+// Keep MODEL_URL in sync with src/game/faceLandmarkerSetup.ts.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MODEL_URL =
+  'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task';
+
+const repoRoot = path.resolve(__dirname, '..');
+const destDir = path.join(repoRoot, 'public', 'mediapipe', 'models');
+const destFile = path.join(destDir, 'face_landmarker.task');
+
+async function exists(file) {
+  try {
+    const stat = await fs.stat(file);
+    return stat.size > 0;
+  } catch {
+    return false;
+  }
+}
+
+async function main() {
+  const force = process.argv.includes('--force');
+  if (!force && (await exists(destFile))) {
+    console.log(
+      `[fetch-face-landmarker-model] ${path.relative(repoRoot, destFile)} already present`,
+    );
+    return;
+  }
+
+  await fs.mkdir(destDir, { recursive: true });
+
+  const res = await fetch(MODEL_URL);
+  if (!res.ok) throw new Error(`HTTP ${res.status} for ${MODEL_URL}`);
+  const bytes = Buffer.from(await res.arrayBuffer());
+
+  // Write then rename so an interrupted download never leaves a truncated model behind.
+  const tmpFile = `${destFile}.tmp`;
+  await fs.writeFile(tmpFile, bytes);
+  await fs.rename(tmpFile, destFile);
+
+  console.log(
+    `[fetch-face-landmarker-model] Saved ${(bytes.length / 1e6).toFixed(1)} MB to ${path.relative(repoRoot, destFile)}`,
+  );
+}
+
+main().catch((err) => {
+  // Not fatal: without the local copy the game falls back to downloading the model at runtime.
+  console.warn(
+    '[fetch-face-landmarker-model] Could not download the model; the game will load it from Google at runtime.',
+    err instanceof Error ? err.message : err,
+  );
+});
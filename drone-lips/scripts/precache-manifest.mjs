@@ -0,0 +1,61 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// Astro integration: after a build, list every output file in dist/precache-manifest.json so the
+// service worker (public/sw.js) can cache the whole game, model included, on first visit, and stamp the
+// manifest version into dist/sw.js so every deploy installs a fresh worker.
+
+const MANIFEST_NAME = 'precache-manifest.json';
+const SW_NAME = 'sw.js';
+const VERSION_PLACEHOLDER = '__PRECACHE_VERSION__';
+const SKIP = new Set([MANIFEST_NAME, SW_NAME, '_redirects', '_headers']);
+// Every MediaPipe wasm variant is tens of MB and a browser only loads one; the worker caches that one
+// when it is first used instead.
+const RUNTIME_ONLY_PREFIXES = ['mediapipe/wasm/'];
+
+async function listFiles(dir, prefix = '') {
+  const out = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) out.push(...(await listFiles(path.join(dir, entry.name), rel)));
+    else if (entry.isFile() && !SKIP.has(rel) && !rel.endsWith('.map')) out.push(rel);
+  }
+  return out;
+}
+
+export default function precacheManifest() {
+  return {
+    name: 'drone-lips:precache-manifest',
+    hooks: {
+      'astro:build:done': async ({ dir, logger }) => {
+        const root = fileURLToPath(dir);
+        const files = (await listFiles(root)).sort();
+
+        // The version changes whenever any cached file does, which makes the worker re-cache.
+        const hash = crypto.createHash('sha256');
+        for (const file of files) {
+          hash.update(file);
+          hash.update(await fs.readFile(path.join(root, file)));
+        }
+
+        // Paths are relative so they resolve against the worker scope (the site base).
+        const urls = files
+          .filter((file) => !RUNTIME_ONLY_PREFIXES.some((prefix) => file.startsWith(prefix)))
+          .map((file) => (file === 'index.html' ? './' : file.replace(/\/index\.html$/, '/')));
+        const manifest = { version: hash.digest('hex').slice(0, 16), urls };
+        await fs.writeFile(path.join(root, MANIFEST_NAME), JSON.stringify(manifest));
+
+        const swPath = path.join(root, SW_NAME);
+        const sw = await fs.readFile(swPath, 'utf8');
+        if (sw.includes(VERSION_PLACEHOLDER)) {
+          await fs.writeFile(swPath, sw.replaceAll(VERSION_PLACEHOLDER, manifest.version));
+        } else {
+          logger.warn(`${SW_NAME}: version placeholder not found; the worker will not update on deploy`);
+        }
+        logger.info(`${MANIFEST_NAME}: ${urls.length} file(s), version ${manifest.version}`);
+      },
+    },
+  };
+}
@@ -1,15 +1,225 @@
-import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import {
+  Fragment,
+  useCallback,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+  type PointerEvent as ReactPointerEvent,
+} from 'react';
 
 import AuggieChat from './AuggieChat.jsx';
 
-import { FaceTracker, type FaceControls } from '../game/FaceTracker';
-import { Game } from '../game/Game';
+import type { BossHudState } from '../game/Boss';
+import { CalibrationProfileStore, type CalibrationProfile } from '../game/CalibrationProfiles';
+import { CALIBRATION_STEPS, CalibrationWizard, type CalibrationWizardState } from '../game/CalibrationWizard';
+import {
+  CAMERA_FRAME_RATES,
+  CAMERA_RESOLUTIONS,
+  DEFAULT_CAMERA_SETTINGS,
+  listCameras,
+  sanitizeCameraSettings,
+  type CameraDevice,
+  type CameraSettings,
+} from '../game/cameraSettings';
+import { FaceLossPause } from '../game/FaceLossPause';
+import {
+  FaceTracker,
+  createFaceExpressions,
+  type FaceControlMode,
+  type FaceControls,
+  type TrackingQuality,
+} from '../game/FaceTracker';
+import { DEFAULT_BOOST_SETTINGS, sanitizeBoostSettings, type BoostMode, type BoostSettings } from '../game/faceTuning';
+import type { LightingLevel, LightingReport } from '../game/FramePreprocessor';
+import { Game, type GameRunResult } from '../game/Game';
 import { LevelManager } from '../game/LevelManager';
 import { LEVELS, getLevelConfig } from '../game/levels';
+import { RESPONSE_CURVES, type ResponseCurve } from '../game/responseCurves';
+import {
+  DEFAULT_SIGNAL_FILTER,
+  SIGNAL_FILTER_KINDS,
+  SIGNAL_FILTER_LIMITS,
+  sanitizeSignalFilter,
+  type SignalFilterKind,
+  type SignalFilterSettings,
+} from '../game/SignalFilters';
+import { TelemetryRecorder } from '../game/Telemetry';
 import { VoiceHandler, type VoiceCommand } from '../game/VoiceHandler';
+import {
+  FACE_GESTURES,
+  GESTURE_ACTIONS,
+  sanitizeGestureBindings,
+  type FaceGesture,
+  type GestureAction,
+  type GestureBindings,
+} from '../game/input/FaceGestures';
+import {
+  bindKey,
+  findKeyConflicts,
+  findSwitchKeyConflicts,
+  KEY_ACTIONS,
+  KEYS_PER_ACTION,
+  eventKey,
+  keyLabel,
+  sanitizeKeyBindings,
+  type KeyAction,
+  type KeyBindings,
+} from '../game/input/KeyBindings';
+import {
+  GAMEPAD_ACTIONS,
+  GAMEPAD_BUTTONS,
+  sanitizeGamepadBindings,
+  type GamepadAction,
+  type GamepadBindings,
+} from '../game/input/GamepadInput';
+import {
+  DEFAULT_FACE_POINTER_SETTINGS,
+  FACE_POINTER_DWELL_LIMITS,
+  FacePointer,
+  sanitizeFacePointerSettings,
+  type FacePointerSettings,
+} from '../game/input/FacePointer';
+import {
+  anyAssistOn,
+  ASSIST_STRENGTH_LIMITS,
+  ASSISTS,
+  DEFAULT_ASSIST_SETTINGS,
+  sanitizeAssistSettings,
+  type AssistSettings,
+} from '../game/input/InputAssist';
 import { InputRouter } from '../game/input/InputRouter';
+import type { ControlMode } from '../game/input/InputState';
+import {
+  sanitizeTouchControlsMode,
+  showTouchControls,
+  stickVector,
+  TOUCH_CONTROLS_MODES,
+  type TouchControlsMode,
+} from '../game/input/TouchControls';
+import {
+  DEFAULT_SWITCH_SCAN_SETTINGS,
+  SCAN_ITEMS,
+  SWITCH_HOLD_MODES,
+  SWITCH_SCAN_LIMITS,
+  sanitizeSwitchScanSettings,
+  type SwitchHoldMode,
+  type SwitchScanSettings,
+} from '../game/input/SwitchScanner';
+
+type HeadMode = 'off' | 'compensate' | 'steer';
+
+const HEAD_MODE_STORAGE_KEY = 'drone-lips:head-mode';
+
+function loadHeadMode(): HeadMode {
+  try {
+    const raw = window.localStorage.getItem(HEAD_MODE_STORAGE_KEY);
+    return raw === 'compensate' || raw === 'steer' ? raw : 'off';
+  } catch {
+    return 'off';
+  }
+}
+
+const FACE_CONTROL_MODE_STORAGE_KEY = 'drone-lips:face-control-mode';
+
+function loadFaceControlMode(): FaceControlMode {
+  try {
+    return window.localStorage.getItem(FACE_CONTROL_MODE_STORAGE_KEY) === 'blendshapes' ? 'blendshapes' : 'landmarks';
+  } catch {
+    return 'landmarks';
+  }
+}
+
+const GESTURE_BINDINGS_STORAGE_KEY = 'drone-lips:gesture-bindings';
+
+function loadGestureBindings(): GestureBindings {
+  try {
+    const raw = window.localStorage.getItem(GESTURE_BINDINGS_STORAGE_KEY);
+    return sanitizeGestureBindings(raw ? JSON.parse(raw) : null);
+  } catch {
+    return sanitizeGestureBindings(null);
+  }
+}
+
+// Keyboard map, saved per device next to the level id (see LevelManager) rather than per calibration profile.
+const KEY_BINDINGS_STORAGE_KEY = 'drone-lips:key-bindings';
+
+function loadKeyBindings(): KeyBindings {
+  try {
+    const raw = window.localStorage.getItem(KEY_BINDINGS_STORAGE_KEY);
+    return sanitizeKeyBindings(raw ? JSON.parse(raw) : null);
+  } catch {
+    return sanitizeKeyBindings(null);
+  }
+}
+
+const GAMEPAD_BINDINGS_STORAGE_KEY = 'drone-lips:gamepad-bindings';
+
+function loadGamepadBindings(): GamepadBindings {
+  try {
+    const raw = window.localStorage.getItem(GAMEPAD_BINDINGS_STORAGE_KEY);
+    return sanitizeGamepadBindings(raw ? JSON.parse(raw) : null);
+  } catch {
+    return sanitizeGamepadBindings(null);
+  }
+}
+
+const CAMERA_STORAGE_KEY = 'drone-lips:camera';
+
+function loadCameraSettings(): CameraSettings {
+  try {
+    const raw = window.localStorage.getItem(CAMERA_STORAGE_KEY);
+    return sanitizeCameraSettings(raw ? JSON.parse(raw) : null);
+  } catch {
+    return { ...DEFAULT_CAMERA_SETTINGS };
+  }
+}
+
+const ENHANCE_LIGHTING_STORAGE_KEY = 'drone-lips:enhance-lighting';
+
+const LIGHTING_BADGES: Record<LightingLevel, { label: string; color: string }> = {
+  good: { label: 'Light OK', color: '#34c759' },
+  dim: { label: 'Dim', color: '#ffd60a' },
+  dark: { label: 'Too dark', color: '#ff453a' },
+  backlit: { label: 'Backlit', color: '#ff9f0a' },
+  overexposed: { label: 'Too bright', color: '#ff9f0a' },
+};
+
+const FACE_POINTER_STORAGE_KEY = 'drone-lips:face-pointer';
+
+function loadFacePointerSettings(): FacePointerSettings {
+  try {
+    const raw = window.localStorage.getItem(FACE_POINTER_STORAGE_KEY);
+    return sanitizeFacePointerSettings(raw ? JSON.parse(raw) : null);
+  } catch {
+    return { ...DEFAULT_FACE_POINTER_SETTINGS };
+  }
+}
+
+const SWITCH_SCAN_STORAGE_KEY = 'drone-lips:switch-scan';
+
+type SwitchAccess = SwitchScanSettings & { enabled: boolean };
+
+function loadSwitchAccess(): SwitchAccess {
+  try {
+    const raw = window.localStorage.getItem(SWITCH_SCAN_STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    return { ...sanitizeSwitchScanSettings(parsed), enabled: Boolean(parsed?.enabled) };
+  } catch {
+    return { ...DEFAULT_SWITCH_SCAN_SETTINGS, enabled: false };
+  }
+}
 
-type Phase = 'intro' | 'starting' | 'calibrating' | 'playing' | 'paused' | 'error';
+// Screens where the face drives a menu highlight instead of the drone.
+const FACE_POINTER_PHASES: ReadonlySet<Phase> = new Set(['intro', 'paused', 'victory', 'gameover', 'error']);
+const FACE_POINTER_TARGETS = 'button:not([disabled]), summary';
+
+function isPointerTarget(el: HTMLElement) {
+  const r = el.getBoundingClientRect();
+  return r.width > 0 && r.height > 0 && el.closest('[aria-hidden="true"]') == null;
+}
+
+type Phase = 'intro' | 'starting' | 'calibrating' | 'playing' | 'paused' | 'victory' | 'gameover' | 'error';
 
 function detectIOS(): boolean {
   if (typeof navigator === 'undefined') return false;
@@ -48,6 +258,133 @@ function safeRequestPointerLock(canvas: HTMLCanvasElement | null) {
   }
 }
 
+const ASSISTS_STORAGE_KEY = 'drone-lips:assists';
+
+function loadAssists(): AssistSettings {
+  try {
+    const raw = window.localStorage.getItem(ASSISTS_STORAGE_KEY);
+    return sanitizeAssistSettings(raw ? JSON.parse(raw) : null);
+  } catch {
+    return { ...DEFAULT_ASSIST_SETTINGS };
+  }
+}
+
+const TOUCH_CONTROLS_STORAGE_KEY = 'drone-lips:touch-controls';
+
+function loadTouchControlsMode(): TouchControlsMode {
+  try {
+    return sanitizeTouchControlsMode(window.localStorage.getItem(TOUCH_CONTROLS_STORAGE_KEY));
+  } catch {
+    return 'auto';
+  }
+}
+
+const TOUCH_STICK_SIZE = 132;
+const TOUCH_KNOB_SIZE = 58;
+
+function downloadJson(filename: string, data: unknown) {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(data)], { type: 'application/json' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  window.setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+const TELEMETRY_GRAPH_MS = 5000;
+const TELEMETRY_WIDTH = 320;
+const TELEMETRY_LANE_HEIGHT = 46;
+const TELEMETRY_LANES = 5;
+const TELEMETRY_X_COLOR = '#64d2ff';
+const TELEMETRY_Y_COLOR = '#ff9f0a';
+
+// Paints the last few seconds of telemetry as stacked lanes, newest on the right.
+function drawTelemetry(canvas: HTMLCanvasElement, recorder: TelemetryRecorder, nowMs: number) {
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return;
+  const w = TELEMETRY_WIDTH;
+  const laneH = TELEMETRY_LANE_HEIGHT;
+  const dpr = window.devicePixelRatio || 1;
+  if (canvas.width !== Math.round(w * dpr)) {
+    canvas.width = Math.round(w * dpr);
+    canvas.height = Math.round(laneH * TELEMETRY_LANES * dpr);
+  }
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, w, laneH * TELEMETRY_LANES);
+
+  const from = nowMs - TELEMETRY_GRAPH_MS;
+  const face = recorder.face.filter((s) => s.doneMs >= from);
+  const frames = recorder.frames.filter((s) => s.t >= from);
+  const xAt = (t: number) => ((t - from) / TELEMETRY_GRAPH_MS) * w;
+  const yAt = (lane: number, v: number, min: number, max: number) => {
+    const top = lane * laneH + 14;
+    const bottom = (lane + 1) * laneH - 4;
+    return bottom - ((Math.min(max, Math.max(min, v)) - min) / (max - min)) * (bottom - top);
+  };
+  const plot = <T,>(
+    lane: number,
+    min: number,
+    max: number,
+    color: string,
+    items: T[],
+    point: (s: T) => [number, number | null],
+  ) => {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    let started = false;
+    for (const s of items) {
+      const [t, v] = point(s);
+      if (v == null) continue;
+      if (started) ctx.lineTo(xAt(t), yAt(lane, v, min, max));
+      else ctx.moveTo(xAt(t), yAt(lane, v, min, max));
+      started = true;
+    }
+    ctx.stroke();
+  };
+
+  let rawMax = 0.05;
+  let earMax = 0.2;
+  for (const s of face) {
+    rawMax = Math.max(rawMax, Math.abs(s.rawX), Math.abs(s.rawY));
+    earMax = Math.max(earMax, s.ear);
+  }
+  let latencyMax = 100;
+  for (const s of frames) if (s.latencyMs != null) latencyMax = Math.max(latencyMax, s.latencyMs);
+
+  const labels = [
+    `Raw mouth offset (±${rawMax.toFixed(2)} widths)`,
+    'Filtered strafeX / strafeY',
+    'mouthOpen',
+    'EAR · blinks',
+    `Camera → drone latency (0–${Math.round(latencyMax)} ms)`,
+  ];
+  ctx.font = '600 10px system-ui, sans-serif';
+  ctx.textBaseline = 'top';
+  labels.forEach((label, lane) => {
+    ctx.fillStyle = 'rgba(255,255,255,0.06)';
+    ctx.fillRect(0, lane * laneH + 1, w, laneH - 2);
+    ctx.fillStyle = 'rgba(255,255,255,0.75)';
+    ctx.fillText(label, 4, lane * laneH + 3);
+  });
+  ctx.fillStyle = 'rgba(255,255,255,0.2)';
+  for (const lane of [0, 1]) ctx.fillRect(0, yAt(lane, 0, -1, 1), w, 1);
+
+  for (const s of face) {
+    if (!s.blink && !s.blinkHold) continue;
+    ctx.fillStyle = s.blink ? '#ffd60a' : 'rgba(255,69,58,0.6)';
+    ctx.fillRect(xAt(s.doneMs) - 1, 3 * laneH + 14, s.blink ? 2 : 1, laneH - 18);
+  }
+
+  plot(0, -rawMax, rawMax, TELEMETRY_X_COLOR, face, (s) => [s.doneMs, s.rawX]);
+  plot(0, -rawMax, rawMax, TELEMETRY_Y_COLOR, face, (s) => [s.doneMs, s.rawY]);
+  plot(1, -1, 1, TELEMETRY_X_COLOR, face, (s) => [s.doneMs, s.strafeX]);
+  plot(1, -1, 1, TELEMETRY_Y_COLOR, face, (s) => [s.doneMs, s.strafeY]);
+  plot(2, 0, 1, '#34c759', face, (s) => [s.doneMs, s.mouthOpen]);
+  plot(3, 0, earMax, '#bf5af2', face, (s) => [s.doneMs, s.ear]);
+  plot(4, 0, latencyMax, '#ff453a', frames, (s) => [s.t, s.latencyMs]);
+}
+
 export default function DroneGame() {
   const [phase, setPhase] = useState<Phase>('intro');
   const phaseRef = useRef<Phase>(phase);
@@ -63,6 +400,9 @@ export default function DroneGame() {
   const [cameraMode, setCameraMode] = useState<'mini' | 'hidden'>('mini');
   const [rendererError, setRendererError] = useState<string | null>(null);
   const [flashOn, setFlashOn] = useState(false);
+  const [bossHud, setBossHud] = useState<BossHudState | null>(null);
+  const [victory, setVictory] = useState<GameRunResult | null>(null);
+  const [gameOver, setGameOver] = useState<GameRunResult | null>(null);
 
   const [levelManager] = useState(() => new LevelManager({ defaultLevelId: 8 }));
   const [levelId, setLevelId] = useState<number>(() => levelManager.levelId);
@@ -70,16 +410,91 @@ export default function DroneGame() {
   useEffect(() => {
     levelIdRef.current = levelId;
   }, [levelId]);
+  const [assists, setAssists] = useState<AssistSettings>(() =>
+    typeof window === 'undefined' ? { ...DEFAULT_ASSIST_SETTINGS } : loadAssists(),
+  );
+  const assistsRef = useRef(assists);
+  const assistBadgeRef = useRef<HTMLDivElement | null>(null);
 
   const level = useMemo(() => getLevelConfig(levelId), [levelId]);
   const [levelPickerOpen, setLevelPickerOpen] = useState(false);
 
+  const [profileStore] = useState(() => new CalibrationProfileStore());
+  const [profiles, setProfiles] = useState<ReadonlyArray<CalibrationProfile>>(() => profileStore.list());
+  const [activeProfileId, setActiveProfileId] = useState<string | null>(() => profileStore.activeId);
+  const [newProfileName, setNewProfileName] = useState('');
+  const [headMode, setHeadMode] = useState<HeadMode>(() => (typeof window === 'undefined' ? 'off' : loadHeadMode()));
+  const [faceControlMode, setFaceControlMode] = useState<FaceControlMode>(() =>
+    typeof window === 'undefined' ? 'landmarks' : loadFaceControlMode(),
+  );
+  const [gestureBindings, setGestureBindings] = useState<GestureBindings>(() =>
+    typeof window === 'undefined' ? sanitizeGestureBindings(null) : loadGestureBindings(),
+  );
+  const [keyBindings, setKeyBindings] = useState<KeyBindings>(() =>
+    typeof window === 'undefined' ? sanitizeKeyBindings(null) : loadKeyBindings(),
+  );
+  const [rebinding, setRebinding] = useState<{ action: KeyAction; slot: number } | null>(null);
+  const [gamepadBindings, setGamepadBindings] = useState<GamepadBindings>(() =>
+    typeof window === 'undefined' ? sanitizeGamepadBindings(null) : loadGamepadBindings(),
+  );
+  const [gamepadName, setGamepadName] = useState<string | null>(null);
+  const [cameraSettings, setCameraSettings] = useState<CameraSettings>(() =>
+    typeof window === 'undefined' ? { ...DEFAULT_CAMERA_SETTINGS } : loadCameraSettings(),
+  );
+  const [cameras, setCameras] = useState<CameraDevice[]>([]);
+  const [enhanceLighting, setEnhanceLighting] = useState(() => {
+    try {
+      return typeof window !== 'undefined' && window.localStorage.getItem(ENHANCE_LIGHTING_STORAGE_KEY) === '1';
+    } catch {
+      return false;
+    }
+  });
+  const [lighting, setLighting] = useState<LightingReport | null>(null);
+  const [facePointerSettings, setFacePointerSettings] = useState<FacePointerSettings>(() =>
+    typeof window === 'undefined' ? { ...DEFAULT_FACE_POINTER_SETTINGS } : loadFacePointerSettings(),
+  );
+  const facePointer = useMemo(() => new FacePointer<HTMLElement>(), []);
+  const [switchAccess, setSwitchAccess] = useState<SwitchAccess>(() =>
+    typeof window === 'undefined' ? { ...DEFAULT_SWITCH_SCAN_SETTINGS, enabled: false } : loadSwitchAccess(),
+  );
+  const scanStripRef = useRef<HTMLDivElement | null>(null);
+  // Debug telemetry overlay, opened with the toggleTelemetry command. Recording only runs while it's open.
+  const [telemetry] = useState(() => new TelemetryRecorder());
+  const [telemetryOpen, setTelemetryOpen] = useState(false);
+  const telemetryOpenRef = useRef(false);
+  const telemetryCanvasRef = useRef<HTMLCanvasElement | null>(null);
+  const telemetryStatsRef = useRef<HTMLDivElement | null>(null);
+  const facePointerEnabledRef = useRef(facePointerSettings.enabled);
+  const facePointerFocusRef = useRef<HTMLElement | null>(null);
+  const facePointerRingRef = useRef<HTMLDivElement | null>(null);
+  const facePointerDwellRef = useRef<HTMLDivElement | null>(null);
+  const pointerCameraStartRef = useRef<Promise<void> | null>(null);
+  const rootRef = useRef<HTMLDivElement | null>(null);
+  const activeProfile = useMemo(
+    () => profiles.find((p) => p.id === activeProfileId) ?? null,
+    [profiles, activeProfileId],
+  );
+  // Guests keep their smoothing and boost settings for this session only; profiles save them.
+  const [guestFilter, setGuestFilter] = useState<SignalFilterSettings>(DEFAULT_SIGNAL_FILTER);
+  const signalFilter = activeProfile?.filter ?? guestFilter;
+  const [guestBoost, setGuestBoost] = useState<BoostSettings>(DEFAULT_BOOST_SETTINGS);
+  const boostSettings = activeProfile?.boost ?? guestBoost;
+  const keyConflicts = useMemo(() => findKeyConflicts(keyBindings), [keyBindings]);
+  const switchKeyConflicts = useMemo(
+    () => (switchAccess.enabled ? findSwitchKeyConflicts(keyBindings) : []),
+    [keyBindings, switchAccess.enabled],
+  );
+
   const containerRef = useRef<HTMLDivElement | null>(null);
   const canvasRef = useRef<HTMLCanvasElement | null>(null);
   const webcamRef = useRef<HTMLVideoElement | null>(null);
 
   const scoreElRef = useRef<HTMLSpanElement | null>(null);
   const speedElRef = useRef<HTMLSpanElement | null>(null);
+  const bossHpElRef = useRef<HTMLDivElement | null>(null);
+  const hullElRef = useRef<HTMLDivElement | null>(null);
+  const shieldElRef = useRef<HTMLDivElement | null>(null);
+  const livesElRef = useRef<HTMLSpanElement | null>(null);
 
   const togglePause = useCallback(() => {
     setPhase((p) => (p === 'paused' ? 'playing' : p === 'playing' ? 'paused' : p));
@@ -87,22 +502,36 @@ export default function DroneGame() {
 
   const faceControlsRef = useRef<FaceControls>({
     calibrated: false,
+    tracking: 'tracking',
     strafeX: 0,
     strafeY: 0,
     boost: 0,
     mouthOpen: 0,
     fireBurst: false,
     fireHold: false,
+    headX: 0,
+    headY: 0,
+    expressions: createFaceExpressions(),
   });
 
   const [stopHeld, setStopHeld] = useState(false);
   const [viewportBottomInset, setViewportBottomInset] = useState(0);
+  const [touchControlsMode, setTouchControlsMode] = useState<TouchControlsMode>(() =>
+    typeof window === 'undefined' ? 'auto' : loadTouchControlsMode(),
+  );
+  const [inputMode, setInputMode] = useState<ControlMode>('keyboard');
+  const stickPointerRef = useRef<number | null>(null);
+  const stickKnobRef = useRef<HTMLDivElement | null>(null);
 
   const inputRouterRef = useRef<InputRouter | null>(null);
 
   const voiceKickoffRef = useRef(false);
 
   const faceTrackerRef = useRef<FaceTracker | null>(null);
+  const wizardRef = useRef<CalibrationWizard | null>(null);
+  const wizardStepIndexRef = useRef(-1);
+  const wizardProgressElRef = useRef<HTMLDivElement | null>(null);
+  const [wizardStep, setWizardStep] = useState<CalibrationWizardState | null>(null);
   const voiceHandlerRef = useRef<VoiceHandler | null>(null);
   const gameRef = useRef<Game | null>(null);
 
@@ -140,17 +569,29 @@ export default function DroneGame() {
       face: faceControlsRef,
       onTogglePause: togglePause,
     });
+    router.setTelemetry(telemetryOpenRef.current ? telemetry : null);
     inputRouterRef.current = router;
     return () => {
       router.dispose();
       if (inputRouterRef.current === router) inputRouterRef.current = null;
     };
-  }, [togglePause]);
+  }, [telemetry, togglePause]);
+
+  // Nothing is recorded while the overlay is closed, so there's nothing to export either.
+  const exportTelemetry = useCallback(
+    (durationMs?: number) => {
+      if (!telemetryOpenRef.current) return;
+      downloadJson(`drone-lips-telemetry-${Date.now()}.json`, telemetry.capture(performance.now(), durationMs));
+    },
+    [telemetry],
+  );
 
-  const resetRun = useCallback((reason: 'reset' | 'hit' = 'reset') => {
+  const resetRun = useCallback(() => {
     setStopHeld(false);
+    setVictory(null);
+    setGameOver(null);
     inputRouterRef.current?.reset();
-    gameRef.current?.reset(reason);
+    gameRef.current?.reset();
   }, []);
 
   const fireGunsBurst = useCallback(() => {
@@ -163,6 +604,44 @@ export default function DroneGame() {
     inputRouterRef.current?.queueMissile();
   }, []);
 
+  // Press-and-hold touch buttons. Each one captures its own pointer, so several can be held with different fingers.
+  const pressTouchHold = useCallback((e: ReactPointerEvent<HTMLElement>, control: 'boost' | 'fire') => {
+    e.preventDefault();
+    try {
+      e.currentTarget.setPointerCapture?.(e.pointerId);
+    } catch {
+      // ignore
+    }
+    if (phaseRef.current === 'playing') inputRouterRef.current?.setTouchHeld(control, true);
+  }, []);
+
+  const releaseTouchHold = useCallback((control: 'boost' | 'fire') => {
+    inputRouterRef.current?.setTouchHeld(control, false);
+  }, []);
+
+  const flipFromTouch = useCallback(() => {
+    if (phaseRef.current !== 'playing') return;
+    inputRouterRef.current?.queueFlip('z', 1);
+  }, []);
+
+  const moveStick = useCallback((e: ReactPointerEvent<HTMLDivElement>) => {
+    if (e.pointerId !== stickPointerRef.current) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const radius = (rect.width - TOUCH_KNOB_SIZE) / 2;
+    const dx = e.clientX - (rect.left + rect.width / 2);
+    const dy = e.clientY - (rect.top + rect.height / 2);
+    const v = stickVector(dx, dy, radius);
+    inputRouterRef.current?.setTouchMove(v.x, v.y);
+    const k = Math.min(1, radius / Math.max(1, Math.hypot(dx, dy)));
+    if (stickKnobRef.current) stickKnobRef.current.style.transform = `translate(${dx * k}px, ${dy * k}px)`;
+  }, []);
+
+  const releaseStick = useCallback(() => {
+    stickPointerRef.current = null;
+    inputRouterRef.current?.setTouchMove(0, 0);
+    if (stickKnobRef.current) stickKnobRef.current.style.transform = '';
+  }, []);
+
   const applyVoiceCommand = useCallback((cmd: VoiceCommand) => {
     inputRouterRef.current?.handleVoiceCommand(cmd);
   }, []);
@@ -174,6 +653,80 @@ export default function DroneGame() {
     voiceHandlerRef.current.start();
   }, []);
 
+  // Guided calibration: neutral, full range of motion, mouth open and blink, one step at a time.
+  const startGuidedCalibration = useCallback(() => {
+    const wizard = new CalibrationWizard(performance.now());
+    wizardRef.current = wizard;
+    wizardStepIndexRef.current = 0;
+    setWizardStep(wizard.state);
+  }, []);
+
+  // Auto-pause while the face is lost; resume after a short countdown once it is found again.
+  const trackingRef = useRef<TrackingQuality>('tracking');
+  const [faceLossPause] = useState(() => new FaceLossPause());
+  const resumeTimerRef = useRef<number | null>(null);
+  const [faceLost, setFaceLost] = useState(false);
+  const [resumeCountdown, setResumeCountdown] = useState<number | null>(null);
+
+  const cancelResumeCountdown = useCallback(() => {
+    if (resumeTimerRef.current != null) {
+      window.clearInterval(resumeTimerRef.current);
+      resumeTimerRef.current = null;
+    }
+    setResumeCountdown(null);
+  }, []);
+
+  const handleTrackingChange = useCallback(
+    (quality: TrackingQuality) => {
+      const now = performance.now();
+      const action = faceLossPause.onTrackingChange(quality, now, phaseRef.current === 'playing');
+      setFaceLost(faceLossPause.faceLost);
+      if (action === 'pause') setPhase('paused');
+
+      const countdown = faceLossPause.countdown(now);
+      if (countdown == null) {
+        cancelResumeCountdown();
+        return;
+      }
+      setResumeCountdown(countdown);
+      if (resumeTimerRef.current != null) return;
+      resumeTimerRef.current = window.setInterval(() => {
+        const t = performance.now();
+        if (faceLossPause.update(t, phaseRef.current === 'paused') === 'resume') setPhase('playing');
+        const left = faceLossPause.countdown(t);
+        if (left == null) cancelResumeCountdown();
+        else setResumeCountdown(left);
+      }, 250);
+    },
+    [cancelResumeCountdown, faceLossPause],
+  );
+
+  useEffect(() => {
+    if (phase !== 'paused') faceLossPause.cancel();
+  }, [faceLossPause, phase]);
+
+  useEffect(() => {
+    return () => {
+      if (resumeTimerRef.current != null) window.clearInterval(resumeTimerRef.current);
+    };
+  }, []);
+
+  const finishGuidedCalibration = useCallback(() => {
+    const wizard = wizardRef.current;
+    if (!wizard) return;
+    wizard.finish();
+    wizardRef.current = null;
+    wizardStepIndexRef.current = -1;
+    setWizardStep(null);
+
+    const face = faceTrackerRef.current;
+    if (!face) return;
+    const res = wizard.result();
+    // Without a neutral pose (stopped during the first step) fall back to the quick calibration.
+    if (res) face.loadProfile(res);
+    else face.beginCalibration(5000);
+  }, []);
+
   const handleStart = useCallback(async () => {
     if (phaseRef.current === 'starting' || phaseRef.current === 'calibrating') return;
 
@@ -181,7 +734,7 @@ export default function DroneGame() {
     setStatusText('Starting…');
     setPhase('starting');
 
-    resetRun('reset');
+    resetRun();
     safeRequestFullscreen();
     ensureVoice();
 
@@ -190,11 +743,23 @@ export default function DroneGame() {
 
     if (face && videoEl) {
       try {
-        await face.start(videoEl);
+        // The face pointer may already have the camera running from the intro screen.
+        await pointerCameraStartRef.current?.catch(() => undefined);
+        if (face.needsRestart) await face.start(videoEl);
         inputRouterRef.current?.setHasCamera(true);
-        face.beginCalibration(5000);
         setPhase('calibrating');
-        setStatusText('Calibrando... mantén tu boca neutral (5s)');
+
+        // A profile with a saved neutral pose skips calibration; the first tracked frame starts play.
+        const profile = profileStore.active;
+        if (!profile) {
+          face.resetTuning();
+        } else if (face.loadProfile(profile)) {
+          setStatusText(`Perfil: ${profile.name}`);
+          return;
+        }
+
+        startGuidedCalibration();
+        setStatusText('Calibrando...');
         return;
       } catch (err) {
         const msg = err instanceof Error ? err.message : String(err);
@@ -205,7 +770,7 @@ export default function DroneGame() {
 
     setPhase('playing');
     setStatusText('');
-  }, [ensureVoice, resetRun]);
+  }, [ensureVoice, profileStore, resetRun, startGuidedCalibration]);
 
   const handleRecalibrate = useCallback(async () => {
     const face = faceTrackerRef.current;
@@ -214,12 +779,12 @@ export default function DroneGame() {
 
     setErrorText(null);
     setPhase('calibrating');
-    setStatusText('Calibrando... mantén tu boca neutral (5s)');
+    setStatusText('Calibrando...');
 
     try {
-      await face.start(videoEl);
+      if (face.needsRestart) await face.start(videoEl);
       inputRouterRef.current?.setHasCamera(true);
-      face.beginCalibration(5000);
+      startGuidedCalibration();
     } catch (err) {
       const msg = err instanceof Error ? err.message : String(err);
       setErrorText(msg);
@@ -227,7 +792,7 @@ export default function DroneGame() {
       setPhase('playing');
       setStatusText('');
     }
-  }, []);
+  }, [startGuidedCalibration]);
 
   useEffect(() => {
     const onCommand = (event: Event) => {
@@ -299,6 +864,33 @@ export default function DroneGame() {
           else if (dir === 'down') inputRouterRef.current?.queueFlip('x', 1);
           return;
         }
+        case 'startFaceRecording': {
+          faceTrackerRef.current?.startRecording();
+          return;
+        }
+        case 'stopFaceRecording': {
+          // Saves the landmark stream for replaying through ReplayLandmarkSource (e.g. in a test).
+          const recording = faceTrackerRef.current?.stopRecording();
+          if (recording) downloadJson(`drone-lips-face-${Date.now()}.json`, recording);
+          return;
+        }
+        case 'showTelemetry': {
+          setTelemetryOpen(true);
+          return;
+        }
+        case 'hideTelemetry': {
+          setTelemetryOpen(false);
+          return;
+        }
+        case 'toggleTelemetry': {
+          setTelemetryOpen((open) => !open);
+          return;
+        }
+        case 'exportTelemetry': {
+          const durationMs = Number(cmd.durationMs);
+          exportTelemetry(Number.isFinite(durationMs) && durationMs > 0 ? durationMs : undefined);
+          return;
+        }
         default:
           return;
       }
@@ -306,20 +898,105 @@ export default function DroneGame() {
 
     window.addEventListener('drone-lips:command', onCommand as any);
     return () => window.removeEventListener('drone-lips:command', onCommand as any);
-  }, [handleRecalibrate, handleStart, togglePause]);
+  }, [exportTelemetry, handleRecalibrate, handleStart, togglePause]);
+
+  // Moves the menu highlight from face controls and clicks on dwell/blink. Runs on every tracked frame.
+  const runFacePointer = useCallback(
+    (c: FaceControls) => {
+      const root = rootRef.current;
+      const ring = facePointerRingRef.current;
+      const modal = root?.querySelector<HTMLElement>('[aria-modal="true"]') ?? null;
+      const active =
+        facePointerEnabledRef.current &&
+        c.calibrated &&
+        c.tracking === 'tracking' &&
+        (modal != null || FACE_POINTER_PHASES.has(phaseRef.current));
+      if (!root || !ring || !active) {
+        facePointer.reset();
+        facePointerFocusRef.current = null;
+        if (ring) ring.style.display = 'none';
+        return;
+      }
+
+      const targets = Array.from((modal ?? root).querySelectorAll<HTMLElement>(FACE_POINTER_TARGETS)).filter(
+        isPointerTarget,
+      );
+      const frame = facePointer.update(c, targets, (el) => el.getBoundingClientRect(), performance.now());
+      const el = frame.focused;
+      if (!el) {
+        ring.style.display = 'none';
+        return;
+      }
+      if (el !== facePointerFocusRef.current) {
+        facePointerFocusRef.current = el;
+        el.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+      }
+
+      const rect = el.getBoundingClientRect();
+      ring.style.display = 'block';
+      ring.style.left = `${rect.left - 4}px`;
+      ring.style.top = `${rect.top - 4}px`;
+      ring.style.width = `${rect.width + 8}px`;
+      ring.style.height = `${rect.height + 8}px`;
+      const dwell = facePointerDwellRef.current;
+      if (dwell) dwell.style.width = `${Math.round(frame.dwell * 100)}%`;
+
+      frame.activate?.click();
+    },
+    [facePointer],
+  );
+
+  useEffect(() => {
+    facePointerEnabledRef.current = facePointerSettings.enabled;
+    facePointer.setSettings(facePointerSettings);
+    try {
+      window.localStorage.setItem(FACE_POINTER_STORAGE_KEY, JSON.stringify(facePointerSettings));
+    } catch {
+      // ignore
+    }
+  }, [facePointer, facePointerSettings]);
 
   useEffect(() => {
     // The webcam preview is mirrored (scaleX(-1)), so invert X to keep controls intuitive.
     faceTrackerRef.current = new FaceTracker({ invertX: true });
+    faceTrackerRef.current.setTelemetry(telemetryOpenRef.current ? telemetry : null);
     faceTrackerRef.current.setHandlers({
       onControls: (c) => {
         faceControlsRef.current = c;
+        runFacePointer(c);
+        if (c.tracking !== trackingRef.current) {
+          trackingRef.current = c.tracking;
+          handleTrackingChange(c.tracking);
+        }
         if (phaseRef.current === 'calibrating' && c.calibrated) {
+          // Remember the fresh neutral pose for the active profile.
+          const id = profileStore.activeId;
+          const neutral = faceTrackerRef.current?.getNeutral() ?? null;
+          if (id && neutral) {
+            profileStore.update(id, { neutral, tuning: faceTrackerRef.current?.getTuning() });
+            setProfiles(profileStore.list());
+          }
           setPhase('playing');
           setStatusText('');
         }
       },
       onError: (msg) => setErrorText(msg),
+      onLighting: (report) => setLighting(report),
+      onSample: (sample, nowMs) => {
+        const wizard = wizardRef.current;
+        if (!wizard) return;
+        const state = wizard.push(sample, nowMs);
+        if (state.done) {
+          finishGuidedCalibration();
+          return;
+        }
+        if (state.stepIndex !== wizardStepIndexRef.current) {
+          wizardStepIndexRef.current = state.stepIndex;
+          setWizardStep(state);
+        }
+        const bar = wizardProgressElRef.current;
+        if (bar) bar.style.width = `${Math.round(state.progress * 100)}%`;
+      },
     });
 
     voiceHandlerRef.current = new VoiceHandler({
@@ -334,7 +1011,283 @@ export default function DroneGame() {
       voiceHandlerRef.current?.stop();
       voiceHandlerRef.current = null;
     };
-  }, [applyVoiceCommand]);
+  }, [applyVoiceCommand, finishGuidedCalibration, handleTrackingChange, profileStore, runFacePointer, telemetry]);
+
+  useEffect(() => {
+    // Hands-free menus need the camera before the game starts: run it on the intro screen with the saved
+    // neutral pose, or a short calibration for guests.
+    if (!facePointerSettings.enabled || phase !== 'intro') return;
+    const face = faceTrackerRef.current;
+    const videoEl = webcamRef.current;
+    if (!face || !videoEl || !face.needsRestart || pointerCameraStartRef.current) return;
+
+    const starting = face.start(videoEl).then(() => {
+      inputRouterRef.current?.setHasCamera(true);
+      const profile = profileStore.active;
+      if (!profile || !face.loadProfile(profile)) face.beginCalibration(2000);
+    });
+    pointerCameraStartRef.current = starting;
+    starting
+      .catch((err) => setErrorText(err instanceof Error ? err.message : String(err)))
+      .finally(() => {
+        if (pointerCameraStartRef.current === starting) pointerCameraStartRef.current = null;
+      });
+  }, [facePointerSettings.enabled, phase, profileStore]);
+
+  useEffect(() => {
+    faceTrackerRef.current?.setHeadPose(headMode !== 'off');
+    inputRouterRef.current?.setHeadSteer(headMode === 'steer');
+    try {
+      window.localStorage.setItem(HEAD_MODE_STORAGE_KEY, headMode);
+    } catch {
+      // ignore
+    }
+  }, [headMode]);
+
+  useEffect(() => {
+    faceTrackerRef.current?.setControlMode(faceControlMode);
+    try {
+      window.localStorage.setItem(FACE_CONTROL_MODE_STORAGE_KEY, faceControlMode);
+    } catch {
+      // ignore
+    }
+  }, [faceControlMode]);
+
+  useEffect(() => {
+    inputRouterRef.current?.setSwitchScan(switchAccess.enabled ? switchAccess : null);
+    try {
+      window.localStorage.setItem(SWITCH_SCAN_STORAGE_KEY, JSON.stringify(switchAccess));
+    } catch {
+      // ignore
+    }
+  }, [switchAccess]);
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(TOUCH_CONTROLS_STORAGE_KEY, touchControlsMode);
+    } catch {
+      // ignore
+    }
+  }, [touchControlsMode]);
+
+  useEffect(() => {
+    if (phase !== 'playing' && phase !== 'paused') return;
+    // Mouth/keyboard/gamepad mode lives in the router; poll it rather than re-rendering every frame.
+    const id = window.setInterval(() => {
+      const mode = inputRouterRef.current?.state.current.mode;
+      if (mode) setInputMode(mode);
+    }, 500);
+    return () => window.clearInterval(id);
+  }, [phase]);
+
+  const touchVisible = showTouchControls(touchControlsMode, inputMode);
+
+  useEffect(() => {
+    if (!touchVisible) return;
+    // Controls can disappear mid-press (mode change, end of run) without a pointerup.
+    return () => {
+      releaseStick();
+      inputRouterRef.current?.setTouchHeld('boost', false);
+      inputRouterRef.current?.setTouchHeld('fire', false);
+    };
+  }, [releaseStick, touchVisible]);
+
+  const scanStripVisible = switchAccess.enabled && (phase === 'playing' || phase === 'paused');
+
+  useEffect(() => {
+    // Repaint the scan highlight every frame without re-rendering React.
+    if (!scanStripVisible) return;
+    let raf = 0;
+    const paint = () => {
+      raf = window.requestAnimationFrame(paint);
+      const strip = scanStripRef.current;
+      const scan = inputRouterRef.current?.state.current.scan;
+      if (!strip || !scan) return;
+      for (const el of Array.from(strip.children) as HTMLElement[]) {
+        const id = el.dataset.scanItem;
+        const on = id === (scan.active ?? scan.highlighted);
+        el.style.background = scan.active === id ? '#34c759' : on ? '#ffd60a' : 'rgba(255,255,255,0.1)';
+        el.style.color = on ? '#000' : 'white';
+        const bar = el.firstElementChild as HTMLElement | null;
+        if (bar) bar.style.width = on && !scan.active ? `${Math.round(scan.progress * 100)}%` : '0%';
+      }
+    };
+    raf = window.requestAnimationFrame(paint);
+    return () => window.cancelAnimationFrame(raf);
+  }, [scanStripVisible]);
+
+  useEffect(() => {
+    telemetryOpenRef.current = telemetryOpen;
+    if (!telemetryOpen) return;
+    faceTrackerRef.current?.setTelemetry(telemetry);
+    inputRouterRef.current?.setTelemetry(telemetry);
+
+    // Redraw the graphs every frame; the numbers only a few times a second so they stay readable.
+    let raf = 0;
+    let statsAtMs = 0;
+    const paint = () => {
+      raf = window.requestAnimationFrame(paint);
+      const nowMs = performance.now();
+      const canvas = telemetryCanvasRef.current;
+      if (canvas) drawTelemetry(canvas, telemetry, nowMs);
+      const statsEl = telemetryStatsRef.current;
+      if (!statsEl || nowMs - statsAtMs < 250) return;
+      statsAtMs = nowMs;
+      const stats = telemetry.stats(nowMs);
+      const l = stats.latencyMs;
+      const latency = l ? `${Math.round(l.last)} ms (avg ${Math.round(l.avg)}, p95 ${Math.round(l.p95)})` : '—';
+      statsEl.textContent =
+        `Detection ${Math.round(stats.detectionFps)} fps · Render ${Math.round(stats.renderFps)} fps\n` +
+        `Latency ${latency}`;
+    };
+    raf = window.requestAnimationFrame(paint);
+
+    return () => {
+      window.cancelAnimationFrame(raf);
+      faceTrackerRef.current?.setTelemetry(null);
+      inputRouterRef.current?.setTelemetry(null);
+      telemetry.clear();
+    };
+  }, [telemetry, telemetryOpen]);
+
+  useEffect(() => {
+    inputRouterRef.current?.setGestureBindings(gestureBindings);
+    try {
+      window.localStorage.setItem(GESTURE_BINDINGS_STORAGE_KEY, JSON.stringify(gestureBindings));
+    } catch {
+      // ignore
+    }
+  }, [gestureBindings]);
+
+  useEffect(() => {
+    inputRouterRef.current?.setGamepadBindings(gamepadBindings);
+    try {
+      window.localStorage.setItem(GAMEPAD_BINDINGS_STORAGE_KEY, JSON.stringify(gamepadBindings));
+    } catch {
+      // ignore
+    }
+  }, [gamepadBindings]);
+
+  useEffect(() => {
+    // The router polls pads itself; this only names the connected one in the settings panel.
+    const refresh = () => {
+      const pads = Array.from(navigator.getGamepads?.() ?? []);
+      setGamepadName(pads.find((p) => p?.connected)?.id ?? null);
+    };
+    window.addEventListener('gamepadconnected', refresh);
+    window.addEventListener('gamepaddisconnected', refresh);
+    return () => {
+      window.removeEventListener('gamepadconnected', refresh);
+      window.removeEventListener('gamepaddisconnected', refresh);
+    };
+  }, []);
+
+  useEffect(() => {
+    faceTrackerRef.current?.setCameraSettings(cameraSettings).catch((err) => {
+      setErrorText(`Camera: ${err instanceof Error ? err.message : String(err)}`);
+    });
+    try {
+      window.localStorage.setItem(CAMERA_STORAGE_KEY, JSON.stringify(cameraSettings));
+    } catch {
+      // ignore
+    }
+  }, [cameraSettings]);
+
+  useEffect(() => {
+    faceTrackerRef.current?.setEnhanceLighting(enhanceLighting);
+    try {
+      window.localStorage.setItem(ENHANCE_LIGHTING_STORAGE_KEY, enhanceLighting ? '1' : '0');
+    } catch {
+      // ignore
+    }
+  }, [enhanceLighting]);
+
+  const refreshCameras = useCallback(() => {
+    listCameras().then(setCameras);
+  }, []);
+
+  useEffect(() => {
+    const media = navigator.mediaDevices;
+    refreshCameras();
+    media?.addEventListener?.('devicechange', refreshCameras);
+    return () => media?.removeEventListener?.('devicechange', refreshCameras);
+  }, [refreshCameras]);
+
+  useEffect(() => {
+    faceTrackerRef.current?.setFilter(signalFilter);
+  }, [signalFilter]);
+
+  const handleFilterChange = useCallback(
+    (patch: Partial<SignalFilterSettings>) => {
+      const next = sanitizeSignalFilter({ ...signalFilter, ...patch });
+      if (activeProfileId) {
+        profileStore.update(activeProfileId, { filter: next });
+        setProfiles(profileStore.list());
+      } else {
+        setGuestFilter(next);
+      }
+    },
+    [activeProfileId, profileStore, signalFilter],
+  );
+
+  useEffect(() => {
+    faceTrackerRef.current?.setBoostSettings(boostSettings);
+  }, [boostSettings]);
+
+  const handleBoostChange = useCallback(
+    (patch: Partial<BoostSettings>) => {
+      const next = sanitizeBoostSettings({ ...boostSettings, ...patch });
+      if (activeProfileId) {
+        profileStore.update(activeProfileId, { boost: next });
+        setProfiles(profileStore.list());
+      } else {
+        setGuestBoost(next);
+      }
+    },
+    [activeProfileId, boostSettings, profileStore],
+  );
+
+  useEffect(() => {
+    inputRouterRef.current?.setKeyBindings(keyBindings);
+  }, [keyBindings]);
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(KEY_BINDINGS_STORAGE_KEY, JSON.stringify(keyBindings));
+    } catch {
+      // ignore
+    }
+  }, [keyBindings]);
+
+  useEffect(() => {
+    if (!rebinding) return;
+    // Capture phase on window runs before InputRouter's listener, so the key being assigned doesn't also act.
+    const onKeyDown = (e: KeyboardEvent) => {
+      if (e.key === 'Tab') {
+        setRebinding(null);
+        return;
+      }
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      if (e.key === 'Backspace') {
+        setKeyBindings((prev) => bindKey(prev, rebinding.action, rebinding.slot, null));
+      } else {
+        const key = eventKey(e);
+        if (key) setKeyBindings((prev) => bindKey(prev, rebinding.action, rebinding.slot, key));
+      }
+      setRebinding(null);
+    };
+    window.addEventListener('keydown', onKeyDown, true);
+    return () => window.removeEventListener('keydown', onKeyDown, true);
+  }, [rebinding]);
+
+  const handleBindGesture = useCallback((gesture: FaceGesture, action: GestureAction) => {
+    setGestureBindings((prev) => ({ ...prev, [gesture]: action }));
+  }, []);
+
+  const handleBindGamepad = useCallback((action: GamepadAction, button: number) => {
+    setGamepadBindings((prev) => ({ ...prev, [action]: button }));
+  }, []);
 
   // Legacy engine loop moved into `src/game/Game.ts` (M1).
   /*
@@ -912,6 +1865,7 @@ export default function DroneGame() {
       canvas,
       isIOS,
       levelId: levelIdRef.current,
+      assists: assistsRef.current,
       input: {
         state: router.state,
         update: (nowMs) => router.update(nowMs),
@@ -919,6 +1873,11 @@ export default function DroneGame() {
       hud: {
         scoreEl: scoreElRef,
         speedEl: speedElRef,
+        bossHpEl: bossHpElRef,
+        hullEl: hullElRef,
+        shieldEl: shieldElRef,
+        livesEl: livesElRef,
+        assistEl: assistBadgeRef,
       },
       callbacks: {
         onRendererError: (msg) => setRendererError(msg),
@@ -926,6 +1885,15 @@ export default function DroneGame() {
           setFlashOn(true);
           window.setTimeout(() => setFlashOn(false), 140);
         },
+        onBossChange: (boss) => setBossHud(boss),
+        onVictory: (result) => {
+          setVictory(result);
+          setPhase('victory');
+        },
+        onGameOver: (result) => {
+          setGameOver(result);
+          setPhase('gameover');
+        },
       },
     });
 
@@ -942,12 +1910,58 @@ export default function DroneGame() {
     gameRef.current?.setRunning(phase === 'playing');
   }, [phase]);
 
+  useEffect(() => {
+    assistsRef.current = assists;
+    gameRef.current?.setAssists(assists);
+    try {
+      window.localStorage.setItem(ASSISTS_STORAGE_KEY, JSON.stringify(assists));
+    } catch {
+      // ignore
+    }
+  }, [assists]);
+
   useEffect(() => {
     levelManager.setLevelId(levelId);
     inputRouterRef.current?.reset();
     gameRef.current?.setLevel(levelId);
   }, [levelId, levelManager]);
 
+  const handleSelectProfile = useCallback(
+    (id: string | null) => {
+      profileStore.setActive(id);
+      setActiveProfileId(profileStore.activeId);
+    },
+    [profileStore],
+  );
+
+  const handleCreateProfile = useCallback(() => {
+    const profile = profileStore.create(newProfileName);
+    profileStore.setActive(profile.id);
+    setProfiles(profileStore.list());
+    setActiveProfileId(profile.id);
+    setNewProfileName('');
+  }, [newProfileName, profileStore]);
+
+  const handleDeleteProfile = useCallback(() => {
+    if (!activeProfileId) return;
+    profileStore.remove(activeProfileId);
+    setProfiles(profileStore.list());
+    setActiveProfileId(profileStore.activeId);
+  }, [activeProfileId, profileStore]);
+
+  const handlePlayAgain = useCallback(() => {
+    resetRun();
+    setPhase('playing');
+  }, [resetRun]);
+
+  const handleContinue = useCallback(() => {
+    setStopHeld(false);
+    setGameOver(null);
+    inputRouterRef.current?.reset();
+    gameRef.current?.continueRun();
+    setPhase('playing');
+  }, []);
+
   const cycleCameraMode = useCallback(() => {
     setCameraMode((m) => (m === 'mini' ? 'hidden' : 'mini'));
   }, []);
@@ -1005,6 +2019,26 @@ export default function DroneGame() {
     [],
   );
 
+  const vitalsTrackStyle = useMemo(
+    () => ({
+      height: 8,
+      alignSelf: 'center' as const,
+      borderRadius: 999,
+      overflow: 'hidden' as const,
+      background: 'rgba(255,255,255,0.12)',
+    }),
+    [],
+  );
+
+  const vitalsFillStyle = useMemo(
+    () => ({
+      width: '100%',
+      height: '100%',
+      transition: 'width 120ms linear',
+    }),
+    [],
+  );
+
   const dockBtnStyle = useMemo(
     () => ({
       padding: '10px 14px',
@@ -1129,6 +2163,7 @@ export default function DroneGame() {
 
   return (
     <div
+      ref={rootRef}
       onPointerDownCapture={() => {
         ensureVoice();
         if (phaseRef.current === 'playing') safeRequestPointerLock(canvasRef.current);
@@ -1141,12 +2176,226 @@ export default function DroneGame() {
 
       <video ref={webcamRef} style={videoStyle} autoPlay playsInline muted />
 
+      {lighting && phase !== 'intro' && (cameraMode === 'mini' || lighting.level !== 'good') ? (
+        <>
+          <div
+            style={{
+              position: 'absolute',
+              top: 'calc(16px + env(safe-area-inset-top, 0px))',
+              right: 16,
+              zIndex: 61,
+              display: 'flex',
+              alignItems: 'center',
+              gap: 5,
+              padding: '2px 7px',
+              borderRadius: 999,
+              background: 'rgba(0,0,0,0.6)',
+              color: 'white',
+              fontSize: 11,
+              fontWeight: 700,
+              pointerEvents: 'none',
+            }}
+          >
+            <span
+              style={{ width: 7, height: 7, borderRadius: 999, background: LIGHTING_BADGES[lighting.level].color }}
+            />
+            {LIGHTING_BADGES[lighting.level].label}
+          </div>
+          {lighting.hint ? (
+            <div
+              style={{
+                position: 'absolute',
+                top: `calc(12px + env(safe-area-inset-top, 0px) + ${cameraMode === 'mini' ? 100 : 28}px)`,
+                right: 12,
+                zIndex: 61,
+                width: 'min(220px, 42vw)',
+                padding: '8px 10px',
+                borderRadius: 12,
+                background: 'rgba(0,0,0,0.7)',
+                border: `1px solid ${LIGHTING_BADGES[lighting.level].color}`,
+                color: 'white',
+                fontSize: 12,
+                lineHeight: 1.35,
+                pointerEvents: 'none',
+              }}
+            >
+              {lighting.hint}
+              {enhanceLighting ? null : ' Turning on Low-light boost in the camera settings may also help.'}
+            </div>
+          ) : null}
+        </>
+      ) : null}
+
       <div style={hudStyle}>
         Puntos: <span ref={scoreElRef}>1</span> · Vel: <span ref={speedElRef}>0.0</span>
+        <div style={{ display: 'grid', gridTemplateColumns: 'auto 1fr', gap: '4px 8px', marginTop: 8, fontSize: 11 }}>
+          <span style={{ opacity: 0.85 }}>Casco</span>
+          <div style={vitalsTrackStyle}>
+            <div ref={hullElRef} style={{ ...vitalsFillStyle, background: 'linear-gradient(90deg, #34c759, #a8f07a)' }} />
+          </div>
+          <span style={{ opacity: 0.85 }}>Escudo</span>
+          <div style={vitalsTrackStyle}>
+            <div ref={shieldElRef} style={{ ...vitalsFillStyle, background: 'linear-gradient(90deg, #0a84ff, #64d2ff)' }} />
+          </div>
+        </div>
+        <div style={{ marginTop: 6, fontSize: 13 }}>
+          Vidas: <span ref={livesElRef}>3</span>
+        </div>
+        {anyAssistOn(assists) ? (
+          <div
+            ref={assistBadgeRef}
+            style={{
+              marginTop: 6,
+              padding: '2px 8px',
+              borderRadius: 999,
+              background: 'rgba(52,199,89,0.22)',
+              border: '1px solid rgba(52,199,89,0.7)',
+              fontSize: 11,
+              fontWeight: 800,
+              opacity: 0.6,
+              width: 'fit-content',
+            }}
+          >
+            Assist: {ASSISTS.filter((a) => assists[a.id]).map((a) => a.label).join(' · ')}
+          </div>
+        ) : null}
         {statusText ? <div style={{ marginTop: 8, fontSize: 13, opacity: 0.9 }}>{statusText}</div> : null}
         {errorText ? <div style={{ marginTop: 8, fontSize: 12, opacity: 0.9 }}>{errorText}</div> : null}
       </div>
 
+      {telemetryOpen ? (
+        <div
+          role="region"
+          aria-label="Input telemetry"
+          style={{
+            position: 'absolute',
+            top: '50%',
+            right: 'calc(12px + env(safe-area-inset-right, 0px))',
+            transform: 'translateY(-50%)',
+            zIndex: 75,
+            width: TELEMETRY_WIDTH,
+            padding: 10,
+            borderRadius: 14,
+            background: 'rgba(0,0,0,0.75)',
+            border: '1px solid rgba(255,255,255,0.16)',
+            color: 'white',
+            fontSize: 11,
+          }}
+        >
+          <div style={{ display: 'flex', alignItems: 'center', gap: 6, marginBottom: 6 }}>
+            <span style={{ fontSize: 13, fontWeight: 800, marginRight: 'auto' }}>Telemetry</span>
+            <button
+              type="button"
+              onClick={() => exportTelemetry()}
+              style={{ ...dockBtnStyle, padding: '4px 8px', fontSize: 11, borderRadius: 10 }}
+            >
+              Export JSON
+            </button>
+            <button
+              type="button"
+              onClick={() => setTelemetryOpen(false)}
+              style={{ ...dockBtnStyle, padding: '4px 8px', fontSize: 11, borderRadius: 10 }}
+            >
+              Close
+            </button>
+          </div>
+          <div ref={telemetryStatsRef} style={{ whiteSpace: 'pre-line', fontWeight: 700, marginBottom: 6 }} />
+          <canvas
+            ref={telemetryCanvasRef}
+            style={{ display: 'block', width: TELEMETRY_WIDTH, height: TELEMETRY_LANE_HEIGHT * TELEMETRY_LANES }}
+          />
+          <div style={{ display: 'flex', gap: 10, marginTop: 4, opacity: 0.8 }}>
+            <span style={{ color: TELEMETRY_X_COLOR }}>— x</span>
+            <span style={{ color: TELEMETRY_Y_COLOR }}>— y</span>
+            <span style={{ color: '#ffd60a' }}>| blink</span>
+            <span>Last {TELEMETRY_GRAPH_MS / 1000} s</span>
+          </div>
+        </div>
+      ) : null}
+
+      {scanStripVisible ? (
+        <div
+          ref={scanStripRef}
+          aria-hidden="true"
+          style={{
+            position: 'absolute',
+            left: '50%',
+            bottom: 'calc(96px + env(safe-area-inset-bottom, 0px))',
+            transform: 'translateX(-50%)',
+            zIndex: 75,
+            display: 'flex',
+            flexWrap: 'wrap',
+            justifyContent: 'center',
+            gap: 6,
+            width: 'min(640px, calc(100vw - 24px))',
+            pointerEvents: 'none',
+          }}
+        >
+          {SCAN_ITEMS.map((item) => (
+            <div
+              key={item.id}
+              data-scan-item={item.id}
+              style={{
+                position: 'relative',
+                overflow: 'hidden',
+                padding: '8px 12px',
+                borderRadius: 12,
+                border: '1px solid rgba(255,255,255,0.2)',
+                background: 'rgba(255,255,255,0.1)',
+                color: 'white',
+                fontSize: 15,
+                fontWeight: 800,
+              }}
+            >
+              <div
+                style={{ position: 'absolute', left: 0, bottom: 0, height: 4, width: 0, background: 'rgba(0,0,0,0.45)' }}
+              />
+              {item.label}
+            </div>
+          ))}
+        </div>
+      ) : null}
+
+      {bossHud && (phase === 'playing' || phase === 'paused') ? (
+        <div
+          style={{
+            position: 'absolute',
+            top: 'calc(12px + env(safe-area-inset-top, 0px))',
+            left: '50%',
+            transform: 'translateX(-50%)',
+            zIndex: 72,
+            width: 'min(420px, calc(100vw - 300px))',
+            minWidth: 180,
+            color: 'white',
+            pointerEvents: 'none',
+            textAlign: 'center',
+          }}
+        >
+          <div style={{ fontSize: 12, fontWeight: 900, letterSpacing: 1, textTransform: 'uppercase', marginBottom: 4 }}>
+            Mothership · Phase {bossHud.phase}
+          </div>
+          <div
+            style={{
+              height: 12,
+              borderRadius: 999,
+              overflow: 'hidden',
+              background: 'rgba(0,0,0,0.55)',
+              border: '1px solid rgba(255,255,255,0.22)',
+            }}
+          >
+            <div
+              ref={bossHpElRef}
+              style={{
+                width: `${(100 * bossHud.hp) / bossHud.maxHp}%`,
+                height: '100%',
+                background: 'linear-gradient(90deg, #ff3b30, #ff9f0a)',
+                transition: 'width 120ms linear',
+              }}
+            />
+          </div>
+        </div>
+      ) : null}
+
       {flashOn ? (
         <div
           aria-hidden
@@ -1241,7 +2490,54 @@ export default function DroneGame() {
             columnGap: 14,
           }}
         >
-          <div style={{ pointerEvents: 'none' }}>
+          <div style={{ pointerEvents: 'none', display: 'grid', gap: 14, justifyItems: 'start' }}>
+            {touchVisible ? (
+              <div
+                aria-hidden="true"
+                onPointerDown={(e) => {
+                  if (stickPointerRef.current != null) return;
+                  e.preventDefault();
+                  stickPointerRef.current = e.pointerId;
+                  try {
+                    e.currentTarget.setPointerCapture?.(e.pointerId);
+                  } catch {
+                    // ignore
+                  }
+                  moveStick(e);
+                }}
+                onPointerMove={moveStick}
+                onPointerUp={(e) => e.pointerId === stickPointerRef.current && releaseStick()}
+                onPointerCancel={(e) => e.pointerId === stickPointerRef.current && releaseStick()}
+                style={{
+                  pointerEvents: 'auto',
+                  touchAction: 'none',
+                  position: 'relative',
+                  width: TOUCH_STICK_SIZE,
+                  height: TOUCH_STICK_SIZE,
+                  borderRadius: '50%',
+                  background: 'rgba(255,255,255,0.08)',
+                  border: '1px solid rgba(255,255,255,0.22)',
+                  backdropFilter: 'blur(10px)',
+                  WebkitBackdropFilter: 'blur(10px)',
+                  boxShadow: '0 18px 42px rgba(0,0,0,0.45)',
+                }}
+              >
+                <div
+                  ref={stickKnobRef}
+                  style={{
+                    position: 'absolute',
+                    left: (TOUCH_STICK_SIZE - TOUCH_KNOB_SIZE) / 2 - 1,
+                    top: (TOUCH_STICK_SIZE - TOUCH_KNOB_SIZE) / 2 - 1,
+                    width: TOUCH_KNOB_SIZE,
+                    height: TOUCH_KNOB_SIZE,
+                    borderRadius: '50%',
+                    background: 'linear-gradient(160deg, rgba(255,255,255,0.5), rgba(255,255,255,0.18))',
+                    border: '1px solid rgba(255,255,255,0.35)',
+                    pointerEvents: 'none',
+                  }}
+                />
+              </div>
+            ) : null}
             <button
               type="button"
               aria-label="Stop / Hover (hold)"
@@ -1314,6 +2610,14 @@ export default function DroneGame() {
               <button type="button" onClick={cycleCameraMode} style={dockBtnStyle}>
                 Cam
               </button>
+              <button
+                type="button"
+                onClick={() => setFaceControlMode((m) => (m === 'blendshapes' ? 'landmarks' : 'blendshapes'))}
+                style={dockBtnStyle}
+                title="Face controls: mouth position or expressions"
+              >
+                {faceControlMode === 'blendshapes' ? 'Expr' : 'Mouth'}
+              </button>
               <button
                 type="button"
                 onClick={() => {
@@ -1353,7 +2657,42 @@ export default function DroneGame() {
               </div>
             </button>
 
-            <button type="button" onClick={fireGunsBurst} style={gunsBtnStyle} aria-label="Guns">
+            {touchVisible ? (
+              <div style={{ display: 'flex', gap: 12 }}>
+                <button
+                  type="button"
+                  onPointerDown={flipFromTouch}
+                  style={{ ...stopBtnStyle, transform: undefined, filter: undefined, width: 64, height: 64 }}
+                  aria-label="Flip"
+                >
+                  <div aria-hidden style={actionBtnSheenStyle} />
+                  <div style={{ position: 'relative', zIndex: 2, ...actionBtnLabelStyle }}>Flip</div>
+                </button>
+                <button
+                  type="button"
+                  onPointerDown={(e) => pressTouchHold(e, 'boost')}
+                  onPointerUp={() => releaseTouchHold('boost')}
+                  onPointerCancel={() => releaseTouchHold('boost')}
+                  onLostPointerCapture={() => releaseTouchHold('boost')}
+                  style={{ ...stopBtnStyle, transform: undefined, filter: undefined, width: 64, height: 64, touchAction: 'none' }}
+                  aria-label="Boost (hold)"
+                >
+                  <div aria-hidden style={actionBtnSheenStyle} />
+                  <div style={{ position: 'relative', zIndex: 2, ...actionBtnLabelStyle }}>Boost</div>
+                </button>
+              </div>
+            ) : null}
+
+            <button
+              type="button"
+              onPointerDown={(e) => pressTouchHold(e, 'fire')}
+              onPointerUp={() => releaseTouchHold('fire')}
+              onPointerCancel={() => releaseTouchHold('fire')}
+              onLostPointerCapture={() => releaseTouchHold('fire')}
+              onClick={(e) => e.detail === 0 && fireGunsBurst()}
+              style={{ ...gunsBtnStyle, touchAction: 'none' }}
+              aria-label="Guns"
+            >
               <div aria-hidden style={actionBtnSheenStyle} />
               <div style={{ position: 'relative', zIndex: 2, display: 'grid', gap: 6, placeItems: 'center' }}>
                 <div style={actionBtnLabelStyle}>Guns</div>
@@ -1429,11 +2768,609 @@ export default function DroneGame() {
                 Worlds
               </button>
             </div>
+            <div style={{ marginTop: 14, display: 'grid', gap: 8 }}>
+              <label style={{ fontSize: 13, fontWeight: 800, opacity: 0.9 }} htmlFor="drone-lips-profile">
+                Calibration profile
+              </label>
+              <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+                <select
+                  id="drone-lips-profile"
+                  value={activeProfileId ?? ''}
+                  onChange={(e) => handleSelectProfile(e.target.value || null)}
+                  style={{ ...dockBtnStyle, flex: '1 1 180px' }}
+                >
+                  <option value="">Guest (calibrate every time)</option>
+                  {profiles.map((p) => (
+                    <option key={p.id} value={p.id}>
+                      {p.name}
+                      {p.neutral ? '' : ' (not calibrated)'}
+                    </option>
+                  ))}
+                </select>
+                {activeProfile ? (
+                  <button type="button" onClick={handleDeleteProfile} style={dockBtnStyle}>
+                    Delete
+                  </button>
+                ) : null}
+              </div>
+              <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+                <input
+                  type="text"
+                  value={newProfileName}
+                  maxLength={32}
+                  placeholder="Name"
+                  onChange={(e) => setNewProfileName(e.target.value)}
+                  style={{ ...dockBtnStyle, flex: '1 1 180px', fontWeight: 600 }}
+                />
+                <button type="button" onClick={handleCreateProfile} style={dockBtnStyle}>
+                  New profile
+                </button>
+              </div>
+              <label style={{ fontSize: 13, fontWeight: 800, opacity: 0.9 }} htmlFor="drone-lips-head-mode">
+                Head tracking
+              </label>
+              <select
+                id="drone-lips-head-mode"
+                value={headMode}
+                onChange={(e) => setHeadMode(e.target.value as HeadMode)}
+                style={dockBtnStyle}
+              >
+                <option value="off">Off (mouth position on screen)</option>
+                <option value="compensate">Ignore head lean and turn</option>
+                <option value="steer">Ignore lean + steer with head turn</option>
+              </select>
+              <label style={{ fontSize: 13, fontWeight: 800, opacity: 0.9 }} htmlFor="drone-lips-face-control-mode">
+                Face controls
+              </label>
+              <select
+                id="drone-lips-face-control-mode"
+                value={faceControlMode}
+                onChange={(e) => setFaceControlMode(e.target.value as FaceControlMode)}
+                style={dockBtnStyle}
+              >
+                <option value="landmarks">Mouth position (move lips to steer)</option>
+                <option value="blendshapes">Expressions (mouth left/right, jaw open, blinks)</option>
+              </select>
+              <details>
+                <summary style={{ fontSize: 13, fontWeight: 800, opacity: 0.9, cursor: 'pointer' }}>
+                  Hands-free menus
+                </summary>
+                <label style={{ display: 'flex', gap: 8, alignItems: 'center', fontSize: 13, marginTop: 8 }}>
+                  <input
+                    type="checkbox"
+                    checked={facePointerSettings.enabled}
+                    onChange={(e) => setFacePointerSettings((f) => ({ ...f, enabled: e.target.checked }))}
+                  />
+                  Face pointer: move your mouth to highlight a button, hold still to press it
+                </label>
+                <label style={{ display: 'grid', gap: 4, fontSize: 13, marginTop: 8 }}>
+                  <span style={{ opacity: 0.85 }}>Hold time: {(facePointerSettings.dwellMs / 1000).toFixed(1)} s</span>
+                  <input
+                    type="range"
+                    min={FACE_POINTER_DWELL_LIMITS.min}
+                    max={FACE_POINTER_DWELL_LIMITS.max}
+                    step={FACE_POINTER_DWELL_LIMITS.step}
+                    value={facePointerSettings.dwellMs}
+                    onChange={(e) =>
+                      setFacePointerSettings((f) => sanitizeFacePointerSettings({ ...f, dwellMs: Number(e.target.value) }))
+                    }
+                  />
+                </label>
+                <label style={{ display: 'flex', gap: 8, alignItems: 'center', fontSize: 13, marginTop: 8 }}>
+                  <input
+                    type="checkbox"
+                    checked={facePointerSettings.blinkClick}
+                    onChange={(e) => setFacePointerSettings((f) => ({ ...f, blinkClick: e.target.checked }))}
+                  />
+                  A quick blink presses the highlighted button
+                </label>
+                <div style={{ fontSize: 12, opacity: 0.75, marginTop: 6 }}>
+                  Works on this screen, the pause menu and the end-of-level screens. The camera turns on here so
+                  the game can be started without touching the screen.
+                </div>
+              </details>
+              <details>
+                <summary style={{ fontSize: 13, fontWeight: 800, opacity: 0.9, cursor: 'pointer' }}>
+                  Assists
+                </summary>
+                {ASSISTS.map((a) => (
+                  <div key={a.id} style={{ display: 'grid', gap: 4, marginTop: 8, fontSize: 13 }}>
+                    <label style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+                      <input
+                        type="checkbox"
+                        checked={assists[a.id]}
+                        onChange={(e) => setAssists((prev) => ({ ...prev, [a.id]: e.target.checked }))}
+                      />
+                      {a.label}
+                    </label>
+                    {assists[a.id] ? (
+                      <label style={{ display: 'grid', gap: 4 }}>
+                        <span style={{ opacity: 0.85 }}>Strength: {Math.round(assists[a.strength] * 100)}%</span>
+                        <input
+                          type="range"
+                          min={ASSIST_STRENGTH_LIMITS.min}
+                          max={ASSIST_STRENGTH_LIMITS.max}
+                          step={ASSIST_STRENGTH_LIMITS.step}
+                          value={assists[a.strength]}
+                          onChange={(e) =>
+                            setAssists((prev) => sanitizeAssistSettings({ ...prev, [a.strength]: Number(e.target.value) }))
+                          }
+                        />
+                      </label>
+                    ) : null}
+                  </div>
+                ))}
+                <div style={{ fontSize: 12, opacity: 0.75, marginTop: 6 }}>
+                  Auto-fire shoots when an enemy is straight ahead, aim assist bends shots toward it, and auto-dodge
+                  steers around obstacles and enemies. The HUD badge lights up while an assist is acting.
+                </div>
+              </details>
+              <details>
+                <summary style={{ fontSize: 13, fontWeight: 800, opacity: 0.9, cursor: 'pointer' }}>
+                  Switch access
+                </summary>
+                <label style={{ display: 'flex', gap: 8, alignItems: 'center', fontSize: 13, marginTop: 8 }}>
+                  <input
+                    type="checkbox"
+                    checked={switchAccess.enabled}
+                    onChange={(e) => setSwitchAccess((a) => ({ ...a, enabled: e.target.checked }))}
+                  />
+                  Scanning: one switch (Space or Enter) picks the highlighted direction or action
+                </label>
+                <label style={{ display: 'grid', gap: 4, fontSize: 13, marginTop: 8 }}>
+                  <span style={{ opacity: 0.85 }}>Scan speed: {(switchAccess.scanMs / 1000).toFixed(1)} s per item</span>
+                  <input
+                    type="range"
+                    min={SWITCH_SCAN_LIMITS.scanMs.min}
+                    max={SWITCH_SCAN_LIMITS.scanMs.max}
+                    step={SWITCH_SCAN_LIMITS.scanMs.step}
+                    value={switchAccess.scanMs}
+                    onChange={(e) =>
+                      setSwitchAccess((a) => ({ ...a, ...sanitizeSwitchScanSettings({ ...a, scanMs: Number(e.target.value) }) }))
+                    }
+                  />
+                </label>
+                <label style={{ display: 'grid', gap: 4, fontSize: 13, marginTop: 8 }}>
+                  <span style={{ opacity: 0.85 }}>When a direction is picked</span>
+                  <select
+                    value={switchAccess.hold}
+                    onChange={(e) => setSwitchAccess((a) => ({ ...a, hold: e.target.value as SwitchHoldMode }))}
+                    style={dockBtnStyle}
+                  >
+                    {SWITCH_HOLD_MODES.map((m) => (
+                      <option key={m.id} value={m.id}>
+                        {m.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                {switchAccess.hold === 'pulse' ? (
+                  <label style={{ display: 'grid', gap: 4, fontSize: 13, marginTop: 8 }}>
+                    <span style={{ opacity: 0.85 }}>Move length: {(switchAccess.pulseMs / 1000).toFixed(1)} s</span>
+                    <input
+                      type="range"
+                      min={SWITCH_SCAN_LIMITS.pulseMs.min}
+                      max={SWITCH_SCAN_LIMITS.pulseMs.max}
+                      step={SWITCH_SCAN_LIMITS.pulseMs.step}
+                      value={switchAccess.pulseMs}
+                      onChange={(e) =>
+                        setSwitchAccess((a) => ({
+                          ...a,
+                          ...sanitizeSwitchScanSettings({ ...a, pulseMs: Number(e.target.value) }),
+                        }))
+                      }
+                    />
+                  </label>
+                ) : null}
+                <div style={{ fontSize: 12, opacity: 0.75, marginTop: 6 }}>
+                  Face steering is off while scanning. Map a sip-and-puff or button switch to Space or Enter.
+                </div>
+              </details>
+              <details onToggle={(e) => e.currentTarget.open && refreshCameras()}>
+                <summary style={{ fontSize: 13, fontWeight: 800, opacity: 0.9, cursor: 'pointer' }}>Camera</summary>
+                <div style={{ display: 'grid', gridTemplateColumns: 'auto 1fr', gap: 8, alignItems: 'center', marginTop: 8 }}>
+                  <label style={{ display: 'contents', fontSize: 13 }}>
+                    <span style={{ opacity: 0.85 }}>Device</span>
+                    <select
+                      value={cameraSettings.deviceId ?? ''}
+                      onChange={(e) => setCameraSettings((c) => ({ ...c, deviceId: e.target.value || null }))}
+                      style={dockBtnStyle}
+                    >
+                      <option value="">Default (front camera)</option>
+                      {cameras.map((d) => (
+                        <option key={d.deviceId} value={d.deviceId}>
+                          {d.label}
+                        </option>
+                      ))}
+                      {cameraSettings.deviceId && !cameras.some((d) => d.deviceId === cameraSettings.deviceId) ? (
+                        <option value={cameraSettings.deviceId}>Saved camera (not connected)</option>
+                      ) : null}
+                    </select>
+                  </label>
+                  <label style={{ display: 'contents', fontSize: 13 }}>
+                    <span style={{ opacity: 0.85 }}>Resolution</span>
+                    <select
+                      value={`${cameraSettings.width}x${cameraSettings.height}`}
+                      onChange={(e) => {
+                        const [width, height] = e.target.value.split('x').map(Number);
+                        setCameraSettings((c) => sanitizeCameraSettings({ ...c, width, height }));
+                      }}
+                      style={dockBtnStyle}
+                    >
+                      {CAMERA_RESOLUTIONS.map((r) => (
+                        <option key={r.label} value={`${r.width}x${r.height}`}>
+                          {r.label}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <label style={{ display: 'contents', fontSize: 13 }}>
+                    <span style={{ opacity: 0.85 }}>Frame rate</span>
+                    <select
+                      value={cameraSettings.frameRate}
+                      onChange={(e) =>
+                        setCameraSettings((c) => sanitizeCameraSettings({ ...c, frameRate: Number(e.target.value) }))
+                      }
+                      style={dockBtnStyle}
+                    >
+                      {CAMERA_FRAME_RATES.map((f) => (
+                        <option key={f} value={f}>
+                          {f} fps
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+                <label style={{ display: 'flex', gap: 8, alignItems: 'center', fontSize: 13, marginTop: 8 }}>
+                  <input
+                    type="checkbox"
+                    checked={enhanceLighting}
+                    onChange={(e) => setEnhanceLighting(e.target.checked)}
+                  />
+                  Low-light boost (brightens dim or backlit video before face tracking)
+                </label>
+                <div style={{ fontSize: 12, opacity: 0.75, marginTop: 6 }}>
+                  Camera names appear after the first start. If the chosen camera is unplugged the default one is used
+                  until it comes back. Cameras pick the closest format they support.
+                </div>
+              </details>
+              <details>
+                <summary style={{ fontSize: 13, fontWeight: 800, opacity: 0.9, cursor: 'pointer' }}>
+                  Face gestures
+                </summary>
+                <div style={{ display: 'grid', gridTemplateColumns: 'auto 1fr', gap: 8, alignItems: 'center', marginTop: 8 }}>
+                  {FACE_GESTURES.map((g) => (
+                    <label key={g.id} style={{ display: 'contents', fontSize: 13 }}>
+                      <span style={{ opacity: 0.85 }}>{g.label}</span>
+                      <select
+                        value={gestureBindings[g.id]}
+                        onChange={(e) => handleBindGesture(g.id, e.target.value as GestureAction)}
+                        style={dockBtnStyle}
+                      >
+                        {GESTURE_ACTIONS.map((a) => (
+                          <option key={a.id} value={a.id}>
+                            {a.label}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                  ))}
+                </div>
+                <div style={{ fontSize: 12, opacity: 0.75, marginTop: 6 }}>
+                  Eyebrows, cheek puff and tongue need Expressions mode; tongue out only works if the face model reports
+                  it.
+                </div>
+              </details>
+              <details onToggle={(e) => !e.currentTarget.open && setRebinding(null)}>
+                <summary style={{ fontSize: 13, fontWeight: 800, opacity: 0.9, cursor: 'pointer' }}>
+                  Keyboard
+                </summary>
+                <div
+                  style={{ display: 'grid', gridTemplateColumns: 'auto 1fr 1fr', gap: 8, alignItems: 'center', marginTop: 8 }}
+                >
+                  {KEY_ACTIONS.map((a) => (
+                    <Fragment key={a.id}>
+                      <span style={{ fontSize: 13, opacity: 0.85 }}>{a.label}</span>
+                      {Array.from({ length: KEYS_PER_ACTION }, (_, slot) => {
+                        const key = keyBindings[a.id][slot];
+                        const waiting = rebinding?.action === a.id && rebinding.slot === slot;
+                        const clash =
+                          key != null &&
+                          (keyConflicts.some((c) => c.key === key) || switchKeyConflicts.some((c) => c.key === key));
+                        return (
+                          <button
+                            key={slot}
+                            type="button"
+                            onClick={() => setRebinding(waiting ? null : { action: a.id, slot })}
+                            aria-label={`${a.label}, key ${slot + 1}: ${key != null ? keyLabel(key) : 'none'}`}
+                            style={{
+                              ...dockBtnStyle,
+                              padding: '6px 10px',
+                              borderColor: clash ? '#ff9f0a' : waiting ? '#ffd60a' : 'rgba(255,255,255,0.18)',
+                              opacity: key != null || waiting ? 1 : 0.6,
+                            }}
+                          >
+                            {waiting ? 'Press a key…' : key != null ? keyLabel(key) : '—'}
+                          </button>
+                        );
+                      })}
+                    </Fragment>
+                  ))}
+                </div>
+                {keyConflicts.length || switchKeyConflicts.length ? (
+                  <div style={{ fontSize: 12, color: '#ffcc80', marginTop: 6 }}>
+                    {keyConflicts.map((c) => (
+                      <div key={c.key}>
+                        {keyLabel(c.key)} does several things:{' '}
+                        {c.actions.map((id) => KEY_ACTIONS.find((a) => a.id === id)?.label).join(', ')}
+                      </div>
+                    ))}
+                    {switchKeyConflicts.map((c) => (
+                      <div key={`switch-${c.key}`}>
+                        {keyLabel(c.key)} is the switch while scanning, so it won't trigger:{' '}
+                        {c.actions.map((id) => KEY_ACTIONS.find((a) => a.id === id)?.label).join(', ')}
+                      </div>
+                    ))}
+                  </div>
+                ) : null}
+                <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginTop: 8 }}>
+                  <button
+                    type="button"
+                    onClick={() => setKeyBindings(sanitizeKeyBindings(null))}
+                    style={dockBtnStyle}
+                  >
+                    Reset keys
+                  </button>
+                  <span style={{ fontSize: 12, opacity: 0.75 }}>
+                    {rebinding ? 'Press the new key. Backspace clears it, Esc cancels.' : 'Saved on this device.'}
+                  </span>
+                </div>
+              </details>
+              <label style={{ display: 'grid', gap: 4, fontSize: 13 }}>
+                <span style={{ fontWeight: 800, opacity: 0.9 }}>Touch stick and buttons</span>
+                <select
+                  value={touchControlsMode}
+                  onChange={(e) => setTouchControlsMode(sanitizeTouchControlsMode(e.target.value))}
+                  style={dockBtnStyle}
+                >
+                  {TOUCH_CONTROLS_MODES.map((m) => (
+                    <option key={m.id} value={m.id}>
+                      {m.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <details>
+                <summary style={{ fontSize: 13, fontWeight: 800, opacity: 0.9, cursor: 'pointer' }}>
+                  Gamepad
+                </summary>
+                <div style={{ fontSize: 12, opacity: 0.75, marginTop: 8 }}>
+                  {gamepadName ? `Connected: ${gamepadName}` : 'No gamepad yet. Connect one and press any button.'}
+                </div>
+                <div style={{ display: 'grid', gridTemplateColumns: 'auto 1fr', gap: 8, alignItems: 'center', marginTop: 8 }}>
+                  {GAMEPAD_ACTIONS.map((a) => (
+                    <label key={a.id} style={{ display: 'contents', fontSize: 13 }}>
+                      <span style={{ opacity: 0.85 }}>{a.label}</span>
+                      <select
+                        value={gamepadBindings[a.id]}
+                        onChange={(e) => handleBindGamepad(a.id, Number(e.target.value))}
+                        style={dockBtnStyle}
+                      >
+                        {GAMEPAD_BUTTONS.map((b) => (
+                          <option key={b.index} value={b.index}>
+                            {b.label}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                  ))}
+                </div>
+                <div style={{ fontSize: 12, opacity: 0.75, marginTop: 6 }}>
+                  Sticks and d-pad steer, triggers boost. Works alongside mouth steering, and with the Xbox Adaptive
+                  Controller.
+                </div>
+              </details>
+              <details>
+                <summary style={{ fontSize: 13, fontWeight: 800, opacity: 0.9, cursor: 'pointer' }}>
+                  Smoothing
+                </summary>
+                <div style={{ display: 'grid', gap: 8, marginTop: 8, fontSize: 13 }}>
+                  <select
+                    value={signalFilter.kind}
+                    onChange={(e) => handleFilterChange({ kind: e.target.value as SignalFilterKind })}
+                    style={dockBtnStyle}
+                    aria-label="Smoothing filter"
+                  >
+                    {SIGNAL_FILTER_KINDS.map((k) => (
+                      <option key={k.id} value={k.id}>
+                        {k.label}
+                      </option>
+                    ))}
+                  </select>
+                  {(
+                    [
+                      ['exponential', 'timeConstantMs', 'Lag (ms)'],
+                      ['oneEuro', 'minCutoffHz', 'Steadiness at rest (Hz, lower = steadier)'],
+                      ['oneEuro', 'beta', 'Speed response (higher = snappier dodges)'],
+                      ['kalman', 'processNoise', 'Agility (higher = follows sudden moves)'],
+                      ['kalman', 'measurementNoise', 'Noise rejection (higher = steadier)'],
+                    ] as const
+                  )
+                    .filter(([kind]) => kind === signalFilter.kind)
+                    .map(([, key, label]) => (
+                      <label key={key} style={{ display: 'grid', gap: 4 }}>
+                        <span style={{ opacity: 0.85 }}>
+                          {label}: {signalFilter[key]}
+                        </span>
+                        <input
+                          type="range"
+                          min={SIGNAL_FILTER_LIMITS[key].min}
+                          max={SIGNAL_FILTER_LIMITS[key].max}
+                          step={SIGNAL_FILTER_LIMITS[key].step}
+                          value={signalFilter[key]}
+                          onChange={(e) => handleFilterChange({ [key]: Number(e.target.value) })}
+                        />
+                      </label>
+                    ))}
+                  <div style={{ fontSize: 12, opacity: 0.75 }}>
+                    {activeProfile ? `Saved to ${activeProfile.name}.` : 'Create a profile to keep this setting.'}
+                  </div>
+                </div>
+              </details>
+              <details>
+                <summary style={{ fontSize: 13, fontWeight: 800, opacity: 0.9, cursor: 'pointer' }}>Boost</summary>
+                <div style={{ display: 'grid', gap: 8, marginTop: 8 }}>
+                  <select
+                    value={boostSettings.mode}
+                    onChange={(e) => handleBoostChange({ mode: e.target.value as BoostMode })}
+                    style={dockBtnStyle}
+                    aria-label="Boost mode"
+                  >
+                    <option value="binary">On/off (open mouth past a threshold)</option>
+                    <option value="analog">Throttle (wider mouth = faster)</option>
+                  </select>
+                  {boostSettings.mode === 'analog' ? (
+                    <select
+                      value={boostSettings.curve}
+                      onChange={(e) => handleBoostChange({ curve: e.target.value as ResponseCurve })}
+                      style={dockBtnStyle}
+                      aria-label="Throttle response curve"
+                    >
+                      {RESPONSE_CURVES.map((c) => (
+                        <option key={c.id} value={c.id}>
+                          {c.label}
+                        </option>
+                      ))}
+                    </select>
+                  ) : null}
+                </div>
+              </details>
+              <div style={{ fontSize: 12, opacity: 0.75 }}>
+                {!activeProfile
+                  ? 'Guests calibrate at the start of every session.'
+                  : activeProfile.neutral
+                    ? 'Calibrated: Start skips the 5 second calibration.'
+                    : 'The next calibration will be saved to this profile.'}
+              </div>
+            </div>
             {errorText ? <div style={{ marginTop: 10, color: '#ffb4b4', fontSize: 13 }}>{errorText}</div> : null}
           </div>
         </div>
       ) : null}
 
+      {phase === 'victory' ? (
+        <div
+          role="dialog"
+          aria-modal="true"
+          style={{
+            position: 'absolute',
+            inset: 0,
+            zIndex: 150,
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            padding: 16,
+            background: 'radial-gradient(circle at 50% 30%, rgba(255,159,10,0.28), rgba(0,0,0,0.9))',
+          }}
+        >
+          <div
+            style={{
+              width: 520,
+              maxWidth: '100%',
+              padding: 18,
+              borderRadius: 16,
+              background: 'rgba(0,0,0,0.68)',
+              border: '1px solid rgba(255,255,255,0.14)',
+              color: 'white',
+              backdropFilter: 'blur(10px)',
+            }}
+          >
+            <div style={{ fontSize: 26, fontWeight: 900, marginBottom: 6 }}>Victory!</div>
+            <div style={{ fontSize: 14, opacity: 0.9, marginBottom: 12 }}>
+              The mothership is down. {level.name} cleared.
+            </div>
+            <div style={{ fontSize: 16, fontWeight: 800 }}>Puntos: {victory?.score ?? 0}</div>
+            <div style={{ display: 'flex', gap: 10, marginTop: 14, flexWrap: 'wrap' }}>
+              <button
+                type="button"
+                onClick={handlePlayAgain}
+                style={{
+                  padding: '12px 14px',
+                  borderRadius: 12,
+                  border: '1px solid rgba(255,255,255,0.18)',
+                  background: 'rgba(255,255,255,0.16)',
+                  color: 'white',
+                  fontWeight: 800,
+                }}
+              >
+                Play again
+              </button>
+              <button type="button" onClick={() => setLevelPickerOpen(true)} style={dockBtnStyle}>
+                Worlds
+              </button>
+            </div>
+          </div>
+        </div>
+      ) : null}
+
+      {phase === 'gameover' ? (
+        <div
+          role="dialog"
+          aria-modal="true"
+          style={{
+            position: 'absolute',
+            inset: 0,
+            zIndex: 150,
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            padding: 16,
+            background: 'radial-gradient(circle at 50% 30%, rgba(255,59,48,0.25), rgba(0,0,0,0.9))',
+          }}
+        >
+          <div
+            style={{
+              width: 520,
+              maxWidth: '100%',
+              padding: 18,
+              borderRadius: 16,
+              background: 'rgba(0,0,0,0.68)',
+              border: '1px solid rgba(255,255,255,0.14)',
+              color: 'white',
+              backdropFilter: 'blur(10px)',
+            }}
+          >
+            <div style={{ fontSize: 26, fontWeight: 900, marginBottom: 6 }}>Game Over</div>
+            <div style={{ fontSize: 14, opacity: 0.9, marginBottom: 12 }}>
+              Out of lives. Continue keeps your score; Restart begins {level.name} again.
+            </div>
+            <div style={{ fontSize: 16, fontWeight: 800 }}>Puntos: {gameOver?.score ?? 0}</div>
+            <div style={{ display: 'flex', gap: 10, marginTop: 14, flexWrap: 'wrap' }}>
+              <button
+                type="button"
+                onClick={handleContinue}
+                style={{
+                  padding: '12px 14px',
+                  borderRadius: 12,
+                  border: '1px solid rgba(255,255,255,0.18)',
+                  background: 'rgba(255,255,255,0.16)',
+                  color: 'white',
+                  fontWeight: 800,
+                }}
+              >
+                Continue
+              </button>
+              <button type="button" onClick={handlePlayAgain} style={dockBtnStyle}>
+                Restart
+              </button>
+              <button type="button" onClick={() => setLevelPickerOpen(true)} style={dockBtnStyle}>
+                Worlds
+              </button>
+            </div>
+          </div>
+        </div>
+      ) : null}
+
       {phase === 'calibrating' ? (
         <div
           style={{
@@ -1460,8 +3397,87 @@ export default function DroneGame() {
               textAlign: 'center',
             }}
           >
-            <div style={{ fontWeight: 900, marginBottom: 6 }}>Calibrating…</div>
-            <div style={{ fontSize: 13, opacity: 0.9 }}>Keep your face neutral for 5 seconds.</div>
+            {wizardStep ? (
+              <>
+                <div style={{ fontSize: 12, opacity: 0.75, marginBottom: 4 }}>
+                  Step {wizardStep.stepIndex + 1} of {CALIBRATION_STEPS.length}
+                </div>
+                <div style={{ fontWeight: 900, marginBottom: 6 }}>{wizardStep.step.title}</div>
+                <div style={{ fontSize: 13, opacity: 0.9 }}>{wizardStep.step.prompt}</div>
+                <div
+                  style={{
+                    marginTop: 12,
+                    height: 6,
+                    borderRadius: 999,
+                    background: 'rgba(255,255,255,0.14)',
+                    overflow: 'hidden',
+                  }}
+                >
+                  <div
+                    ref={wizardProgressElRef}
+                    style={{ width: '0%', height: '100%', background: 'rgba(99,179,255,0.9)' }}
+                  />
+                </div>
+                {wizardStep.stepIndex > 0 ? (
+                  <button
+                    type="button"
+                    onClick={finishGuidedCalibration}
+                    style={{ ...dockBtnStyle, marginTop: 12, pointerEvents: 'auto' }}
+                  >
+                    Finish now
+                  </button>
+                ) : null}
+              </>
+            ) : (
+              <>
+                <div style={{ fontWeight: 900, marginBottom: 6 }}>Calibrating…</div>
+                <div style={{ fontSize: 13, opacity: 0.9 }}>Keep your face neutral for 5 seconds.</div>
+              </>
+            )}
+          </div>
+        </div>
+      ) : null}
+
+      {phase === 'paused' && (faceLost || resumeCountdown != null) ? (
+        <div
+          role="status"
+          style={{
+            position: 'absolute',
+            inset: 0,
+            zIndex: 140,
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            padding: 16,
+            pointerEvents: 'none',
+          }}
+        >
+          <div
+            style={{
+              width: 420,
+              maxWidth: '100%',
+              padding: 16,
+              borderRadius: 16,
+              background: 'rgba(0,0,0,0.55)',
+              border: '1px solid rgba(255,255,255,0.14)',
+              color: 'white',
+              backdropFilter: 'blur(10px)',
+              textAlign: 'center',
+            }}
+          >
+            {resumeCountdown != null ? (
+              <>
+                <div style={{ fontWeight: 900, marginBottom: 6 }}>Face found</div>
+                <div style={{ fontSize: 13, opacity: 0.9 }}>Resuming in {resumeCountdown}…</div>
+              </>
+            ) : (
+              <>
+                <div style={{ fontWeight: 900, marginBottom: 6 }}>Face not found</div>
+                <div style={{ fontSize: 13, opacity: 0.9 }}>
+                  Look at the camera and make sure your face is lit. The game resumes on its own.
+                </div>
+              </>
+            )}
           </div>
         </div>
       ) : null}
@@ -1501,7 +3517,7 @@ export default function DroneGame() {
           >
             <div style={{ fontSize: 18, fontWeight: 900, marginBottom: 6 }}>Worlds</div>
             <div style={{ fontSize: 13, opacity: 0.85, marginBottom: 12 }}>
-              Choose any world. (Some worlds share visuals for now.)
+              Choose any world.
             </div>
 
             <div style={{ display: 'grid', gap: 10 }}>
@@ -1522,6 +3538,7 @@ export default function DroneGame() {
                       setStopHeld(false);
                       setLevelId(l.id);
                       setLevelPickerOpen(false);
+                      if (phaseRef.current === 'victory' || phaseRef.current === 'gameover') handlePlayAgain();
                     }}
                     style={{
                       padding: '12px 12px',
@@ -1554,6 +3571,26 @@ export default function DroneGame() {
       ) : null}
 
       <AuggieChat />
+
+      <div
+        ref={facePointerRingRef}
+        aria-hidden="true"
+        style={{
+          display: 'none',
+          position: 'fixed',
+          zIndex: 100000,
+          border: '3px solid #ffd60a',
+          borderRadius: 14,
+          boxShadow: '0 0 0 3px rgba(0,0,0,0.55), 0 0 18px rgba(255,214,10,0.55)',
+          pointerEvents: 'none',
+          overflow: 'hidden',
+        }}
+      >
+        <div
+          ref={facePointerDwellRef}
+          style={{ position: 'absolute', left: 0, bottom: 0, height: 5, width: 0, background: '#ffd60a' }}
+        />
+      </div>
     </div>
   );
 }
@@ -0,0 +1,138 @@
+import * as THREE from 'three';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { Boss, type BossMode } from './Boss';
+import { LASER_RADIUS, LASER_SPEED, LASER_TTL, LaserShot } from './Projectiles';
+
+const STEP_MS = 1000 / 60;
+const player = new THREE.Vector3(0, 0, 0);
+
+// Steps the boss at 60 fps until `done` or `maxMs` passes; returns the time reached.
+function run(boss: Boss, fromMs: number, maxMs: number, done: (b: Boss) => boolean = () => false) {
+  let t = fromMs;
+  while (t < fromMs + maxMs && !done(boss)) {
+    t += STEP_MS;
+    boss.update(STEP_MS / 1000, t, player, 10, 4);
+  }
+  return t;
+}
+
+const inMode = (mode: BossMode) => (b: Boss) => b.mode === mode;
+
+describe('Boss', () => {
+  beforeEach(() => {
+    vi.spyOn(Math, 'random').mockReturnValue(0.5);
+  });
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('moves through its phases by remaining health', () => {
+    const boss = new Boss({ hp: 300, spawnAtScore: 0, ufoSupportRate: 0.5 });
+    boss.spawn(0);
+    expect(boss.getHudState()).toEqual({ hp: 300, maxHp: 300, phase: 1 });
+    expect(boss.supportWaveMult).toBe(1);
+
+    boss.takeDamage(99);
+    expect(boss.phase).toBe(1);
+    boss.takeDamage(1);
+    expect(boss.phase).toBe(2);
+    expect(boss.supportWaveMult).toBe(1.25);
+    boss.takeDamage(100);
+    expect(boss.phase).toBe(3);
+    expect(boss.supportWaveMult).toBe(1.6);
+  });
+
+  it('sends UFO escorts in waves that grow with the phase', () => {
+    const boss = new Boss({ hp: 300, spawnAtScore: 0, ufoSupportRate: 0.5 });
+    boss.spawn(0);
+    expect(boss.supportWaveKinds(0.5, 6)).toEqual(['ufo', 'ufo']);
+
+    boss.takeDamage(200);
+    const wave = boss.supportWaveKinds(0.5, 6);
+    expect(wave).toHaveLength(3);
+    expect(wave.every((kind) => kind === 'ufo')).toBe(true);
+
+    expect(boss.supportWaveKinds(1, 6)).toHaveLength(6);
+    expect(boss.supportWaveKinds(0, 6)).toEqual(['ufo']);
+  });
+
+  it('flies in and holds position without charging in phase 1', () => {
+    const boss = new Boss({ hp: 300, spawnAtScore: 0, ufoSupportRate: 0.5 });
+    boss.spawn(0);
+    expect(boss.mode).toBe('enter');
+
+    const t = run(boss, 0, 10_000, inMode('hover'));
+    expect(boss.mode).toBe('hover');
+    expect(boss.position.z).toBeLessThan(LASER_SPEED * LASER_TTL - boss.radius);
+
+    run(boss, t, 20_000);
+    expect(boss.mode).toBe('hover');
+  });
+
+  it('can be hit by a laser while hovering', () => {
+    const boss = new Boss({ hp: 300, spawnAtScore: 0, ufoSupportRate: 0.5 });
+    boss.spawn(0);
+    let t = run(boss, 0, 10_000, inMode('hover'));
+
+    // Fired from the drone's muzzle at the boss, as aim assist would.
+    const from = new THREE.Vector3(0, 0.02, 1.35);
+    const vel = boss.position.clone().sub(from).normalize().multiplyScalar(LASER_SPEED);
+    const laser = new LaserShot();
+    laser.spawn(from, vel, LASER_TTL);
+
+    while (laser.active) {
+      t += STEP_MS;
+      boss.update(STEP_MS / 1000, t, player, 10, 4);
+      laser.update(STEP_MS / 1000);
+      if (laser.active && boss.hitBy(laser.pos, LASER_RADIUS)) {
+        laser.active = false;
+        boss.takeDamage(1);
+      }
+    }
+    expect(boss.hp).toBe(boss.maxHp - 1);
+  });
+
+  it('telegraphs, charges and retreats once in phase 2', () => {
+    const boss = new Boss({ hp: 300, spawnAtScore: 0, ufoSupportRate: 0.5 });
+    boss.spawn(0);
+    let t = run(boss, 0, 10_000, inMode('hover'));
+    boss.takeDamage(150);
+
+    // The first charge comes half a cooldown after dropping into phase 2.
+    const hoverFrom = t;
+    t = run(boss, t, 10_000, inMode('telegraph'));
+    expect(t - hoverFrom).toBeGreaterThanOrEqual(3500);
+    expect(t - hoverFrom).toBeLessThan(3600);
+
+    const telegraphFrom = t;
+    t = run(boss, t, 5000, inMode('charge'));
+    expect(t - telegraphFrom).toBeGreaterThanOrEqual(1100);
+    expect(t - telegraphFrom).toBeLessThan(1200);
+
+    t = run(boss, t, 5000, inMode('retreat'));
+    expect(boss.mode).toBe('retreat');
+    expect(boss.position.z).toBeLessThanOrEqual(4);
+
+    run(boss, t, 10_000, inMode('hover'));
+    expect(boss.mode).toBe('hover');
+  });
+
+  it('is defeated at zero health and stops updating', () => {
+    const boss = new Boss({ hp: 10, spawnAtScore: 0, ufoSupportRate: 0.5 });
+    boss.spawn(0);
+    boss.takeDamage(0.5);
+    expect(boss.hp).toBe(9);
+
+    boss.takeDamage(50);
+    expect(boss.hp).toBe(0);
+    expect(boss.alive).toBe(false);
+    expect(boss.group.visible).toBe(false);
+
+    const z = boss.position.z;
+    run(boss, 0, 1000);
+    expect(boss.position.z).toBe(z);
+    boss.takeDamage(1);
+    expect(boss.hp).toBe(0);
+  });
+});
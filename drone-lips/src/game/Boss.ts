@@ -0,0 +1,282 @@
+import * as THREE from 'three';
+
+import type { EnemyKind } from './Enemy';
+import type { LevelBossConfig } from './levels';
+import { clamp, damp, randRange } from './math';
+
+export type BossPhase = 1 | 2 | 3;
+
+// enter: flying in from the far field, hover: strafing at hold distance,
+// telegraph: core glows before a charge, charge: ramming run, retreat: back to hold distance.
+export type BossMode = 'enter' | 'hover' | 'telegraph' | 'charge' | 'retreat';
+
+export type BossHudState = {
+  hp: number;
+  maxHp: number;
+  phase: BossPhase;
+};
+
+type BossPhaseTuning = {
+  sweepSpeed: number; // rad/s of the horizontal sweep
+  sweepAmp: number; // fraction of xRange
+  chargeEveryMs: number;
+  telegraphMs: number;
+  chargeSpeed: number;
+  supportWaveMult: number;
+};
+
+const PHASES: Record<BossPhase, BossPhaseTuning> = {
+  1: {
+    sweepSpeed: 0.55,
+    sweepAmp: 0.55,
+    chargeEveryMs: 0,
+    telegraphMs: 0,
+    chargeSpeed: 0,
+    supportWaveMult: 1,
+  },
+  2: {
+    sweepSpeed: 0.8,
+    sweepAmp: 0.75,
+    chargeEveryMs: 7000,
+    telegraphMs: 1100,
+    chargeSpeed: 38,
+    supportWaveMult: 1.25,
+  },
+  3: {
+    sweepSpeed: 1.15,
+    sweepAmp: 0.9,
+    chargeEveryMs: 4200,
+    telegraphMs: 750,
+    chargeSpeed: 48,
+    supportWaveMult: 1.6,
+  },
+};
+
+const ENTER_Z = 230;
+// Inside laser range (LASER_SPEED * LASER_TTL), so the boss can be hit while hovering.
+const HOLD_Z = 50;
+const CHARGE_END_Z = 4;
+
+export class Boss {
+  readonly group: THREE.Group;
+  readonly position: THREE.Vector3;
+  readonly radius = 4.2;
+  readonly maxHp: number;
+
+  hp: number;
+  alive = false;
+  mode: BossMode = 'enter';
+
+  private readonly materials: THREE.Material[] = [];
+  private readonly geometries: THREE.BufferGeometry[] = [];
+  private readonly coreMat: THREE.MeshStandardMaterial;
+  private readonly glowMat: THREE.MeshBasicMaterial;
+  private readonly ring: THREE.Mesh;
+
+  private modeStartMs = 0;
+  private nextChargeMs = 0;
+  private sweepT = 0;
+  private hitFlash = 0;
+  private readonly chargeTarget = new THREE.Vector3();
+
+  constructor(cfg: LevelBossConfig) {
+    this.maxHp = Math.max(1, Math.floor(cfg.hp));
+    this.hp = this.maxHp;
+
+    this.group = new THREE.Group();
+    this.group.renderOrder = 2;
+    this.group.visible = false;
+    this.position = this.group.position;
+
+    const hullMat = new THREE.MeshStandardMaterial({
+      color: '#2a0d1a',
+      emissive: '#ff2d55',
+      emissiveIntensity: 0.35,
+      metalness: 0.7,
+      roughness: 0.3,
+    });
+    const frameMat = new THREE.MeshStandardMaterial({
+      color: '#15161c',
+      metalness: 0.85,
+      roughness: 0.25,
+    });
+    const coreMat = new THREE.MeshStandardMaterial({
+      color: '#3a0a12',
+      emissive: '#ff3b30',
+      emissiveIntensity: 0.9,
+      metalness: 0.4,
+      roughness: 0.2,
+    });
+    const glowMat = new THREE.MeshBasicMaterial({
+      color: '#ff3b30',
+      transparent: true,
+      opacity: 0.35,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending,
+    });
+    this.coreMat = coreMat;
+    this.glowMat = glowMat;
+    this.materials.push(hullMat, frameMat, coreMat, glowMat);
+
+    const hullGeo = new THREE.CylinderGeometry(3.6, 4.4, 1.1, 8, 1, false);
+    const wingGeo = new THREE.BoxGeometry(3.4, 0.35, 2.2);
+    const ringGeo = new THREE.TorusGeometry(2.3, 0.22, 12, 40);
+    const coreGeo = new THREE.SphereGeometry(1.25, 28, 28);
+    const glowGeo = new THREE.SphereGeometry(1.9, 20, 20);
+    const cannonGeo = new THREE.CylinderGeometry(0.18, 0.24, 2.2, 10, 1, false);
+    this.geometries.push(hullGeo, wingGeo, ringGeo, coreGeo, glowGeo, cannonGeo);
+
+    const hull = new THREE.Mesh(hullGeo, hullMat);
+    hull.rotation.x = Math.PI / 2;
+    this.group.add(hull);
+
+    for (const side of [-1, 1]) {
+      const wing = new THREE.Mesh(wingGeo, frameMat);
+      wing.position.set(side * 5.1, 0, 0.2);
+      wing.rotation.z = side * 0.18;
+      this.group.add(wing);
+
+      const cannon = new THREE.Mesh(cannonGeo, frameMat);
+      cannon.rotation.x = Math.PI / 2;
+      cannon.position.set(side * 6.2, -0.25, -0.9);
+      this.group.add(cannon);
+    }
+
+    const ring = new THREE.Mesh(ringGeo, frameMat);
+    ring.position.z = -0.6;
+    this.group.add(ring);
+    this.ring = ring;
+
+    const core = new THREE.Mesh(coreGeo, coreMat);
+    core.position.z = -0.7;
+    this.group.add(core);
+
+    const glow = new THREE.Mesh(glowGeo, glowMat);
+    glow.position.z = -0.7;
+    this.group.add(glow);
+  }
+
+  get phase(): BossPhase {
+    const frac = this.hp / this.maxHp;
+    if (frac > 2 / 3) return 1;
+    if (frac > 1 / 3) return 2;
+    return 3;
+  }
+
+  get supportWaveMult(): number {
+    return PHASES[this.phase].supportWaveMult;
+  }
+
+  // Kinds of the escorts in one support wave: all UFOs, more of them in later phases.
+  supportWaveKinds(ufoSupportRate: number, maxSize: number): EnemyKind[] {
+    const rate = clamp(ufoSupportRate, 0, 1);
+    const size = Math.min(maxSize, Math.max(1, Math.round(rate * 4 * this.supportWaveMult)));
+    return Array.from({ length: size }, (): EnemyKind => 'ufo');
+  }
+
+  getHudState(): BossHudState {
+    return { hp: this.hp, maxHp: this.maxHp, phase: this.phase };
+  }
+
+  spawn(nowMs: number) {
+    this.alive = true;
+    this.hp = this.maxHp;
+    this.sweepT = 0;
+    this.hitFlash = 0;
+    this.position.set(0, 1.5, ENTER_Z);
+    this.group.rotation.set(0, 0, 0);
+    this.group.visible = true;
+    this.setMode('enter', nowMs);
+  }
+
+  despawn() {
+    this.alive = false;
+    this.group.visible = false;
+  }
+
+  takeDamage(amount: number) {
+    if (!this.alive) return;
+    this.hp = clamp(this.hp - Math.max(1, Math.floor(amount)), 0, this.maxHp);
+    this.hitFlash = 1;
+    if (this.hp <= 0) this.despawn();
+  }
+
+  hitBy(p: THREE.Vector3, radius: number): boolean {
+    return this.alive && this.position.distanceToSquared(p) < (this.radius + radius) ** 2;
+  }
+
+  update(dt: number, nowMs: number, playerPos: THREE.Vector3, xRange: number, yRange: number) {
+    if (!this.alive) return;
+
+    const tuning = PHASES[this.phase];
+    const pos = this.position;
+
+    this.sweepT += dt * tuning.sweepSpeed;
+    const sweepX = Math.sin(this.sweepT) * xRange * tuning.sweepAmp;
+    const sweepY = Math.sin(this.sweepT * 0.7 + 1.3) * yRange * 0.35 + playerPos.y * 0.3;
+
+    if (this.mode === 'enter') {
+      pos.z = damp(pos.z, HOLD_Z, 1.1, dt);
+      pos.x = damp(pos.x, sweepX, 1.5, dt);
+      pos.y = damp(pos.y, sweepY, 1.5, dt);
+      if (pos.z - HOLD_Z < 2) this.setMode('hover', nowMs);
+    } else if (this.mode === 'hover') {
+      pos.z = damp(pos.z, HOLD_Z, 2, dt);
+      pos.x = damp(pos.x, sweepX, 2.2, dt);
+      pos.y = damp(pos.y, sweepY, 2.2, dt);
+      if (tuning.chargeEveryMs > 0) {
+        // Phase 1 never charges; schedule the first charge once the boss drops into phase 2.
+        if (!Number.isFinite(this.nextChargeMs))
+          this.nextChargeMs = nowMs + tuning.chargeEveryMs * 0.5;
+        else if (nowMs >= this.nextChargeMs) this.setMode('telegraph', nowMs);
+      }
+    } else if (this.mode === 'telegraph') {
+      // Hold still (with a shiver) so the player can read the incoming charge.
+      pos.x += randRange(-1, 1) * 0.04;
+      pos.y += randRange(-1, 1) * 0.04;
+      if (nowMs - this.modeStartMs >= tuning.telegraphMs) {
+        this.chargeTarget.set(playerPos.x, playerPos.y, CHARGE_END_Z);
+        this.setMode('charge', nowMs);
+      }
+    } else if (this.mode === 'charge') {
+      pos.z -= tuning.chargeSpeed * dt;
+      pos.x = damp(pos.x, this.chargeTarget.x, 2.5, dt);
+      pos.y = damp(pos.y, this.chargeTarget.y, 2.5, dt);
+      if (pos.z <= CHARGE_END_Z) this.setMode('retreat', nowMs);
+    } else if (this.mode === 'retreat') {
+      pos.z = damp(pos.z, HOLD_Z, 1.4, dt);
+      pos.x = damp(pos.x, sweepX, 1.2, dt);
+      pos.y = damp(pos.y, sweepY, 1.2, dt);
+      if (HOLD_Z - pos.z < 3) this.setMode('hover', nowMs);
+    }
+
+    this.ring.rotation.z += dt * (0.8 + this.phase * 0.6);
+    this.group.rotation.z = Math.sin(nowMs * 0.0011) * 0.08;
+
+    this.hitFlash = Math.max(0, this.hitFlash - dt * 6);
+    const telegraphP =
+      this.mode === 'telegraph'
+        ? clamp((nowMs - this.modeStartMs) / Math.max(1, tuning.telegraphMs), 0, 1)
+        : 0;
+    const pulse = 0.5 + 0.5 * Math.sin(nowMs * (0.006 + telegraphP * 0.02));
+    this.coreMat.emissiveIntensity =
+      0.6 + this.phase * 0.25 + telegraphP * 2.2 + this.hitFlash * 1.5;
+    this.glowMat.opacity =
+      0.2 + pulse * 0.15 + telegraphP * 0.5 + (this.mode === 'charge' ? 0.35 : 0);
+  }
+
+  dispose() {
+    for (const g of this.geometries) g.dispose();
+    for (const m of this.materials) m.dispose();
+  }
+
+  private setMode(mode: BossMode, nowMs: number) {
+    this.mode = mode;
+    this.modeStartMs = nowMs;
+    if (mode === 'hover') {
+      const every = PHASES[this.phase].chargeEveryMs;
+      this.nextChargeMs =
+        every > 0 ? nowMs + every * randRange(0.8, 1.2) : Number.POSITIVE_INFINITY;
+    }
+  }
+}
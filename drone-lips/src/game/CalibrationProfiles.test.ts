@@ -0,0 +1,65 @@
+import { describe, expect, it } from 'vitest';
+
+import { CalibrationProfileStore, type ProfileStorage } from './CalibrationProfiles';
+import { DEFAULT_SIGNAL_FILTER } from './SignalFilters';
+
+function memoryStorage(seed: Record<string, string> = {}): ProfileStorage & { data: Record<string, string> } {
+  const data = { ...seed };
+  return {
+    data,
+    getItem: (k) => (k in data ? data[k] : null),
+    setItem: (k, v) => {
+      data[k] = v;
+    },
+    removeItem: (k) => {
+      delete data[k];
+    },
+  };
+}
+
+describe('CalibrationProfileStore', () => {
+  it('persists profiles and the active selection across instances', () => {
+    const storage = memoryStorage();
+    const a = new CalibrationProfileStore({ storage });
+    const p = a.create('Ana', { gainX: 9 });
+    a.setActive(p.id);
+    a.update(p.id, { neutral: { x: 0.5, y: 0.6, w: 0.1 } });
+    a.update(p.id, { filter: { ...DEFAULT_SIGNAL_FILTER, kind: 'oneEuro', beta: 1.2 } });
+
+    const b = new CalibrationProfileStore({ storage });
+    expect(b.activeId).toBe(p.id);
+    expect(b.active?.name).toBe('Ana');
+    expect(b.active?.tuning.gainX).toBe(9);
+    expect(b.active?.neutral).toEqual({ x: 0.5, y: 0.6, w: 0.1 });
+    expect(b.active?.filter?.kind).toBe('oneEuro');
+    expect(b.active?.filter?.beta).toBe(1.2);
+  });
+
+  it('drops malformed entries and invalid neutral poses', () => {
+    const storage = memoryStorage({
+      'drone-lips:calibration-profiles': JSON.stringify([
+        { id: 'ok', name: 'Ok', neutral: { x: 0.4, y: 0.5, w: 0 }, tuning: { deadzone: 'wide', gainY: 8 } },
+        { name: 'missing id' },
+        42,
+      ]),
+      'drone-lips:calibration-profile-id': 'gone',
+    });
+    const store = new CalibrationProfileStore({ storage });
+    expect(store.list()).toHaveLength(1);
+    expect(store.get('ok')?.neutral).toBeNull();
+    expect(store.get('ok')?.tuning).toEqual({ gainY: 8 });
+    expect(store.activeId).toBeNull();
+  });
+
+  it('clears the active profile when it is removed', () => {
+    const storage = memoryStorage();
+    const store = new CalibrationProfileStore({ storage });
+    const p = store.create('');
+    store.setActive(p.id);
+    expect(p.name).toBe('Player 1');
+
+    store.remove(p.id);
+    expect(store.activeId).toBeNull();
+    expect(storage.data['drone-lips:calibration-profile-id']).toBeUndefined();
+  });
+});
@@ -0,0 +1,191 @@
+import {
+  FACE_TUNING_KEYS,
+  sanitizeBoostSettings,
+  type BoostSettings,
+  type FaceNeutral,
+  type FaceTuning,
+} from './faceTuning';
+import { sanitizeSignalFilter, type SignalFilterSettings } from './SignalFilters';
+
+export type CalibrationProfile = {
+  id: string;
+  name: string;
+  // Null until the player finishes a calibration with this profile active.
+  neutral: FaceNeutral | null;
+  tuning: FaceTuning;
+  // Null keeps the default smoothing.
+  filter: SignalFilterSettings | null;
+  // Null keeps the default on/off boost.
+  boost: BoostSettings | null;
+  updatedAt: number;
+};
+
+export type ProfileStorage = Pick<Storage, 'getItem' | 'setItem' | 'removeItem'>;
+
+export type CalibrationProfileStoreOptions = {
+  storageKey?: string;
+  activeKey?: string;
+  // Defaults to window.localStorage (when available).
+  storage?: ProfileStorage | null;
+};
+
+const DEFAULT_STORAGE_KEY = 'drone-lips:calibration-profiles';
+const DEFAULT_ACTIVE_KEY = 'drone-lips:calibration-profile-id';
+const MAX_NAME_LENGTH = 32;
+
+function defaultStorage(): ProfileStorage | null {
+  if (typeof window === 'undefined') return null;
+  try {
+    return window.localStorage;
+  } catch {
+    return null;
+  }
+}
+
+function sanitizeNeutral(raw: any): FaceNeutral | null {
+  if (!raw || typeof raw !== 'object') return null;
+  const { x, y, w } = raw;
+  if (![x, y, w].every((v) => typeof v === 'number' && Number.isFinite(v))) return null;
+  if (w <= 0) return null;
+  const neutral: FaceNeutral = { x, y, w };
+  if (Number.isFinite(raw.yaw) && Number.isFinite(raw.pitch)) {
+    neutral.yaw = raw.yaw;
+    neutral.pitch = raw.pitch;
+  }
+  return neutral;
+}
+
+function sanitizeTuning(raw: any): FaceTuning {
+  const out: FaceTuning = {};
+  if (!raw || typeof raw !== 'object') return out;
+  for (const key of FACE_TUNING_KEYS) {
+    const v = raw[key];
+    if (typeof v === 'number' && Number.isFinite(v)) out[key] = v;
+  }
+  return out;
+}
+
+function sanitizeProfile(raw: any): CalibrationProfile | null {
+  if (!raw || typeof raw !== 'object') return null;
+  if (typeof raw.id !== 'string' || !raw.id) return null;
+  const name = typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim().slice(0, MAX_NAME_LENGTH) : 'Player';
+  return {
+    id: raw.id,
+    name,
+    neutral: sanitizeNeutral(raw.neutral),
+    tuning: sanitizeTuning(raw.tuning),
+    filter: raw.filter ? sanitizeSignalFilter(raw.filter) : null,
+    boost: raw.boost ? sanitizeBoostSettings(raw.boost) : null,
+    updatedAt: Number.isFinite(raw.updatedAt) ? raw.updatedAt : 0,
+  };
+}
+
+function createId(): string {
+  return `p-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export class CalibrationProfileStore {
+  private readonly storageKey: string;
+  private readonly activeKey: string;
+  private readonly storage: ProfileStorage | null;
+
+  private profiles: CalibrationProfile[];
+  private _activeId: string | null;
+
+  constructor(options: CalibrationProfileStoreOptions = {}) {
+    this.storageKey = options.storageKey ?? DEFAULT_STORAGE_KEY;
+    this.activeKey = options.activeKey ?? DEFAULT_ACTIVE_KEY;
+    this.storage = options.storage === undefined ? defaultStorage() : options.storage;
+
+    this.profiles = this.load();
+    this._activeId = this.loadActiveId();
+  }
+
+  get activeId(): string | null {
+    return this._activeId;
+  }
+
+  get active(): CalibrationProfile | null {
+    return this.get(this._activeId);
+  }
+
+  list(): ReadonlyArray<CalibrationProfile> {
+    return this.profiles;
+  }
+
+  get(id: string | null | undefined): CalibrationProfile | null {
+    if (!id) return null;
+    return this.profiles.find((p) => p.id === id) ?? null;
+  }
+
+  setActive(id: string | null) {
+    this._activeId = this.get(id) ? id : null;
+    this.write(this.activeKey, this._activeId);
+  }
+
+  create(name: string, tuning: FaceTuning = {}): CalibrationProfile {
+    const profile: CalibrationProfile = {
+      id: createId(),
+      name: name.trim().slice(0, MAX_NAME_LENGTH) || `Player ${this.profiles.length + 1}`,
+      neutral: null,
+      tuning: sanitizeTuning(tuning),
+      filter: null,
+      boost: null,
+      updatedAt: Date.now(),
+    };
+    this.profiles = [...this.profiles, profile];
+    this.persist();
+    return profile;
+  }
+
+  update(id: string, patch: Partial<Pick<CalibrationProfile, 'name' | 'neutral' | 'tuning' | 'filter' | 'boost'>>): CalibrationProfile | null {
+    const current = this.get(id);
+    if (!current) return null;
+
+    const next = sanitizeProfile({ ...current, ...patch, id, updatedAt: Date.now() });
+    if (!next) return null;
+
+    this.profiles = this.profiles.map((p) => (p.id === id ? next : p));
+    this.persist();
+    return next;
+  }
+
+  remove(id: string) {
+    this.profiles = this.profiles.filter((p) => p.id !== id);
+    this.persist();
+    if (this._activeId === id) this.setActive(null);
+  }
+
+  private load(): CalibrationProfile[] {
+    try {
+      const raw = this.storage?.getItem(this.storageKey);
+      const parsed = raw ? JSON.parse(raw) : [];
+      if (!Array.isArray(parsed)) return [];
+      return parsed.map(sanitizeProfile).filter((p): p is CalibrationProfile => p !== null);
+    } catch {
+      return [];
+    }
+  }
+
+  private loadActiveId(): string | null {
+    try {
+      const id = this.storage?.getItem(this.activeKey) ?? null;
+      return this.get(id) ? id : null;
+    } catch {
+      return null;
+    }
+  }
+
+  private persist() {
+    this.write(this.storageKey, JSON.stringify(this.profiles));
+  }
+
+  private write(key: string, value: string | null) {
+    try {
+      if (value == null) this.storage?.removeItem(key);
+      else this.storage?.setItem(key, value);
+    } catch {
+      // ignore
+    }
+  }
+}
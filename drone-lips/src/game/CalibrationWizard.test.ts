@@ -0,0 +1,98 @@
+import { describe, expect, it } from 'vitest';
+
+import { CALIBRATION_STEPS, CalibrationWizard, deriveCalibration } from './CalibrationWizard';
+import type { FaceSample } from './FaceTracker';
+import { DEFAULT_FACE_TUNING } from './faceTuning';
+
+const W = 0.1;
+
+function sample(dx: number, dy: number, mouthRatio = 0.05, ear = 0.3): FaceSample {
+  return { x: 0.5 + dx * W, y: 0.5 + dy * W, w: W, mouthRatio, ear };
+}
+
+function repeat(n: number, make: (i: number) => FaceSample): FaceSample[] {
+  return Array.from({ length: n }, (_, i) => make(i));
+}
+
+describe('deriveCalibration', () => {
+  it('scales gains so a small range of motion still reaches full deflection', () => {
+    const narrow = deriveCalibration({
+      neutral: repeat(30, () => sample(0, 0)),
+      left: repeat(20, () => sample(-0.05, 0)),
+      right: repeat(20, () => sample(0.05, 0)),
+      up: repeat(20, () => sample(0, -0.04)),
+      down: repeat(20, () => sample(0, 0.04)),
+    });
+    const wide = deriveCalibration({
+      neutral: repeat(30, () => sample(0, 0)),
+      left: repeat(20, () => sample(-0.2, 0)),
+      right: repeat(20, () => sample(0.2, 0)),
+      up: repeat(20, () => sample(0, -0.2)),
+      down: repeat(20, () => sample(0, 0.2)),
+    });
+
+    expect(narrow && wide).toBeTruthy();
+    expect(narrow!.tuning.gainX).toBeGreaterThan(wide!.tuning.gainX);
+    expect(narrow!.tuning.gainY).toBeGreaterThan(wide!.tuning.gainY);
+
+    // 80% of the measured reach maps to full deflection.
+    const { deadzone, gainX } = narrow!.tuning;
+    expect(((0.04 - deadzone) / (1 - deadzone)) * gainX).toBeCloseTo(1, 5);
+  });
+
+  it('uses the weaker side of an asymmetric axis', () => {
+    const res = deriveCalibration({
+      neutral: repeat(30, () => sample(0, 0)),
+      left: repeat(20, () => sample(-0.05, 0)),
+      right: repeat(20, () => sample(0.2, 0)),
+    });
+    const symmetric = deriveCalibration({
+      neutral: repeat(30, () => sample(0, 0)),
+      left: repeat(20, () => sample(-0.05, 0)),
+      right: repeat(20, () => sample(0.05, 0)),
+    });
+    expect(res!.tuning.gainX).toBeCloseTo(symmetric!.tuning.gainX);
+  });
+
+  it('derives boost hysteresis and the eye-closed threshold from measured extremes', () => {
+    const res = deriveCalibration({
+      neutral: repeat(30, () => sample(0, 0, 0.05, 0.3)),
+      open: repeat(20, () => sample(0, 0, 0.45, 0.3)),
+      blink: repeat(20, (i) => sample(0, 0, 0.05, i % 2 ? 0.3 : 0.08)),
+    })!;
+    expect(res.tuning.mouthBoostOn).toBeCloseTo(0.05 + 0.4 * 0.55);
+    expect(res.tuning.mouthBoostOff).toBeCloseTo(0.05 + 0.4 * 0.35);
+    expect(res.tuning.mouthBoostOn).toBeGreaterThan(res.tuning.mouthBoostOff);
+    expect(res.tuning.mouthOpenFull).toBeCloseTo(0.05 + 0.4 * 0.9);
+    expect(res.tuning.eyeClosedEar).toBeGreaterThan(0.08);
+    expect(res.tuning.eyeClosedEar).toBeLessThan(0.3);
+  });
+
+  it('falls back to defaults for steps that were not measured', () => {
+    const res = deriveCalibration({ neutral: repeat(10, () => sample(0, 0)) })!;
+    expect(res.neutral.x).toBeCloseTo(0.5);
+    expect(res.neutral.y).toBeCloseTo(0.5);
+    expect(res.neutral.w).toBeCloseTo(W);
+    expect(res.tuning.gainX).toBe(DEFAULT_FACE_TUNING.gainX);
+    expect(res.tuning.mouthBoostOn).toBe(DEFAULT_FACE_TUNING.mouthBoostOn);
+    expect(res.tuning.eyeClosedEar).toBe(DEFAULT_FACE_TUNING.eyeClosedEar);
+    expect(deriveCalibration({})).toBeNull();
+  });
+});
+
+describe('CalibrationWizard', () => {
+  it('walks through every step and finishes', () => {
+    const wizard = new CalibrationWizard(0);
+    let t = 0;
+    let state = wizard.state;
+    const seen = new Set<number>();
+    while (!state.done && t < 60_000) {
+      t += 50;
+      state = wizard.push(sample(0, 0), t);
+      seen.add(state.stepIndex);
+    }
+    expect(state.done).toBe(true);
+    expect(seen.size).toBe(CALIBRATION_STEPS.length);
+    expect(wizard.result()).not.toBeNull();
+  });
+});
@@ -0,0 +1,189 @@
+import type { FaceSample } from './FaceTracker';
+import { DEFAULT_FACE_TUNING, type FaceNeutral, type FaceTuning } from './faceTuning';
+import { clamp } from './math';
+
+export type CalibrationStepId = 'neutral' | 'left' | 'right' | 'up' | 'down' | 'open' | 'blink';
+
+export type CalibrationStep = {
+  id: CalibrationStepId;
+  durationMs: number;
+  title: string;
+  prompt: string;
+};
+
+export const CALIBRATION_STEPS: ReadonlyArray<CalibrationStep> = [
+  { id: 'neutral', durationMs: 3000, title: 'Neutral', prompt: 'Relax and keep your mouth still.' },
+  { id: 'left', durationMs: 2500, title: 'Left', prompt: 'Move your mouth as far left as is comfortable.' },
+  { id: 'right', durationMs: 2500, title: 'Right', prompt: 'Now as far right as is comfortable.' },
+  { id: 'up', durationMs: 2500, title: 'Up', prompt: 'Move your mouth up as far as is comfortable.' },
+  { id: 'down', durationMs: 2500, title: 'Down', prompt: 'Now down as far as is comfortable.' },
+  { id: 'open', durationMs: 2500, title: 'Open', prompt: 'Open your mouth wide, then relax.' },
+  { id: 'blink', durationMs: 3000, title: 'Blink', prompt: 'Close your eyes firmly a few times.' },
+];
+
+export type CalibrationWizardState = {
+  stepIndex: number;
+  step: CalibrationStep;
+  progress: number; // 0..1 within the current step
+  done: boolean;
+};
+
+export type CalibrationResult = {
+  neutral: FaceNeutral;
+  tuning: Required<FaceTuning>;
+};
+
+// Samples right after a prompt changes are the player still moving; skip them.
+const SETTLE_MS = 600;
+// Full deflection is reached a bit before the measured extreme, so nobody has to strain for it.
+const REACH_FRACTION = 0.8;
+
+const MIN_DEADZONE = 0.008;
+const MAX_DEADZONE = 0.06;
+const MIN_GAIN = 3;
+const MAX_GAIN = 60;
+
+function percentile(values: number[], p: number): number {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const idx = clamp(Math.round((sorted.length - 1) * p), 0, sorted.length - 1);
+  return sorted[idx];
+}
+
+function mean(values: number[]): number {
+  if (!values.length) return 0;
+  let sum = 0;
+  for (const v of values) sum += v;
+  return sum / values.length;
+}
+
+function stdDev(values: number[]): number {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  let sum = 0;
+  for (const v of values) sum += (v - m) * (v - m);
+  return Math.sqrt(sum / values.length);
+}
+
+// Gain that maps `reach` (normalized offset) to full deflection after the deadzone is removed.
+function gainForReach(reach: number, deadzone: number, fallback: number): number {
+  const usable = reach * REACH_FRACTION - deadzone;
+  if (!(usable > deadzone * 0.5)) return fallback;
+  return clamp((1 - deadzone) / usable, MIN_GAIN, MAX_GAIN);
+}
+
+/**
+ * Derive a neutral pose and per-player tuning from the samples recorded at each wizard step.
+ * Anything a step failed to measure falls back to the default tuning.
+ */
+export function deriveCalibration(
+  samples: Partial<Record<CalibrationStepId, FaceSample[]>>,
+): CalibrationResult | null {
+  const rest = samples.neutral ?? [];
+  if (!rest.length) return null;
+
+  const w = mean(rest.map((s) => s.w));
+  if (!(w > 0)) return null;
+  const neutral: FaceNeutral = { x: mean(rest.map((s) => s.x)), y: mean(rest.map((s) => s.y)), w };
+  const posed = rest.filter((s) => Number.isFinite(s.yaw) && Number.isFinite(s.pitch));
+  if (posed.length) {
+    neutral.yaw = mean(posed.map((s) => s.yaw as number));
+    neutral.pitch = mean(posed.map((s) => s.pitch as number));
+  }
+
+  const offX = (s: FaceSample) => (s.x - neutral.x) / w;
+  const offY = (s: FaceSample) => (s.y - neutral.y) / w;
+
+  // Deadzone covers the tracking jitter measured while the player was holding still.
+  const jitter = Math.max(stdDev(rest.map(offX)), stdDev(rest.map(offY)));
+  const deadzone = clamp(jitter * 2.5, MIN_DEADZONE, MAX_DEADZONE);
+
+  // Use the weaker side of each axis so both directions reach full deflection.
+  const reachOf = (list: FaceSample[] | undefined, off: (s: FaceSample) => number) =>
+    list?.length ? percentile(list.map((s) => Math.abs(off(s))), 0.9) : 0;
+  const reachX = Math.min(reachOf(samples.left, offX), reachOf(samples.right, offX));
+  const reachY = Math.min(reachOf(samples.up, offY), reachOf(samples.down, offY));
+
+  const tuning: Required<FaceTuning> = {
+    ...DEFAULT_FACE_TUNING,
+    deadzone,
+    gainX: gainForReach(reachX, deadzone, DEFAULT_FACE_TUNING.gainX),
+    gainY: gainForReach(reachY, deadzone, DEFAULT_FACE_TUNING.gainY),
+  };
+
+  // Boost hysteresis sits between the resting and the widest mouth opening; analog boost tops out near the widest.
+  const open = samples.open ?? [];
+  const restMouth = percentile(rest.map((s) => s.mouthRatio), 0.9);
+  const openMouth = percentile(open.map((s) => s.mouthRatio), 0.9);
+  if (open.length && openMouth - restMouth >= 0.04) {
+    tuning.mouthBoostOn = restMouth + (openMouth - restMouth) * 0.55;
+    tuning.mouthBoostOff = restMouth + (openMouth - restMouth) * 0.35;
+    tuning.mouthOpenFull = restMouth + (openMouth - restMouth) * 0.9;
+  }
+
+  // Eye-closed threshold sits between open and firmly closed eyes.
+  const blinkEars = (samples.blink ?? []).map((s) => s.ear).filter((v) => v > 0);
+  const openEar = mean(rest.map((s) => s.ear).filter((v) => v > 0));
+  const closedEar = percentile(blinkEars, 0.1);
+  if (blinkEars.length && openEar - closedEar >= 0.04) {
+    tuning.eyeClosedEar = closedEar + (openEar - closedEar) * 0.45;
+  }
+
+  return { neutral, tuning };
+}
+
+export class CalibrationWizard {
+  private readonly samples: Partial<Record<CalibrationStepId, FaceSample[]>> = {};
+  private stepIndex = 0;
+  private stepStartMs: number;
+  private finished = false;
+
+  constructor(startMs: number) {
+    this.stepStartMs = startMs;
+  }
+
+  // State at the start of the current step (progress 0).
+  get state(): CalibrationWizardState {
+    return this.stateAt(this.stepStartMs);
+  }
+
+  push(sample: FaceSample, nowMs: number): CalibrationWizardState {
+    if (this.finished) return this.stateAt(nowMs);
+
+    const step = CALIBRATION_STEPS[this.stepIndex];
+    const elapsed = nowMs - this.stepStartMs;
+    if (elapsed >= SETTLE_MS) {
+      (this.samples[step.id] ??= []).push({ ...sample });
+    }
+
+    if (elapsed >= step.durationMs) {
+      if (this.stepIndex + 1 >= CALIBRATION_STEPS.length) {
+        this.finished = true;
+      } else {
+        this.stepIndex += 1;
+        this.stepStartMs = nowMs;
+      }
+    }
+
+    return this.stateAt(nowMs);
+  }
+
+  // Stop early (e.g. the player is tired); steps not reached use the default tuning.
+  finish() {
+    this.finished = true;
+  }
+
+  result(): CalibrationResult | null {
+    return deriveCalibration(this.samples);
+  }
+
+  private stateAt(nowMs: number): CalibrationWizardState {
+    const step = CALIBRATION_STEPS[this.stepIndex];
+    return {
+      stepIndex: this.stepIndex,
+      step,
+      progress: this.finished ? 1 : clamp((nowMs - this.stepStartMs) / step.durationMs, 0, 1),
+      done: this.finished,
+    };
+  }
+}
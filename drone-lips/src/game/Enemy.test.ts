@@ -0,0 +1,147 @@
+import * as THREE from 'three';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+
+import { Enemy, rollEnemyKind, type EnemyConfig } from './Enemy';
+
+const weapon = {
+  fireEveryMs: 1000,
+  shots: 1,
+  spread: 0,
+  telegraphMs: 400,
+  shotSpeed: 30,
+  damage: 10,
+};
+
+function enemy(cfg: Partial<EnemyConfig> = {}, z = 30) {
+  const e = new Enemy(1, cfg.kind ?? 'ship', new THREE.Object3D(), {
+    kind: 'ship',
+    hp: 2,
+    radius: 1,
+    approachSpeed: 5,
+    reward: 10,
+    weapon,
+    ...cfg,
+  });
+  e.spawnAt(new THREE.Vector3(0, 0, z));
+  return e;
+}
+
+const player = new THREE.Vector3(0, 0, 0);
+
+describe('Enemy weapons', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('schedules a staggered first volley on entering range, then fires on cooldown', () => {
+    // Staggers at the low end of the 0.5..1 cooldown, then no extra jitter.
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    const e = enemy();
+
+    expect(e.tryFire(0, player, 60)).toBe(false);
+    expect(e.tryFire(499, player, 60)).toBe(false);
+    expect(e.tryFire(500, player, 60)).toBe(true);
+    expect(e.tryFire(1000, player, 60)).toBe(false);
+    expect(e.tryFire(1500, player, 60)).toBe(true);
+  });
+
+  it('holds fire too close or too far, and forgets its schedule there', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    const near = enemy({}, 5);
+    expect(near.tryFire(0, player, 60)).toBe(false);
+    expect(near.getTelegraph(0)).toBe(0);
+
+    const e = enemy({}, 30);
+    e.tryFire(0, player, 60);
+    expect(e.tryFire(1000, player, 20)).toBe(false);
+    // Back in range it staggers again instead of firing straight away.
+    expect(e.tryFire(1000, player, 60)).toBe(false);
+    expect(e.tryFire(1499, player, 60)).toBe(false);
+    expect(e.tryFire(1500, player, 60)).toBe(true);
+  });
+
+  it('ramps the telegraph over the window before each volley', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    const e = enemy();
+    expect(e.getTelegraph(0)).toBe(0);
+
+    e.tryFire(0, player, 60); // next volley at 500
+    expect(e.getTelegraph(0)).toBe(0);
+    expect(e.getTelegraph(100)).toBe(0);
+    expect(e.getTelegraph(300)).toBeCloseTo(0.5);
+    expect(e.getTelegraph(500)).toBe(1);
+
+    e.tryFire(500, player, 60); // next volley at 1500
+    expect(e.getTelegraph(600)).toBe(0);
+  });
+
+  it('never fires without a weapon or once dead', () => {
+    const unarmed = enemy({ weapon: undefined });
+    expect(unarmed.tryFire(0, player, 60)).toBe(false);
+    expect(unarmed.getTelegraph(0)).toBe(0);
+
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    const e = enemy();
+    e.tryFire(0, player, 60);
+    e.takeDamage(5);
+    expect(e.alive).toBe(false);
+    expect(e.tryFire(500, player, 60)).toBe(false);
+    expect(e.getTelegraph(500)).toBe(0);
+  });
+});
+
+describe('UFOs', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('rolls the level share of UFOs and splits the rest between ships and spikes', () => {
+    const random = vi.spyOn(Math, 'random');
+    random.mockReturnValueOnce(0.2);
+    expect(rollEnemyKind(0.25)).toBe('ufo');
+    random.mockReturnValueOnce(0.3).mockReturnValueOnce(0.5);
+    expect(rollEnemyKind(0.25)).toBe('ship');
+    random.mockReturnValueOnce(0.3).mockReturnValueOnce(0.8);
+    expect(rollEnemyKind(0.25)).toBe('spike');
+
+    random.mockReturnValue(0);
+    expect(rollEnemyKind(0)).not.toBe('ufo');
+  });
+
+  it('flies in, hovers at a fixed depth while strafing, then breaks off past the player', () => {
+    // Hover depth halfway between 24 and 40.
+    vi.spyOn(Math, 'random').mockReturnValue(0.5);
+    const ufo = new Enemy(1, 'ufo', new THREE.Object3D(), {
+      kind: 'ufo',
+      hp: 4,
+      radius: 1.5,
+      approachSpeed: 10,
+      reward: 25,
+    });
+    ufo.spawn({ xRange: 10, yRange: 4, zMin: 120, zMax: 120 }, 0);
+    const dt = 1 / 60;
+    let t = 0;
+    const step = (ms: number) => {
+      for (const end = t + ms; t < end; t += dt * 1000) ufo.update(dt, 20, player, t);
+    };
+
+    step(4000);
+    expect(ufo.mesh.position.z).toBeCloseTo(32, 0);
+
+    // Holds its depth against the world speed, sweeping side to side within the strafe range.
+    let minX = Infinity;
+    let maxX = -Infinity;
+    for (let i = 0; i < 90; i += 1) {
+      step(dt * 1000);
+      minX = Math.min(minX, ufo.mesh.position.x);
+      maxX = Math.max(maxX, ufo.mesh.position.x);
+    }
+    expect(ufo.mesh.position.z).toBeCloseTo(32, 0);
+    expect(maxX - minX).toBeGreaterThan(1);
+    expect(Math.max(-minX, maxX)).toBeLessThanOrEqual(10);
+
+    step(4200);
+    expect(ufo.mesh.position.z).toBeLessThan(0);
+    expect(ufo.isOutOfRange(0)).toBe(true);
+  });
+});
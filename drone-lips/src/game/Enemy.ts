@@ -2,7 +2,7 @@ import * as THREE from 'three';
 
 import { clamp, randRange } from './math';
 
-export type EnemyKind = 'ship' | 'spike';
+export type EnemyKind = 'ship' | 'spike' | 'ufo';
 
 export type EnemySpawnBounds = {
   xRange: number;
@@ -11,14 +11,39 @@ export type EnemySpawnBounds = {
   zMax: number;
 };
 
+export type EnemyWeaponConfig = {
+  fireEveryMs: number;
+  shots: number; // projectiles per volley
+  spread: number; // yaw between neighbouring shots (radians)
+  telegraphMs: number; // glow ramp before each volley
+  shotSpeed: number;
+  damage: number;
+};
+
 export type EnemyConfig = {
   kind: EnemyKind;
   hp: number;
   radius: number;
   approachSpeed: number;
   reward: number;
+  weapon?: EnemyWeaponConfig;
 };
 
+// Enemies only open fire while they are comfortably in front of the player.
+const FIRE_MIN_AHEAD = 8;
+
+// UFOs stop at a hover depth in front of the player, strafe for a while, then break off past the player.
+const UFO_HOVER_Z_MIN = 24;
+const UFO_HOVER_Z_MAX = 40;
+const UFO_HOVER_MS = 4200;
+const UFO_STRAFE_RATE = 0.0011;
+
+// A level's share of UFOs; the rest are two ships to every spike or so.
+export function rollEnemyKind(ufoShare: number): EnemyKind {
+  if (Math.random() < ufoShare) return 'ufo';
+  return Math.random() < 0.65 ? 'ship' : 'spike';
+}
+
 export class Enemy {
   readonly id: number;
   readonly kind: EnemyKind;
@@ -27,11 +52,20 @@ export class Enemy {
   readonly radius: number;
   readonly reward: number;
   readonly approachSpeed: number;
+  readonly weapon: EnemyWeaponConfig | null;
 
   private readonly maxHp: number;
   hp: number;
   alive = true;
 
+  // < 0 while out of firing range (no volley scheduled).
+  private nextFireMs = -1;
+
+  // UFO hover state (unused by other kinds). hoverUntilMs < 0 means the UFO is still approaching.
+  private hoverZ = 0;
+  private hoverUntilMs = -1;
+  private strafeRange = 6;
+
   constructor(id: number, kind: EnemyKind, mesh: THREE.Object3D, cfg: EnemyConfig) {
     this.id = id;
     this.kind = kind;
@@ -41,6 +75,7 @@ export class Enemy {
     this.radius = Math.max(0.2, cfg.radius);
     this.approachSpeed = Math.max(1, cfg.approachSpeed);
     this.reward = Math.max(1, Math.floor(cfg.reward));
+    this.weapon = cfg.weapon ?? null;
   }
 
   spawn(bounds: EnemySpawnBounds, playerY: number) {
@@ -52,15 +87,35 @@ export class Enemy {
       randRange(-bounds.yRange, bounds.yRange) + playerY * 0.25,
       randRange(bounds.zMin, bounds.zMax),
     );
+    this.strafeRange = bounds.xRange;
+    this.resetHover();
+    this.nextFireMs = -1;
 
     this.mesh.rotation.set(0, 0, 0);
     this.mesh.scale.setScalar(1);
     this.mesh.visible = true;
   }
 
+  spawnAt(pos: THREE.Vector3) {
+    this.alive = true;
+    this.hp = this.maxHp;
+
+    this.mesh.position.copy(pos);
+    this.resetHover();
+    this.nextFireMs = -1;
+    this.mesh.rotation.set(0, 0, 0);
+    this.mesh.scale.setScalar(1);
+    this.mesh.visible = true;
+  }
+
   update(dt: number, worldSpeed: number, playerPos: THREE.Vector3, timeMs: number) {
     if (!this.alive) return;
 
+    if (this.kind === 'ufo') {
+      this.updateUfo(dt, worldSpeed, playerPos, timeMs);
+      return;
+    }
+
     // Move towards player along Z (player at z=0). World speed pulls everything towards the player.
     this.mesh.position.z -= (worldSpeed + this.approachSpeed) * dt;
 
@@ -73,6 +128,67 @@ export class Enemy {
     this.mesh.rotation.z = wobble;
   }
 
+  // Returns true once per volley; the caller spawns the projectiles.
+  tryFire(timeMs: number, playerPos: THREE.Vector3, range: number): boolean {
+    const w = this.weapon;
+    if (!this.alive || !w) return false;
+
+    const ahead = this.mesh.position.z - playerPos.z;
+    if (ahead < FIRE_MIN_AHEAD || ahead > range) {
+      this.nextFireMs = -1;
+      return false;
+    }
+
+    if (this.nextFireMs < 0) {
+      // Stagger the first volley so a wave entering range does not fire in unison.
+      this.nextFireMs = timeMs + w.fireEveryMs * randRange(0.5, 1);
+      return false;
+    }
+
+    if (timeMs < this.nextFireMs) return false;
+    this.nextFireMs = timeMs + w.fireEveryMs + randRange(0, 250);
+    return true;
+  }
+
+  // 0..1 glow ramp over the telegraph window before the next volley.
+  getTelegraph(timeMs: number): number {
+    const w = this.weapon;
+    if (!this.alive || !w || this.nextFireMs < 0) return 0;
+    return clamp(1 - (this.nextFireMs - timeMs) / Math.max(1, w.telegraphMs), 0, 1);
+  }
+
+  private resetHover() {
+    this.hoverZ = randRange(UFO_HOVER_Z_MIN, UFO_HOVER_Z_MAX);
+    this.hoverUntilMs = -1;
+  }
+
+  private updateUfo(dt: number, worldSpeed: number, playerPos: THREE.Vector3, timeMs: number) {
+    const p = this.mesh.position;
+
+    if (this.hoverUntilMs < 0) {
+      p.z -= (worldSpeed + this.approachSpeed) * dt;
+      if (p.z <= this.hoverZ) this.hoverUntilMs = timeMs + UFO_HOVER_MS;
+    } else if (timeMs < this.hoverUntilMs) {
+      // Match the world speed so the saucer holds its distance while it strafes.
+      p.z = THREE.MathUtils.lerp(p.z, this.hoverZ, 1 - Math.exp(-2.5 * dt));
+    } else {
+      p.z -= (worldSpeed + this.approachSpeed * 1.4) * dt;
+    }
+
+    // Sweep side to side across the player's line, bobbing gently.
+    const sweep = Math.sin(timeMs * UFO_STRAFE_RATE + this.id * 1.7);
+    const targetX = clamp(playerPos.x + sweep * this.strafeRange * 0.6, -this.strafeRange, this.strafeRange);
+    const targetY = playerPos.y + 1.2 + Math.sin(timeMs * 0.0023 + this.id) * 0.6;
+    const prevX = p.x;
+    p.x = THREE.MathUtils.lerp(p.x, targetX, 1 - Math.exp(-1.6 * dt));
+    p.y = THREE.MathUtils.lerp(p.y, targetY, 1 - Math.exp(-1.2 * dt));
+
+    // Spin the saucer and bank into the strafe.
+    const vx = dt > 0 ? (p.x - prevX) / dt : 0;
+    this.mesh.rotation.y = (this.mesh.rotation.y + dt * 2.4) % (Math.PI * 2);
+    this.mesh.rotation.z = clamp(-vx * 0.06, -0.45, 0.45);
+  }
+
   isOutOfRange(zBehind: number) {
     return this.mesh.position.z < zBehind;
   }
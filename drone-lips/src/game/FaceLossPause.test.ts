@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+
+import { FaceLossPause } from './FaceLossPause';
+
+describe('FaceLossPause', () => {
+  it('pauses a game in play when the face is lost and counts back in once it returns', () => {
+    const p = new FaceLossPause(3000);
+    expect(p.onTrackingChange('lost', 0, true)).toBe('pause');
+    expect(p.faceLost).toBe(true);
+    expect(p.countdown(500)).toBeNull();
+
+    expect(p.onTrackingChange('tracking', 1000, false)).toBeNull();
+    expect(p.faceLost).toBe(false);
+    expect(p.countdown(1000)).toBe(3);
+    expect(p.countdown(2100)).toBe(2);
+    expect(p.countdown(3999)).toBe(1);
+
+    expect(p.update(3999, true)).toBeNull();
+    expect(p.update(4000, true)).toBe('resume');
+    expect(p.countdown(4000)).toBeNull();
+  });
+
+  it('ignores short dropouts and games that are not in play', () => {
+    const p = new FaceLossPause();
+    expect(p.onTrackingChange('degraded', 0, true)).toBeNull();
+    expect(p.faceLost).toBe(false);
+
+    expect(p.onTrackingChange('lost', 0, false)).toBeNull();
+    expect(p.faceLost).toBe(true);
+    // It did not pause this game, so it does not resume it either.
+    p.onTrackingChange('tracking', 100, false);
+    expect(p.countdown(100)).toBeNull();
+  });
+
+  it('stops the countdown if the face is lost again', () => {
+    const p = new FaceLossPause(3000);
+    p.onTrackingChange('lost', 0, true);
+    p.onTrackingChange('tracking', 1000, false);
+    p.onTrackingChange('lost', 2000, false);
+    expect(p.countdown(2000)).toBeNull();
+
+    p.onTrackingChange('tracking', 5000, false);
+    expect(p.countdown(5000)).toBe(3);
+  });
+
+  it('drops the countdown when the player resumes or quits by hand', () => {
+    const p = new FaceLossPause(3000);
+    p.onTrackingChange('lost', 0, true);
+    p.onTrackingChange('tracking', 1000, false);
+    expect(p.update(2000, false)).toBeNull();
+    expect(p.countdown(2000)).toBeNull();
+    expect(p.update(5000, true)).toBeNull();
+
+    // A later loss while paused by hand is not an auto-pause.
+    p.onTrackingChange('lost', 6000, false);
+    p.onTrackingChange('tracking', 7000, false);
+    expect(p.countdown(7000)).toBeNull();
+  });
+});
@@ -0,0 +1,60 @@
+import type { TrackingQuality } from './FaceTracker';
+
+// Seconds of warning before play resumes after the face is found again.
+export const FACE_RESUME_COUNTDOWN_MS = 3000;
+
+/**
+ * Auto-pause while the face is lost, and a countdown back into play once it is found again. Only games
+ * it paused itself are resumed; a short 'degraded' dropout changes nothing.
+ */
+export class FaceLossPause {
+  private autoPaused = false;
+  private resumeAtMs: number | null = null;
+  private lost = false;
+
+  constructor(readonly countdownMs = FACE_RESUME_COUNTDOWN_MS) {}
+
+  get faceLost(): boolean {
+    return this.lost;
+  }
+
+  // Feed every tracking change. Returns 'pause' when a game in play should pause now.
+  onTrackingChange(quality: TrackingQuality, nowMs: number, playing: boolean): 'pause' | null {
+    if (quality === 'degraded') return null;
+    this.lost = quality === 'lost';
+
+    if (this.lost) {
+      this.resumeAtMs = null;
+      if (!playing) return null;
+      this.autoPaused = true;
+      return 'pause';
+    }
+
+    if (this.autoPaused) this.resumeAtMs = nowMs + this.countdownMs;
+    return null;
+  }
+
+  // Whole seconds left on the countdown (3, 2, 1), or null when none is running.
+  countdown(nowMs: number): number | null {
+    if (this.resumeAtMs == null) return null;
+    return Math.max(1, Math.ceil((this.resumeAtMs - nowMs) / 1000));
+  }
+
+  // Call regularly during the countdown. Returns 'resume' once it runs out.
+  update(nowMs: number, paused: boolean): 'resume' | null {
+    // The player may have resumed (or quit) by hand in the meantime.
+    if (!paused) {
+      this.cancel();
+      return null;
+    }
+    if (this.resumeAtMs == null || nowMs < this.resumeAtMs) return null;
+    this.cancel();
+    return 'resume';
+  }
+
+  // The game left the pause some other way.
+  cancel() {
+    this.autoPaused = false;
+    this.resumeAtMs = null;
+  }
+}
@@ -0,0 +1,200 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+
+import { FaceTracker, type FaceControls, type FaceTrackerOptions } from './FaceTracker';
+import { DEFAULT_BOOST_SETTINGS } from './faceTuning';
+import { DEFAULT_SIGNAL_FILTER } from './SignalFilters';
+import type { LandmarkerResults } from './WorkerLandmarker';
+
+const FRAME_MS = 33;
+
+type FaceShape = { cx?: number; width?: number; gap?: number; eyesClosed?: boolean };
+
+// A minimal face: mouth at (cx, 0.7), `width` wide with a `gap` between the lips, eyes open unless closed.
+function face({
+  cx = 0.5,
+  width = 0.1,
+  gap = 0.01,
+  eyesClosed = false,
+}: FaceShape = {}): LandmarkerResults {
+  const pts: Array<{ x: number; y: number; z: number }> = [];
+  const set = (i: number, x: number, y: number) => (pts[i] = { x, y, z: 0 });
+  set(61, cx - width / 2, 0.7);
+  set(291, cx + width / 2, 0.7);
+  set(13, cx, 0.7 - gap / 2);
+  set(14, cx, 0.7 + gap / 2);
+  const lid = eyesClosed ? 0.002 : 0.012;
+  for (const [h0, h1, v0, v1, ex] of [
+    [33, 133, 159, 145, 0.4],
+    [362, 263, 386, 374, 0.6],
+  ]) {
+    set(h0, ex - 0.02, 0.4);
+    set(h1, ex + 0.02, 0.4);
+    set(v0, ex, 0.4 - lid);
+    set(v1, ex, 0.4 + lid);
+  }
+  return { faceLandmarks: [pts], faceBlendshapes: [], facialTransformationMatrixes: [] };
+}
+
+// The same face with MediaPipe blendshape scores (anything not given scores 0).
+function blendFace(scores: Record<string, number>, shape?: FaceShape): LandmarkerResults {
+  const categories = Object.entries(scores).map(([categoryName, score]) => ({
+    categoryName,
+    score,
+  }));
+  return { ...face(shape), faceBlendshapes: [{ categories }] };
+}
+
+// A tracker calibrated on a neutral face, with a helper to feed it more frames.
+function calibrated(options: FaceTrackerOptions = {}) {
+  const tracker = new FaceTracker({ useWorker: false, ...options });
+  let last: FaceControls = tracker.getControls();
+  tracker.setHandlers({ onControls: (c) => (last = c) });
+  let t = 1000;
+  const feed = (results: LandmarkerResults | null, frames = 1) => {
+    for (let i = 0; i < frames; i++, t += FRAME_MS)
+      tracker.processFrame(results as LandmarkerResults, t);
+    return last;
+  };
+  tracker.beginCalibration(500);
+  feed(face(), 20);
+  return { tracker, feed };
+}
+
+describe('FaceTracker expressions', () => {
+  it('reads a narrow, closed mouth as a pucker', () => {
+    const { feed } = calibrated();
+    expect(feed(face({ width: 0.07 }), 3).expressions.pucker).toBe(true);
+  });
+
+  it('does not read an open mouth as a pucker in either boost mode', () => {
+    for (const mode of ['binary', 'analog'] as const) {
+      const { feed } = calibrated({ boost: { mode } });
+      const c = feed(face({ width: 0.075, gap: 0.03 }), 3);
+      expect(c.boost).toBeGreaterThan(0);
+      expect(c.expressions.pucker).toBe(false);
+    }
+  });
+});
+
+describe('FaceTracker profiles', () => {
+  it('goes back to default smoothing and boost for a profile without its own', () => {
+    const tracker = new FaceTracker({ useWorker: false });
+    const neutral = { x: 0.5, y: 0.7, w: 0.1 };
+    tracker.loadProfile({
+      neutral,
+      tuning: { gainX: 20 },
+      filter: { ...DEFAULT_SIGNAL_FILTER, kind: 'none' },
+      boost: { mode: 'analog', curve: 'sCurve' },
+    });
+    expect(tracker.getTuning().gainX).toBe(20);
+    expect(tracker.getBoostSettings().mode).toBe('analog');
+
+    tracker.loadProfile({ neutral, tuning: {}, filter: null, boost: null });
+    expect(tracker.getTuning().gainX).toBe(12);
+    expect(tracker.getFilter()).toEqual(DEFAULT_SIGNAL_FILTER);
+    expect(tracker.getBoostSettings()).toEqual(DEFAULT_BOOST_SETTINGS);
+  });
+});
+
+describe('FaceTracker tracking quality', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('holds the last controls through a short dropout, then goes neutral once lost', () => {
+    const { feed } = calibrated();
+    const steering = feed(face({ cx: 0.6 }), 10);
+    expect(steering.tracking).toBe('tracking');
+    expect(steering.strafeX).not.toBe(0);
+
+    // Default thresholds: degraded after 120 ms, lost after 700 ms.
+    const degraded = feed(null, 5);
+    expect(degraded.tracking).toBe('degraded');
+    expect(degraded.strafeX).toBe(steering.strafeX);
+
+    const lost = feed(null, 20);
+    expect(lost.tracking).toBe('lost');
+    expect(lost.strafeX).toBe(0);
+    expect(lost.boost).toBe(0);
+
+    expect(feed(face(), 1).tracking).toBe('tracking');
+  });
+
+  it('reports each change once', () => {
+    const { tracker, feed } = calibrated();
+    const seen: string[] = [];
+    tracker.setHandlers({ onControls: (c) => seen.push(c.tracking) });
+    feed(null, 30);
+    expect(seen).toEqual(['degraded', 'lost']);
+  });
+
+  it('treats a stalled camera as lost', () => {
+    vi.stubGlobal('window', { requestAnimationFrame: () => 0 });
+    const clock = vi.spyOn(performance, 'now');
+    const { tracker } = calibrated();
+    const t0 = 5000;
+    tracker.processFrame(face(), t0);
+
+    // No frames decoded, as when the camera is unplugged mid-game.
+    tracker['videoEl'] = { readyState: 1 } as HTMLVideoElement;
+    clock.mockReturnValue(t0 + 200);
+    tracker['tick']();
+    expect(tracker.getControls().tracking).toBe('degraded');
+    clock.mockReturnValue(t0 + 800);
+    tracker['tick']();
+    expect(tracker.getControls().tracking).toBe('lost');
+  });
+});
+
+describe('FaceTracker blendshapes mode', () => {
+  const options: FaceTrackerOptions = {
+    controlMode: 'blendshapes',
+    filter: { ...DEFAULT_SIGNAL_FILTER, kind: 'none' },
+  };
+
+  it('steers from the mouth scores rather than where the mouth is', () => {
+    const { feed } = calibrated(options);
+    // Off to the side in the image, but the scores say centered.
+    expect(feed(blendFace({ mouthLeft: 0.05 }, { cx: 0.6 })).strafeX).toBe(0);
+
+    const left = feed(blendFace({ mouthLeft: 0.5 }));
+    expect(left.strafeX).toBeGreaterThan(0.8);
+    expect(feed(blendFace({ mouthRight: 0.5 })).strafeX).toBeLessThan(-0.8);
+
+    const up = feed(blendFace({ mouthUpperUpLeft: 0.4, mouthUpperUpRight: 0.4 }));
+    expect(up.strafeY).toBeGreaterThan(0.5);
+    const down = feed(blendFace({ mouthLowerDownLeft: 0.4, mouthLowerDownRight: 0.4 }));
+    expect(down.strafeY).toBeLessThan(-0.5);
+  });
+
+  it('boosts on jawOpen with hysteresis, or as a throttle in analog mode', () => {
+    const { feed } = calibrated(options);
+    expect(feed(blendFace({ jawOpen: 0.3 })).boost).toBe(0);
+    expect(feed(blendFace({ jawOpen: 0.4 })).boost).toBe(1);
+    expect(feed(blendFace({ jawOpen: 0.25 })).boost).toBe(1);
+    expect(feed(blendFace({ jawOpen: 0.2 })).boost).toBe(0);
+
+    const analog = calibrated({ ...options, boost: { mode: 'analog', curve: 'linear' } });
+    expect(analog.feed(blendFace({ jawOpen: 0.2 })).boost).toBe(0);
+    expect(analog.feed(blendFace({ jawOpen: 0.46 })).boost).toBeCloseTo(0.5);
+    expect(analog.feed(blendFace({ jawOpen: 0.9 })).boost).toBe(1);
+  });
+
+  it('fires on a short blink of both eyes but not on a wink', () => {
+    const { feed } = calibrated(options);
+    feed(blendFace({ eyeBlinkLeft: 0.8, eyeBlinkRight: 0.7 }), 4);
+    expect(feed(blendFace({})).fireBurst).toBe(true);
+
+    const wink = feed(blendFace({ eyeBlinkLeft: 0.8, eyeBlinkRight: 0.1 }), 4);
+    expect(wink.expressions.winkLeft).toBe(true);
+    expect(feed(blendFace({})).fireBurst).toBe(false);
+
+    expect(feed(blendFace({ eyeBlinkLeft: 0.9, eyeBlinkRight: 0.9 }), 20).fireHold).toBe(true);
+  });
+
+  it('falls back to the landmarks on frames without scores', () => {
+    const { feed } = calibrated(options);
+    expect(feed(face({ cx: 0.6 })).strafeX).toBeGreaterThan(0);
+  });
+});
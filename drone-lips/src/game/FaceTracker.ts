@@ -1,32 +1,186 @@
+import { getBlendshapeScore } from '../lib/faceControls.js';
+
+import {
+  buildVideoConstraints,
+  DEFAULT_CAMERA_SETTINGS,
+  listCameras,
+  sanitizeCameraSettings,
+  type CameraSettings,
+} from './cameraSettings';
+import { createFaceLandmarker, loadVisionTasks } from './faceLandmarkerSetup';
+import {
+  DEFAULT_BOOST_SETTINGS,
+  DEFAULT_FACE_TUNING,
+  FACE_TUNING_KEYS,
+  sanitizeBoostSettings,
+  type BoostSettings,
+  type FaceNeutral,
+  type FaceTuning,
+} from './faceTuning';
+import { FramePreprocessor, type LightingReport } from './FramePreprocessor';
+import { headRelativeMouth, readHeadPose } from './headPose';
+import { LandmarkRecorder, type LandmarkRecording } from './LandmarkRecording';
 import { clamp } from './math';
+import { applyResponseCurve } from './responseCurves';
+import {
+  DEFAULT_SIGNAL_FILTER,
+  createSignalFilter,
+  sanitizeSignalFilter,
+  type ScalarFilter,
+  type SignalFilterSettings,
+} from './SignalFilters';
+import type { TelemetryRecorder } from './Telemetry';
+import { WorkerLandmarker, type LandmarkerResults } from './WorkerLandmarker';
 
 type RawLandmark = { x: number; y: number; z: number };
+type BlendshapeCategory = { categoryName: string; score: number };
+
+// landmarks: mouth position relative to the calibrated neutral (geometry).
+// blendshapes: MediaPipe expression scores (mouthLeft/Right, jawOpen, eyeBlinkLeft/Right, ...).
+export type FaceControlMode = 'landmarks' | 'blendshapes';
+
+// tracking: face found this frame. degraded: briefly missing, last controls held.
+// lost: missing for longer than lostAfterMs, controls forced neutral.
+export type TrackingQuality = 'tracking' | 'degraded' | 'lost';
 
 export type FaceControls = {
   calibrated: boolean;
+  tracking: TrackingQuality;
   strafeX: number; // -1..1
   strafeY: number; // -1..1
-  boost: number; // 0..1 (mouth open threshold / hysteresis)
-  mouthOpen: number; // 0..1 (debug/telemetry)
+  boost: number; // 0..1 (binary: mouth open threshold / hysteresis; analog: throttle)
+  mouthOpen: number; // 0..1 (binary: between the boost thresholds; analog: throttle before the curve)
   fireBurst: boolean; // short blink => burst (one-frame pulse)
   fireHold: boolean; // long blink => continuous fire (while held)
+  headX: number; // -1..1 head yaw relative to the calibrated pose (0 unless headPose is on)
+  headY: number; // -1..1 head pitch, up => positive
+  expressions: FaceExpressions;
 };
 
+// Raw per-frame expression flags (no debouncing; see input/FaceGestures). Landmarks mode only reports
+// the ones geometry can measure (eyes, smile, pucker); the rest need blendshapes.
+export type FaceExpressions = {
+  eyesClosed: boolean;
+  winkLeft: boolean; // player's left eye closed while the right stays open
+  winkRight: boolean;
+  smile: boolean;
+  pucker: boolean;
+  cheekPuff: boolean;
+  browRaise: boolean;
+  tongueOut: boolean; // only if the face model reports a tongueOut score
+};
+
+export function createFaceExpressions(): FaceExpressions {
+  return {
+    eyesClosed: false,
+    winkLeft: false,
+    winkRight: false,
+    smile: false,
+    pucker: false,
+    cheekPuff: false,
+    browRaise: false,
+    tongueOut: false,
+  };
+}
+
 export type FaceTrackerOptions = {
   invertX?: boolean;
   deadzone?: number;
   gainX?: number;
   gainY?: number;
-  smoothing?: number;
+  // Time-based smoothing for strafe and head signals (see SignalFilters).
+  filter?: Partial<SignalFilterSettings>;
   mouthBoostOn?: number;
   mouthBoostOff?: number;
+  mouthOpenFull?: number; // analog boost reaches 1 at this opening
+  boost?: Partial<BoostSettings>;
   eyeClosedEar?: number;
   blinkMinMs?: number;
   blinkShortMaxMs?: number;
   blinkHoldMinMs?: number;
   enableLongBlinkHold?: boolean;
+  // Read the facial transformation matrix and measure the mouth relative to the head, so leaning or
+  // turning does not steer. Also enables the headX/headY channel. Takes effect on the next start().
+  headPose?: boolean;
+  headYawRangeDeg?: number; // head turn for full headX deflection
+  headPitchRangeDeg?: number;
+  controlMode?: FaceControlMode;
+  degradedAfterMs?: number; // face missing this long => degraded
+  lostAfterMs?: number; // face missing this long => lost (controls go neutral)
+  // Run the landmarker in a Web Worker when possible (falls back to the main thread). Applies on start().
+  useWorker?: boolean;
+  camera?: Partial<CameraSettings>;
+  // Brighten and stretch contrast of dim or backlit frames before detection. Lighting is measured either way.
+  enhanceLighting?: boolean;
+};
+
+// Raw per-frame measurements, before calibration is applied.
+export type FaceSample = {
+  x: number; // mouth center
+  y: number;
+  w: number; // mouth width
+  mouthRatio: number; // lip gap / mouth width
+  ear: number; // eye aspect ratio (0 when eyes are not found)
+  yaw?: number; // head angles (radians), only with headPose
+  pitch?: number;
+};
+
+const HEAD_DEADZONE = 0.08;
+
+// Blendshape scores are 0..1 and already centered on a relaxed face, so they use their own scaling.
+const BLEND_DEADZONE = 0.08;
+const BLEND_GAIN = 2.2;
+const BLEND_BOOST_ON = 0.35;
+const BLEND_BOOST_OFF = 0.22;
+const BLEND_OPEN_FULL = 0.7;
+const BLEND_EYE_CLOSED = 0.5;
+const BLEND_EYE_OPEN = 0.3;
+const BLEND_PUFF_ON = 0.45;
+const BLEND_PUCKER_ON = 0.6;
+const BLEND_SMILE_ON = 0.5;
+const BLEND_BROW_ON = 0.5;
+const BLEND_TONGUE_ON = 0.4;
+
+// Landmarks mode: mouth width relative to the calibrated neutral width.
+const SMILE_WIDTH_RATIO = 1.15;
+const PUCKER_WIDTH_RATIO = 0.82;
+// One eye counts as open for a wink when its EAR is above the closed threshold by this factor.
+const WINK_OPEN_FACTOR = 1.3;
+
+type BlendReadout = {
+  x: number; // image right => positive (same convention as the landmark offset)
+  y: number; // up => positive
+  jawOpen: number;
+  blinkLeft: number;
+  blinkRight: number;
+  cheekPuff: number;
+  pucker: number;
+  smile: number;
+  browRaise: number;
+  tongueOut: number;
 };
 
+function readBlendshapes(categories: BlendshapeCategory[] | undefined): BlendReadout | null {
+  if (!categories?.length) return null;
+  const score = (name: string) => getBlendshapeScore(categories, name) as number;
+  // mouthLeft/mouthRight are named from the player's side; the player's left is image right.
+  const x = score('mouthLeft') - score('mouthRight');
+  const up = (score('mouthUpperUpLeft') + score('mouthUpperUpRight')) * 0.5;
+  const down = (score('mouthLowerDownLeft') + score('mouthLowerDownRight')) * 0.5;
+  return {
+    x,
+    y: up - down,
+    jawOpen: score('jawOpen'),
+    blinkLeft: score('eyeBlinkLeft'),
+    blinkRight: score('eyeBlinkRight'),
+    cheekPuff: score('cheekPuff'),
+    pucker: score('mouthPucker'),
+    smile: (score('mouthSmileLeft') + score('mouthSmileRight')) * 0.5,
+    browRaise: score('browInnerUp'),
+    tongueOut: score('tongueOut'),
+  };
+}
+
 const LEFT_EYE_H0 = 33;
 const LEFT_EYE_H1 = 133;
 const LEFT_EYE_V0 = 159;
@@ -81,7 +235,9 @@ function mouthOpenRatio(landmarks: RawLandmark[]) {
   return open / width;
 }
 
-function eyeAspectRatio(landmarks: RawLandmark[]) {
+// Per-eye aspect ratios from the player's point of view (MediaPipe's "left eye" indices are image left,
+// i.e. the player's right eye).
+function eyeAspectRatios(landmarks: RawLandmark[]) {
   const lH0 = landmarks[LEFT_EYE_H0];
   const lH1 = landmarks[LEFT_EYE_H1];
   const lV0 = landmarks[LEFT_EYE_V0];
@@ -92,69 +248,132 @@ function eyeAspectRatio(landmarks: RawLandmark[]) {
   const rV0 = landmarks[RIGHT_EYE_V0];
   const rV1 = landmarks[RIGHT_EYE_V1];
 
-  if (!lH0 || !lH1 || !lV0 || !lV1 || !rH0 || !rH1 || !rV0 || !rV1) return 0;
+  if (!lH0 || !lH1 || !lV0 || !lV1 || !rH0 || !rH1 || !rV0 || !rV1) return null;
+
+  const earImageLeft = dist2(lV0, lV1) / (dist2(lH0, lH1) || 1e-6);
+  const earImageRight = dist2(rV0, rV1) / (dist2(rH0, rH1) || 1e-6);
+  return { left: earImageRight, right: earImageLeft };
+}
 
-  const earL = dist2(lV0, lV1) / (dist2(lH0, lH1) || 1e-6);
-  const earR = dist2(rV0, rV1) / (dist2(rH0, rH1) || 1e-6);
-  return (earL + earR) * 0.5;
+type FilterSet = Record<'strafeX' | 'strafeY' | 'headX' | 'headY', ScalarFilter>;
+
+function createFilterSet(settings: SignalFilterSettings): FilterSet {
+  return {
+    strafeX: createSignalFilter(settings),
+    strafeY: createSignalFilter(settings),
+    headX: createSignalFilter(settings),
+    headY: createSignalFilter(settings),
+  };
 }
 
 export class FaceTracker {
-  private readonly opts: Required<FaceTrackerOptions>;
+  private readonly opts: Required<Omit<FaceTrackerOptions, 'filter' | 'boost' | 'camera'>> & {
+    filter: SignalFilterSettings;
+    boost: BoostSettings;
+    camera: CameraSettings;
+  };
+  private readonly defaultTuning: Required<FaceTuning>;
 
   private videoEl: HTMLVideoElement | null = null;
   private stream: MediaStream | null = null;
   private landmarker: any = null;
+  private workerLandmarker: WorkerLandmarker | null = null;
   private rafId: number | null = null;
+  private cameraRequest = 0; // latest openCamera() call wins
+  private session = 0; // bumped by stop(), so a late worker fallback can tell it was cancelled
+  private startedHeadPose: boolean | null = null; // headPose the running landmarker was created with
 
-  private neutral: { x: number; y: number; w: number } | null = null;
+  private neutral: FaceNeutral | null = null;
   private cal: {
-    startMs: number;
+    startMs: number | null; // set by the first frame so replays calibrate deterministically
     durationMs: number;
     frames: number;
     xSum: number;
     ySum: number;
     wSum: number;
+    poseFrames: number;
+    yawSum: number;
+    pitchSum: number;
   } | null = null;
 
+  private filters: FilterSet;
+  private frameAspect = 0.75; // videoHeight / videoWidth
+  private recorder: LandmarkRecorder | null = null;
+  private telemetry: TelemetryRecorder | null = null;
+
   private boostOn = false;
+  private lastFaceMs: number | null = null;
   private eyesClosedSinceMs: number | null = null;
 
   private last: FaceControls = {
     calibrated: false,
+    tracking: 'tracking',
     strafeX: 0,
     strafeY: 0,
     boost: 0,
     mouthOpen: 0,
     fireBurst: false,
     fireHold: false,
+    headX: 0,
+    headY: 0,
+    expressions: createFaceExpressions(),
   };
   private onControls: ((c: FaceControls) => void) | null = null;
   private onError: ((msg: string) => void) | null = null;
+  private onSample: ((s: FaceSample, nowMs: number) => void) | null = null;
+  private onLighting: ((report: LightingReport) => void) | null = null;
+  private readonly preprocessor = new FramePreprocessor({ onLighting: (r) => this.onLighting?.(r) });
 
   constructor(options: FaceTrackerOptions = {}) {
     this.opts = {
       invertX: Boolean(options.invertX ?? false),
-      deadzone: Number.isFinite(options.deadzone) ? (options.deadzone as number) : 0.015,
-      gainX: Number.isFinite(options.gainX) ? (options.gainX as number) : 12,
-      gainY: Number.isFinite(options.gainY) ? (options.gainY as number) : 12,
-      smoothing: Number.isFinite(options.smoothing) ? (options.smoothing as number) : 0.18,
-      mouthBoostOn: Number.isFinite(options.mouthBoostOn) ? (options.mouthBoostOn as number) : 0.22,
-      mouthBoostOff: Number.isFinite(options.mouthBoostOff) ? (options.mouthBoostOff as number) : 0.18,
-      eyeClosedEar: Number.isFinite(options.eyeClosedEar) ? (options.eyeClosedEar as number) : 0.18,
+      deadzone: Number.isFinite(options.deadzone) ? (options.deadzone as number) : DEFAULT_FACE_TUNING.deadzone,
+      gainX: Number.isFinite(options.gainX) ? (options.gainX as number) : DEFAULT_FACE_TUNING.gainX,
+      gainY: Number.isFinite(options.gainY) ? (options.gainY as number) : DEFAULT_FACE_TUNING.gainY,
+      filter: sanitizeSignalFilter({ ...DEFAULT_SIGNAL_FILTER, ...options.filter }),
+      mouthBoostOn: Number.isFinite(options.mouthBoostOn)
+        ? (options.mouthBoostOn as number)
+        : DEFAULT_FACE_TUNING.mouthBoostOn,
+      mouthBoostOff: Number.isFinite(options.mouthBoostOff)
+        ? (options.mouthBoostOff as number)
+        : DEFAULT_FACE_TUNING.mouthBoostOff,
+      mouthOpenFull: Number.isFinite(options.mouthOpenFull)
+        ? (options.mouthOpenFull as number)
+        : DEFAULT_FACE_TUNING.mouthOpenFull,
+      boost: sanitizeBoostSettings({ ...DEFAULT_BOOST_SETTINGS, ...options.boost }),
+      camera: sanitizeCameraSettings({ ...DEFAULT_CAMERA_SETTINGS, ...options.camera }),
+      eyeClosedEar: Number.isFinite(options.eyeClosedEar)
+        ? (options.eyeClosedEar as number)
+        : DEFAULT_FACE_TUNING.eyeClosedEar,
       blinkMinMs: Number.isFinite(options.blinkMinMs) ? (options.blinkMinMs as number) : 60,
       blinkShortMaxMs: Number.isFinite(options.blinkShortMaxMs) ? (options.blinkShortMaxMs as number) : 300,
       blinkHoldMinMs: Number.isFinite(options.blinkHoldMinMs) ? (options.blinkHoldMinMs as number) : 500,
       enableLongBlinkHold: Boolean(options.enableLongBlinkHold ?? true),
+      headPose: Boolean(options.headPose ?? false),
+      headYawRangeDeg: Number.isFinite(options.headYawRangeDeg) ? (options.headYawRangeDeg as number) : 25,
+      headPitchRangeDeg: Number.isFinite(options.headPitchRangeDeg) ? (options.headPitchRangeDeg as number) : 18,
+      controlMode: options.controlMode === 'blendshapes' ? 'blendshapes' : 'landmarks',
+      degradedAfterMs: Number.isFinite(options.degradedAfterMs) ? (options.degradedAfterMs as number) : 120,
+      lostAfterMs: Number.isFinite(options.lostAfterMs) ? (options.lostAfterMs as number) : 700,
+      useWorker: Boolean(options.useWorker ?? true),
+      enhanceLighting: Boolean(options.enhanceLighting ?? false),
     };
+    this.defaultTuning = this.getTuning();
+    this.filters = createFilterSet(this.opts.filter);
   }
 
   setHandlers(handlers: {
     onControls?: (c: FaceControls) => void;
     onError?: (msg: string) => void;
+    // Every tracked frame, including before calibration (used by the guided calibration wizard).
+    onSample?: (s: FaceSample, nowMs: number) => void;
+    // Camera lighting quality, when it changes.
+    onLighting?: (report: LightingReport) => void;
   }) {
     this.onControls = handlers.onControls ?? null;
     this.onError = handlers.onError ?? null;
+    this.onSample = handlers.onSample ?? null;
+    this.onLighting = handlers.onLighting ?? null;
   }
 
   getControls(): FaceControls {
@@ -170,68 +389,131 @@ export class FaceTracker {
       throw new Error('Camera requires HTTPS on iPhone Safari. Use mkcert (see README).');
     }
 
-    let mp: any;
+    const setup = this.landmarkerSetup();
+
+    // Prefer a worker so inference doesn't eat into the render frame budget; fall back to the main thread.
+    if (this.opts.useWorker && WorkerLandmarker.supported()) {
+      try {
+        this.workerLandmarker = await WorkerLandmarker.create({
+          setup,
+          onResult: (results, timestampMs) => this.process(results, timestampMs),
+          onFail: (msg) => void this.fallBackToMainThread(msg),
+        });
+      } catch (err) {
+        console.warn('[FaceTracker] Landmarker worker unavailable, running on the main thread', err);
+        this.workerLandmarker = null;
+      }
+    }
+    if (!this.workerLandmarker) {
+      const mp = await loadVisionTasks();
+      this.landmarker = (await createFaceLandmarker(mp, setup)).landmarker;
+    }
+
+    await this.openCamera();
+    navigator.mediaDevices.addEventListener?.('devicechange', this.onDeviceChange);
+
+    this.lastFaceMs = performance.now();
+    this.startedHeadPose = this.opts.headPose;
+    this.rafId = window.requestAnimationFrame(this.tick);
+  }
+
+  private landmarkerSetup() {
+    const wasmBase = new URL(`${import.meta.env.BASE_URL}mediapipe/wasm/`, window.location.href).toString();
+    const modelPath = new URL(
+      `${import.meta.env.BASE_URL}mediapipe/models/face_landmarker.task`,
+      window.location.href,
+    ).toString();
+    // headPose as started, so a fallback matches the running session.
+    return { wasmBase, modelPath, headPose: this.startedHeadPose ?? this.opts.headPose };
+  }
+
+  // The worker failed after a successful start (it has closed itself): report it once and keep tracking
+  // on the main thread.
+  private async fallBackToMainThread(reason: string) {
+    const session = this.session;
+    this.workerLandmarker = null;
+    this.onError?.(`Face tracking worker stopped, continuing on the main thread: ${reason}`);
     try {
-      mp = await import('@mediapipe/tasks-vision');
+      const mp = await loadVisionTasks();
+      const { landmarker } = await createFaceLandmarker(mp, this.landmarkerSetup());
+      if (session !== this.session) {
+        landmarker.close?.();
+        return;
+      }
+      this.landmarker = landmarker;
     } catch (err) {
+      if (session !== this.session) return;
       const msg = err instanceof Error ? err.message : String(err);
-      throw new Error(
-        msg.includes('Importing a module script failed')
-          ? 'Face tracking failed to load (module import). On iPhone, make sure you are using HTTPS with a trusted certificate (mkcert) and reload.'
-          : `Face tracking failed to load MediaPipe: ${msg}`,
-      );
+      this.onError?.(`Face tracking stopped: ${msg}`);
     }
+  }
 
-    const { FaceLandmarker, FilesetResolver } = mp;
+  // True when stopped, or when an option that only applies on start() changed since.
+  get needsRestart(): boolean {
+    return this.rafId == null || this.startedHeadPose !== this.opts.headPose;
+  }
+
+  setEnhanceLighting(enabled: boolean) {
+    this.opts.enhanceLighting = enabled;
+  }
 
-    const localWasmBase = new URL(`${import.meta.env.BASE_URL}mediapipe/wasm/`, window.location.href).toString();
-    let resolver: any;
+  get enhanceLightingEnabled(): boolean {
+    return this.opts.enhanceLighting;
+  }
+
+  getLighting(): LightingReport | null {
+    return this.preprocessor.report;
+  }
+
+  getCameraSettings(): CameraSettings {
+    return { ...this.opts.camera };
+  }
+
+  // Applies immediately (reopening the webcam) when running, otherwise on the next start().
+  async setCameraSettings(settings: Partial<CameraSettings>) {
+    this.opts.camera = sanitizeCameraSettings({ ...this.opts.camera, ...settings });
+    if (this.videoEl) await this.openCamera();
+  }
+
+  // The camera actually in use, which differs from the chosen one while that one is unplugged.
+  get activeCameraId(): string | null {
+    return this.stream?.getVideoTracks()[0]?.getSettings().deviceId ?? null;
+  }
+
+  // (Re)open the webcam with the current settings. A chosen camera that is missing or busy falls back to
+  // the default one rather than failing the whole start.
+  private async openCamera() {
+    const videoEl = this.videoEl;
+    if (!videoEl) return;
+    const request = ++this.cameraRequest;
+
+    // Some devices can only have one camera open at a time.
+    this.stopStream();
+
+    const camera = this.opts.camera;
+    let stream: MediaStream;
     try {
-      resolver = await FilesetResolver.forVisionTasks(localWasmBase);
+      stream = await navigator.mediaDevices.getUserMedia({ audio: false, video: buildVideoConstraints(camera) });
     } catch (err) {
-      const msg = err instanceof Error ? err.message : String(err);
-      console.warn('[FaceTracker] Local wasm load failed, retrying with CDN', msg);
-      try {
-        resolver = await FilesetResolver.forVisionTasks('https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision/wasm');
-      } catch {
-        throw new Error(
-          msg.includes('Importing a module script failed')
-            ? `Face tracking failed to load MediaPipe wasm. Check that ${localWasmBase} contains the files from postinstall and that your HTTPS cert is trusted on iPhone.`
-            : `Face tracking failed to load MediaPipe wasm: ${msg}`,
-        );
+      const name = err instanceof Error ? err.name : '';
+      if (!camera.deviceId || !['OverconstrainedError', 'NotFoundError', 'NotReadableError'].includes(name)) {
+        throw err;
       }
+      console.warn('[FaceTracker] Chosen camera unavailable, using the default', err);
+      stream = await navigator.mediaDevices.getUserMedia({ audio: false, video: buildVideoConstraints(camera, false) });
     }
 
-    const createLandmarker = (delegate: 'GPU' | 'CPU') =>
-      FaceLandmarker.createFromOptions(resolver, {
-        baseOptions: {
-          modelAssetPath:
-            'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task',
-          delegate,
-        },
-        runningMode: 'VIDEO',
-        numFaces: 1,
-        outputFaceBlendshapes: false,
-        outputFacialTransformationMatrixes: false,
-      });
-
-    try {
-      this.landmarker = await createLandmarker('GPU');
-    } catch (gpuErr) {
-      console.warn('[FaceTracker] GPU delegate failed, falling back to CPU', gpuErr);
-      this.landmarker = await createLandmarker('CPU');
+    if (request !== this.cameraRequest || this.videoEl !== videoEl) {
+      // Stopped or superseded while the permission prompt / device was opening.
+      stream.getTracks().forEach((t) => t.stop());
+      return;
     }
 
-    this.stream = await navigator.mediaDevices.getUserMedia({
-      audio: false,
-      video: {
-        facingMode: { ideal: 'user' },
-        width: { ideal: 640 },
-        height: { ideal: 480 },
-      },
-    });
+    this.stream = stream;
+    const track = stream.getVideoTracks()[0];
+    if (track) track.onended = () => this.onDeviceChange();
 
-    videoEl.srcObject = this.stream;
+    videoEl.srcObject = stream;
     videoEl.playsInline = true;
     videoEl.muted = true;
     videoEl.autoplay = true;
@@ -241,22 +523,144 @@ export class FaceTracker {
     } catch {
       // ignore
     }
+  }
+
+  private stopStream() {
+    if (!this.stream) return;
+    this.stream.getTracks().forEach((t) => {
+      t.onended = null;
+      t.stop();
+    });
+    this.stream = null;
+  }
+
+  // Cameras plugged or unplugged: reopen when ours went away, or switch back once the chosen camera returns.
+  private onDeviceChange = async () => {
+    if (!this.videoEl) return;
+    const track = this.stream?.getVideoTracks()[0];
+    const wanted = this.opts.camera.deviceId;
+
+    let reopen = !track || track.readyState === 'ended';
+    if (!reopen && wanted && this.activeCameraId !== wanted) {
+      reopen = (await listCameras()).some((d) => d.deviceId === wanted);
+    }
+    if (!reopen) return;
 
-    this.rafId = window.requestAnimationFrame(this.tick);
+    try {
+      await this.openCamera();
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      this.onError?.(`Camera disconnected: ${msg}`);
+    }
+  };
+
+  // Head-pose mode needs the transformation matrix from the landmarker, so it applies from the next start().
+  setHeadPose(enabled: boolean) {
+    this.opts.headPose = Boolean(enabled);
+  }
+
+  // Where inference currently runs (null while stopped).
+  get inferenceThread(): 'worker' | 'main' | null {
+    if (this.workerLandmarker) return 'worker';
+    return this.landmarker ? 'main' : null;
+  }
+
+  get headPoseEnabled(): boolean {
+    return this.opts.headPose;
+  }
+
+  setControlMode(mode: FaceControlMode) {
+    const next: FaceControlMode = mode === 'blendshapes' ? 'blendshapes' : 'landmarks';
+    if (next === this.opts.controlMode) return;
+    this.opts.controlMode = next;
+    // Thresholds differ between modes; don't carry a boost or a half-finished blink across.
+    this.boostOn = false;
+    this.eyesClosedSinceMs = null;
+  }
+
+  get controlMode(): FaceControlMode {
+    return this.opts.controlMode;
+  }
+
+  getNeutral(): FaceNeutral | null {
+    return this.neutral ? { ...this.neutral } : null;
+  }
+
+  getTuning(): Required<FaceTuning> {
+    const { deadzone, gainX, gainY, mouthBoostOn, mouthBoostOff, mouthOpenFull, eyeClosedEar } = this.opts;
+    return { deadzone, gainX, gainY, mouthBoostOn, mouthBoostOff, mouthOpenFull, eyeClosedEar };
+  }
+
+  setTuning(tuning: FaceTuning) {
+    for (const key of FACE_TUNING_KEYS) {
+      const v = tuning[key];
+      if (typeof v === 'number' && Number.isFinite(v)) this.opts[key] = v;
+    }
+  }
+
+  resetTuning() {
+    this.setTuning(this.defaultTuning);
+  }
+
+  getFilter(): SignalFilterSettings {
+    return { ...this.opts.filter };
+  }
+
+  setFilter(settings: Partial<SignalFilterSettings>) {
+    this.opts.filter = sanitizeSignalFilter({ ...this.opts.filter, ...settings });
+    this.filters = createFilterSet(this.opts.filter);
+  }
+
+  getBoostSettings(): BoostSettings {
+    return { ...this.opts.boost };
+  }
+
+  setBoostSettings(settings: Partial<BoostSettings>) {
+    this.opts.boost = sanitizeBoostSettings({ ...this.opts.boost, ...settings });
+    this.boostOn = false;
+  }
+
+  // Apply a saved profile. With a stored neutral pose, calibration is skipped entirely.
+  loadProfile(profile: {
+    neutral: FaceNeutral | null;
+    tuning: FaceTuning;
+    filter?: SignalFilterSettings | null;
+    boost?: BoostSettings | null;
+  }): boolean {
+    this.resetTuning();
+    this.setTuning(profile.tuning);
+    // Null means the profile never changed them: back to the defaults, not whatever the last profile had.
+    this.setFilter(profile.filter ?? DEFAULT_SIGNAL_FILTER);
+    this.setBoostSettings(profile.boost ?? DEFAULT_BOOST_SETTINGS);
+    const n = profile.neutral;
+    if (!n || !(n.w > 0)) return false;
+    // Head-relative and screen-space neutrals are not interchangeable; recalibrate after switching modes.
+    if (Number.isFinite(n.yaw) !== this.opts.headPose) return false;
+
+    this.cal = null;
+    this.neutral = { ...n };
+    this.boostOn = false;
+    this.eyesClosedSinceMs = null;
+    this.resetFilters();
+    return true;
   }
 
   beginCalibration(durationMs = 5000) {
     this.neutral = null;
     this.cal = {
-      startMs: performance.now(),
+      startMs: null,
       durationMs,
       frames: 0,
       xSum: 0,
       ySum: 0,
       wSum: 0,
+      poseFrames: 0,
+      yawSum: 0,
+      pitchSum: 0,
     };
     this.boostOn = false;
     this.eyesClosedSinceMs = null;
+    this.resetFilters();
   }
 
   stop() {
@@ -265,10 +669,10 @@ export class FaceTracker {
       this.rafId = null;
     }
 
-    if (this.stream) {
-      this.stream.getTracks().forEach((t) => t.stop());
-      this.stream = null;
-    }
+    this.cameraRequest += 1;
+    this.session += 1;
+    if (this.videoEl) navigator.mediaDevices?.removeEventListener?.('devicechange', this.onDeviceChange);
+    this.stopStream();
 
     try {
       this.landmarker?.close?.();
@@ -276,43 +680,201 @@ export class FaceTracker {
       // ignore
     }
     this.landmarker = null;
+    this.workerLandmarker?.close();
+    this.workerLandmarker = null;
+    this.preprocessor.reset();
 
     this.videoEl = null;
+    this.startedHeadPose = null;
+    this.recorder = null;
+    this.lastFaceMs = null;
     this.cal = null;
     this.neutral = null;
     this.boostOn = false;
     this.eyesClosedSinceMs = null;
+    this.resetFilters();
     this.last = {
       calibrated: false,
+      tracking: 'tracking',
       strafeX: 0,
       strafeY: 0,
       boost: 0,
       mouthOpen: 0,
       fireBurst: false,
       fireHold: false,
+      headX: 0,
+      headY: 0,
+      expressions: createFaceExpressions(),
     };
   }
 
+  /**
+   * Feed one landmarker result from another source (a ReplayLandmarkSource, tests) through the same
+   * pipeline as live frames. Timestamps must increase; the camera does not need to be running.
+   */
+  processFrame(results: LandmarkerResults, timestampMs: number) {
+    this.process(results, timestampMs);
+  }
+
+  // Debug overlay: push the signal chain of every calibrated frame into `recorder` (null stops).
+  setTelemetry(recorder: TelemetryRecorder | null) {
+    this.telemetry = recorder;
+  }
+
+  setFrameAspect(aspect: number) {
+    if (Number.isFinite(aspect) && aspect > 0) this.frameAspect = aspect;
+  }
+
+  startRecording() {
+    this.recorder = new LandmarkRecorder(this.frameAspect);
+  }
+
+  get recording(): boolean {
+    return this.recorder != null;
+  }
+
+  // Returns null when no recording was running.
+  stopRecording(): LandmarkRecording | null {
+    const recording = this.recorder?.finish() ?? null;
+    this.recorder = null;
+    return recording;
+  }
+
+  private onFaceMissing(now: number) {
+    const missingMs = now - (this.lastFaceMs ?? now);
+    const quality: TrackingQuality =
+      missingMs >= this.opts.lostAfterMs ? 'lost' : missingMs >= this.opts.degradedAfterMs ? 'degraded' : 'tracking';
+    if (quality === this.last.tracking) return;
+
+    if (quality === 'lost') {
+      // Nothing to steer by: release everything rather than keep drifting on the last reading.
+      this.boostOn = false;
+      this.eyesClosedSinceMs = null;
+      this.resetFilters();
+      this.last = {
+        ...this.last,
+        tracking: 'lost',
+        strafeX: 0,
+        strafeY: 0,
+        boost: 0,
+        mouthOpen: 0,
+        fireBurst: false,
+        fireHold: false,
+        headX: 0,
+        headY: 0,
+        expressions: createFaceExpressions(),
+      };
+    } else {
+      // Hold the last reading through a short dropout, minus any one-frame pulse.
+      this.last = { ...this.last, tracking: quality, fireBurst: false };
+    }
+    this.onControls?.(this.last);
+  }
+
+  private resetFilters() {
+    for (const f of Object.values(this.filters)) f.reset();
+  }
+
+  private readExpressions(
+    blend: BlendReadout | null,
+    ears: { left: number; right: number } | null,
+    eyesClosed: boolean,
+    widthRatio: number,
+    boost: number,
+  ): FaceExpressions {
+    if (blend) {
+      return {
+        eyesClosed,
+        winkLeft: blend.blinkLeft > BLEND_EYE_CLOSED && blend.blinkRight < BLEND_EYE_OPEN,
+        winkRight: blend.blinkRight > BLEND_EYE_CLOSED && blend.blinkLeft < BLEND_EYE_OPEN,
+        smile: blend.smile > BLEND_SMILE_ON,
+        pucker: blend.pucker > BLEND_PUCKER_ON,
+        cheekPuff: blend.cheekPuff > BLEND_PUFF_ON,
+        browRaise: blend.browRaise > BLEND_BROW_ON,
+        tongueOut: blend.tongueOut > BLEND_TONGUE_ON,
+      };
+    }
+
+    const closedEar = this.opts.eyeClosedEar;
+    const openEar = closedEar * WINK_OPEN_FACTOR;
+    const out = createFaceExpressions();
+    out.eyesClosed = eyesClosed;
+    if (ears) {
+      out.winkLeft = ears.left > 0 && ears.left < closedEar && ears.right > openEar;
+      out.winkRight = ears.right > 0 && ears.right < closedEar && ears.left > openEar;
+    }
+    out.smile = widthRatio > SMILE_WIDTH_RATIO;
+    // Opening the mouth to boost also narrows it; that's not a pucker (in either boost mode).
+    out.pucker = widthRatio < PUCKER_WIDTH_RATIO && boost <= 0;
+    return out;
+  }
+
   private tick = () => {
     this.rafId = window.requestAnimationFrame(this.tick);
 
-    const landmarker = this.landmarker;
     const videoEl = this.videoEl;
-    if (!landmarker || !videoEl || videoEl.readyState < 2) return;
+    if (!videoEl) return;
+    if (videoEl.readyState < 2) {
+      // No frames coming (camera unplugged or stalled): same as no face, so loss is still reported.
+      this.onFaceMissing(performance.now());
+      return;
+    }
+    if (videoEl.videoWidth > 0) this.frameAspect = videoEl.videoHeight / videoEl.videoWidth;
 
+    const worker = this.workerLandmarker;
+    if (worker) {
+      // Results arrive asynchronously through process().
+      if (worker.busy) return;
+      const now = performance.now();
+      // Only lighting is measured here; any correction happens in the worker.
+      const toneCurve = this.preprocessor.toneCurve(videoEl, now, this.opts.enhanceLighting);
+      void worker.sendFrame(videoEl, now, toneCurve);
+      return;
+    }
+
+    const landmarker = this.landmarker;
+    if (!landmarker) return;
     try {
       const now = performance.now();
-      const results = landmarker.detectForVideo(videoEl, now);
+      const frame = this.preprocessor.process(videoEl, now, this.opts.enhanceLighting);
+      this.process(landmarker.detectForVideo(frame, now), now);
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      this.onError?.(msg);
+    }
+  };
+
+  // Turn one landmarker result (main thread or worker) into controls. `now` is the frame's capture time.
+  private process(results: LandmarkerResults | null | undefined, now: number) {
+    this.recorder?.push(results, now);
+    try {
       const landmarks: RawLandmark[] | undefined = results?.faceLandmarks?.[0];
-      if (!landmarks) return;
+      if (!landmarks) {
+        this.onFaceMissing(now);
+        return;
+      }
+      this.lastFaceMs = now;
+
+      let center = mouthCenter(landmarks);
+      let width = mouthWidth(landmarks);
 
-      const center = mouthCenter(landmarks);
-      if (!center) return;
-      const width = mouthWidth(landmarks);
-      if (!width) return;
+      const pose = this.opts.headPose ? readHeadPose(results?.facialTransformationMatrixes?.[0]?.data) : null;
+      if (pose) {
+        const rel = headRelativeMouth(landmarks, pose, this.frameAspect);
+        if (rel) {
+          center = { x: rel.x, y: rel.y };
+          width = rel.w;
+        }
+      }
+      if (!center || !width) return;
 
       const mouthRatio = mouthOpenRatio(landmarks);
-      const ear = eyeAspectRatio(landmarks);
+      const ears = eyeAspectRatios(landmarks);
+      const ear = ears ? (ears.left + ears.right) * 0.5 : 0;
+      this.onSample?.(
+        { x: center.x, y: center.y, w: width, mouthRatio, ear, yaw: pose?.yaw, pitch: pose?.pitch },
+        now,
+      );
 
       if (this.cal) {
         const c = this.cal;
@@ -320,7 +882,13 @@ export class FaceTracker {
         c.xSum += center.x;
         c.ySum += center.y;
         c.wSum += width;
+        if (pose) {
+          c.poseFrames += 1;
+          c.yawSum += pose.yaw;
+          c.pitchSum += pose.pitch;
+        }
 
+        c.startMs ??= now;
         if (now - c.startMs >= c.durationMs) {
           const frames = c.frames || 1;
           this.neutral = {
@@ -328,6 +896,10 @@ export class FaceTracker {
             y: c.ySum / frames,
             w: c.wSum / frames || 1e-6,
           };
+          if (c.poseFrames > 0) {
+            this.neutral.yaw = c.yawSum / c.poseFrames;
+            this.neutral.pitch = c.pitchSum / c.poseFrames;
+          }
           this.cal = null;
         }
       }
@@ -338,48 +910,74 @@ export class FaceTracker {
         this.eyesClosedSinceMs = null;
         this.last = {
           calibrated: false,
+          tracking: 'tracking',
           strafeX: 0,
           strafeY: 0,
           boost: 0,
           mouthOpen: 0,
           fireBurst: false,
           fireHold: false,
+          headX: 0,
+          headY: 0,
+          expressions: createFaceExpressions(),
         };
         this.onControls?.(this.last);
         return;
       }
 
-      const dx = (center.x - neutral.x) / neutral.w;
-      const dy = (center.y - neutral.y) / neutral.w;
+      // Blendshapes mode falls back to landmark geometry on frames without expression scores.
+      const blend =
+        this.opts.controlMode === 'blendshapes' ? readBlendshapes(results?.faceBlendshapes?.[0]?.categories) : null;
 
-      let x = applyDeadzone(dx, this.opts.deadzone) * this.opts.gainX;
+      let x: number;
+      let y: number;
+      let rawX: number; // before deadzone and gain, for telemetry
+      let rawY: number;
+      if (blend) {
+        rawX = blend.x;
+        rawY = blend.y;
+        x = applyDeadzone(clamp(blend.x, -1, 1), BLEND_DEADZONE) * BLEND_GAIN;
+        y = applyDeadzone(clamp(blend.y, -1, 1), BLEND_DEADZONE) * BLEND_GAIN;
+      } else {
+        const dx = (center.x - neutral.x) / neutral.w;
+        const dy = (center.y - neutral.y) / neutral.w;
+        rawX = dx;
+        rawY = -dy;
+        x = applyDeadzone(dx, this.opts.deadzone) * this.opts.gainX;
+        // y is down in screen coords; invert so mouth up => positive strafeY
+        y = applyDeadzone(-dy, this.opts.deadzone) * this.opts.gainY;
+      }
       if (this.opts.invertX) x = -x;
       x = clamp(x, -1, 1);
-
-      // y is down in screen coords; invert so mouth up => positive strafeY
-      let y = applyDeadzone(-dy, this.opts.deadzone) * this.opts.gainY;
       y = clamp(y, -1, 1);
 
-      // Smoothing (simple lerp)
-      const sx = this.last.strafeX + (x - this.last.strafeX) * this.opts.smoothing;
-      const sy = this.last.strafeY + (y - this.last.strafeY) * this.opts.smoothing;
+      // Smoothing (time-based, player-selected filter)
+      const sx = clamp(this.filters.strafeX.filter(x, now), -1, 1);
+      const sy = clamp(this.filters.strafeY.filter(y, now), -1, 1);
 
-      // Mouth boost (hysteresis)
-      if (mouthRatio > this.opts.mouthBoostOn) this.boostOn = true;
-      if (mouthRatio < this.opts.mouthBoostOff) this.boostOn = false;
-      const boost = this.boostOn ? 1 : 0;
-
-      const mouthOpen = clamp(
-        (mouthRatio - this.opts.mouthBoostOff) /
-          Math.max(1e-6, this.opts.mouthBoostOn - this.opts.mouthBoostOff),
-        0,
-        1,
-      );
+      // Mouth boost: hysteresis switch, or an analog throttle from the release threshold to a full opening.
+      const open = blend ? blend.jawOpen : mouthRatio;
+      const boostOn = blend ? BLEND_BOOST_ON : this.opts.mouthBoostOn;
+      const boostOff = blend ? BLEND_BOOST_OFF : this.opts.mouthBoostOff;
+      let boost: number;
+      let mouthOpen: number;
+      if (this.opts.boost.mode === 'analog') {
+        const full = Math.max(boostOn, blend ? BLEND_OPEN_FULL : this.opts.mouthOpenFull);
+        mouthOpen = clamp((open - boostOff) / Math.max(1e-6, full - boostOff), 0, 1);
+        boost = applyResponseCurve(mouthOpen, this.opts.boost.curve);
+      } else {
+        if (open > boostOn) this.boostOn = true;
+        if (open < boostOff) this.boostOn = false;
+        boost = this.boostOn ? 1 : 0;
+        mouthOpen = clamp((open - boostOff) / Math.max(1e-6, boostOn - boostOff), 0, 1);
+      }
 
       // Blink detection (short blink => burst, long blink => hold)
       let fireBurst = false;
       let fireHold = false;
-      const eyesClosed = ear > 0 && ear < this.opts.eyeClosedEar;
+      const eyesClosed = blend
+        ? Math.min(blend.blinkLeft, blend.blinkRight) > BLEND_EYE_CLOSED
+        : ear > 0 && ear < this.opts.eyeClosedEar;
 
       // While calibrating, ignore blink events (people blink a lot during calibration).
       if (!this.cal) {
@@ -400,11 +998,52 @@ export class FaceTracker {
         this.eyesClosedSinceMs = null;
       }
 
-      this.last = { calibrated: true, strafeX: sx, strafeY: sy, boost, mouthOpen, fireBurst, fireHold };
+      // Head channel: yaw/pitch away from the calibrated head pose (same left/right convention as strafeX).
+      let headX = 0;
+      let headY = 0;
+      if (pose) {
+        const yawRange = (Math.max(1, this.opts.headYawRangeDeg) * Math.PI) / 180;
+        const pitchRange = (Math.max(1, this.opts.headPitchRangeDeg) * Math.PI) / 180;
+        headX = clamp(applyDeadzone(clamp((pose.yaw - (neutral.yaw ?? 0)) / yawRange, -1, 1), HEAD_DEADZONE), -1, 1);
+        if (this.opts.invertX) headX = -headX;
+        headY = clamp(
+          applyDeadzone(clamp(-(pose.pitch - (neutral.pitch ?? 0)) / pitchRange, -1, 1), HEAD_DEADZONE),
+          -1,
+          1,
+        );
+        headX = clamp(this.filters.headX.filter(headX, now), -1, 1);
+        headY = clamp(this.filters.headY.filter(headY, now), -1, 1);
+      }
+
+      this.last = {
+        calibrated: true,
+        tracking: 'tracking',
+        strafeX: sx,
+        strafeY: sy,
+        boost,
+        mouthOpen,
+        fireBurst,
+        fireHold,
+        headX,
+        headY,
+        expressions: this.readExpressions(blend, ears, eyesClosed, width / neutral.w, boost),
+      };
       this.onControls?.(this.last);
+      this.telemetry?.pushFace({
+        captureMs: now,
+        doneMs: performance.now(),
+        rawX,
+        rawY,
+        strafeX: sx,
+        strafeY: sy,
+        mouthOpen,
+        ear,
+        blink: fireBurst,
+        blinkHold: fireHold,
+      });
     } catch (err) {
       const msg = err instanceof Error ? err.message : String(err);
       this.onError?.(msg);
     }
-  };
+  }
 }
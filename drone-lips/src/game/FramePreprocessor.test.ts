@@ -0,0 +1,76 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+  assessLighting,
+  buildToneCurve,
+  drawCorrected,
+  measureLighting,
+} from './FramePreprocessor';
+
+const W = 40;
+const H = 30;
+
+// Grey frame with a different value in the middle (where the face would be).
+function frame(border: number, center = border): Uint8ClampedArray {
+  const px = new Uint8ClampedArray(W * H * 4);
+  for (let y = 0; y < H; y++) {
+    for (let x = 0; x < W; x++) {
+      const inCenter = x >= W * 0.25 && x < W * 0.75 && y >= H * 0.2 && y < H * 0.8;
+      const v = inCenter ? center : border;
+      const i = (y * W + x) * 4;
+      px[i] = px[i + 1] = px[i + 2] = v;
+      px[i + 3] = 255;
+    }
+  }
+  return px;
+}
+
+describe('lighting assessment', () => {
+  it('classifies dark, dim, backlit, washed-out and good frames', () => {
+    expect(assessLighting(measureLighting(frame(15), W, H))).toBe('dark');
+    expect(assessLighting(measureLighting(frame(50, 70), W, H))).toBe('dim');
+    expect(assessLighting(measureLighting(frame(240, 60), W, H))).toBe('backlit');
+    expect(assessLighting(measureLighting(frame(235), W, H))).toBe('overexposed');
+    expect(assessLighting(measureLighting(frame(60, 170), W, H))).toBe('good');
+  });
+
+  it('measures the center separately from the border', () => {
+    const stats = measureLighting(frame(240, 60), W, H);
+    expect(stats.border).toBeGreaterThan(0.8);
+    expect(stats.center).toBeLessThan(0.35);
+    expect(stats.low).toBeLessThan(stats.high);
+  });
+});
+
+describe('buildToneCurve', () => {
+  it('lifts a dim face toward mid-grey without inverting anything', () => {
+    const stats = measureLighting(frame(40, 60), W, H);
+    const lut = buildToneCurve(stats);
+    expect(lut[60]).toBeGreaterThan(90);
+    for (let i = 1; i < 256; i++) expect(lut[i]).toBeGreaterThanOrEqual(lut[i - 1]);
+  });
+
+  it('brightens the dark face of a backlit frame', () => {
+    const lut = buildToneCurve(measureLighting(frame(240, 60), W, H));
+    expect(lut[60]).toBeGreaterThan(80);
+  });
+});
+
+describe('drawCorrected', () => {
+  it('caps the size, keeps the aspect and maps colour channels through the curve', () => {
+    let image: { data: Uint8ClampedArray } | null = null;
+    const ctx = {
+      canvas: { width: 0, height: 0 },
+      drawImage: () => undefined,
+      getImageData: (_x: number, _y: number, w: number, h: number) => {
+        image = { data: new Uint8ClampedArray(w * h * 4).fill(10) };
+        return image;
+      },
+      putImageData: () => undefined,
+    };
+    const lut = Array.from({ length: 256 }, (_, i) => 255 - i);
+    drawCorrected(ctx as any, {} as CanvasImageSource, 1280, 720, lut);
+    expect(ctx.canvas).toEqual({ width: 640, height: 360 });
+    expect(Array.from(image!.data.slice(0, 4))).toEqual([245, 245, 245, 10]);
+  });
+});
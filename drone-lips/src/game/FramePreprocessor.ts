@@ -0,0 +1,277 @@
+// Lighting checks and optional low-light correction for webcam frames, applied before face detection.
+// Exposure is estimated a few times a second from a thumbnail; correction is a per-frame tone curve
+// (levels stretch + gamma) built from the smoothed estimate, so it adapts without flickering. With the
+// landmarker worker, the curve is sent along with each frame and applied there, off the main thread.
+
+export type LightingLevel = 'good' | 'dim' | 'dark' | 'backlit' | 'overexposed';
+
+// All values are luma in 0..1.
+export type LightingStats = {
+  mean: number; // overall exposure estimate
+  low: number; // 5th percentile
+  high: number; // 95th percentile
+  center: number; // mean of the middle of the frame, where the face usually is
+  border: number; // mean of the rest
+};
+
+export type LightingReport = {
+  level: LightingLevel;
+  stats: LightingStats;
+  hint: string | null; // what the player can do about it
+};
+
+export const LIGHTING_HINTS: Record<LightingLevel, string | null> = {
+  good: null,
+  dim: 'Dim lighting. A lamp facing you will make tracking steadier.',
+  dark: 'Too dark for face tracking. Turn on a light in front of you or raise the screen brightness.',
+  backlit: 'Bright light behind you. Close the curtains or turn so the window is in front of you.',
+  overexposed: 'Image is washed out. Move away from direct light shining on the camera.',
+};
+
+const SAMPLE_WIDTH = 64;
+const MEASURE_EVERY_MS = 200;
+const STATS_ALPHA = 0.35; // EMA weight per measurement
+const LEVEL_HOLD_MS = 1000; // a new level must persist this long before it is reported
+const MAX_WIDTH = 640; // corrected frames are capped to this width (detection runs at ~256px anyway)
+
+const TARGET_LOW = 0.04;
+const TARGET_HIGH = 0.96;
+const TARGET_FACE = 0.45; // desired brightness of the frame center after correction
+const MAX_STRETCH = 3; // limits noise amplification in very dark frames
+
+const luma = (r: number, g: number, b: number) => (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255;
+
+// Stats from RGBA pixels (e.g. ImageData.data of a small thumbnail).
+export function measureLighting(
+  rgba: ArrayLike<number>,
+  width: number,
+  height: number,
+): LightingStats {
+  const hist = new Uint32Array(256);
+  let sum = 0;
+  let centerSum = 0;
+  let centerCount = 0;
+  const x0 = width * 0.25;
+  const x1 = width * 0.75;
+  const y0 = height * 0.2;
+  const y1 = height * 0.8;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const l = luma(rgba[i], rgba[i + 1], rgba[i + 2]);
+      hist[Math.min(255, Math.round(l * 255))] += 1;
+      sum += l;
+      if (x >= x0 && x < x1 && y >= y0 && y < y1) {
+        centerSum += l;
+        centerCount += 1;
+      }
+    }
+  }
+
+  const count = width * height;
+  if (!count) return { mean: 0, low: 0, high: 0, center: 0, border: 0 };
+
+  const percentile = (p: number) => {
+    const target = count * p;
+    let acc = 0;
+    for (let v = 0; v < 256; v++) {
+      acc += hist[v];
+      if (acc >= target) return v / 255;
+    }
+    return 1;
+  };
+
+  const borderCount = count - centerCount;
+  return {
+    mean: sum / count,
+    low: percentile(0.05),
+    high: percentile(0.95),
+    center: centerCount ? centerSum / centerCount : sum / count,
+    border: borderCount ? (sum - centerSum) / borderCount : sum / count,
+  };
+}
+
+export function assessLighting(stats: LightingStats): LightingLevel {
+  if (stats.mean < 0.12) return 'dark';
+  if (stats.border > 0.55 && stats.border - stats.center > 0.25) return 'backlit';
+  if (stats.mean > 0.82) return 'overexposed';
+  if (stats.mean < 0.25 || stats.high - stats.low < 0.25) return 'dim';
+  return 'good';
+}
+
+// 256-entry lookup table: stretch [low, high] to the full range, then gamma to bring the face area to a
+// mid-tone. Backlit frames get lifted by their (dark) center rather than their bright overall mean.
+export function buildToneCurve(stats: LightingStats): Uint8ClampedArray {
+  // Never set the black point so high that the face itself gets crushed (backlit frames).
+  const low = Math.min(stats.low, stats.center * 0.5);
+  const range = Math.max(stats.high - low, (TARGET_HIGH - TARGET_LOW) / MAX_STRETCH);
+  const scale = (TARGET_HIGH - TARGET_LOW) / range;
+  const stretch = (v: number) => Math.min(1, Math.max(0, TARGET_LOW + (v - low) * scale));
+
+  const face = stretch(stats.center);
+  const gamma =
+    face > 0.01 && face < 0.99
+      ? Math.min(1.5, Math.max(0.4, Math.log(TARGET_FACE) / Math.log(face)))
+      : 1;
+
+  const lut = new Uint8ClampedArray(256);
+  for (let i = 0; i < 256; i++) lut[i] = Math.round(Math.pow(stretch(i / 255), gamma) * 255);
+  return lut;
+}
+
+type Context2D = CanvasRenderingContext2D | OffscreenCanvasRenderingContext2D;
+
+/**
+ * Draws `source` (sw × sh) into `ctx`'s canvas, capped to MAX_WIDTH with the same aspect so normalized
+ * landmark coordinates are unchanged, and maps every pixel through `lut`.
+ */
+export function drawCorrected(
+  ctx: Context2D,
+  source: CanvasImageSource,
+  sw: number,
+  sh: number,
+  lut: ArrayLike<number>,
+) {
+  const w = Math.min(sw, MAX_WIDTH);
+  const h = Math.round((w * sh) / sw);
+  if (ctx.canvas.width !== w || ctx.canvas.height !== h) {
+    ctx.canvas.width = w;
+    ctx.canvas.height = h;
+  }
+  ctx.drawImage(source, 0, 0, w, h);
+  const img = ctx.getImageData(0, 0, w, h);
+  const px = img.data;
+  for (let i = 0; i < px.length; i += 4) {
+    px[i] = lut[px[i]];
+    px[i + 1] = lut[px[i + 1]];
+    px[i + 2] = lut[px[i + 2]];
+  }
+  ctx.putImageData(img, 0, 0);
+}
+
+export type FramePreprocessorOptions = {
+  onLighting?: (report: LightingReport) => void; // on level changes (and the first estimate)
+};
+
+type Canvas2D = { canvas: HTMLCanvasElement; ctx: CanvasRenderingContext2D };
+
+function createCanvas(): Canvas2D | null {
+  if (typeof document === 'undefined') return null;
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  return ctx ? { canvas, ctx } : null;
+}
+
+export class FramePreprocessor {
+  private readonly onLighting: FramePreprocessorOptions['onLighting'];
+
+  private sample: Canvas2D | null = null;
+  private output: Canvas2D | null = null;
+  private stats: LightingStats | null = null;
+  private lut: Uint8ClampedArray | null = null;
+  private lastMeasureMs = -Infinity;
+
+  private level: LightingLevel | null = null;
+  private pendingLevel: LightingLevel | null = null;
+  private pendingSinceMs = 0;
+
+  constructor(options: FramePreprocessorOptions = {}) {
+    this.onLighting = options.onLighting;
+  }
+
+  get report(): LightingReport | null {
+    if (!this.stats || !this.level) return null;
+    return { level: this.level, stats: { ...this.stats }, hint: LIGHTING_HINTS[this.level] };
+  }
+
+  reset() {
+    this.stats = null;
+    this.lut = null;
+    this.lastMeasureMs = -Infinity;
+    this.level = null;
+    this.pendingLevel = null;
+  }
+
+  /**
+   * Measures lighting (a few times a second) and returns the tone curve to correct this frame with, or null
+   * when `enhance` is off or there is no estimate yet.
+   */
+  toneCurve(video: HTMLVideoElement, nowMs: number, enhance: boolean): Uint8ClampedArray | null {
+    const vw = video.videoWidth;
+    const vh = video.videoHeight;
+    if (!vw || !vh) return null;
+
+    try {
+      if (nowMs - this.lastMeasureMs >= MEASURE_EVERY_MS) {
+        this.lastMeasureMs = nowMs;
+        this.measure(video, vw, vh, nowMs);
+      }
+    } catch {
+      return null;
+    }
+    return enhance ? this.lut : null;
+  }
+
+  /**
+   * Main-thread detection: returns the frame to run detection on, the video itself or a corrected copy
+   * when `enhance` is on. Any canvas failure falls back to the untouched video.
+   */
+  process(
+    video: HTMLVideoElement,
+    nowMs: number,
+    enhance: boolean,
+  ): HTMLVideoElement | HTMLCanvasElement {
+    const lut = this.toneCurve(video, nowMs, enhance);
+    if (!lut) return video;
+    try {
+      this.output ??= createCanvas();
+      if (!this.output) return video;
+      drawCorrected(this.output.ctx, video, video.videoWidth, video.videoHeight, lut);
+      return this.output.canvas;
+    } catch {
+      return video;
+    }
+  }
+
+  private measure(video: HTMLVideoElement, vw: number, vh: number, nowMs: number) {
+    this.sample ??= createCanvas();
+    const s = this.sample;
+    if (!s) return;
+    const w = SAMPLE_WIDTH;
+    const h = Math.max(1, Math.round((SAMPLE_WIDTH * vh) / vw));
+    if (s.canvas.width !== w || s.canvas.height !== h) {
+      s.canvas.width = w;
+      s.canvas.height = h;
+    }
+    s.ctx.drawImage(video, 0, 0, w, h);
+    const next = measureLighting(s.ctx.getImageData(0, 0, w, h).data, w, h);
+
+    const prev = this.stats;
+    if (prev) {
+      for (const key of Object.keys(next) as Array<keyof LightingStats>) {
+        next[key] = prev[key] + (next[key] - prev[key]) * STATS_ALPHA;
+      }
+    }
+    this.stats = next;
+    this.lut = buildToneCurve(next);
+    this.updateLevel(assessLighting(next), nowMs);
+  }
+
+  private updateLevel(level: LightingLevel, nowMs: number) {
+    if (level === this.level) {
+      this.pendingLevel = null;
+      return;
+    }
+    if (level !== this.pendingLevel) {
+      this.pendingLevel = level;
+      this.pendingSinceMs = nowMs;
+    }
+    // The first estimate is reported right away; later changes once they have settled.
+    if (this.level != null && nowMs - this.pendingSinceMs < LEVEL_HOLD_MS) return;
+    this.level = level;
+    this.pendingLevel = null;
+    const report = this.report;
+    if (report) this.onLighting?.(report);
+  }
+}
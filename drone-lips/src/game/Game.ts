@@ -7,9 +7,19 @@ import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPa
 import { FXAAShader } from 'three/examples/jsm/shaders/FXAAShader.js';
 import { RoomEnvironment } from 'three/examples/jsm/environments/RoomEnvironment.js';
 
+import { Boss, type BossHudState } from './Boss';
 import { Drone } from './Drone';
-import { Enemy, type EnemyConfig, type EnemyKind, type EnemySpawnBounds } from './Enemy';
-import { LaserShot, MissileShot } from './Projectiles';
+import { Enemy, rollEnemyKind, type EnemyConfig, type EnemyKind, type EnemySpawnBounds } from './Enemy';
+import { PlayerVitals, type PlayerVitalsSnapshot } from './PlayerVitals';
+import {
+  EnemyShot,
+  LASER_RADIUS,
+  LASER_SPEED,
+  LASER_TTL,
+  LaserShot,
+  MissileShot,
+} from './Projectiles';
+import { InputAssist, type AssistSettings, type AssistTarget } from './input/InputAssist';
 import type { InputState } from './input/InputState';
 import { getLevelConfig, type LevelConfig } from './levels';
 import { clamp, randInt } from './math';
@@ -26,11 +36,26 @@ export type GameInput = {
 export type GameHudRefs = {
   scoreEl: RefLike<HTMLSpanElement | null>;
   speedEl: RefLike<HTMLSpanElement | null>;
+  bossHpEl?: RefLike<HTMLDivElement | null>;
+  hullEl?: RefLike<HTMLDivElement | null>;
+  shieldEl?: RefLike<HTMLDivElement | null>;
+  livesEl?: RefLike<HTMLSpanElement | null>;
+  // Brightened while an assist is firing or steering for the player.
+  assistEl?: RefLike<HTMLElement | null>;
+};
+
+export type GameRunResult = {
+  levelId: number;
+  score: number;
 };
 
 export type GameCallbacks = {
   onRendererError?: (msg: string | null) => void;
   onHitFlash?: () => void;
+  // Fired when the boss appears, changes attack phase, or goes away (null).
+  onBossChange?: (boss: BossHudState | null) => void;
+  onVictory?: (result: GameRunResult) => void;
+  onGameOver?: (result: GameRunResult) => void;
 };
 
 export type GameOptions = {
@@ -39,32 +64,62 @@ export type GameOptions = {
   isIOS: boolean;
   input: GameInput;
   levelId?: number;
+  assists?: AssistSettings;
   hud?: GameHudRefs;
   callbacks?: GameCallbacks;
 };
 
 const PLAYER_RADIUS = 1.1;
 
+const OBSTACLE_DAMAGE = 35;
+const ENEMY_RAM_DAMAGE = 30;
+const BOSS_RAM_DAMAGE = 60;
+
 const MAX_LASERS = 140;
 const MAX_MISSILES = 8;
+const MAX_ENEMY_SHOTS = 96;
 
 const GUN_BURST_COUNT = 5;
 const GUN_BURST_INTERVAL_MS = 70;
 const GUN_HOLD_INTERVAL_MS = 95;
 
-const LASER_SPEED = 58;
-const LASER_TTL = 1.1;
 const LASER_Z_MAX = 260;
 
 const MISSILE_SPEED = 26;
 const MISSILE_TTL = 3.2;
 const MISSILE_TURN_RATE = 4.2;
 
+const ENEMY_FIRE_RANGE = 85;
+const ENEMY_SHOT_TTL = 2.6;
+const ENEMY_SHOT_RADIUS = 0.28;
+
+// Telegraph glow and projectile colour per enemy kind.
+const ENEMY_FIRE_COLORS: Record<EnemyKind, string> = {
+  ship: '#ff2d55',
+  spike: '#ff9f0a',
+  ufo: '#b7ff4a',
+};
+
 const STRAFE_SPEED = 10;
+const UP = new THREE.Vector3(0, 1, 0);
 
-type EnemySlot = {
+const BOSS_MISSILE_DAMAGE = 14;
+const BOSS_KILL_REWARD = 50;
+const BOSS_SUPPORT_WAVE_MS = 6000;
+const BOSS_SUPPORT_WAVE_MAX = 6;
+const UFO_KILL_REWARD = 25;
+
+type BossState = 'none' | 'pending' | 'active' | 'defeated';
+
+type EnemyBody = {
   enemy: Enemy;
+  telegraph: THREE.Mesh;
+};
+
+type EnemySlot = EnemyBody & {
   deadUntilMs: number;
+  // Bodies built for this slot so far; its kind is rolled again on every respawn.
+  bodies: Partial<Record<EnemyKind, EnemyBody>>;
 };
 
 type Explosion = {
@@ -166,6 +221,86 @@ function createEnemyMesh(kind: EnemyKind) {
     };
   }
 
+  if (kind === 'ufo') {
+    const group = new THREE.Group();
+    group.renderOrder = 2;
+    // Spin about Y first, then bank about Z, so the tilt does not wobble with the spin.
+    group.rotation.order = 'ZYX';
+
+    const geometries: THREE.BufferGeometry[] = [];
+    const materials: THREE.Material[] = [];
+
+    const hullMat = new THREE.MeshStandardMaterial({
+      color: '#8f98a8',
+      emissive: '#2f3a4f',
+      emissiveIntensity: 0.35,
+      metalness: 0.85,
+      roughness: 0.25,
+    });
+    const domeMat = new THREE.MeshStandardMaterial({
+      color: '#63f2ff',
+      emissive: '#30d5ff',
+      emissiveIntensity: 0.7,
+      metalness: 0.1,
+      roughness: 0.1,
+      transparent: true,
+      opacity: 0.8,
+    });
+    const lightMat = new THREE.MeshBasicMaterial({
+      color: '#b7ff4a',
+      transparent: true,
+      opacity: 0.95,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending,
+    });
+    const beamMat = new THREE.MeshBasicMaterial({
+      color: '#b7ff4a',
+      transparent: true,
+      opacity: 0.22,
+      depthWrite: false,
+      side: THREE.DoubleSide,
+      blending: THREE.AdditiveBlending,
+    });
+
+    materials.push(hullMat, domeMat, lightMat, beamMat);
+
+    const hullGeo = new THREE.SphereGeometry(1.6, 28, 14);
+    hullGeo.scale(1, 0.28, 1);
+    const rimGeo = new THREE.TorusGeometry(1.55, 0.09, 8, 36);
+    rimGeo.rotateX(Math.PI / 2);
+    const domeGeo = new THREE.SphereGeometry(0.62, 20, 12, 0, Math.PI * 2, 0, Math.PI / 2);
+    const lightGeo = new THREE.SphereGeometry(0.11, 8, 8);
+    const beamGeo = new THREE.ConeGeometry(0.9, 1.6, 20, 1, true);
+    beamGeo.translate(0, -1.05, 0);
+
+    geometries.push(hullGeo, rimGeo, domeGeo, lightGeo, beamGeo);
+
+    group.add(new THREE.Mesh(hullGeo, hullMat));
+    group.add(new THREE.Mesh(rimGeo, hullMat));
+
+    const dome = new THREE.Mesh(domeGeo, domeMat);
+    dome.position.y = 0.22;
+    group.add(dome);
+
+    const lightCount = 10;
+    for (let i = 0; i < lightCount; i += 1) {
+      const a = (i / lightCount) * Math.PI * 2;
+      const light = new THREE.Mesh(lightGeo, lightMat);
+      light.position.set(Math.cos(a) * 1.55, 0, Math.sin(a) * 1.55);
+      group.add(light);
+    }
+
+    group.add(new THREE.Mesh(beamGeo, beamMat));
+
+    return {
+      mesh: group,
+      dispose: () => {
+        for (const g of geometries) g.dispose();
+        for (const m of materials) m.dispose();
+      },
+    };
+  }
+
   const geo = new THREE.IcosahedronGeometry(1.2, 0);
   const mat = new THREE.MeshStandardMaterial({
     color: '#ff2d55',
@@ -192,6 +327,11 @@ function findNearestEnemy(enemies: EnemySlot[], from: THREE.Vector3): Enemy | nu
   return best?.e ?? null;
 }
 
+function isCloser(candidate: THREE.Vector3, other: THREE.Vector3 | undefined, from: THREE.Vector3): boolean {
+  if (!other) return true;
+  return candidate.distanceToSquared(from) < other.distanceToSquared(from);
+}
+
 export class Game {
   private readonly opts: GameOptions;
 
@@ -208,12 +348,17 @@ export class Game {
   private speed = 0;
   private readonly pos = new THREE.Vector3(0, 0, 0);
 
+  private readonly vitals = new PlayerVitals();
+  private gameOver = false;
+  private vitalsHudKey = '';
+
   private gunBurstRemaining = 0;
   private gunBurstNextMs = 0;
   private lastGunFireMs = 0;
 
   private readonly laserSpawnPos = new THREE.Vector3();
   private readonly laserSpawnVel = new THREE.Vector3(0, 0, LASER_SPEED);
+  private readonly laserAim = { x: 0, y: 0, z: 1 };
   private readonly missileSpawnPos = new THREE.Vector3();
   private readonly missileSpawnVel = new THREE.Vector3(0, 0, MISSILE_SPEED);
   private readonly camTarget = new THREE.Vector3();
@@ -229,13 +374,32 @@ export class Game {
 
   private enemies: EnemySlot[] = [];
   private enemyDisposers: Array<() => void> = [];
+  private createEnemyBody: ((kind: EnemyKind, id: number) => EnemyBody) | null = null;
+
+  private boss: Boss | null = null;
+  private bossState: BossState = 'none';
+  private bossPhase = 0;
+  private nextSupportWaveMs = 0;
+  private readonly supportSpawnPos = new THREE.Vector3();
+
+  private readonly assist = new InputAssist();
+  private readonly assistTargets: AssistTarget[] = [];
+  private readonly assistProbe = new THREE.Vector3();
+
+  private readonly enemyShotPos = new THREE.Vector3();
+  private readonly enemyShotAim = new THREE.Vector3();
+  private readonly enemyShotVel = new THREE.Vector3();
+  private readonly enemyShotColor = new THREE.Color();
 
   private lasers: { mesh: THREE.InstancedMesh; items: LaserShot[]; temp: THREE.Object3D } | null = null;
+  private enemyShots: { mesh: THREE.InstancedMesh; items: EnemyShot[]; temp: THREE.Object3D } | null = null;
   private missiles: Array<{ shot: MissileShot; mesh: THREE.Mesh; trail: THREE.Mesh }> = [];
   private explosions: Explosion[] = [];
 
   private laserGeo: THREE.BufferGeometry | null = null;
   private laserMat: THREE.Material | null = null;
+  private enemyShotGeo: THREE.BufferGeometry | null = null;
+  private enemyShotMat: THREE.Material | null = null;
   private missileGeo: THREE.BufferGeometry | null = null;
   private missileMat: THREE.Material | null = null;
   private trailGeo: THREE.BufferGeometry | null = null;
@@ -248,6 +412,7 @@ export class Game {
 
   constructor(options: GameOptions) {
     this.opts = options;
+    if (options.assists) this.assist.setSettings(options.assists);
     this.init();
     this.setLevel(options.levelId ?? 8);
     this.startLoop();
@@ -257,6 +422,22 @@ export class Game {
     this.running = running;
   }
 
+  setAssists(settings: AssistSettings) {
+    this.assist.setSettings(settings);
+  }
+
+  getVitals(): PlayerVitalsSnapshot {
+    return this.vitals.snapshot(performance.now());
+  }
+
+  // Refill lives after a game over without resetting score or level progress.
+  continueRun() {
+    if (!this.gameOver) return;
+    this.gameOver = false;
+    this.vitals.continueRun(performance.now());
+    this.updateVitalsHud(performance.now());
+  }
+
   setLevel(levelId: number) {
     const scene = this.scene;
     if (!scene) return;
@@ -268,13 +449,15 @@ export class Game {
     this.world = null;
 
     this.disposeEnemies();
+    this.disposeBoss();
 
     const world = createWorld({ scene, isIOS: this.opts.isIOS, level: next });
     world.create();
     this.world = world;
 
     this.createEnemiesForLevel();
-    this.reset('reset');
+    this.createBossForLevel();
+    this.reset();
   }
 
   private addScore(amount: number) {
@@ -282,9 +465,14 @@ export class Game {
     if (!delta) return;
     this.score.value += delta;
     if (this.opts.hud?.scoreEl.current) this.opts.hud.scoreEl.current.textContent = `${this.score.value}`;
+
+    const cfg = this.level.boss;
+    if (cfg && this.bossState === 'pending' && this.score.value >= cfg.spawnAtScore) this.spawnBoss();
   }
 
-  private getEnemyKillReward(): number {
+  private getEnemyKillReward(enemy: Enemy): number {
+    // UFOs are worth a fixed bounty; the level's score range covers the regular enemies.
+    if (enemy.kind === 'ufo') return enemy.reward;
     const min = Math.max(1, Math.floor(this.level.enemyScoreMin));
     const max = Math.max(min, Math.floor(this.level.enemyScoreMax));
     return randInt(min, max);
@@ -333,16 +521,53 @@ export class Game {
     if (count <= 0) return;
 
     const enemyCfgs: Record<EnemyKind, EnemyConfig> = {
-      ship: { kind: 'ship', hp: 3, radius: 1.2, approachSpeed: 7, reward: 10 },
-      spike: { kind: 'spike', hp: 2, radius: 1.1, approachSpeed: 9, reward: 5 },
+      ship: {
+        kind: 'ship',
+        hp: 3,
+        radius: 1.2,
+        approachSpeed: 7,
+        reward: 10,
+        weapon: { fireEveryMs: 1500, shots: 1, spread: 0, telegraphMs: 450, shotSpeed: 34, damage: 12 },
+      },
+      spike: {
+        kind: 'spike',
+        hp: 2,
+        radius: 1.1,
+        approachSpeed: 9,
+        reward: 5,
+        weapon: { fireEveryMs: 2600, shots: 3, spread: 0.1, telegraphMs: 700, shotSpeed: 28, damage: 10 },
+      },
+      ufo: {
+        kind: 'ufo',
+        hp: 4,
+        radius: 1.5,
+        approachSpeed: 10,
+        reward: UFO_KILL_REWARD,
+        weapon: { fireEveryMs: 1900, shots: 5, spread: 0.16, telegraphMs: 900, shotSpeed: 22, damage: 8 },
+      },
     };
-
     const enemyDisposers: Array<() => void> = [];
     const enemies: EnemySlot[] = [];
     const bounds: EnemySpawnBounds = world.enemySpawnBounds;
 
-    for (let i = 0; i < count; i += 1) {
-      const kind: EnemyKind = Math.random() < 0.65 ? 'ship' : 'spike';
+    // Telegraph halo shared by every enemy of a kind; it swells before a volley.
+    const glowGeo = new THREE.SphereGeometry(1, 16, 12);
+    const glowMats = {} as Record<EnemyKind, THREE.MeshBasicMaterial>;
+    for (const kind of Object.keys(ENEMY_FIRE_COLORS) as EnemyKind[]) {
+      glowMats[kind] = new THREE.MeshBasicMaterial({
+        color: ENEMY_FIRE_COLORS[kind],
+        transparent: true,
+        opacity: 0.3,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending,
+      });
+    }
+    enemyDisposers.push(() => {
+      glowGeo.dispose();
+      for (const m of Object.values(glowMats)) m.dispose();
+    });
+
+    const createBody = (kind: EnemyKind, id: number): EnemyBody => {
       const meshObj = createEnemyMesh(kind);
       scene.add(meshObj.mesh);
 
@@ -351,23 +576,286 @@ export class Game {
         meshObj.dispose();
       });
 
-      const e = new Enemy(i + 1, kind, meshObj.mesh, enemyCfgs[kind]);
-      e.spawn(bounds, 0);
-      enemies.push({ enemy: e, deadUntilMs: 0 });
+      const telegraph = new THREE.Mesh(glowGeo, glowMats[kind]);
+      telegraph.visible = false;
+      meshObj.mesh.add(telegraph);
+
+      return { enemy: new Enemy(id, kind, meshObj.mesh, enemyCfgs[kind]), telegraph };
+    };
+
+    const ufoShare = clamp(this.level.ufoRate, 0, 1);
+    for (let i = 0; i < count; i += 1) {
+      const body = createBody(rollEnemyKind(ufoShare), i + 1);
+      body.enemy.spawn(bounds, 0);
+      enemies.push({ ...body, deadUntilMs: 0, bodies: { [body.enemy.kind]: body } });
     }
 
     this.enemies = enemies;
     this.enemyDisposers = enemyDisposers;
+    this.createEnemyBody = createBody;
+  }
+
+  // Respawns a slot as a freshly rolled kind, so the level's UFO share holds over time instead of being
+  // fixed per slot when the level is built.
+  private respawnEnemy(slot: EnemySlot, bounds: EnemySpawnBounds) {
+    this.setSlotKind(slot, rollEnemyKind(clamp(this.level.ufoRate, 0, 1)));
+    slot.enemy.spawn(bounds, this.pos.y);
+  }
+
+  // Swaps the slot's body for one of `kind`, building it the first time the slot needs it.
+  private setSlotKind(slot: EnemySlot, kind: EnemyKind) {
+    if (kind === slot.enemy.kind || !this.createEnemyBody) return;
+    slot.enemy.mesh.visible = false;
+    slot.telegraph.visible = false;
+    const body = (slot.bodies[kind] ??= this.createEnemyBody(kind, slot.enemy.id));
+    slot.enemy = body.enemy;
+    slot.telegraph = body.telegraph;
   }
 
   private disposeEnemies() {
     for (const d of this.enemyDisposers) d();
     this.enemyDisposers = [];
     this.enemies = [];
+    this.createEnemyBody = null;
+  }
+
+  private createBossForLevel() {
+    const scene = this.scene;
+    const cfg = this.level.boss;
+    if (!scene || !cfg) return;
+
+    const boss = new Boss(cfg);
+    scene.add(boss.group);
+    this.boss = boss;
+  }
+
+  private disposeBoss() {
+    const boss = this.boss;
+    if (!boss) return;
+    this.scene?.remove(boss.group);
+    boss.dispose();
+    this.boss = null;
+    this.bossState = 'none';
+  }
+
+  private spawnBoss() {
+    const boss = this.boss;
+    if (!boss) return;
+
+    const nowMs = performance.now();
+    boss.spawn(nowMs);
+    this.bossState = 'active';
+    this.bossPhase = boss.phase;
+    this.nextSupportWaveMs = nowMs + BOSS_SUPPORT_WAVE_MS * 0.5;
+    this.updateBossHud();
+    this.opts.callbacks?.onBossChange?.(boss.getHudState());
+  }
+
+  private updateBossHud() {
+    const el = this.opts.hud?.bossHpEl?.current;
+    const boss = this.boss;
+    if (!el || !boss) return;
+    el.style.width = `${(100 * boss.hp) / boss.maxHp}%`;
   }
 
-  reset(reason: 'reset' | 'hit' = 'reset') {
+  private damageBoss(amount: number, nowMs: number) {
+    const boss = this.boss;
+    if (!boss || !boss.alive) return;
+
+    boss.takeDamage(amount);
+    this.updateBossHud();
+
+    if (!boss.alive) {
+      this.onBossDefeated();
+      return;
+    }
+
+    if (boss.phase !== this.bossPhase) {
+      this.bossPhase = boss.phase;
+      // Entering a new phase triggers an immediate support wave.
+      this.nextSupportWaveMs = nowMs;
+      this.opts.callbacks?.onBossChange?.(boss.getHudState());
+    }
+  }
+
+  private onBossDefeated() {
+    const boss = this.boss;
+    if (!boss) return;
+
+    this.bossState = 'defeated';
+    this.addScore(BOSS_KILL_REWARD);
+
+    for (let i = 0; i < 5; i += 1) {
+      const exp = this.explosions.find((x) => !x.mesh.visible);
+      if (!exp) break;
+      exp.mesh.visible = true;
+      exp.mesh.position.set(
+        boss.position.x + randInt(-3, 3),
+        boss.position.y + randInt(-2, 2),
+        boss.position.z + randInt(-2, 2),
+      );
+      // All at once: the explosion update has no delayed start (a negative age would just show it early).
+      exp.age = 0;
+    }
+
+    // Clear the field so the victory screen is not followed by a stray ram.
+    for (const slot of this.enemies) {
+      slot.enemy.takeDamage(999);
+      slot.deadUntilMs = Number.POSITIVE_INFINITY;
+    }
+
+    this.opts.callbacks?.onBossChange?.(null);
+    this.opts.callbacks?.onVictory?.({ levelId: this.level.id, score: this.score.value });
+  }
+
+  private spawnSupportWave() {
+    const boss = this.boss;
+    const cfg = this.level.boss;
+    if (!boss || !cfg) return;
+
+    const kinds = boss.supportWaveKinds(cfg.ufoSupportRate, BOSS_SUPPORT_WAVE_MAX);
+    const size = kinds.length;
+
+    // Idle UFO slots go first so fewer bodies need swapping; live enemies are left alone.
+    const idle = this.enemies.filter((slot) => !slot.enemy.alive);
+    idle.sort((a, b) => Number(b.enemy.kind === 'ufo') - Number(a.enemy.kind === 'ufo'));
+
+    for (let i = 0; i < Math.min(size, idle.length); i += 1) {
+      const slot = idle[i];
+      this.setSlotKind(slot, kinds[i]);
+      this.supportSpawnPos.set(
+        boss.position.x + (i - (size - 1) / 2) * 2.6,
+        boss.position.y + randInt(-1, 1),
+        boss.position.z - 3,
+      );
+      slot.enemy.spawnAt(this.supportSpawnPos);
+      slot.deadUntilMs = 0;
+    }
+  }
+
+  private fireEnemyVolley(enemy: Enemy) {
+    const w = enemy.weapon;
+    const pool = this.enemyShots?.items;
+    if (!w || !pool) return;
+
+    const from = enemy.mesh.position;
+    this.enemyShotAim.copy(this.pos).sub(from).normalize();
+    this.enemyShotPos.copy(from).addScaledVector(this.enemyShotAim, enemy.radius + 0.2);
+    this.enemyShotColor.set(ENEMY_FIRE_COLORS[enemy.kind]);
+
+    // Fan the volley sideways around the aim line.
+    for (let i = 0; i < w.shots; i += 1) {
+      const shot = pool.find((s) => !s.active);
+      if (!shot) return;
+      const yaw = (i - (w.shots - 1) / 2) * w.spread;
+      this.enemyShotVel.copy(this.enemyShotAim).applyAxisAngle(UP, yaw).multiplyScalar(w.shotSpeed);
+      shot.fire(this.enemyShotPos, this.enemyShotVel, ENEMY_SHOT_TTL, w.damage, this.enemyShotColor);
+    }
+  }
+
+  private damagePlayer(amount: number, nowMs: number): 'ignored' | 'hit' | 'gameOver' {
+    const res = this.vitals.applyHit(amount, nowMs);
+    if (res === 'ignored') return 'ignored';
+
+    this.opts.callbacks?.onHitFlash?.();
+    this.updateVitalsHud(nowMs);
+
+    if (res === 'life' || res === 'gameOver') {
+      const exp = this.explosions.find((x) => !x.mesh.visible);
+      if (exp) {
+        exp.mesh.visible = true;
+        exp.mesh.position.copy(this.pos);
+        exp.age = 0;
+      }
+    }
+
+    if (res !== 'gameOver') return 'hit';
+
+    this.gameOver = true;
+    this.running = false;
+    if (this.drone) this.drone.group.visible = true;
+    this.opts.callbacks?.onGameOver?.({ levelId: this.level.id, score: this.score.value });
+    return 'gameOver';
+  }
+
+  private applyAssists(raw: InputState, world: World, nowMs: number): InputState {
+    if (!this.assist.enabled) {
+      this.setAssistHud(false);
+      return raw;
+    }
+
+    // Live enemies and the boss, in reused objects.
+    const targets = this.assistTargets;
+    let n = 0;
+    const push = (p: THREE.Vector3, radius: number) => {
+      const t = (targets[n] ??= { x: 0, y: 0, z: 0, radius: 0 });
+      t.x = p.x;
+      t.y = p.y;
+      t.z = p.z;
+      t.radius = radius;
+      n += 1;
+    };
+    for (const slot of this.enemies) if (slot.enemy.alive) push(slot.enemy.mesh.position, slot.enemy.radius);
+    const boss = this.boss;
+    if (boss?.alive && this.bossState === 'active') push(boss.position, boss.radius);
+    targets.length = n;
+
+    const input = this.assist.apply(
+      raw,
+      {
+        player: this.pos,
+        speed: this.speed,
+        targets,
+        range: ENEMY_FIRE_RANGE,
+        blocked: (x, y, ahead) => {
+          const b = world.playerBounds;
+          const px = this.pos.x + x;
+          const py = this.pos.y + y;
+          if (px < b.xMin || px > b.xMax || py < b.yMin || py > b.yMax) return true;
+          const p = this.assistProbe.set(px, py, this.pos.z + ahead);
+          if (world.hitTest?.(p, PLAYER_RADIUS)) return true;
+          for (const t of targets) {
+            const r = PLAYER_RADIUS + t.radius;
+            if (p.distanceToSquared(t as THREE.Vector3Like) < r * r) return true;
+          }
+          return false;
+        },
+      },
+      nowMs,
+    );
+    this.setAssistHud(this.assist.firing || this.assist.dodging);
+    return input;
+  }
+
+  private setAssistHud(active: boolean) {
+    const el = this.opts.hud?.assistEl?.current;
+    const opacity = active ? '1' : '0.6';
+    if (el && el.style.opacity !== opacity) el.style.opacity = opacity;
+  }
+
+  private updateVitalsHud(nowMs: number) {
+    const hud = this.opts.hud;
+    if (!hud) return;
+
+    const v = this.vitals.snapshot(nowMs);
+    const hullPct = Math.round((100 * v.hull) / v.maxHull);
+    const shieldPct = Math.round((100 * v.shield) / v.maxShield);
+    const key = `${hullPct}|${shieldPct}|${v.lives}`;
+    if (key === this.vitalsHudKey) return;
+    this.vitalsHudKey = key;
+
+    if (hud.hullEl?.current) hud.hullEl.current.style.width = `${hullPct}%`;
+    if (hud.shieldEl?.current) hud.shieldEl.current.style.width = `${shieldPct}%`;
+    if (hud.livesEl?.current) hud.livesEl.current.textContent = `${v.lives}`;
+  }
+
+  reset() {
     this.score.value = 1;
+    this.gameOver = false;
+    this.vitals.reset(performance.now());
+    this.assist.reset();
+    this.vitalsHudKey = '';
+    this.updateVitalsHud(performance.now());
     this.speedBase = Math.max(0, this.level.baseSpeed);
     this.speed = 0;
     this.pos.set(0, 0, 0);
@@ -380,25 +868,36 @@ export class Game {
     this.opts.hud?.speedEl.current && (this.opts.hud.speedEl.current.textContent = '0.0');
 
     const drone = this.drone;
-    if (drone) drone.position.copy(this.pos);
+    if (drone) {
+      drone.position.copy(this.pos);
+      drone.group.visible = true;
+    }
 
     this.world?.reset(this.pos);
 
     const bounds: EnemySpawnBounds = this.world?.enemySpawnBounds ?? { xRange: 12, yRange: 7, zMin: 110, zMax: 190 };
     for (const slot of this.enemies) {
       slot.deadUntilMs = 0;
-      slot.enemy.spawn(bounds, this.pos.y);
+      this.respawnEnemy(slot, bounds);
+    }
+
+    if (this.boss) {
+      this.boss.despawn();
+      this.bossState = 'pending';
+      this.bossPhase = 0;
+      this.nextSupportWaveMs = 0;
+      this.opts.callbacks?.onBossChange?.(null);
     }
 
     const lasers = this.lasers?.items;
     if (lasers) for (const l of lasers) l.active = false;
     for (const m of this.missiles) m.shot.active = false;
+    const enemyShots = this.enemyShots?.items;
+    if (enemyShots) for (const s of enemyShots) s.active = false;
     for (const e of this.explosions) {
       e.mesh.visible = false;
       e.age = e.lifetime;
     }
-
-    if (reason === 'hit') this.opts.callbacks?.onHitFlash?.();
   }
 
   queueGunBurst(count = GUN_BURST_COUNT) {
@@ -440,6 +939,8 @@ export class Game {
 
     this.laserGeo?.dispose();
     (this.laserMat as any)?.dispose?.();
+    this.enemyShotGeo?.dispose();
+    (this.enemyShotMat as any)?.dispose?.();
     this.missileGeo?.dispose();
     (this.missileMat as any)?.dispose?.();
     this.trailGeo?.dispose();
@@ -450,6 +951,9 @@ export class Game {
     for (const d of this.enemyDisposers) d();
     this.enemyDisposers = [];
     this.enemies = [];
+    this.createEnemyBody = null;
+
+    this.disposeBoss();
 
     this.composer?.dispose();
     this.composer = null;
@@ -466,6 +970,7 @@ export class Game {
     this.scene = null;
     this.camera = null;
     this.lasers = null;
+    this.enemyShots = null;
     this.missiles = [];
     this.explosions = [];
   }
@@ -543,6 +1048,25 @@ export class Game {
     const lasers: LaserShot[] = Array.from({ length: MAX_LASERS }, () => new LaserShot());
     this.lasers = { mesh: laserMesh, items: lasers, temp: laserTemp };
 
+    const enemyShotGeo = new THREE.SphereGeometry(ENEMY_SHOT_RADIUS, 10, 10);
+    const enemyShotMat = new THREE.MeshBasicMaterial({
+      color: '#ffffff',
+      transparent: true,
+      opacity: 0.95,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending,
+    });
+    this.enemyShotGeo = enemyShotGeo;
+    this.enemyShotMat = enemyShotMat;
+    const enemyShotMesh = new THREE.InstancedMesh(enemyShotGeo, enemyShotMat, MAX_ENEMY_SHOTS);
+    enemyShotMesh.frustumCulled = false;
+    // Allocate instance colours up front so the material compiles with them.
+    const white = new THREE.Color('#ffffff');
+    for (let i = 0; i < MAX_ENEMY_SHOTS; i += 1) enemyShotMesh.setColorAt(i, white);
+    scene.add(enemyShotMesh);
+    const enemyShots: EnemyShot[] = Array.from({ length: MAX_ENEMY_SHOTS }, () => new EnemyShot());
+    this.enemyShots = { mesh: enemyShotMesh, items: enemyShots, temp: new THREE.Object3D() };
+
     const missileGroup = new THREE.Group();
     scene.add(missileGroup);
 
@@ -670,7 +1194,7 @@ export class Game {
       return;
     }
 
-    const input = this.opts.input.state.current;
+    const input = this.applyAssists(this.opts.input.state.current, world, nowMs);
 
     const stopActive = input.stop;
     const boost = clamp(input.boost, 0, 1);
@@ -692,6 +1216,11 @@ export class Game {
     drone.position.copy(this.pos);
     drone.update(dt, { timeMs: nowMs, strafeX, strafeY, speed: this.speed });
 
+    this.vitals.update(dt, nowMs);
+    // Blink the drone while the post-hit grace window is active.
+    drone.group.visible = !this.vitals.isInvulnerable(nowMs) || Math.floor(nowMs / 90) % 2 === 0;
+    this.updateVitalsHud(nowMs);
+
     this.camTarget.set(this.pos.x * 0.25, this.pos.y * 0.25 + 3.4, -15);
     camera.position.lerp(this.camTarget, 1 - Math.exp(-4.2 * dt));
     camera.lookAt(this.pos.x * 0.1, this.pos.y * 0.1, 8);
@@ -702,11 +1231,18 @@ export class Game {
       speed: this.speed,
       playerPos: this.pos,
       playerRadius: PLAYER_RADIUS,
+      windX: windDriftX,
       onCollectPickup: (count) => this.addScore(count * Math.max(1, Math.floor(this.level.pickupScore))),
     });
     if (worldRes.hit) {
-      this.reset('hit');
-      return;
+      if (this.damagePlayer(OBSTACLE_DAMAGE, nowMs) === 'gameOver') return;
+      // Out of the obstacle, or it hits again the moment the grace window ends.
+      const push = worldRes.push;
+      if (push) {
+        this.pos.x = clamp(this.pos.x + push.x, bounds.xMin, bounds.xMax);
+        this.pos.y = clamp(this.pos.y + push.y, bounds.yMin, bounds.yMax);
+        drone.position.copy(this.pos);
+      }
     }
 
     // Enemies + collision
@@ -715,7 +1251,7 @@ export class Game {
     for (const slot of this.enemies) {
       if (!slot.enemy.alive) {
         if (nowMs >= slot.deadUntilMs) {
-          slot.enemy.spawn(spawnBounds, this.pos.y);
+          this.respawnEnemy(slot, spawnBounds);
           slot.deadUntilMs = 0;
         }
         continue;
@@ -724,8 +1260,13 @@ export class Game {
       slot.enemy.update(dt, this.speed, this.pos, nowMs);
       if (slot.enemy.kind === 'ship') slot.enemy.mesh.lookAt(this.pos);
 
+      if (slot.enemy.tryFire(nowMs, this.pos, ENEMY_FIRE_RANGE)) this.fireEnemyVolley(slot.enemy);
+      const glow = slot.enemy.getTelegraph(nowMs);
+      slot.telegraph.visible = glow > 0;
+      if (glow > 0) slot.telegraph.scale.setScalar(slot.enemy.radius * (0.9 + glow * 0.6));
+
       if (slot.enemy.isOutOfRange(behindZ)) {
-        slot.enemy.spawn(spawnBounds, this.pos.y);
+        this.respawnEnemy(slot, spawnBounds);
         continue;
       }
 
@@ -733,8 +1274,32 @@ export class Game {
       const ey = slot.enemy.mesh.position.y - this.pos.y;
       const ez = slot.enemy.mesh.position.z - this.pos.z;
       if (ex * ex + ey * ey + ez * ez < (PLAYER_RADIUS + slot.enemy.radius) * (PLAYER_RADIUS + slot.enemy.radius)) {
-        this.reset('hit');
-        return;
+        const res = this.damagePlayer(ENEMY_RAM_DAMAGE, nowMs);
+        if (res === 'gameOver') return;
+        if (res === 'hit') {
+          // Rammers are destroyed on impact (no reward).
+          slot.enemy.takeDamage(999);
+          slot.deadUntilMs = nowMs + 700 + randInt(0, 600);
+        }
+      }
+    }
+
+    // Boss
+    const boss = this.boss;
+    if (boss && this.bossState === 'active' && boss.alive) {
+      boss.update(dt, nowMs, this.pos, spawnBounds.xRange, spawnBounds.yRange);
+
+      const bx = boss.position.x - this.pos.x;
+      const by = boss.position.y - this.pos.y;
+      const bz = boss.position.z - this.pos.z;
+      if (bx * bx + by * by + bz * bz < (PLAYER_RADIUS + boss.radius) * (PLAYER_RADIUS + boss.radius)) {
+        if (this.damagePlayer(BOSS_RAM_DAMAGE, nowMs) === 'gameOver') return;
+      }
+
+      if (nowMs >= this.nextSupportWaveMs) {
+        this.spawnSupportWave();
+        const rate = Math.max(0.05, this.level.boss?.ufoSupportRate ?? 0.5);
+        this.nextSupportWaveMs = nowMs + BOSS_SUPPORT_WAVE_MS / (rate * boss.supportWaveMult);
       }
     }
 
@@ -748,6 +1313,8 @@ export class Game {
       const shot = lasers.items.find((s) => !s.active);
       if (!shot) return false;
       this.laserSpawnPos.set(this.pos.x, this.pos.y + 0.02, this.pos.z + 1.35);
+      const aim = this.assist.aimDirection(this.laserSpawnPos, this.laserAim);
+      this.laserSpawnVel.set(aim.x, aim.y, aim.z).multiplyScalar(LASER_SPEED);
       shot.spawn(this.laserSpawnPos, this.laserSpawnVel, LASER_TTL);
       return true;
     };
@@ -776,18 +1343,24 @@ export class Game {
         continue;
       }
 
+      if (boss?.hitBy(l.pos, LASER_RADIUS)) {
+        l.active = false;
+        this.damageBoss(1, nowMs);
+        continue;
+      }
+
       for (const slot of this.enemies) {
         const e = slot.enemy;
         if (!e.alive) continue;
         const dx = e.mesh.position.x - l.pos.x;
         const dy = e.mesh.position.y - l.pos.y;
         const dz = e.mesh.position.z - l.pos.z;
-        if (dx * dx + dy * dy + dz * dz < (e.radius + 0.32) * (e.radius + 0.32)) {
+        if (dx * dx + dy * dy + dz * dz < (e.radius + LASER_RADIUS) * (e.radius + LASER_RADIUS)) {
           l.active = false;
           e.takeDamage(1);
 
           if (!e.alive) {
-            this.addScore(this.getEnemyKillReward());
+            this.addScore(this.getEnemyKillReward(e));
 
             const exp = this.explosions.find((x) => !x.mesh.visible);
             if (exp) {
@@ -813,7 +1386,12 @@ export class Game {
       }
 
       const target = findNearestEnemy(this.enemies, m.shot.pos);
-      m.shot.update(dt, target ? target.mesh.position : null, MISSILE_TURN_RATE);
+      const bossTarget = boss?.alive && isCloser(boss.position, target?.mesh.position, m.shot.pos) ? boss : null;
+      m.shot.update(
+        dt,
+        bossTarget ? bossTarget.position : target ? target.mesh.position : null,
+        MISSILE_TURN_RATE,
+      );
 
       m.mesh.visible = true;
       m.trail.visible = true;
@@ -823,14 +1401,31 @@ export class Game {
       m.trail.position.z -= 0.35;
       m.trail.lookAt(m.shot.pos.x, m.shot.pos.y, m.shot.pos.z + 1);
 
-      if (target) {
+      if (bossTarget) {
+        const dx = bossTarget.position.x - m.shot.pos.x;
+        const dy = bossTarget.position.y - m.shot.pos.y;
+        const dz = bossTarget.position.z - m.shot.pos.z;
+        if (dx * dx + dy * dy + dz * dz < (bossTarget.radius + 0.5) * (bossTarget.radius + 0.5)) {
+          m.shot.active = false;
+
+          const exp = this.explosions.find((x) => !x.mesh.visible);
+          if (exp) {
+            exp.mesh.visible = true;
+            exp.mesh.position.copy(m.shot.pos);
+            exp.mesh.scale.setScalar(exp.startScale * 1.2);
+            exp.age = 0;
+          }
+
+          this.damageBoss(BOSS_MISSILE_DAMAGE, nowMs);
+        }
+      } else if (target) {
         const dx = target.mesh.position.x - m.shot.pos.x;
         const dy = target.mesh.position.y - m.shot.pos.y;
         const dz = target.mesh.position.z - m.shot.pos.z;
         if (dx * dx + dy * dy + dz * dz < (target.radius + 0.5) * (target.radius + 0.5)) {
           m.shot.active = false;
           target.takeDamage(999);
-          this.addScore(this.getEnemyKillReward());
+          this.addScore(this.getEnemyKillReward(target));
 
           const exp = this.explosions.find((x) => !x.mesh.visible);
           if (exp) {
@@ -848,6 +1443,41 @@ export class Game {
       if (m.shot.pos.z > LASER_Z_MAX) m.shot.active = false;
     }
 
+    // Enemy fire
+    const enemyShots = this.enemyShots;
+    if (enemyShots) {
+      const hitR = PLAYER_RADIUS + ENEMY_SHOT_RADIUS;
+      for (const s of enemyShots.items) {
+        if (!s.active) continue;
+        s.update(dt);
+        if (!s.active) continue;
+        if (s.pos.z < world.behindZ) {
+          s.active = false;
+          continue;
+        }
+        if (s.pos.distanceToSquared(this.pos) < hitR * hitR) {
+          s.active = false;
+          if (this.damagePlayer(s.damage, nowMs) === 'gameOver') return;
+        }
+      }
+
+      for (let i = 0; i < enemyShots.items.length; i += 1) {
+        const s = enemyShots.items[i];
+        if (!s.active) {
+          enemyShots.temp.position.set(0, -9999, 0);
+          enemyShots.temp.scale.setScalar(0);
+        } else {
+          enemyShots.temp.position.copy(s.pos);
+          enemyShots.temp.scale.setScalar(1);
+          enemyShots.mesh.setColorAt(i, s.color);
+        }
+        enemyShots.temp.updateMatrix();
+        enemyShots.mesh.setMatrixAt(i, enemyShots.temp.matrix);
+      }
+      enemyShots.mesh.instanceMatrix.needsUpdate = true;
+      if (enemyShots.mesh.instanceColor) enemyShots.mesh.instanceColor.needsUpdate = true;
+    }
+
     // Lasers render instances
     for (let i = 0; i < lasers.items.length; i += 1) {
       const l = lasers.items[i];
@@ -0,0 +1,90 @@
+import { describe, expect, it } from 'vitest';
+
+import { FaceTracker, type FaceControls } from './FaceTracker';
+import {
+  LandmarkRecorder,
+  ReplayLandmarkSource,
+  decodeFrame,
+  encodeFrame,
+  parseLandmarkRecording,
+  type LandmarkRecording,
+} from './LandmarkRecording';
+import type { LandmarkerResults } from './WorkerLandmarker';
+
+const FRAME_MS = 33;
+
+// A minimal face: mouth at (cx, 0.7), 0.1 wide, with open eyes unless `eyesClosed`.
+function face(cx: number, eyesClosed = false): LandmarkerResults {
+  const pts: Array<{ x: number; y: number; z: number }> = [];
+  const set = (i: number, x: number, y: number) => (pts[i] = { x, y, z: 0 });
+  set(61, cx - 0.05, 0.7);
+  set(291, cx + 0.05, 0.7);
+  set(13, cx, 0.695);
+  set(14, cx, 0.705);
+  const lid = eyesClosed ? 0.002 : 0.012;
+  for (const [h0, h1, v0, v1, ex] of [
+    [33, 133, 159, 145, 0.4],
+    [362, 263, 386, 374, 0.6],
+  ]) {
+    set(h0, ex - 0.02, 0.4);
+    set(h1, ex + 0.02, 0.4);
+    set(v0, ex, 0.4 - lid);
+    set(v1, ex, 0.4 + lid);
+  }
+  return { faceLandmarks: [pts], faceBlendshapes: [], facialTransformationMatrixes: [] };
+}
+
+// 1 s neutral (calibration), a brief blink, then a drift to the image right.
+function session(): LandmarkRecording {
+  const rec = new LandmarkRecorder(0.75);
+  let t = 1000;
+  const push = (n: number, make: () => LandmarkerResults) => {
+    for (let i = 0; i < n; i++, t += FRAME_MS) rec.push(make(), t);
+  };
+  push(40, () => face(0.5));
+  push(4, () => face(0.5, true));
+  push(10, () => face(0.5));
+  push(30, () => face(0.53));
+  return rec.finish();
+}
+
+function replay(recording: LandmarkRecording): FaceControls[] {
+  const tracker = new FaceTracker({ useWorker: false });
+  const out: FaceControls[] = [];
+  tracker.setHandlers({ onControls: (c) => out.push({ ...c }) });
+  tracker.beginCalibration(1000);
+  new ReplayLandmarkSource(recording).playAll(tracker);
+  return out;
+}
+
+describe('LandmarkRecording', () => {
+  it('round-trips frames through the compact encoding', () => {
+    const src = face(0.512345);
+    const decoded = decodeFrame(encodeFrame(src, 12.34));
+    expect(decoded.faceLandmarks[0][61].x).toBeCloseTo(src.faceLandmarks[0][61].x, 5);
+    expect(decoded.faceLandmarks[0][159].y).toBeCloseTo(src.faceLandmarks[0][159].y, 5);
+    expect(decodeFrame(encodeFrame(null, 0)).faceLandmarks).toEqual([]);
+
+    const json = JSON.stringify(session());
+    expect(parseLandmarkRecording(json)).toEqual(JSON.parse(json));
+    expect(() => parseLandmarkRecording('{"version":2,"frames":[]}')).toThrow();
+  });
+
+  it('replays a session through calibration, blink and strafe logic', () => {
+    const controls = replay(session());
+
+    const firstCalibrated = controls.findIndex((c) => c.calibrated);
+    expect(firstCalibrated).toBeGreaterThan(25);
+    expect(firstCalibrated).toBeLessThan(40);
+    expect(controls.filter((c) => c.fireBurst)).toHaveLength(1);
+
+    const end = controls[controls.length - 1];
+    expect(end.strafeX).toBeGreaterThan(0.5);
+    expect(Math.abs(end.strafeY)).toBeLessThan(0.05);
+  });
+
+  it('is deterministic', () => {
+    const recording = session();
+    expect(replay(recording)).toEqual(replay(recording));
+  });
+});
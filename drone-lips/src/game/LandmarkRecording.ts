@@ -0,0 +1,212 @@
+import type { LandmarkerResults } from './WorkerLandmarker';
+
+// Compact recordings of landmarker output, for reproducing control issues without a webcam.
+// Only the landmarks and blendshapes FaceTracker reads are kept, quantized to integers.
+
+// Mouth, lips, eye corners/lids, nose bridge, forehead and chin (see faceControls, FaceTracker and headPose).
+export const RECORDED_LANDMARKS = [
+  13, 14, 61, 291, 33, 133, 159, 145, 362, 263, 386, 374, 168, 10, 152,
+] as const;
+
+// Every blendshape FaceTracker reads in blendshapes mode.
+export const RECORDED_BLENDSHAPES = [
+  'mouthLeft',
+  'mouthRight',
+  'mouthUpperUpLeft',
+  'mouthUpperUpRight',
+  'mouthLowerDownLeft',
+  'mouthLowerDownRight',
+  'jawOpen',
+  'eyeBlinkLeft',
+  'eyeBlinkRight',
+  'cheekPuff',
+  'mouthPucker',
+  'mouthSmileLeft',
+  'mouthSmileRight',
+  'browInnerUp',
+  'tongueOut',
+] as const;
+
+const LANDMARK_SCALE = 100_000;
+const BLEND_SCALE = 1000;
+const MATRIX_SCALE = 100_000;
+
+export type RecordedFrame = {
+  t: number; // ms since the recording started
+  l: number[] | null; // x, y, z per RECORDED_LANDMARKS entry (scaled); null when no face was found
+  b?: number[]; // RECORDED_BLENDSHAPES scores (scaled)
+  m?: number[]; // facial transformation matrix (scaled), when head pose was on
+};
+
+export type LandmarkRecording = {
+  version: 1;
+  aspect: number; // videoHeight / videoWidth of the source camera
+  frames: RecordedFrame[];
+};
+
+const q = (v: number, scale: number) => Math.round(v * scale);
+
+export function encodeFrame(
+  results: LandmarkerResults | null | undefined,
+  t: number,
+): RecordedFrame {
+  const frame: RecordedFrame = { t: Math.round(t * 10) / 10, l: null };
+
+  const face = results?.faceLandmarks?.[0];
+  if (face) {
+    const l: number[] = [];
+    for (const idx of RECORDED_LANDMARKS) {
+      const p = face[idx];
+      l.push(
+        q(p?.x ?? 0, LANDMARK_SCALE),
+        q(p?.y ?? 0, LANDMARK_SCALE),
+        q(p?.z ?? 0, LANDMARK_SCALE),
+      );
+    }
+    frame.l = l;
+  }
+
+  const categories = results?.faceBlendshapes?.[0]?.categories;
+  if (face && categories?.length) {
+    const scores = new Map(categories.map((c) => [c.categoryName, c.score]));
+    frame.b = RECORDED_BLENDSHAPES.map((name) => q(scores.get(name) ?? 0, BLEND_SCALE));
+  }
+
+  const matrix = results?.facialTransformationMatrixes?.[0]?.data;
+  if (face && matrix && matrix.length >= 16) {
+    frame.m = Array.from(matrix, (v) => q(v, MATRIX_SCALE));
+  }
+
+  return frame;
+}
+
+export function decodeFrame(frame: RecordedFrame): LandmarkerResults {
+  if (!frame.l) return { faceLandmarks: [], faceBlendshapes: [], facialTransformationMatrixes: [] };
+
+  // Sparse array indexed like the full 478-point mesh.
+  const face: Array<{ x: number; y: number; z: number }> = [];
+  RECORDED_LANDMARKS.forEach((idx, i) => {
+    face[idx] = {
+      x: frame.l![i * 3] / LANDMARK_SCALE,
+      y: frame.l![i * 3 + 1] / LANDMARK_SCALE,
+      z: frame.l![i * 3 + 2] / LANDMARK_SCALE,
+    };
+  });
+
+  return {
+    faceLandmarks: [face],
+    faceBlendshapes: frame.b
+      ? [
+          {
+            categories: RECORDED_BLENDSHAPES.map((categoryName, i) => ({
+              categoryName,
+              score: frame.b![i] / BLEND_SCALE,
+            })),
+          },
+        ]
+      : [],
+    facialTransformationMatrixes: frame.m ? [{ data: frame.m.map((v) => v / MATRIX_SCALE) }] : [],
+  };
+}
+
+export function parseLandmarkRecording(json: string): LandmarkRecording {
+  const raw = JSON.parse(json);
+  if (!raw || raw.version !== 1 || !Array.isArray(raw.frames)) {
+    throw new Error('Not a drone-lips landmark recording (expected version 1).');
+  }
+  const aspect = Number.isFinite(raw.aspect) && raw.aspect > 0 ? raw.aspect : 0.75;
+  const frames: RecordedFrame[] = raw.frames.filter(
+    (f: any) => f && Number.isFinite(f.t) && (f.l === null || Array.isArray(f.l)),
+  );
+  return { version: 1, aspect, frames };
+}
+
+export class LandmarkRecorder {
+  private readonly aspect: number;
+  private readonly frames: RecordedFrame[] = [];
+  private startMs: number | null = null;
+
+  constructor(aspect: number) {
+    this.aspect = aspect;
+  }
+
+  get frameCount(): number {
+    return this.frames.length;
+  }
+
+  push(results: LandmarkerResults | null | undefined, timestampMs: number) {
+    this.startMs ??= timestampMs;
+    this.frames.push(encodeFrame(results, timestampMs - this.startMs));
+  }
+
+  finish(): LandmarkRecording {
+    return { version: 1, aspect: this.aspect, frames: [...this.frames] };
+  }
+}
+
+// What ReplayLandmarkSource needs from FaceTracker.
+export type LandmarkSink = {
+  setFrameAspect(aspect: number): void;
+  processFrame(results: LandmarkerResults, timestampMs: number): void;
+};
+
+/**
+ * Feeds a recording back through FaceTracker's calibration, filtering and blink logic, either all at once
+ * (deterministic, for tests) or in real time.
+ */
+export class ReplayLandmarkSource {
+  readonly recording: LandmarkRecording;
+  private timer: ReturnType<typeof setTimeout> | null = null;
+
+  constructor(recording: LandmarkRecording) {
+    this.recording = recording;
+  }
+
+  get durationMs(): number {
+    const frames = this.recording.frames;
+    return frames.length ? frames[frames.length - 1].t : 0;
+  }
+
+  // Replays every frame synchronously. `onFrame` runs after each one (e.g. to read the tracker's controls).
+  playAll(sink: LandmarkSink, onFrame?: (timestampMs: number, index: number) => void, startMs = 0) {
+    sink.setFrameAspect(this.recording.aspect);
+    this.recording.frames.forEach((frame, i) => {
+      sink.processFrame(decodeFrame(frame), startMs + frame.t);
+      onFrame?.(startMs + frame.t, i);
+    });
+  }
+
+  // Replays at recorded speed (scaled by `speed`) using the caller's clock; `onDone` runs after the last frame.
+  play(
+    sink: LandmarkSink,
+    options: { now?: () => number; speed?: number; onDone?: () => void } = {},
+  ) {
+    this.stop();
+    const now = options.now ?? (() => performance.now());
+    const speed = options.speed && options.speed > 0 ? options.speed : 1;
+    const frames = this.recording.frames;
+    const startMs = now();
+    let i = 0;
+
+    sink.setFrameAspect(this.recording.aspect);
+    const step = () => {
+      const elapsed = (now() - startMs) * speed;
+      while (i < frames.length && frames[i].t <= elapsed) {
+        sink.processFrame(decodeFrame(frames[i]), startMs + frames[i].t / speed);
+        i += 1;
+      }
+      if (i >= frames.length) {
+        this.timer = null;
+        options.onDone?.();
+        return;
+      }
+      this.timer = setTimeout(step, Math.max(1, (frames[i].t - elapsed) / speed));
+    };
+    step();
+  }
+
+  stop() {
+    if (this.timer != null) clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+
+import { PlayerVitals } from './PlayerVitals';
+
+const cfg = {
+  maxHull: 100,
+  maxShield: 50,
+  lives: 2,
+  shieldRegenPerSec: 10,
+  shieldRegenDelayMs: 1000,
+  invulnMs: 500,
+  respawnInvulnMs: 2000,
+};
+
+describe('PlayerVitals', () => {
+  it('absorbs damage with the shield before the hull', () => {
+    const v = new PlayerVitals(cfg);
+    expect(v.applyHit(30, 0)).toBe('shield');
+    expect(v.shield).toBe(20);
+    expect(v.hull).toBe(100);
+
+    expect(v.applyHit(40, 1000)).toBe('hull');
+    expect(v.shield).toBe(0);
+    expect(v.hull).toBe(80);
+  });
+
+  it('ignores hits during the invulnerability window', () => {
+    const v = new PlayerVitals(cfg);
+    v.applyHit(10, 0);
+    expect(v.applyHit(10, 499)).toBe('ignored');
+    expect(v.shield).toBe(40);
+    expect(v.applyHit(10, 500)).toBe('shield');
+  });
+
+  it('spends a life and refills when the hull runs out', () => {
+    const v = new PlayerVitals(cfg);
+    expect(v.applyHit(200, 0)).toBe('life');
+    expect(v.lives).toBe(1);
+    expect(v.hull).toBe(100);
+    expect(v.shield).toBe(50);
+    expect(v.isInvulnerable(1999)).toBe(true);
+
+    expect(v.applyHit(200, 2000)).toBe('gameOver');
+    expect(v.lives).toBe(0);
+    expect(v.alive).toBe(false);
+    expect(v.applyHit(10, 9000)).toBe('ignored');
+  });
+
+  it('regenerates the shield only after the delay', () => {
+    const v = new PlayerVitals(cfg);
+    v.applyHit(30, 0);
+    v.update(0.5, 900);
+    expect(v.shield).toBe(20);
+    v.update(0.5, 1000);
+    expect(v.shield).toBe(25);
+    v.update(10, 2000);
+    expect(v.shield).toBe(50);
+  });
+
+  it('continueRun restores lives with a grace window', () => {
+    const v = new PlayerVitals(cfg);
+    v.applyHit(200, 0);
+    v.applyHit(200, 5000);
+    v.continueRun(6000);
+    expect(v.lives).toBe(2);
+    expect(v.isInvulnerable(7999)).toBe(true);
+    expect(v.isInvulnerable(8000)).toBe(false);
+  });
+});
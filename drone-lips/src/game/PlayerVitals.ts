@@ -0,0 +1,120 @@
+import { clamp } from './math';
+
+export type PlayerVitalsConfig = {
+  maxHull: number;
+  maxShield: number;
+  lives: number;
+  shieldRegenPerSec: number;
+  shieldRegenDelayMs: number; // no regen for this long after taking a hit
+  invulnMs: number; // grace window after any hit
+  respawnInvulnMs: number; // grace window after losing a life
+};
+
+// ignored: still invulnerable, shield: fully absorbed, hull: hull damaged,
+// life: hull depleted and a life was spent, gameOver: no lives left.
+export type PlayerHitResult = 'ignored' | 'shield' | 'hull' | 'life' | 'gameOver';
+
+export type PlayerVitalsSnapshot = {
+  hull: number;
+  maxHull: number;
+  shield: number;
+  maxShield: number;
+  lives: number;
+  maxLives: number;
+  invulnerable: boolean;
+};
+
+export const DEFAULT_PLAYER_VITALS: PlayerVitalsConfig = {
+  maxHull: 100,
+  maxShield: 50,
+  lives: 3,
+  shieldRegenPerSec: 12,
+  shieldRegenDelayMs: 2500,
+  invulnMs: 1500,
+  respawnInvulnMs: 2500,
+};
+
+export class PlayerVitals {
+  readonly cfg: PlayerVitalsConfig;
+
+  hull: number;
+  shield: number;
+  lives: number;
+
+  private invulnUntilMs = 0;
+  private regenAfterMs = 0;
+
+  constructor(cfg: Partial<PlayerVitalsConfig> = {}) {
+    this.cfg = { ...DEFAULT_PLAYER_VITALS, ...cfg };
+    this.hull = this.cfg.maxHull;
+    this.shield = this.cfg.maxShield;
+    this.lives = this.cfg.lives;
+  }
+
+  get alive(): boolean {
+    return this.lives > 0;
+  }
+
+  isInvulnerable(nowMs: number): boolean {
+    return nowMs < this.invulnUntilMs;
+  }
+
+  // Full reset for a fresh run.
+  reset(nowMs = 0) {
+    this.hull = this.cfg.maxHull;
+    this.shield = this.cfg.maxShield;
+    this.lives = this.cfg.lives;
+    this.invulnUntilMs = nowMs;
+    this.regenAfterMs = nowMs;
+  }
+
+  // Continue after game over: refill lives but keep the run going.
+  continueRun(nowMs: number) {
+    this.reset(nowMs);
+    this.invulnUntilMs = nowMs + this.cfg.respawnInvulnMs;
+  }
+
+  applyHit(damage: number, nowMs: number): PlayerHitResult {
+    if (!this.alive || this.isInvulnerable(nowMs)) return 'ignored';
+
+    let remaining = Math.max(0, damage);
+    this.invulnUntilMs = nowMs + this.cfg.invulnMs;
+    this.regenAfterMs = nowMs + this.cfg.shieldRegenDelayMs;
+
+    const absorbed = Math.min(this.shield, remaining);
+    this.shield -= absorbed;
+    remaining -= absorbed;
+    if (remaining <= 0) return 'shield';
+
+    this.hull = Math.max(0, this.hull - remaining);
+    if (this.hull > 0) return 'hull';
+
+    this.lives -= 1;
+    if (this.lives <= 0) {
+      this.lives = 0;
+      return 'gameOver';
+    }
+
+    this.hull = this.cfg.maxHull;
+    this.shield = this.cfg.maxShield;
+    this.invulnUntilMs = nowMs + this.cfg.respawnInvulnMs;
+    return 'life';
+  }
+
+  update(dt: number, nowMs: number) {
+    if (!this.alive || nowMs < this.regenAfterMs) return;
+    this.shield = clamp(this.shield + this.cfg.shieldRegenPerSec * dt, 0, this.cfg.maxShield);
+  }
+
+  snapshot(nowMs: number): PlayerVitalsSnapshot {
+    return {
+      hull: this.hull,
+      maxHull: this.cfg.maxHull,
+      shield: this.shield,
+      maxShield: this.cfg.maxShield,
+      lives: this.lives,
+      maxLives: this.cfg.lives,
+      invulnerable: this.isInvulnerable(nowMs),
+    };
+  }
+}
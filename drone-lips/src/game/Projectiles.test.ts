@@ -0,0 +1,42 @@
+import * as THREE from 'three';
+import { describe, expect, it } from 'vitest';
+
+import { EnemyShot } from './Projectiles';
+
+describe('EnemyShot', () => {
+  it('travels along its velocity until its time runs out', () => {
+    const shot = new EnemyShot();
+    shot.fire(
+      new THREE.Vector3(0, 1, 40),
+      new THREE.Vector3(2, 0, -20),
+      1,
+      12,
+      new THREE.Color(0xff0000),
+    );
+    expect(shot.active).toBe(true);
+    expect(shot.damage).toBe(12);
+
+    shot.update(0.5);
+    expect(shot.active).toBe(true);
+    expect(shot.pos.toArray()).toEqual([1, 1, 30]);
+
+    shot.update(0.5);
+    expect(shot.active).toBe(false);
+    // Expires in place rather than taking a last step.
+    expect(shot.pos.z).toBe(30);
+  });
+
+  it('copies what it is fired with and ignores updates while inactive', () => {
+    const pos = new THREE.Vector3(0, 0, 10);
+    const vel = new THREE.Vector3(0, 0, -5);
+    const shot = new EnemyShot();
+    shot.update(1);
+    expect(shot.active).toBe(false);
+
+    shot.fire(pos, vel, 2, 5, new THREE.Color(0x00ff00));
+    pos.set(9, 9, 9);
+    vel.set(0, 0, 0);
+    shot.update(1);
+    expect(shot.pos.z).toBe(5);
+  });
+});
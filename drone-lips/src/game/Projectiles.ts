@@ -2,6 +2,10 @@ import * as THREE from 'three';
 
 import { clamp } from './math';
 
+export const LASER_SPEED = 58;
+export const LASER_TTL = 1.1;
+export const LASER_RADIUS = 0.32;
+
 export class LaserShot {
   active = false;
   ttl = 0;
@@ -26,6 +30,17 @@ export class LaserShot {
   }
 }
 
+export class EnemyShot extends LaserShot {
+  damage = 0;
+  readonly color = new THREE.Color();
+
+  fire(pos: THREE.Vector3, vel: THREE.Vector3, ttl: number, damage: number, color: THREE.Color) {
+    this.spawn(pos, vel, ttl);
+    this.damage = damage;
+    this.color.copy(color);
+  }
+}
+
 export class MissileShot {
   active = false;
   ttl = 0;
@@ -0,0 +1,82 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+  DEFAULT_SIGNAL_FILTER,
+  ExponentialFilter,
+  KalmanFilter,
+  OneEuroFilter,
+  SIGNAL_FILTER_LIMITS,
+  createSignalFilter,
+  sanitizeSignalFilter,
+  type ScalarFilter,
+} from './SignalFilters';
+
+// Feed `signal(tMs)` at the given frame rate and return the last output.
+function run(f: ScalarFilter, fps: number, durationMs: number, signal: (tMs: number) => number) {
+  const stepMs = 1000 / fps;
+  let out = 0;
+  for (let t = 0; t <= durationMs + 1e-6; t += stepMs) out = f.filter(signal(t), t);
+  return out;
+}
+
+const step = (t: number) => (t > 0 ? 1 : 0);
+
+// Deterministic jitter around zero.
+const jitter = (t: number) => Math.sin(t * 1.7) * 0.02 + Math.sin(t * 0.37) * 0.015;
+
+describe('ExponentialFilter', () => {
+  it('gives the same response at any frame rate', () => {
+    const slow = run(new ExponentialFilter(0.1), 30, 200, step);
+    const fast = run(new ExponentialFilter(0.1), 144, 200, step);
+    expect(slow).toBeCloseTo(fast, 1);
+    expect(slow).toBeGreaterThan(0.8);
+    expect(slow).toBeLessThan(1);
+  });
+
+  it('restarts after a long gap instead of smearing across it', () => {
+    const f = new ExponentialFilter(0.1);
+    f.filter(0, 0);
+    expect(f.filter(1, 2000)).toBe(1);
+  });
+});
+
+describe('OneEuroFilter', () => {
+  it('is steadier than raw input while holding still', () => {
+    const f = new OneEuroFilter(0.5, 0.5);
+    let maxOut = 0;
+    for (let t = 0; t < 2000; t += 16) maxOut = Math.max(maxOut, Math.abs(f.filter(jitter(t), t)));
+    expect(maxOut).toBeLessThan(0.02);
+  });
+
+  it('lags less on fast moves as beta rises', () => {
+    const ramp = (t: number) => Math.min(1, t / 150);
+    const stiff = run(new OneEuroFilter(0.5, 0), 60, 160, ramp);
+    const adaptive = run(new OneEuroFilter(0.5, 2), 60, 160, ramp);
+    expect(adaptive).toBeGreaterThan(stiff);
+  });
+});
+
+describe('KalmanFilter', () => {
+  it('follows a steady ramp without falling behind', () => {
+    const ramp = (t: number) => t / 1000;
+    const out = run(new KalmanFilter(40, 0.004), 60, 1000, ramp);
+    expect(out).toBeCloseTo(1, 1);
+  });
+});
+
+describe('createSignalFilter', () => {
+  it('passes values through untouched with kind none', () => {
+    const f = createSignalFilter({ ...DEFAULT_SIGNAL_FILTER, kind: 'none' });
+    expect(f.filter(0.3, 0)).toBe(0.3);
+    expect(f.filter(-0.7, 16)).toBe(-0.7);
+  });
+});
+
+describe('sanitizeSignalFilter', () => {
+  it('clamps parameters and falls back to defaults', () => {
+    const s = sanitizeSignalFilter({ kind: 'median', beta: 99, timeConstantMs: 'slow' });
+    expect(s.kind).toBe(DEFAULT_SIGNAL_FILTER.kind);
+    expect(s.beta).toBe(SIGNAL_FILTER_LIMITS.beta.max);
+    expect(s.timeConstantMs).toBe(DEFAULT_SIGNAL_FILTER.timeConstantMs);
+  });
+});
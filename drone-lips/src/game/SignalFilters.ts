@@ -0,0 +1,219 @@
+import { clamp } from './math';
+
+// Time-based smoothing for the face control signals. Every filter takes the sample time, so the result
+// does not depend on the camera or display frame rate.
+
+export type SignalFilterKind = 'none' | 'exponential' | 'oneEuro' | 'kalman';
+
+export type SignalFilterSettings = {
+  kind: SignalFilterKind;
+  timeConstantMs: number; // exponential: time to cover ~63% of a step
+  minCutoffHz: number; // One Euro: smoothing while holding still (lower = steadier)
+  beta: number; // One Euro: how quickly smoothing relaxes with speed (higher = less lag on fast moves)
+  processNoise: number; // Kalman: how much the signal is expected to accelerate
+  measurementNoise: number; // Kalman: how much the tracker is trusted (higher = steadier)
+};
+
+export const SIGNAL_FILTER_KINDS: ReadonlyArray<{ id: SignalFilterKind; label: string }> = [
+  { id: 'none', label: 'None (raw)' },
+  { id: 'exponential', label: 'Exponential' },
+  { id: 'oneEuro', label: 'One Euro (adaptive)' },
+  { id: 'kalman', label: 'Kalman (constant velocity)' },
+];
+
+type NumericKey = Exclude<keyof SignalFilterSettings, 'kind'>;
+
+export const SIGNAL_FILTER_LIMITS: Record<NumericKey, { min: number; max: number; step: number }> = {
+  timeConstantMs: { min: 10, max: 400, step: 5 },
+  minCutoffHz: { min: 0.05, max: 5, step: 0.05 },
+  beta: { min: 0, max: 3, step: 0.05 },
+  processNoise: { min: 1, max: 400, step: 1 },
+  measurementNoise: { min: 0.0005, max: 0.05, step: 0.0005 },
+};
+
+// Exponential at 85 ms matches the old fixed 0.18 per-frame lerp at 60 fps.
+export const DEFAULT_SIGNAL_FILTER: SignalFilterSettings = {
+  kind: 'exponential',
+  timeConstantMs: 85,
+  minCutoffHz: 0.8,
+  beta: 0.6,
+  processNoise: 40,
+  measurementNoise: 0.004,
+};
+
+const KINDS = SIGNAL_FILTER_KINDS.map((k) => k.id);
+
+export function sanitizeSignalFilter(raw: any): SignalFilterSettings {
+  const out: SignalFilterSettings = { ...DEFAULT_SIGNAL_FILTER };
+  if (!raw || typeof raw !== 'object') return out;
+  if (KINDS.includes(raw.kind)) out.kind = raw.kind;
+  for (const key of Object.keys(SIGNAL_FILTER_LIMITS) as NumericKey[]) {
+    const v = raw[key];
+    if (typeof v === 'number' && Number.isFinite(v)) {
+      out[key] = clamp(v, SIGNAL_FILTER_LIMITS[key].min, SIGNAL_FILTER_LIMITS[key].max);
+    }
+  }
+  return out;
+}
+
+export interface ScalarFilter {
+  filter(value: number, timeMs: number): number;
+  reset(): void;
+}
+
+// A gap this long (tracking dropped, tab hidden) restarts the filter instead of smearing across it.
+const MAX_GAP_S = 0.5;
+
+// Seconds since the previous sample: 0 to (re)start the filter, negative to ignore a duplicate timestamp.
+function elapsedSeconds(lastMs: number | null, timeMs: number): number {
+  if (lastMs == null) return 0;
+  const dt = (timeMs - lastMs) / 1000;
+  if (dt <= 0) return -1;
+  return dt > MAX_GAP_S ? 0 : dt;
+}
+
+export class PassThroughFilter implements ScalarFilter {
+  filter(value: number): number {
+    return value;
+  }
+
+  reset() {}
+}
+
+export class ExponentialFilter implements ScalarFilter {
+  private readonly timeConstantS: number;
+  private lastMs: number | null = null;
+  private y = 0;
+
+  constructor(timeConstantS: number) {
+    this.timeConstantS = Math.max(1e-4, timeConstantS);
+  }
+
+  filter(value: number, timeMs: number): number {
+    const dt = elapsedSeconds(this.lastMs, timeMs);
+    if (dt < 0) return this.y;
+    this.lastMs = timeMs;
+    if (dt === 0) {
+      this.y = value;
+      return value;
+    }
+    this.y += (value - this.y) * (1 - Math.exp(-dt / this.timeConstantS));
+    return this.y;
+  }
+
+  reset() {
+    this.lastMs = null;
+  }
+}
+
+function smoothingFactor(cutoffHz: number, dt: number) {
+  const r = 2 * Math.PI * cutoffHz * dt;
+  return r / (r + 1);
+}
+
+/** One Euro filter (Casiez et al.): a low-pass whose cutoff rises with the signal's speed. */
+export class OneEuroFilter implements ScalarFilter {
+  private readonly minCutoffHz: number;
+  private readonly beta: number;
+  private readonly derivativeCutoffHz: number;
+  private lastMs: number | null = null;
+  private x = 0;
+  private dx = 0;
+
+  constructor(minCutoffHz: number, beta: number, derivativeCutoffHz = 1) {
+    this.minCutoffHz = minCutoffHz;
+    this.beta = beta;
+    this.derivativeCutoffHz = derivativeCutoffHz;
+  }
+
+  filter(value: number, timeMs: number): number {
+    const dt = elapsedSeconds(this.lastMs, timeMs);
+    if (dt < 0) return this.x;
+    this.lastMs = timeMs;
+    if (dt === 0) {
+      this.x = value;
+      this.dx = 0;
+      return value;
+    }
+
+    const rawDx = (value - this.x) / dt;
+    this.dx += (rawDx - this.dx) * smoothingFactor(this.derivativeCutoffHz, dt);
+    const cutoff = this.minCutoffHz + this.beta * Math.abs(this.dx);
+    this.x += (value - this.x) * smoothingFactor(cutoff, dt);
+    return this.x;
+  }
+
+  reset() {
+    this.lastMs = null;
+  }
+}
+
+/** Constant-velocity Kalman filter over [position, velocity] with white-noise acceleration. */
+export class KalmanFilter implements ScalarFilter {
+  private readonly processNoise: number;
+  private readonly measurementNoise: number;
+  private lastMs: number | null = null;
+  private p = 0;
+  private v = 0;
+  // Covariance [[pp, pv], [pv, vv]].
+  private pp = 1;
+  private pv = 0;
+  private vv = 1;
+
+  constructor(processNoise: number, measurementNoise: number) {
+    this.processNoise = processNoise;
+    this.measurementNoise = measurementNoise;
+  }
+
+  filter(value: number, timeMs: number): number {
+    const dt = elapsedSeconds(this.lastMs, timeMs);
+    if (dt < 0) return this.p;
+    this.lastMs = timeMs;
+    if (dt === 0) {
+      this.p = value;
+      this.v = 0;
+      this.pp = this.measurementNoise;
+      this.pv = 0;
+      this.vv = 1;
+      return value;
+    }
+
+    // Predict.
+    this.p += this.v * dt;
+    const q = this.processNoise;
+    const dt2 = dt * dt;
+    const pp = this.pp + 2 * dt * this.pv + dt2 * this.vv + (q * dt2 * dt2) / 4;
+    const pv = this.pv + dt * this.vv + (q * dt2 * dt) / 2;
+    const vv = this.vv + q * dt2;
+
+    // Update with the measured position.
+    const s = pp + this.measurementNoise;
+    const kp = pp / s;
+    const kv = pv / s;
+    const innovation = value - this.p;
+    this.p += kp * innovation;
+    this.v += kv * innovation;
+    this.pp = (1 - kp) * pp;
+    this.pv = (1 - kp) * pv;
+    this.vv = vv - kv * pv;
+    return this.p;
+  }
+
+  reset() {
+    this.lastMs = null;
+  }
+}
+
+export function createSignalFilter(settings: SignalFilterSettings): ScalarFilter {
+  switch (settings.kind) {
+    case 'none':
+      return new PassThroughFilter();
+    case 'oneEuro':
+      return new OneEuroFilter(settings.minCutoffHz, settings.beta);
+    case 'kalman':
+      return new KalmanFilter(settings.processNoise, settings.measurementNoise);
+    case 'exponential':
+    default:
+      return new ExponentialFilter(settings.timeConstantMs / 1000);
+  }
+}
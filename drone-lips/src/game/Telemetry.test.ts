@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest';
+
+import { createDefaultInputState } from './input/InputState';
+import { TelemetryRecorder, type FaceTelemetrySample } from './Telemetry';
+
+function face(captureMs: number, doneMs = captureMs + 20): FaceTelemetrySample {
+  return {
+    captureMs,
+    doneMs,
+    rawX: 0.01,
+    rawY: 0,
+    strafeX: 0.1,
+    strafeY: 0,
+    mouthOpen: 0,
+    ear: 0.3,
+    blink: false,
+    blinkHold: false,
+  };
+}
+
+const mouth = { ...createDefaultInputState(), mode: 'mouth' as const };
+
+describe('TelemetryRecorder', () => {
+  it('measures latency on the first render frame after each face result', () => {
+    const t = new TelemetryRecorder();
+    t.pushFace(face(1000));
+    t.pushFrame(1040, mouth);
+    t.pushFrame(1056, mouth);
+    expect(t.frames.map((f) => f.latencyMs)).toEqual([40, null]);
+
+    // The face isn't steering in keyboard mode, so there's nothing to measure.
+    t.pushFace(face(1060));
+    t.pushFrame(1090, createDefaultInputState());
+    expect(t.frames[2].latencyMs).toBeNull();
+  });
+
+  it('reports detection and render rates over the last second', () => {
+    const t = new TelemetryRecorder();
+    for (let ms = 0; ms <= 2000; ms += 10) {
+      if (ms % 40 === 0) t.pushFace(face(ms - 20, ms));
+      t.pushFrame(ms, mouth);
+    }
+    const stats = t.stats(2000);
+    expect(stats.renderFps).toBe(100);
+    expect(stats.detectionFps).toBe(25);
+    expect(stats.latencyMs).toMatchObject({ last: 20, avg: 20, p95: 20 });
+  });
+
+  it('keeps only the window and captures copies', () => {
+    const t = new TelemetryRecorder(1000);
+    t.pushFace(face(0));
+    t.pushFrame(100, mouth);
+    t.pushFrame(1500, mouth);
+    expect(t.face).toHaveLength(0);
+    expect(t.frames).toHaveLength(1);
+
+    const capture = t.capture(1500, 5000);
+    expect(capture.durationMs).toBe(1000);
+    expect(JSON.parse(JSON.stringify(capture))).toEqual(capture);
+    capture.frames[0].moveX = 5;
+    expect(t.frames[0].moveX).toBe(0);
+  });
+});
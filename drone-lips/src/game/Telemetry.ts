@@ -0,0 +1,146 @@
+import type { ControlMode, InputState } from './input/InputState';
+
+// Debug recording of the face signal chain and the render loop, for the telemetry overlay. FaceTracker
+// pushes one sample per tracked frame and InputRouter one per rendered frame, both on the performance.now()
+// clock. Only the last `windowMs` are kept.
+
+export type FaceTelemetrySample = {
+  captureMs: number; // when the camera frame was grabbed
+  doneMs: number; // when its landmarks had been turned into controls
+  rawX: number; // mouth offset from the neutral pose in mouth widths, before deadzone, gain and smoothing
+  rawY: number; // +up
+  strafeX: number; // filtered, as sent to the router
+  strafeY: number;
+  mouthOpen: number;
+  ear: number; // eye aspect ratio (0 when eyes are not found)
+  blink: boolean; // short blink (gun burst) ended this frame
+  blinkHold: boolean; // long blink (continuous fire) held
+};
+
+export type FrameTelemetrySample = {
+  t: number;
+  mode: ControlMode;
+  moveX: number;
+  moveY: number;
+  // Camera frame to the first render frame that steers with its controls. Null on frames without a new
+  // face result, and when the face isn't steering.
+  latencyMs: number | null;
+};
+
+export type TelemetryStats = {
+  detectionFps: number;
+  renderFps: number;
+  latencyMs: { last: number; avg: number; p95: number } | null;
+};
+
+export type TelemetryCapture = {
+  version: 1;
+  durationMs: number;
+  stats: TelemetryStats;
+  face: FaceTelemetrySample[];
+  frames: FrameTelemetrySample[];
+};
+
+export const DEFAULT_TELEMETRY_WINDOW_MS = 10_000;
+
+// Rates and latency are averaged over this much of the recent history.
+const STATS_WINDOW_MS = 1000;
+
+export class TelemetryRecorder {
+  private readonly faceSamples: FaceTelemetrySample[] = [];
+  private readonly frameSamples: FrameTelemetrySample[] = [];
+  // Capture time of the newest face result not yet seen by a render frame.
+  private pendingCaptureMs: number | null = null;
+
+  constructor(readonly windowMs = DEFAULT_TELEMETRY_WINDOW_MS) {}
+
+  get face(): ReadonlyArray<FaceTelemetrySample> {
+    return this.faceSamples;
+  }
+
+  get frames(): ReadonlyArray<FrameTelemetrySample> {
+    return this.frameSamples;
+  }
+
+  clear() {
+    this.faceSamples.length = 0;
+    this.frameSamples.length = 0;
+    this.pendingCaptureMs = null;
+  }
+
+  pushFace(sample: FaceTelemetrySample) {
+    this.faceSamples.push({ ...sample });
+    this.pendingCaptureMs = sample.captureMs;
+    this.trim(sample.doneMs);
+  }
+
+  pushFrame(nowMs: number, input: InputState) {
+    const captureMs = this.pendingCaptureMs;
+    this.pendingCaptureMs = null;
+    this.frameSamples.push({
+      t: nowMs,
+      mode: input.mode,
+      moveX: input.moveX,
+      moveY: input.moveY,
+      latencyMs:
+        captureMs != null && input.mode === 'mouth' ? Math.max(0, nowMs - captureMs) : null,
+    });
+    this.trim(nowMs);
+  }
+
+  stats(nowMs: number): TelemetryStats {
+    const from = nowMs - STATS_WINDOW_MS;
+    let detections = 0;
+    for (let i = this.faceSamples.length - 1; i >= 0 && this.faceSamples[i].doneMs > from; i--) {
+      detections++;
+    }
+    let frames = 0;
+    const latencies: number[] = [];
+    for (let i = this.frameSamples.length - 1; i >= 0 && this.frameSamples[i].t > from; i--) {
+      frames++;
+      const l = this.frameSamples[i].latencyMs;
+      if (l != null) latencies.push(l);
+    }
+    const seconds = STATS_WINDOW_MS / 1000;
+    return {
+      detectionFps: detections / seconds,
+      renderFps: frames / seconds,
+      latencyMs: summarize(latencies),
+    };
+  }
+
+  /** The last `durationMs` (at most the whole window) as plain JSON-able data. */
+  capture(nowMs: number, durationMs = this.windowMs): TelemetryCapture {
+    const from = nowMs - Math.min(durationMs, this.windowMs);
+    return {
+      version: 1,
+      durationMs: nowMs - from,
+      stats: this.stats(nowMs),
+      face: this.faceSamples.filter((s) => s.doneMs >= from).map((s) => ({ ...s })),
+      frames: this.frameSamples.filter((s) => s.t >= from).map((s) => ({ ...s })),
+    };
+  }
+
+  private trim(nowMs: number) {
+    const from = nowMs - this.windowMs;
+    dropBefore(this.faceSamples, (s) => s.doneMs >= from);
+    dropBefore(this.frameSamples, (s) => s.t >= from);
+  }
+}
+
+// Samples arrive in time order, so old ones are all at the front.
+function dropBefore<T>(items: T[], keep: (item: T) => boolean) {
+  let n = 0;
+  while (n < items.length && !keep(items[n])) n++;
+  if (n > 0) items.splice(0, n);
+}
+
+// `values` newest first, as collected by stats().
+function summarize(values: number[]): TelemetryStats['latencyMs'] {
+  if (values.length === 0) return null;
+  const last = values[0];
+  const sorted = [...values].sort((a, b) => a - b);
+  const avg = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+  const p95 = sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))];
+  return { last, avg, p95 };
+}
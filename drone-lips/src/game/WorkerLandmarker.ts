@@ -0,0 +1,135 @@
+import type { FaceLandmarkerSetup } from './faceLandmarkerSetup';
+
+// The subset of FaceLandmarkerResult the tracker reads, copied out of the worker for the first face only.
+export type LandmarkerResults = {
+  faceLandmarks: Array<Array<{ x: number; y: number; z: number }>>;
+  faceBlendshapes: Array<{ categories: Array<{ categoryName: string; score: number }> }>;
+  facialTransformationMatrixes: Array<{ data: number[] }>;
+};
+
+export type LandmarkerWorkerRequest =
+  | { type: 'init'; setup: Omit<FaceLandmarkerSetup, 'canvas'> }
+  // toneCurve: low-light correction to apply before detection (see FramePreprocessor), or null.
+  | { type: 'frame'; bitmap: ImageBitmap; timestampMs: number; toneCurve: Uint8ClampedArray | null };
+
+export type LandmarkerWorkerResponse =
+  | { type: 'ready'; delegate: 'GPU' | 'CPU' }
+  | { type: 'result'; results: LandmarkerResults; timestampMs: number }
+  | { type: 'error'; message: string };
+
+const INIT_TIMEOUT_MS = 20_000;
+
+export type WorkerLandmarkerOptions = {
+  setup: Omit<FaceLandmarkerSetup, 'canvas'>;
+  onResult: (results: LandmarkerResults, timestampMs: number) => void;
+  // Called once when detection fails after start; the worker is closed by then.
+  onFail: (msg: string) => void;
+};
+
+/**
+ * Runs FaceLandmarker in a dedicated worker. Frames go over as transferred ImageBitmaps, one at a time:
+ * while a frame is in flight new ones are skipped, so detection runs at whatever rate the worker manages
+ * without queueing up behind the renderer.
+ */
+export class WorkerLandmarker {
+  private readonly worker: Worker;
+  private readonly onResult: WorkerLandmarkerOptions['onResult'];
+  private readonly onFail: WorkerLandmarkerOptions['onFail'];
+  private inFlight = false;
+  private closed = false;
+
+  readonly delegate: 'GPU' | 'CPU';
+
+  private constructor(worker: Worker, delegate: 'GPU' | 'CPU', options: WorkerLandmarkerOptions) {
+    this.worker = worker;
+    this.delegate = delegate;
+    this.onResult = options.onResult;
+    this.onFail = options.onFail;
+    worker.onmessage = this.onMessage;
+    worker.onerror = (e) => this.fail(e.message || 'Landmarker worker crashed.');
+  }
+
+  static supported(): boolean {
+    return typeof Worker !== 'undefined' && typeof createImageBitmap === 'function';
+  }
+
+  // Resolves once the model is loaded in the worker; rejects (and terminates it) if that fails. The worker
+  // is classic, so under the Vite dev server (which serves it unbundled) it fails to load and callers fall
+  // back to the main thread; production builds bundle it.
+  static create(options: WorkerLandmarkerOptions): Promise<WorkerLandmarker> {
+    const worker = new Worker(new URL('./faceLandmarker.worker.ts', import.meta.url));
+
+    return new Promise((resolve, reject) => {
+      const fail = (msg: string) => {
+        window.clearTimeout(timer);
+        worker.terminate();
+        reject(new Error(msg));
+      };
+      const timer = window.setTimeout(() => fail('Landmarker worker timed out while loading.'), INIT_TIMEOUT_MS);
+
+      worker.onerror = (e) => fail(e.message || 'Landmarker worker failed to start.');
+      worker.onmessage = (e: MessageEvent<LandmarkerWorkerResponse>) => {
+        const msg = e.data;
+        if (msg.type === 'error') fail(msg.message);
+        if (msg.type !== 'ready') return;
+        window.clearTimeout(timer);
+        worker.onerror = null;
+        resolve(new WorkerLandmarker(worker, msg.delegate, options));
+      };
+
+      const init: LandmarkerWorkerRequest = { type: 'init', setup: options.setup };
+      worker.postMessage(init);
+    });
+  }
+
+  get busy(): boolean {
+    return this.inFlight;
+  }
+
+  async sendFrame(
+    source: HTMLVideoElement,
+    timestampMs: number,
+    toneCurve: Uint8ClampedArray | null = null,
+  ): Promise<void> {
+    if (this.inFlight || this.closed) return;
+    this.inFlight = true;
+    let bitmap: ImageBitmap;
+    try {
+      bitmap = await createImageBitmap(source);
+    } catch (err) {
+      this.fail(err instanceof Error ? err.message : String(err));
+      return;
+    }
+    if (this.closed) {
+      bitmap.close();
+      return;
+    }
+    const req: LandmarkerWorkerRequest = { type: 'frame', bitmap, timestampMs, toneCurve };
+    this.worker.postMessage(req, [bitmap]);
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    // Terminating releases the landmarker and its GPU context along with the worker.
+    this.worker.terminate();
+  }
+
+  private onMessage = (e: MessageEvent<LandmarkerWorkerResponse>) => {
+    if (this.closed) return;
+    const msg = e.data;
+    if (msg.type === 'result') {
+      this.inFlight = false;
+      this.onResult(msg.results, msg.timestampMs);
+    } else if (msg.type === 'error') {
+      this.fail(msg.message);
+    }
+  };
+
+  // A frame that fails tends to fail again on every later frame; stop and let the caller take over.
+  private fail(msg: string) {
+    if (this.closed) return;
+    this.close();
+    this.onFail(msg);
+  }
+}
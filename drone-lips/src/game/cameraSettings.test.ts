@@ -0,0 +1,36 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+  buildVideoConstraints,
+  DEFAULT_CAMERA_SETTINGS,
+  sanitizeCameraSettings,
+} from './cameraSettings';
+
+describe('sanitizeCameraSettings', () => {
+  it('keeps known formats and drops anything else', () => {
+    expect(
+      sanitizeCameraSettings({ deviceId: 'usb', width: 1280, height: 720, frameRate: 60 }),
+    ).toEqual({
+      deviceId: 'usb',
+      width: 1280,
+      height: 720,
+      frameRate: 60,
+    });
+    expect(
+      sanitizeCameraSettings({ deviceId: '', width: 1280, height: 480, frameRate: 29 }),
+    ).toEqual(DEFAULT_CAMERA_SETTINGS);
+    expect(sanitizeCameraSettings('nope')).toEqual(DEFAULT_CAMERA_SETTINGS);
+  });
+});
+
+describe('buildVideoConstraints', () => {
+  it('pins a chosen device, or asks for the front camera', () => {
+    const chosen = { ...DEFAULT_CAMERA_SETTINGS, deviceId: 'usb' };
+    expect(buildVideoConstraints(chosen)).toMatchObject({
+      deviceId: { exact: 'usb' },
+      frameRate: { ideal: 30 },
+    });
+    expect(buildVideoConstraints(chosen, false)).toMatchObject({ facingMode: { ideal: 'user' } });
+    expect(buildVideoConstraints(chosen, false)).not.toHaveProperty('deviceId');
+  });
+});
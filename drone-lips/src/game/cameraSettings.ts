@@ -0,0 +1,66 @@
+// Webcam choice and capture format. Higher resolutions help with a distant camera; higher frame rates cut
+// input latency but cost more inference time per second.
+
+export type CameraSettings = {
+  deviceId: string | null; // null => the browser's default front camera
+  width: number;
+  height: number;
+  frameRate: number;
+};
+
+export const CAMERA_RESOLUTIONS = [
+  { width: 640, height: 480, label: '640 × 480' },
+  { width: 1280, height: 720, label: '1280 × 720 (HD)' },
+  { width: 1920, height: 1080, label: '1920 × 1080 (Full HD)' },
+] as const;
+
+export const CAMERA_FRAME_RATES = [15, 24, 30, 60] as const;
+
+export const DEFAULT_CAMERA_SETTINGS: CameraSettings = {
+  deviceId: null,
+  width: 640,
+  height: 480,
+  frameRate: 30,
+};
+
+export type CameraDevice = { deviceId: string; label: string };
+
+export function sanitizeCameraSettings(raw: unknown): CameraSettings {
+  const src = raw && typeof raw === 'object' ? (raw as Partial<CameraSettings>) : {};
+  const res = CAMERA_RESOLUTIONS.find((r) => r.width === src.width && r.height === src.height);
+  const frameRate = CAMERA_FRAME_RATES.find((f) => f === src.frameRate);
+  return {
+    deviceId: typeof src.deviceId === 'string' && src.deviceId ? src.deviceId : null,
+    width: res?.width ?? DEFAULT_CAMERA_SETTINGS.width,
+    height: res?.height ?? DEFAULT_CAMERA_SETTINGS.height,
+    frameRate: frameRate ?? DEFAULT_CAMERA_SETTINGS.frameRate,
+  };
+}
+
+// Everything is `ideal` except a chosen device, so an unsupported format degrades instead of failing.
+export function buildVideoConstraints(
+  settings: CameraSettings,
+  useDevice = true,
+): MediaTrackConstraints {
+  return {
+    ...(useDevice && settings.deviceId
+      ? { deviceId: { exact: settings.deviceId } }
+      : { facingMode: { ideal: 'user' } }),
+    width: { ideal: settings.width },
+    height: { ideal: settings.height },
+    frameRate: { ideal: settings.frameRate },
+  };
+}
+
+// Labels are empty until the page has had camera permission once; number those instead.
+export async function listCameras(): Promise<CameraDevice[]> {
+  if (typeof navigator === 'undefined' || !navigator.mediaDevices?.enumerateDevices) return [];
+  try {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+      .filter((d) => d.kind === 'videoinput' && d.deviceId)
+      .map((d, i) => ({ deviceId: d.deviceId, label: d.label || `Camera ${i + 1}` }));
+  } catch {
+    return [];
+  }
+}
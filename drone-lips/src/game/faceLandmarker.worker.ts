@@ -0,0 +1,70 @@
+// FaceLandmarker inference off the main thread. See WorkerLandmarker for the main-thread side.
+// This runs as a classic worker: MediaPipe loads its wasm glue with importScripts(), which module workers lack.
+
+import { createFaceLandmarker, loadVisionTasks } from './faceLandmarkerSetup';
+import { drawCorrected } from './FramePreprocessor';
+import type { LandmarkerResults, LandmarkerWorkerRequest, LandmarkerWorkerResponse } from './WorkerLandmarker';
+
+type WorkerScope = {
+  postMessage(msg: LandmarkerWorkerResponse): void;
+  onmessage: ((e: MessageEvent<LandmarkerWorkerRequest>) => void) | null;
+};
+
+const scope = self as unknown as WorkerScope;
+
+let landmarker: any = null;
+let corrected: OffscreenCanvasRenderingContext2D | null = null;
+
+function post(msg: LandmarkerWorkerResponse) {
+  scope.postMessage(msg);
+}
+
+function copyResults(raw: any): LandmarkerResults {
+  const face = raw?.faceLandmarks?.[0];
+  const blend = raw?.faceBlendshapes?.[0]?.categories;
+  const matrix = raw?.facialTransformationMatrixes?.[0]?.data;
+  return {
+    faceLandmarks: face ? [face.map((p: any) => ({ x: p.x, y: p.y, z: p.z }))] : [],
+    faceBlendshapes: blend
+      ? [{ categories: blend.map((c: any) => ({ categoryName: c.categoryName, score: c.score })) }]
+      : [],
+    facialTransformationMatrixes: matrix ? [{ data: Array.from(matrix as ArrayLike<number>) }] : [],
+  };
+}
+
+scope.onmessage = async (e) => {
+  const msg = e.data;
+
+  if (msg.type === 'init') {
+    try {
+      const mp = await loadVisionTasks();
+      const res = await createFaceLandmarker(mp, { ...msg.setup, canvas: new OffscreenCanvas(1, 1) });
+      landmarker = res.landmarker;
+      post({ type: 'ready', delegate: res.delegate });
+    } catch (err) {
+      post({ type: 'error', message: err instanceof Error ? err.message : String(err) });
+    }
+    return;
+  }
+
+  if (msg.type === 'frame') {
+    const { bitmap, timestampMs, toneCurve } = msg;
+    try {
+      if (!landmarker) throw new Error('Landmarker not ready');
+      let frame: ImageBitmap | OffscreenCanvas = bitmap;
+      if (toneCurve) {
+        corrected ??= new OffscreenCanvas(1, 1).getContext('2d', { willReadFrequently: true });
+        if (corrected) {
+          drawCorrected(corrected, bitmap, bitmap.width, bitmap.height, toneCurve);
+          frame = corrected.canvas;
+        }
+      }
+      const results = copyResults(landmarker.detectForVideo(frame, timestampMs));
+      post({ type: 'result', results, timestampMs });
+    } catch (err) {
+      post({ type: 'error', message: err instanceof Error ? err.message : String(err) });
+    } finally {
+      bitmap.close();
+    }
+  }
+};
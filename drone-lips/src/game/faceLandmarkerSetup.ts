@@ -0,0 +1,103 @@
+// MediaPipe FaceLandmarker loading, shared by the main-thread tracker and the landmarker worker.
+
+// Fallback when the copy vendored by scripts/fetch-face-landmarker-model.mjs is missing.
+const FACE_LANDMARKER_MODEL_URL =
+  'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task';
+const CDN_WASM_BASE = 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision/wasm';
+
+export type FaceLandmarkerSetup = {
+  wasmBase: string; // self-hosted wasm (copied by postinstall); the CDN is the fallback
+  modelPath: string; // self-hosted .task model (downloaded by postinstall); Google storage is the fallback
+  headPose: boolean; // also output facial transformation matrices
+  canvas?: OffscreenCanvas; // GPU delegate target when there is no DOM (worker)
+};
+
+export async function loadVisionTasks(): Promise<any> {
+  try {
+    return await import('@mediapipe/tasks-vision');
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    throw new Error(
+      msg.includes('Importing a module script failed')
+        ? 'Face tracking failed to load (module import). On iPhone, make sure you are using HTTPS with a trusted certificate (mkcert) and reload.'
+        : `Face tracking failed to load MediaPipe: ${msg}`,
+    );
+  }
+}
+
+// .task models are zip bundles.
+const ZIP_SIGNATURE = [0x50, 0x4b, 0x03, 0x04];
+
+async function fetchModel(url: string): Promise<Uint8Array> {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+  // SPA hosts (public/_redirects) answer a missing file with index.html and status 200.
+  if ((res.headers.get('content-type') ?? '').includes('text/html')) throw new Error(`Got HTML for ${url}`);
+  const bytes = new Uint8Array(await res.arrayBuffer());
+  if (!ZIP_SIGNATURE.every((b, i) => bytes[i] === b)) throw new Error(`${url} is not a face landmarker model`);
+  return bytes;
+}
+
+// Fetched once up front so the GPU and CPU attempts share one download.
+async function loadModelAsset(modelPath: string): Promise<Uint8Array> {
+  try {
+    return await fetchModel(modelPath);
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    console.warn('[FaceTracker] Local model load failed, retrying with Google storage', msg);
+    try {
+      return await fetchModel(FACE_LANDMARKER_MODEL_URL);
+    } catch {
+      throw new Error(
+        `Face tracking failed to load the face model. Check that ${modelPath} exists (npm install downloads it).`,
+      );
+    }
+  }
+}
+
+export async function createFaceLandmarker(mp: any, setup: FaceLandmarkerSetup): Promise<{
+  landmarker: any;
+  delegate: 'GPU' | 'CPU';
+}> {
+  const { FaceLandmarker, FilesetResolver } = mp;
+
+  let resolver: any;
+  try {
+    resolver = await FilesetResolver.forVisionTasks(setup.wasmBase);
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    console.warn('[FaceTracker] Local wasm load failed, retrying with CDN', msg);
+    try {
+      resolver = await FilesetResolver.forVisionTasks(CDN_WASM_BASE);
+    } catch {
+      throw new Error(
+        msg.includes('Importing a module script failed')
+          ? `Face tracking failed to load MediaPipe wasm. Check that ${setup.wasmBase} contains the files from postinstall and that your HTTPS cert is trusted on iPhone.`
+          : `Face tracking failed to load MediaPipe wasm: ${msg}`,
+      );
+    }
+  }
+
+  const model = await loadModelAsset(setup.modelPath);
+
+  const create = (delegate: 'GPU' | 'CPU') =>
+    FaceLandmarker.createFromOptions(resolver, {
+      baseOptions: {
+        modelAssetBuffer: model,
+        delegate,
+      },
+      ...(setup.canvas ? { canvas: setup.canvas } : {}),
+      runningMode: 'VIDEO',
+      numFaces: 1,
+      // Always on so the control mode can be switched without restarting the camera.
+      outputFaceBlendshapes: true,
+      outputFacialTransformationMatrixes: setup.headPose,
+    });
+
+  try {
+    return { landmarker: await create('GPU'), delegate: 'GPU' };
+  } catch (gpuErr) {
+    console.warn('[FaceTracker] GPU delegate failed, falling back to CPU', gpuErr);
+    return { landmarker: await create('CPU'), delegate: 'CPU' };
+  }
+}
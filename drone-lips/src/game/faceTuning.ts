@@ -0,0 +1,45 @@
+import { isResponseCurve, type ResponseCurve } from './responseCurves';
+
+// Per-player face control settings shared by FaceTracker, calibration and saved profiles. Kept apart from
+// FaceTracker so profiles and the calibration wizard don't pull in the tracker and MediaPipe setup.
+
+// Neutral mouth pose captured by calibration (normalized video coords, w = mouth width).
+// With headPose on, x/y/w are head-relative and the neutral head angles (radians) are kept too.
+export type FaceNeutral = { x: number; y: number; w: number; yaw?: number; pitch?: number };
+
+// The options a player tunes per profile.
+export const FACE_TUNING_KEYS = [
+  'deadzone',
+  'gainX',
+  'gainY',
+  'mouthBoostOn',
+  'mouthBoostOff',
+  'mouthOpenFull',
+  'eyeClosedEar',
+] as const;
+export type FaceTuning = Partial<Record<(typeof FACE_TUNING_KEYS)[number], number>>;
+
+export const DEFAULT_FACE_TUNING: Required<FaceTuning> = {
+  deadzone: 0.015,
+  gainX: 12,
+  gainY: 12,
+  mouthBoostOn: 0.22,
+  mouthBoostOff: 0.18,
+  mouthOpenFull: 0.45,
+  eyeClosedEar: 0.18,
+};
+
+// binary: boost is 0 or 1 with on/off hysteresis. analog: boost is a 0..1 throttle that follows how wide the
+// mouth opens (from the release threshold to mouthOpenFull), shaped by a response curve.
+export type BoostMode = 'binary' | 'analog';
+export type BoostSettings = { mode: BoostMode; curve: ResponseCurve };
+
+export const DEFAULT_BOOST_SETTINGS: BoostSettings = { mode: 'binary', curve: 'linear' };
+
+export function sanitizeBoostSettings(raw: any): BoostSettings {
+  if (!raw || typeof raw !== 'object') return { ...DEFAULT_BOOST_SETTINGS };
+  return {
+    mode: raw.mode === 'analog' ? 'analog' : 'binary',
+    curve: isResponseCurve(raw.curve) ? raw.curve : DEFAULT_BOOST_SETTINGS.curve,
+  };
+}
@@ -0,0 +1,64 @@
+import { describe, expect, it } from 'vitest';
+
+import { headRelativeMouth, readHeadPose, type PoseLandmark } from './headPose';
+
+// Column-major 4x4 for a rotation about the vertical axis, with a uniform model scale.
+function yawMatrix(theta: number, scale = 1): number[] {
+  const c = Math.cos(theta) * scale;
+  const s = Math.sin(theta) * scale;
+  // prettier-ignore
+  return [
+    c, 0, -s, 0,
+    0, scale, 0, 0,
+    s, 0, c, 0,
+    0, 0, -40, 1,
+  ];
+}
+
+// Place head-frame points (x right, y up, z towards the viewer) into image space under `rot`.
+function project(points: Record<number, [number, number, number]>, rot: number[]): PoseLandmark[] {
+  const out: PoseLandmark[] = [];
+  for (const [idx, [hx, hy, hz]] of Object.entries(points)) {
+    const cx = rot[0] * hx + rot[1] * hy + rot[2] * hz;
+    const cy = rot[3] * hx + rot[4] * hy + rot[5] * hz;
+    const cz = rot[6] * hx + rot[7] * hy + rot[8] * hz;
+    out[Number(idx)] = { x: 0.5 + cx, y: 0.4 - cy, z: -cz };
+  }
+  return out;
+}
+
+const FACE: Record<number, [number, number, number]> = {
+  168: [0, 0, 0],
+  61: [-0.04, -0.12, -0.01],
+  291: [0.05, -0.11, -0.01],
+};
+
+describe('readHeadPose', () => {
+  it('recovers yaw and drops the model scale', () => {
+    const pose = readHeadPose(yawMatrix(0.3, 12))!;
+    expect(pose.yaw).toBeCloseTo(0.3);
+    expect(pose.pitch).toBeCloseTo(0);
+    expect(Math.hypot(pose.rot[0], pose.rot[3], pose.rot[6])).toBeCloseTo(1);
+  });
+
+  it('rejects missing or degenerate matrices', () => {
+    expect(readHeadPose(null)).toBeNull();
+    expect(readHeadPose([1, 0, 0])).toBeNull();
+    expect(readHeadPose(new Array(16).fill(0))).toBeNull();
+  });
+});
+
+describe('headRelativeMouth', () => {
+  it('reports the same mouth position however the head is turned', () => {
+    const straight = readHeadPose(yawMatrix(0))!;
+    const turned = readHeadPose(yawMatrix(0.4))!;
+
+    const a = headRelativeMouth(project(FACE, straight.rot), straight, 1)!;
+    const b = headRelativeMouth(project(FACE, turned.rot), turned, 1)!;
+
+    expect(b.x).toBeCloseTo(a.x);
+    expect(b.y).toBeCloseTo(a.y);
+    expect(b.w).toBeCloseTo(a.w);
+    expect(a.y).toBeGreaterThan(0); // mouth below the nose bridge
+  });
+});
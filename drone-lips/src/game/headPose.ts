@@ -0,0 +1,81 @@
+// Head pose from MediaPipe's facial transformation matrix, and mouth measurements in a head-relative frame.
+
+export type PoseLandmark = { x: number; y: number; z: number };
+
+export type HeadPose = {
+  yaw: number; // radians, + when the nose turns towards image right
+  pitch: number; // radians, + when the nose tips down
+  // Row-major 3x3 rotation (canonical face -> camera), scale removed.
+  rot: [number, number, number, number, number, number, number, number, number];
+};
+
+export type HeadRelativeMouth = { x: number; y: number; w: number };
+
+// Stable anchor between the eyes; unaffected by mouth movement.
+const NOSE_BRIDGE = 168;
+const MOUTH_LEFT = 61;
+const MOUTH_RIGHT = 291;
+
+/** Parse a column-major 4x4 matrix (as returned in `facialTransformationMatrixes[i].data`). */
+export function readHeadPose(m: ArrayLike<number> | null | undefined): HeadPose | null {
+  if (!m || m.length < 16) return null;
+
+  // Columns of the upper-left 3x3; normalize to drop any model scale.
+  const cols = [
+    [m[0], m[1], m[2]],
+    [m[4], m[5], m[6]],
+    [m[8], m[9], m[10]],
+  ];
+  for (const c of cols) {
+    const len = Math.hypot(c[0], c[1], c[2]);
+    if (!Number.isFinite(len) || len < 1e-9) return null;
+    c[0] /= len;
+    c[1] /= len;
+    c[2] /= len;
+  }
+
+  // prettier-ignore
+  const rot: HeadPose['rot'] = [
+    cols[0][0], cols[1][0], cols[2][0],
+    cols[0][1], cols[1][1], cols[2][1],
+    cols[0][2], cols[1][2], cols[2][2],
+  ];
+
+  // YXZ decomposition: yaw about the vertical axis, then pitch.
+  const yaw = Math.atan2(rot[2], rot[8]);
+  const pitch = Math.asin(Math.max(-1, Math.min(1, -rot[5])));
+  return { yaw, pitch, rot };
+}
+
+// Image-space offset (x right, y down, z away from camera) rotated into the head frame, returned as (x right, y down).
+function toHead(p: PoseLandmark, anchor: PoseLandmark, aspect: number, rot: HeadPose['rot']) {
+  // Image -> camera axes (y up, z towards the viewer).
+  const cx = p.x - anchor.x;
+  const cy = -(p.y - anchor.y) * aspect;
+  const cz = -(p.z - anchor.z);
+  // Inverse rotation (transpose).
+  const hx = rot[0] * cx + rot[3] * cy + rot[6] * cz;
+  const hy = rot[1] * cx + rot[4] * cy + rot[7] * cz;
+  return { x: hx, y: -hy };
+}
+
+/**
+ * Mouth center (relative to the nose bridge) and width measured in the head's own frame, so leaning or
+ * turning the head does not register as mouth movement. `aspect` is videoHeight / videoWidth.
+ */
+export function headRelativeMouth(
+  landmarks: ReadonlyArray<PoseLandmark>,
+  pose: HeadPose,
+  aspect: number,
+): HeadRelativeMouth | null {
+  const anchor = landmarks[NOSE_BRIDGE];
+  const left = landmarks[MOUTH_LEFT];
+  const right = landmarks[MOUTH_RIGHT];
+  if (!anchor || !left || !right) return null;
+
+  const l = toHead(left, anchor, aspect, pose.rot);
+  const r = toHead(right, anchor, aspect, pose.rot);
+  const w = Math.hypot(l.x - r.x, l.y - r.y);
+  if (!(w > 0)) return null;
+  return { x: (l.x + r.x) * 0.5, y: (l.y + r.y) * 0.5, w };
+}
@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest';
+
+import { createFaceExpressions, type FaceExpressions } from '../FaceTracker';
+
+import { DEFAULT_GESTURE_BINDINGS, GestureDetector, sanitizeGestureBindings } from './FaceGestures';
+
+function expr(patch: Partial<FaceExpressions>): FaceExpressions {
+  return { ...createFaceExpressions(), ...patch };
+}
+
+describe('GestureDetector', () => {
+  it('ignores twitches shorter than the hold time', () => {
+    const d = new GestureDetector({ holdMs: 100 });
+    expect(d.update(expr({ smile: true }), 0).onsets.has('smile')).toBe(false);
+    expect(d.update(expr({ smile: true }), 50).held.has('smile')).toBe(false);
+    expect(d.update(expr({}), 80).held.size).toBe(0);
+  });
+
+  it('reports one onset and then stays held', () => {
+    const d = new GestureDetector({ holdMs: 100 });
+    d.update(expr({ pucker: true }), 0);
+    const first = d.update(expr({ pucker: true }), 120);
+    expect(first.onsets.has('pucker')).toBe(true);
+    expect(first.held.has('pucker')).toBe(true);
+
+    const next = d.update(expr({ pucker: true }), 160);
+    expect(next.onsets.has('pucker')).toBe(false);
+    expect(next.held.has('pucker')).toBe(true);
+  });
+
+  it('detects a double blink only when both blinks fall inside the window', () => {
+    const d = new GestureDetector({ doubleBlinkMs: 400 });
+    let t = 0;
+    const blink = () => {
+      const fired = d.update(expr({ eyesClosed: true }), (t += 20)).onsets.has('doubleBlink');
+      d.update(expr({}), (t += 80));
+      return fired;
+    };
+
+    expect(blink()).toBe(false);
+    expect(blink()).toBe(true);
+
+    t += 1000;
+    expect(blink()).toBe(false);
+  });
+
+  it('goes quiet when the face is gone', () => {
+    const d = new GestureDetector({ holdMs: 0 });
+    expect(d.update(expr({ winkLeft: true }), 0).held.has('winkLeft')).toBe(true);
+    expect(d.update(null, 16).held.size).toBe(0);
+  });
+});
+
+describe('sanitizeGestureBindings', () => {
+  it('keeps valid bindings and falls back to defaults for the rest', () => {
+    const b = sanitizeGestureBindings({ smile: 'flip', pucker: 'selfDestruct', unknown: 'pause' });
+    expect(b.smile).toBe('flip');
+    expect(b.pucker).toBe(DEFAULT_GESTURE_BINDINGS.pucker);
+    expect(Object.keys(b).sort()).toEqual(Object.keys(DEFAULT_GESTURE_BINDINGS).sort());
+  });
+});
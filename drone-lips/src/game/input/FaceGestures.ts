@@ -0,0 +1,151 @@
+import type { FaceExpressions } from '../FaceTracker';
+
+export type FaceGesture =
+  | 'smile'
+  | 'pucker'
+  | 'cheekPuff'
+  | 'winkLeft'
+  | 'winkRight'
+  | 'browRaise'
+  | 'doubleBlink'
+  | 'tongueOut';
+
+export type GestureAction = 'none' | 'fireGuns' | 'fireMissile' | 'stop' | 'flip' | 'pause';
+
+export type GestureBindings = Record<FaceGesture, GestureAction>;
+
+export const FACE_GESTURES: ReadonlyArray<{ id: FaceGesture; label: string }> = [
+  { id: 'smile', label: 'Smile' },
+  { id: 'pucker', label: 'Pucker' },
+  { id: 'cheekPuff', label: 'Puff cheeks' },
+  { id: 'winkLeft', label: 'Left wink' },
+  { id: 'winkRight', label: 'Right wink' },
+  { id: 'browRaise', label: 'Raise eyebrows' },
+  { id: 'doubleBlink', label: 'Double blink' },
+  { id: 'tongueOut', label: 'Tongue out' },
+];
+
+export const GESTURE_ACTIONS: ReadonlyArray<{ id: GestureAction; label: string }> = [
+  { id: 'none', label: 'Nothing' },
+  { id: 'fireGuns', label: 'Fire guns' },
+  { id: 'fireMissile', label: 'Fire missile' },
+  { id: 'stop', label: 'Stop (hover)' },
+  { id: 'flip', label: 'Flip' },
+  { id: 'pause', label: 'Pause' },
+];
+
+export const DEFAULT_GESTURE_BINDINGS: GestureBindings = {
+  smile: 'none',
+  pucker: 'stop',
+  cheekPuff: 'fireMissile',
+  winkLeft: 'fireGuns',
+  winkRight: 'fireGuns',
+  browRaise: 'none',
+  doubleBlink: 'none',
+  tongueOut: 'none',
+};
+
+const GESTURE_IDS = FACE_GESTURES.map((g) => g.id);
+const ACTION_IDS = GESTURE_ACTIONS.map((a) => a.id);
+
+export function sanitizeGestureBindings(raw: any): GestureBindings {
+  const out: GestureBindings = { ...DEFAULT_GESTURE_BINDINGS };
+  if (!raw || typeof raw !== 'object') return out;
+  for (const id of GESTURE_IDS) {
+    const action = raw[id];
+    if (ACTION_IDS.includes(action)) out[id] = action;
+  }
+  return out;
+}
+
+export type GestureDetectorOptions = {
+  holdMs?: number; // an expression must be held this long before it counts (filters twitches)
+  releaseMs?: number; // minimum gap before the same gesture can fire again
+  doubleBlinkMs?: number; // max time between the two blinks of a double blink
+};
+
+// Reused between calls; read it before the next update().
+export type GestureFrame = {
+  held: Set<FaceGesture>; // active this frame
+  onsets: Set<FaceGesture>; // became active this frame
+};
+
+type Track = { since: number | null; active: boolean; releasedAt: number };
+
+/** Turns raw per-frame expressions into debounced gestures with a held state and one-frame onsets. */
+export class GestureDetector {
+  private readonly holdMs: number;
+  private readonly releaseMs: number;
+  private readonly doubleBlinkMs: number;
+
+  private tracks = new Map<FaceGesture, Track>();
+  private eyesWereClosed = false;
+  private lastBlinkMs = -Infinity;
+
+  private readonly frame: GestureFrame = { held: new Set(), onsets: new Set() };
+
+  constructor(options: GestureDetectorOptions = {}) {
+    this.holdMs = Number.isFinite(options.holdMs) ? (options.holdMs as number) : 120;
+    this.releaseMs = Number.isFinite(options.releaseMs) ? (options.releaseMs as number) : 250;
+    this.doubleBlinkMs = Number.isFinite(options.doubleBlinkMs) ? (options.doubleBlinkMs as number) : 500;
+  }
+
+  reset() {
+    this.tracks.clear();
+    this.eyesWereClosed = false;
+    this.lastBlinkMs = -Infinity;
+    this.frame.held.clear();
+    this.frame.onsets.clear();
+  }
+
+  update(e: FaceExpressions | null, nowMs: number): GestureFrame {
+    const { held, onsets } = this.frame;
+    held.clear();
+    onsets.clear();
+
+    this.step('smile', Boolean(e?.smile), nowMs);
+    this.step('pucker', Boolean(e?.pucker), nowMs);
+    this.step('cheekPuff', Boolean(e?.cheekPuff), nowMs);
+    this.step('winkLeft', Boolean(e?.winkLeft), nowMs);
+    this.step('winkRight', Boolean(e?.winkRight), nowMs);
+    this.step('browRaise', Boolean(e?.browRaise), nowMs);
+    this.step('tongueOut', Boolean(e?.tongueOut), nowMs);
+
+    // Double blink: two blinks (eyes closing) within the window. Momentary; never held.
+    const closed = Boolean(e?.eyesClosed);
+    if (closed && !this.eyesWereClosed) {
+      if (nowMs - this.lastBlinkMs <= this.doubleBlinkMs) {
+        held.add('doubleBlink');
+        onsets.add('doubleBlink');
+        this.lastBlinkMs = -Infinity;
+      } else {
+        this.lastBlinkMs = nowMs;
+      }
+    }
+    this.eyesWereClosed = closed;
+
+    return this.frame;
+  }
+
+  private step(id: FaceGesture, on: boolean, nowMs: number) {
+    let t = this.tracks.get(id);
+    if (!t) {
+      t = { since: null, active: false, releasedAt: -Infinity };
+      this.tracks.set(id, t);
+    }
+
+    if (!on) {
+      if (t.active) t.releasedAt = nowMs;
+      t.since = null;
+      t.active = false;
+      return;
+    }
+
+    t.since ??= nowMs;
+    if (!t.active && nowMs - t.since >= this.holdMs && nowMs - t.releasedAt >= this.releaseMs) {
+      t.active = true;
+      this.frame.onsets.add(id);
+    }
+    if (t.active) this.frame.held.add(id);
+  }
+}
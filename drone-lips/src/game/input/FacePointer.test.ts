@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+
+import { FacePointer, pickNeighbor, type PointerInput, type PointerRect } from './FacePointer';
+
+// A 2x2 grid of buttons:  a b
+//                         c d
+const RECTS: Record<string, PointerRect> = {
+  a: { x: 0, y: 0, width: 100, height: 40 },
+  b: { x: 200, y: 0, width: 100, height: 40 },
+  c: { x: 0, y: 100, width: 100, height: 40 },
+  d: { x: 200, y: 100, width: 100, height: 40 },
+};
+const TARGETS = Object.keys(RECTS);
+const rectOf = (t: string) => RECTS[t];
+
+const REST: PointerInput = { strafeX: 0, strafeY: 0, fireBurst: false };
+const RIGHT: PointerInput = { strafeX: 0.8, strafeY: 0, fireBurst: false };
+const DOWN: PointerInput = { strafeX: 0, strafeY: -0.8, fireBurst: false };
+const BLINK: PointerInput = { ...REST, fireBurst: true };
+
+describe('pickNeighbor', () => {
+  it('moves to the closest control in the requested direction', () => {
+    const rects = TARGETS.map(rectOf);
+    expect(pickNeighbor(rects, 0, { x: 1, y: 0 })).toBe(1);
+    expect(pickNeighbor(rects, 0, { x: 0, y: 1 })).toBe(2);
+    expect(pickNeighbor(rects, 3, { x: -1, y: 0 })).toBe(2);
+    expect(pickNeighbor(rects, 0, { x: -1, y: 0 })).toBe(-1);
+  });
+});
+
+describe('FacePointer', () => {
+  it('steps once per mouth push and repeats while held', () => {
+    const p = new FacePointer<string>();
+    expect(p.update(REST, TARGETS, rectOf, 0).focused).toBe('a');
+    expect(p.update(DOWN, TARGETS, rectOf, 100).focused).toBe('c');
+    expect(p.update(DOWN, TARGETS, rectOf, 200).focused).toBe('c');
+    p.update(REST, TARGETS, rectOf, 300);
+    expect(p.update(RIGHT, TARGETS, rectOf, 400).focused).toBe('d');
+    expect(p.update(RIGHT, TARGETS, rectOf, 2000).focused).toBe('d'); // nothing further right
+  });
+
+  it('activates after the dwell time, once per visit', () => {
+    const p = new FacePointer<string>({ dwellMs: 1000 });
+    p.update(REST, TARGETS, rectOf, 0);
+    const half = p.update(REST, TARGETS, rectOf, 500);
+    expect(half.dwell).toBeCloseTo(0.5);
+    expect(half.activate).toBeNull();
+    expect(p.update(REST, TARGETS, rectOf, 1000).activate).toBe('a');
+    expect(p.update(REST, TARGETS, rectOf, 2500).activate).toBeNull();
+  });
+
+  it('does not dwell while steering and clicks on a blink', () => {
+    const p = new FacePointer<string>({ dwellMs: 1000 });
+    p.update(REST, TARGETS, rectOf, 0);
+    p.update(RIGHT, TARGETS, rectOf, 100);
+    expect(p.update(RIGHT, TARGETS, rectOf, 600).dwell).toBe(0);
+    expect(p.update(BLINK, TARGETS, rectOf, 700).activate).toBe('b');
+  });
+
+  it('picks the nearest control when the menu changes', () => {
+    const p = new FacePointer<string>();
+    p.update(REST, TARGETS, rectOf, 0);
+    p.update(RIGHT, TARGETS, rectOf, 100);
+    expect(p.update(REST, ['d', 'c'], rectOf, 200).focused).toBe('d');
+  });
+});
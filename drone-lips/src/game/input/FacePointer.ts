@@ -0,0 +1,179 @@
+// Face-driven menu navigation: holding the mouth off-center moves a highlight to the nearest control in
+// that direction, and resting on a control (dwell) or blinking activates it. Works on any element list, so
+// the DOM specifics stay in the component.
+
+export type FacePointerSettings = {
+  enabled: boolean;
+  dwellMs: number; // highlight rest time before activation
+  blinkClick: boolean; // a short blink activates immediately
+};
+
+export const DEFAULT_FACE_POINTER_SETTINGS: FacePointerSettings = {
+  enabled: false,
+  dwellMs: 1500,
+  blinkClick: true,
+};
+
+export const FACE_POINTER_DWELL_LIMITS = { min: 600, max: 4000, step: 100 } as const;
+
+export function sanitizeFacePointerSettings(raw: unknown): FacePointerSettings {
+  const src = raw && typeof raw === 'object' ? (raw as Partial<FacePointerSettings>) : {};
+  const dwell = Number(src.dwellMs);
+  return {
+    enabled: Boolean(src.enabled ?? DEFAULT_FACE_POINTER_SETTINGS.enabled),
+    dwellMs: Number.isFinite(dwell)
+      ? Math.min(FACE_POINTER_DWELL_LIMITS.max, Math.max(FACE_POINTER_DWELL_LIMITS.min, dwell))
+      : DEFAULT_FACE_POINTER_SETTINGS.dwellMs,
+    blinkClick: Boolean(src.blinkClick ?? DEFAULT_FACE_POINTER_SETTINGS.blinkClick),
+  };
+}
+
+export type PointerRect = { x: number; y: number; width: number; height: number };
+
+// Screen direction: x +right, y +down.
+export type PointerDirection = { x: -1 | 0 | 1; y: -1 | 0 | 1 };
+
+// Index of the target nearest to `from` in `dir` (favoring targets in line with it), or -1.
+export function pickNeighbor(rects: PointerRect[], from: number, dir: PointerDirection): number {
+  const a = rects[from];
+  if (!a) return -1;
+  const ax = a.x + a.width / 2;
+  const ay = a.y + a.height / 2;
+
+  let best = -1;
+  let bestScore = Infinity;
+  rects.forEach((r, i) => {
+    if (i === from) return;
+    const dx = r.x + r.width / 2 - ax;
+    const dy = r.y + r.height / 2 - ay;
+    const along = dx * dir.x + dy * dir.y;
+    if (along <= 1) return;
+    const across = Math.abs(dx * dir.y - dy * dir.x);
+    const score = along + across * 2;
+    if (score < bestScore) {
+      bestScore = score;
+      best = i;
+    }
+  });
+  return best;
+}
+
+// The parts of FaceControls the pointer reads (strafeY is +up, like the drone).
+export type PointerInput = { strafeX: number; strafeY: number; fireBurst: boolean };
+
+export type FacePointerFrame<T> = {
+  focused: T | null;
+  dwell: number; // 0..1 progress toward activation
+  activate: T | null; // set on the frame a target should be clicked
+};
+
+const MOVE_ON = 0.45;
+const MOVE_OFF = 0.25;
+const REPEAT_MS = 650;
+
+export class FacePointer<T> {
+  private settings: FacePointerSettings;
+  private focused: T | null = null;
+  private focusedRect: PointerRect | null = null;
+  private focusSinceMs = 0;
+  private dwellFired = false; // dwell activates once per visit; blinks can repeat
+  private held: PointerDirection | null = null;
+  private lastMoveMs = 0;
+
+  constructor(settings: Partial<FacePointerSettings> = {}) {
+    this.settings = sanitizeFacePointerSettings({ ...DEFAULT_FACE_POINTER_SETTINGS, ...settings });
+  }
+
+  setSettings(settings: Partial<FacePointerSettings>) {
+    this.settings = sanitizeFacePointerSettings({ ...this.settings, ...settings });
+  }
+
+  reset() {
+    this.focused = null;
+    this.focusedRect = null;
+    this.held = null;
+    this.dwellFired = false;
+  }
+
+  update(
+    input: PointerInput,
+    targets: T[],
+    rectOf: (t: T) => PointerRect,
+    nowMs: number,
+  ): FacePointerFrame<T> {
+    if (!targets.length) {
+      this.reset();
+      return { focused: null, dwell: 0, activate: null };
+    }
+    const rects = targets.map(rectOf);
+
+    // Keep the current target; if it went away (menu changed), start from the one nearest to where it was.
+    let index = this.focused != null ? targets.indexOf(this.focused) : -1;
+    if (index < 0) {
+      index = this.focusedRect ? nearest(rects, this.focusedRect) : 0;
+      this.focus(targets[index], rects[index], nowMs);
+    }
+
+    const dir = this.direction(input);
+    if (dir) {
+      const fresh = !this.held || this.held.x !== dir.x || this.held.y !== dir.y;
+      if (fresh || nowMs - this.lastMoveMs >= REPEAT_MS) {
+        const next = pickNeighbor(rects, index, dir);
+        if (next >= 0) {
+          index = next;
+          this.focus(targets[index], rects[index], nowMs);
+        }
+        this.lastMoveMs = nowMs;
+      }
+    }
+    this.held = dir;
+    this.focusedRect = rects[index];
+
+    const target = targets[index];
+    if (this.settings.blinkClick && input.fireBurst) {
+      this.focusSinceMs = nowMs;
+      this.dwellFired = true;
+      return { focused: target, dwell: 0, activate: target };
+    }
+
+    // Steering pauses the dwell timer so passing over a control never clicks it.
+    if (dir || this.dwellFired) {
+      if (dir) this.focusSinceMs = nowMs;
+      return { focused: target, dwell: 0, activate: null };
+    }
+
+    const dwell = Math.min(1, (nowMs - this.focusSinceMs) / this.settings.dwellMs);
+    if (dwell < 1) return { focused: target, dwell, activate: null };
+    this.dwellFired = true;
+    return { focused: target, dwell: 1, activate: target };
+  }
+
+  private focus(target: T, rect: PointerRect, nowMs: number) {
+    this.focused = target;
+    this.focusedRect = rect;
+    this.focusSinceMs = nowMs;
+    this.dwellFired = false;
+  }
+
+  // Dominant axis with hysteresis, so hovering around the threshold doesn't stutter.
+  private direction(input: PointerInput): PointerDirection | null {
+    const x = input.strafeX;
+    const y = -input.strafeY;
+    const on = this.held ? MOVE_OFF : MOVE_ON;
+    if (Math.max(Math.abs(x), Math.abs(y)) < on) return null;
+    return Math.abs(x) >= Math.abs(y) ? { x: x > 0 ? 1 : -1, y: 0 } : { x: 0, y: y > 0 ? 1 : -1 };
+  }
+}
+
+function nearest(rects: PointerRect[], to: PointerRect): number {
+  let best = 0;
+  let bestDist = Infinity;
+  rects.forEach((r, i) => {
+    const d = Math.hypot(r.x - to.x, r.y - to.y);
+    if (d < bestDist) {
+      bestDist = d;
+      best = i;
+    }
+  });
+  return best;
+}
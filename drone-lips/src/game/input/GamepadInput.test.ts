@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+
+import { GamepadInput, sanitizeGamepadBindings, type GamepadLike } from './GamepadInput';
+
+function pad(
+  axes: number[] = [0, 0, 0, 0],
+  pressed: number[] = [],
+  values: Record<number, number> = {},
+): GamepadLike {
+  return {
+    connected: true,
+    axes,
+    buttons: Array.from({ length: 17 }, (_, i) => ({
+      pressed: pressed.includes(i) || (values[i] ?? 0) > 0.5,
+      value: values[i] ?? (pressed.includes(i) ? 1 : 0),
+    })),
+  };
+}
+
+describe('GamepadInput', () => {
+  it('steers with the sticks and d-pad, ignoring drift', () => {
+    const g = new GamepadInput();
+    expect(g.poll([pad([0.1, -0.1])]).moveX).toBe(0);
+    expect(g.poll([pad([1, 0])]).moveX).toBeCloseTo(1);
+    expect(g.poll([pad([0, -1])]).moveY).toBeCloseTo(1); // stick up is +up
+    expect(g.poll([pad([1, -1])]).moveX).toBeCloseTo(Math.SQRT1_2); // diagonals aren't faster
+    expect(g.poll([pad(undefined, [14])]).moveX).toBe(-1);
+  });
+
+  it('boosts from the triggers and reports button onsets once', () => {
+    const g = new GamepadInput();
+    expect(g.poll([pad(undefined, [], { 7: 0.6 })]).boost).toBeCloseTo(0.6);
+    expect(g.poll([pad(undefined, [0])]).onsets.has('fire')).toBe(true);
+    const held = g.poll([pad(undefined, [0])]);
+    expect(held.held.has('fire')).toBe(true);
+    expect(held.onsets.has('fire')).toBe(false);
+  });
+
+  it('uses remapped buttons and merges several pads', () => {
+    const g = new GamepadInput();
+    g.setBindings({ missile: 5 });
+    const f = g.poll([null, pad([0.9, 0]), pad(undefined, [5])]);
+    expect(f.connected).toBe(true);
+    expect(f.moveX).toBeGreaterThan(0.8);
+    expect(f.onsets.has('missile')).toBe(true);
+    expect(g.poll([]).connected).toBe(false);
+  });
+});
+
+describe('sanitizeGamepadBindings', () => {
+  it('keeps known buttons and falls back for the rest', () => {
+    expect(sanitizeGamepadBindings({ fire: 4, pause: 7, stop: 'x' })).toMatchObject({
+      fire: 4,
+      pause: 9,
+      stop: 2,
+    });
+  });
+});
@@ -0,0 +1,148 @@
+// Gamepad polling (standard mapping, which covers Xbox/PlayStation pads and the Xbox Adaptive Controller).
+// Sticks and the d-pad steer, triggers boost, and the action buttons are remappable.
+
+export type GamepadAction = 'fire' | 'missile' | 'stop' | 'flip' | 'pause';
+
+export type GamepadBindings = Record<GamepadAction, number>; // action -> button index
+
+export const GAMEPAD_ACTIONS: ReadonlyArray<{ id: GamepadAction; label: string }> = [
+  { id: 'fire', label: 'Fire guns' },
+  { id: 'missile', label: 'Fire missile' },
+  { id: 'stop', label: 'Stop (hover)' },
+  { id: 'flip', label: 'Flip' },
+  { id: 'pause', label: 'Pause' },
+];
+
+// Button names in the standard layout (Xbox labels; A/B/X/Y are cross/circle/square/triangle elsewhere).
+export const GAMEPAD_BUTTONS: ReadonlyArray<{ index: number; label: string }> = [
+  { index: 0, label: 'A' },
+  { index: 1, label: 'B' },
+  { index: 2, label: 'X' },
+  { index: 3, label: 'Y' },
+  { index: 4, label: 'Left bumper' },
+  { index: 5, label: 'Right bumper' },
+  { index: 8, label: 'View / Back' },
+  { index: 9, label: 'Menu / Start' },
+  { index: 10, label: 'Left stick press' },
+  { index: 11, label: 'Right stick press' },
+];
+
+export const DEFAULT_GAMEPAD_BINDINGS: GamepadBindings = {
+  fire: 0,
+  missile: 1,
+  stop: 2,
+  flip: 3,
+  pause: 9,
+};
+
+const BUTTON_INDEXES = GAMEPAD_BUTTONS.map((b) => b.index);
+
+export function sanitizeGamepadBindings(raw: any): GamepadBindings {
+  const out: GamepadBindings = { ...DEFAULT_GAMEPAD_BINDINGS };
+  if (!raw || typeof raw !== 'object') return out;
+  for (const { id } of GAMEPAD_ACTIONS) {
+    const index = raw[id];
+    if (BUTTON_INDEXES.includes(index)) out[id] = index;
+  }
+  return out;
+}
+
+// Standard mapping indexes that are not remappable.
+const TRIGGER_LEFT = 6;
+const TRIGGER_RIGHT = 7;
+const DPAD = { up: 12, down: 13, left: 14, right: 15 } as const;
+
+const STICK_DEADZONE = 0.2;
+const TRIGGER_DEADZONE = 0.08;
+
+// The parts of the Gamepad API we read; lets tests pass plain objects.
+export type GamepadLike = {
+  connected: boolean;
+  axes: ReadonlyArray<number>;
+  buttons: ReadonlyArray<{ pressed: boolean; value: number }>;
+};
+
+// Reused between calls; read it before the next poll().
+export type GamepadFrame = {
+  connected: boolean;
+  moveX: number; // [-1..1]
+  moveY: number; // [-1..1], +up
+  boost: number; // [0..1]
+  held: Set<GamepadAction>;
+  onsets: Set<GamepadAction>; // pressed this frame
+};
+
+// Radial deadzone, rescaled so the output still starts at 0 just outside it.
+function stick(x: number, y: number): { x: number; y: number } {
+  const mag = Math.hypot(x, y);
+  if (mag <= STICK_DEADZONE) return { x: 0, y: 0 };
+  const scaled = Math.min(1, (mag - STICK_DEADZONE) / (1 - STICK_DEADZONE)) / mag;
+  return { x: x * scaled, y: y * scaled };
+}
+
+const clamp1 = (v: number) => Math.max(-1, Math.min(1, v));
+
+export class GamepadInput {
+  private bindings: GamepadBindings = { ...DEFAULT_GAMEPAD_BINDINGS };
+  private prevHeld = new Set<GamepadAction>();
+
+  private readonly frame: GamepadFrame = {
+    connected: false,
+    moveX: 0,
+    moveY: 0,
+    boost: 0,
+    held: new Set(),
+    onsets: new Set(),
+  };
+
+  setBindings(bindings: Partial<GamepadBindings>) {
+    this.bindings = sanitizeGamepadBindings({ ...this.bindings, ...bindings });
+  }
+
+  reset() {
+    this.prevHeld.clear();
+  }
+
+  /** Merges every connected pad, so a second controller (or an adaptive one plus a regular one) just works. */
+  poll(pads: ArrayLike<GamepadLike | null> | null | undefined): GamepadFrame {
+    const f = this.frame;
+    f.connected = false;
+    f.moveX = 0;
+    f.moveY = 0;
+    f.boost = 0;
+    f.held.clear();
+    f.onsets.clear();
+
+    for (let p = 0; p < (pads?.length ?? 0); p++) {
+      const pad = pads![p];
+      if (!pad?.connected) continue;
+      f.connected = true;
+
+      const axis = (i: number) => (Number.isFinite(pad.axes[i]) ? pad.axes[i] : 0);
+      const value = (i: number) => pad.buttons[i]?.value ?? 0;
+      const pressed = (i: number) => Boolean(pad.buttons[i]?.pressed);
+
+      // Either stick steers; gamepad Y is +down.
+      const left = stick(axis(0), axis(1));
+      const right = stick(axis(2), axis(3));
+      f.moveX += left.x + right.x + (pressed(DPAD.right) ? 1 : 0) - (pressed(DPAD.left) ? 1 : 0);
+      f.moveY += -left.y - right.y + (pressed(DPAD.up) ? 1 : 0) - (pressed(DPAD.down) ? 1 : 0);
+
+      const trigger = Math.max(value(TRIGGER_LEFT), value(TRIGGER_RIGHT));
+      if (trigger > TRIGGER_DEADZONE) f.boost = Math.max(f.boost, trigger);
+
+      for (const { id } of GAMEPAD_ACTIONS) {
+        if (pressed(this.bindings[id])) f.held.add(id);
+      }
+    }
+
+    f.moveX = clamp1(f.moveX);
+    f.moveY = clamp1(f.moveY);
+    f.boost = Math.min(1, f.boost);
+
+    for (const id of f.held) if (!this.prevHeld.has(id)) f.onsets.add(id);
+    this.prevHeld.clear();
+    for (const id of f.held) this.prevHeld.add(id);
+    return f;
+  }
+}
@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest';
+
+import { InputAssist, pickTarget, sanitizeAssistSettings, type AssistScene } from './InputAssist';
+import { createDefaultInputState } from './InputState';
+
+const DEG = Math.PI / 180;
+
+function scene(patch: Partial<AssistScene> = {}): AssistScene {
+  return {
+    player: { x: 0, y: 0, z: 0 },
+    speed: 20,
+    targets: [],
+    range: 85,
+    blocked: () => false,
+    ...patch,
+  };
+}
+
+describe('pickTarget', () => {
+  it('picks the enemy closest to straight ahead and ignores ones behind or out of range', () => {
+    const ahead = { x: 2, y: 0, z: 40, radius: 1 };
+    const wide = { x: 20, y: 0, z: 20, radius: 1 };
+    const behind = { x: 0, y: 0, z: -5, radius: 1 };
+    const far = { x: 0, y: 0, z: 200, radius: 1 };
+    expect(pickTarget({ x: 0, y: 0, z: 0 }, [wide, behind, far, ahead], 10 * DEG, 85)).toBe(ahead);
+    expect(pickTarget({ x: 0, y: 0, z: 0 }, [wide, behind, far], 10 * DEG, 85)).toBeNull();
+  });
+});
+
+describe('InputAssist', () => {
+  it('leaves input alone when every assist is off', () => {
+    const assist = new InputAssist();
+    const input = createDefaultInputState();
+    expect(assist.apply(input, scene({ targets: [{ x: 0, y: 0, z: 30, radius: 1 }] }), 0)).toBe(
+      input,
+    );
+  });
+
+  it('fires at enemies in the cone and bends shots toward them', () => {
+    const assist = new InputAssist();
+    assist.setSettings({ autoFire: true, aim: true, aimStrength: 1 });
+    const target = { x: 3, y: 0, z: 30, radius: 1 };
+    const out = assist.apply(createDefaultInputState(), scene({ targets: [target] }), 0);
+    expect(out.fireGuns).toBe(true);
+    expect(assist.firing).toBe(true);
+
+    const dir = assist.aimDirection({ x: 0, y: 0, z: 0 }, { x: 0, y: 0, z: 0 });
+    expect(dir.x).toBeCloseTo(3 / Math.hypot(3, 30));
+    expect(Math.hypot(dir.x, dir.y, dir.z)).toBeCloseTo(1);
+  });
+
+  it('steers toward a free side when something is about to hit', () => {
+    const assist = new InputAssist();
+    assist.setSettings({ dodge: true, dodgeStrength: 1 });
+    // A wall straight ahead and to world +X; world -X (screen right) is open.
+    const blocked = (x: number, y: number, ahead: number) => ahead > 5 && x >= 0 && y === 0;
+    const input = { ...createDefaultInputState(), moveY: 0 };
+    const out = assist.apply(input, scene({ blocked }), 0);
+    expect(assist.dodging).toBe(true);
+    expect(out.moveX).toBeGreaterThan(0);
+    expect(input.moveX).toBe(0); // the router's state is not modified
+  });
+
+  it('sanitizes stored settings', () => {
+    const s = sanitizeAssistSettings({ aim: 1, aimStrength: 9, dodgeStrength: 'x' });
+    expect(s.aim).toBe(true);
+    expect(s.aimStrength).toBe(1);
+    expect(s.dodgeStrength).toBe(0.5);
+    expect(s.autoFire).toBe(false);
+  });
+});
@@ -0,0 +1,246 @@
+import { clamp, lerp } from '../math';
+
+import { createDefaultInputState, type InputState } from './InputState';
+
+// Optional help for players who can't steer and fire at the same time. Sits between InputRouter.state and
+// Game.frame: Game describes the scene, the assist returns an adjusted copy of the input.
+
+export type AssistSettings = {
+  autoFire: boolean; // hold fire while an enemy is in the forward cone
+  autoFireStrength: number; // 0..1, widens the cone
+  aim: boolean; // bend laser shots toward the nearest enemy ahead
+  aimStrength: number; // 0..1, how far shots bend
+  dodge: boolean; // steer away from obstacles and enemies about to hit
+  dodgeStrength: number; // 0..1, how early and how hard
+};
+
+export const DEFAULT_ASSIST_SETTINGS: AssistSettings = {
+  autoFire: false,
+  autoFireStrength: 0.5,
+  aim: false,
+  aimStrength: 0.5,
+  dodge: false,
+  dodgeStrength: 0.5,
+};
+
+export const ASSIST_STRENGTH_LIMITS = { min: 0.1, max: 1, step: 0.1 } as const;
+
+export const ASSISTS: ReadonlyArray<{
+  id: 'autoFire' | 'aim' | 'dodge';
+  strength: 'autoFireStrength' | 'aimStrength' | 'dodgeStrength';
+  label: string;
+}> = [
+  { id: 'autoFire', strength: 'autoFireStrength', label: 'Auto-fire' },
+  { id: 'aim', strength: 'aimStrength', label: 'Aim assist' },
+  { id: 'dodge', strength: 'dodgeStrength', label: 'Auto-dodge' },
+];
+
+export function sanitizeAssistSettings(raw: unknown): AssistSettings {
+  const src = raw && typeof raw === 'object' ? (raw as Partial<AssistSettings>) : {};
+  const out: AssistSettings = { ...DEFAULT_ASSIST_SETTINGS };
+  for (const a of ASSISTS) {
+    out[a.id] = Boolean(src[a.id] ?? DEFAULT_ASSIST_SETTINGS[a.id]);
+    const n = Number(src[a.strength]);
+    out[a.strength] = Number.isFinite(n)
+      ? clamp(n, ASSIST_STRENGTH_LIMITS.min, ASSIST_STRENGTH_LIMITS.max)
+      : DEFAULT_ASSIST_SETTINGS[a.strength];
+  }
+  return out;
+}
+
+export function anyAssistOn(settings: AssistSettings): boolean {
+  return ASSISTS.some((a) => settings[a.id]);
+}
+
+export type AssistPoint = { x: number; y: number; z: number };
+export type AssistTarget = AssistPoint & { radius: number };
+
+export type AssistScene = {
+  player: AssistPoint; // the drone flies toward +Z
+  speed: number; // forward speed (world units/s)
+  targets: Iterable<AssistTarget>; // live enemies and the boss
+  range: number; // how far ahead targets count
+  // Would the drone hit something if it were offset by (x, y) (world units) and `ahead` units further forward?
+  blocked: (x: number, y: number, ahead: number) => boolean;
+};
+
+const DEG = Math.PI / 180;
+const AUTO_FIRE_CONE = { min: 3 * DEG, max: 14 * DEG };
+const AIM_CONE = { min: 6 * DEG, max: 28 * DEG };
+const DODGE_LOOKAHEAD_S = { min: 0.35, max: 1.1 };
+const DODGE_OFFSET = 2.6; // how far to the side an escape route is checked
+const DODGE_HOLD_MS = 300; // keep dodging the same way briefly so the nudge doesn't flicker
+
+// Escape directions in world space (x is mirrored on screen; see Game.frame).
+const DODGE_DIRS: ReadonlyArray<{ x: number; y: number }> = [
+  { x: 1, y: 0 },
+  { x: -1, y: 0 },
+  { x: 0, y: 1 },
+  { x: 0, y: -1 },
+  { x: Math.SQRT1_2, y: Math.SQRT1_2 },
+  { x: -Math.SQRT1_2, y: Math.SQRT1_2 },
+  { x: Math.SQRT1_2, y: -Math.SQRT1_2 },
+  { x: -Math.SQRT1_2, y: -Math.SQRT1_2 },
+];
+
+// Angle between +Z and the direction from `from` to `to`, or Infinity when `to` is behind.
+export function forwardAngle(from: AssistPoint, to: AssistPoint): number {
+  const dz = to.z - from.z;
+  if (dz <= 0) return Infinity;
+  return Math.atan2(Math.hypot(to.x - from.x, to.y - from.y), dz);
+}
+
+// The target within `maxAngle` of straight ahead that needs the least turning, or null.
+export function pickTarget(
+  from: AssistPoint,
+  targets: Iterable<AssistTarget>,
+  maxAngle: number,
+  range: number,
+): AssistTarget | null {
+  let best: AssistTarget | null = null;
+  let bestAngle = Infinity;
+  for (const t of targets) {
+    if (t.z - from.z > range) continue;
+    // Big targets count a little earlier: compare against the angle to their edge.
+    const dist = Math.hypot(t.x - from.x, t.y - from.y, t.z - from.z);
+    const angle = forwardAngle(from, t) - Math.atan2(t.radius, Math.max(1e-3, dist));
+    if (angle <= maxAngle && angle < bestAngle) {
+      bestAngle = angle;
+      best = t;
+    }
+  }
+  return best;
+}
+
+export class InputAssist {
+  private settings: AssistSettings = { ...DEFAULT_ASSIST_SETTINGS };
+  private readonly out: InputState = createDefaultInputState();
+  private dodgeDir: { x: number; y: number } | null = null;
+  private dodgeUntilMs = 0;
+
+  // Read by Game when spawning lasers; null fires straight ahead.
+  aimTarget: AssistTarget | null = null;
+  // Set on frames where the assist changed the input, for the HUD.
+  firing = false;
+  dodging = false;
+
+  get enabled(): boolean {
+    return anyAssistOn(this.settings);
+  }
+
+  setSettings(settings: Partial<AssistSettings>) {
+    this.settings = sanitizeAssistSettings({ ...this.settings, ...settings });
+    if (!this.settings.dodge) this.dodgeDir = null;
+  }
+
+  reset() {
+    this.aimTarget = null;
+    this.firing = false;
+    this.dodging = false;
+    this.dodgeDir = null;
+  }
+
+  /** Returns `input` untouched when every assist is off, otherwise an adjusted copy (reused between calls). */
+  apply(input: InputState, scene: AssistScene, nowMs: number): InputState {
+    const s = this.settings;
+    this.aimTarget = null;
+    this.firing = false;
+    this.dodging = false;
+    if (!this.enabled) return input;
+
+    const out = Object.assign(this.out, input);
+
+    if (s.aim) {
+      const cone = lerp(AIM_CONE.min, AIM_CONE.max, s.aimStrength);
+      this.aimTarget = pickTarget(scene.player, scene.targets, cone, scene.range);
+    }
+
+    if (s.autoFire && !out.fireGuns) {
+      const cone = lerp(AUTO_FIRE_CONE.min, AUTO_FIRE_CONE.max, s.autoFireStrength);
+      if (pickTarget(scene.player, scene.targets, cone, scene.range)) {
+        out.fireGuns = true;
+        this.firing = true;
+      }
+    }
+
+    if (s.dodge && !out.stop) {
+      const dir = this.pickDodge(scene, -out.moveX, out.moveY, nowMs);
+      if (dir) {
+        // World +X is screen left, so the screen-space input moves the other way.
+        out.moveX = clamp(out.moveX - dir.x * s.dodgeStrength, -1, 1);
+        out.moveY = clamp(out.moveY + dir.y * s.dodgeStrength, -1, 1);
+        this.dodging = true;
+      }
+    }
+
+    return out;
+  }
+
+  /** Aim direction for a shot from `from`: straight ahead bent toward the aim target. Writes a unit vector. */
+  aimDirection(from: AssistPoint, out: AssistPoint): AssistPoint {
+    const t = this.aimTarget;
+    out.x = 0;
+    out.y = 0;
+    out.z = 1;
+    if (!t) return out;
+    const dx = t.x - from.x;
+    const dy = t.y - from.y;
+    const dz = t.z - from.z;
+    const len = Math.hypot(dx, dy, dz) || 1;
+    const k = this.settings.aimStrength;
+    out.x = lerp(0, dx / len, k);
+    out.y = lerp(0, dy / len, k);
+    out.z = lerp(1, dz / len, k);
+    const n = Math.hypot(out.x, out.y, out.z) || 1;
+    out.x /= n;
+    out.y /= n;
+    out.z /= n;
+    return out;
+  }
+
+  // (wantX, wantY): where the player is already steering, in world space; escapes that way are tried first.
+  private pickDodge(
+    scene: AssistScene,
+    wantX: number,
+    wantY: number,
+    nowMs: number,
+  ): { x: number; y: number } | null {
+    const lookahead = lerp(
+      DODGE_LOOKAHEAD_S.min,
+      DODGE_LOOKAHEAD_S.max,
+      this.settings.dodgeStrength,
+    );
+    const horizon = Math.max(0, scene.speed) * lookahead;
+    // Check a few points along the path, nearest first.
+    let threat = -1;
+    for (const f of [0.25, 0.5, 0.75, 1]) {
+      if (scene.blocked(0, 0, horizon * f)) {
+        threat = horizon * f;
+        break;
+      }
+    }
+
+    if (threat < 0) {
+      if (nowMs < this.dodgeUntilMs) return this.dodgeDir;
+      this.dodgeDir = null;
+      return null;
+    }
+
+    const prev = this.dodgeDir;
+    if (prev && !scene.blocked(prev.x * DODGE_OFFSET, prev.y * DODGE_OFFSET, threat)) {
+      this.dodgeUntilMs = nowMs + DODGE_HOLD_MS;
+      return prev;
+    }
+    const dirs = [...DODGE_DIRS].sort(
+      (a, b) => b.x * wantX + b.y * wantY - (a.x * wantX + a.y * wantY),
+    );
+    for (const d of dirs) {
+      if (scene.blocked(d.x * DODGE_OFFSET, d.y * DODGE_OFFSET, threat)) continue;
+      this.dodgeDir = d;
+      this.dodgeUntilMs = nowMs + DODGE_HOLD_MS;
+      return d;
+    }
+    // Boxed in: nothing better to suggest.
+    return null;
+  }
+}
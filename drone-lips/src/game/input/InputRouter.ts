@@ -1,8 +1,31 @@
 import type { FaceControls } from '../FaceTracker';
+import type { TelemetryRecorder } from '../Telemetry';
 import type { VoiceCommand } from '../VoiceHandler';
 import { clamp } from '../math';
 
+import {
+  DEFAULT_GESTURE_BINDINGS,
+  GestureDetector,
+  sanitizeGestureBindings,
+  type FaceGesture,
+  type GestureAction,
+  type GestureBindings,
+} from './FaceGestures';
+import { GamepadInput, type GamepadBindings, type GamepadLike } from './GamepadInput';
+
+import {
+  DEFAULT_KEY_BINDINGS,
+  eventKey,
+  FLIP_ACTIONS,
+  indexKeyBindings,
+  sanitizeKeyBindings,
+  SWITCH_KEYS,
+  type KeyAction,
+  type KeyBindings,
+} from './KeyBindings';
+
 import { createDefaultInputState, type ControlMode, type FlipCommand, type InputState } from './InputState';
+import { SwitchScanner, type SwitchScanSettings } from './SwitchScanner';
 
 export type RefLike<T> = { current: T };
 
@@ -11,25 +34,37 @@ type ManualNudge = { x: number; y: number; untilMs: number };
 export type InputRouterOptions = {
   face: RefLike<FaceControls>;
   onTogglePause?: () => void;
+  // Defaults to navigator.getGamepads().
+  getGamepads?: () => ArrayLike<GamepadLike | null> | null;
 };
 
+function navigatorGamepads(): ArrayLike<GamepadLike | null> | null {
+  if (typeof navigator === 'undefined' || typeof navigator.getGamepads !== 'function') return null;
+  try {
+    return navigator.getGamepads();
+  } catch {
+    // Blocked by a permissions policy.
+    return null;
+  }
+}
+
 export class InputRouter {
   readonly state: RefLike<InputState>;
 
   private readonly face: RefLike<FaceControls>;
   private readonly onTogglePause?: () => void;
+  private readonly getGamepads: () => ArrayLike<GamepadLike | null> | null;
 
   private hasCamera = false;
+  // Add head yaw/pitch (FaceControls.headX/headY) on top of mouth strafing.
+  private headSteer = false;
 
-  private keys = {
-    left: false,
-    right: false,
-    up: false,
-    down: false,
-    boost: false,
-    fire: false,
-    stop: false,
-  };
+  private keyMap = indexKeyBindings(DEFAULT_KEY_BINDINGS);
+  // Key codes currently down (see KeyBindings.eventKey).
+  private readonly heldKeys = new Set<string>();
+
+  // On-screen touch controls; blended like the keyboard.
+  private touch = { x: 0, y: 0, boost: false, fire: false };
 
   private manualNudge: ManualNudge | null = null;
   private stopHeld = false;
@@ -43,18 +78,31 @@ export class InputRouter {
   private lastVoiceMissileMs = 0;
   private lastVoiceStopMs = 0;
 
+  private readonly gestures = new GestureDetector();
+  private gestureBindings: GestureBindings = { ...DEFAULT_GESTURE_BINDINGS };
+
+  private readonly gamepad = new GamepadInput();
+
+  // Switch access: when set, Space/Enter act as the switch and face input is ignored.
+  private switchScan: SwitchScanner | null = null;
+
+  private telemetry: TelemetryRecorder | null = null;
+
   constructor(options: InputRouterOptions) {
     this.face = options.face;
     this.onTogglePause = options.onTogglePause;
+    this.getGamepads = options.getGamepads ?? navigatorGamepads;
     this.state = { current: createDefaultInputState() };
 
     window.addEventListener('keydown', this.onKeyDown, { passive: false });
     window.addEventListener('keyup', this.onKeyUp, { passive: true });
+    window.addEventListener('blur', this.onBlur);
   }
 
   dispose() {
     window.removeEventListener('keydown', this.onKeyDown as any);
     window.removeEventListener('keyup', this.onKeyUp as any);
+    window.removeEventListener('blur', this.onBlur);
   }
 
   reset() {
@@ -64,18 +112,14 @@ export class InputRouter {
     this.queuedGunBurst = false;
     this.queuedMissile = false;
     this.queuedFlip = null;
-    this.keys = {
-      left: false,
-      right: false,
-      up: false,
-      down: false,
-      boost: false,
-      fire: false,
-      stop: false,
-    };
+    this.heldKeys.clear();
+    this.touch = { x: 0, y: 0, boost: false, fire: false };
     this.lastVoiceFireMs = 0;
     this.lastVoiceMissileMs = 0;
     this.lastVoiceStopMs = 0;
+    this.gestures.reset();
+    this.gamepad.reset();
+    this.switchScan?.reset();
 
     this.state.current = createDefaultInputState();
   }
@@ -84,6 +128,58 @@ export class InputRouter {
     this.hasCamera = Boolean(hasCamera);
   }
 
+  setHeadSteer(enabled: boolean) {
+    this.headSteer = Boolean(enabled);
+  }
+
+  setGestureBindings(bindings: Partial<GestureBindings>) {
+    this.gestureBindings = sanitizeGestureBindings(bindings);
+  }
+
+  setKeyBindings(bindings: Partial<KeyBindings>) {
+    this.keyMap = indexKeyBindings(sanitizeKeyBindings(bindings));
+    this.heldKeys.clear();
+  }
+
+  setGamepadBindings(bindings: Partial<GamepadBindings>) {
+    this.gamepad.setBindings(bindings);
+  }
+
+  // Debug overlay: record the routed input of every update() into `recorder` (null stops).
+  setTelemetry(recorder: TelemetryRecorder | null) {
+    this.telemetry = recorder;
+  }
+
+  // null turns scanning off.
+  setSwitchScan(settings: Partial<SwitchScanSettings> | null) {
+    if (!settings) {
+      this.switchScan = null;
+      return;
+    }
+    if (this.switchScan) this.switchScan.setSettings(settings);
+    else this.switchScan = new SwitchScanner(settings);
+  }
+
+  // Also driven by Space/Enter in switch mode; exposed for on-screen or external switches.
+  pressSwitch() {
+    this.switchScan?.press();
+  }
+
+  releaseSwitch() {
+    this.switchScan?.release();
+  }
+
+  setTouchMove(x: number, y: number) {
+    this.touch.x = Number.isFinite(x) ? clamp(x, -1, 1) : 0;
+    this.touch.y = Number.isFinite(y) ? clamp(y, -1, 1) : 0;
+  }
+
+  // Fire works like the keyboard fire key: a burst on press, then continuous fire while held.
+  setTouchHeld(control: 'boost' | 'fire', held: boolean) {
+    if (control === 'fire' && held && !this.touch.fire) this.queueGunBurst();
+    this.touch[control] = Boolean(held);
+  }
+
   setStopHeld(held: boolean) {
     this.stopHeld = Boolean(held);
   }
@@ -152,11 +248,20 @@ export class InputRouter {
 
   update(nowMs: number) {
     const face = this.face.current;
-    const hasMouth = Boolean(face.calibrated);
-    const mode: ControlMode = hasMouth ? 'mouth' : 'keyboard';
-
-    let moveX = hasMouth ? face.strafeX : 0;
-    let moveY = hasMouth ? face.strafeY : 0;
+    const scan = this.switchScan?.update(nowMs) ?? null;
+    const pad = this.gamepad.poll(this.getGamepads());
+    const hasMouth = Boolean(face.calibrated) && !scan;
+    const mode: ControlMode = scan ? 'switch' : hasMouth ? 'mouth' : pad.connected ? 'gamepad' : 'keyboard';
+    if (scan?.toggleStop) this.toggleStop();
+    if (pad.onsets.has('flip')) this.queueFlip('z', 1);
+    if (pad.onsets.has('pause')) this.onTogglePause?.();
+
+    let moveX = hasMouth ? face.strafeX : (scan?.moveX ?? 0);
+    let moveY = hasMouth ? face.strafeY : (scan?.moveY ?? 0);
+    if (hasMouth && this.headSteer) {
+      moveX = clamp(moveX + face.headX, -1, 1);
+      moveY = clamp(moveY + face.headY, -1, 1);
+    }
 
     const manual = this.manualNudge;
     if (manual && manual.untilMs > nowMs) {
@@ -166,19 +271,55 @@ export class InputRouter {
       this.manualNudge = null;
     }
 
-    const keyX = (this.keys.right ? 1 : 0) - (this.keys.left ? 1 : 0);
-    const keyY = (this.keys.up ? 1 : 0) - (this.keys.down ? 1 : 0);
+    const keyX = (this.isKeyHeld('right') ? 1 : 0) - (this.isKeyHeld('left') ? 1 : 0);
+    const keyY = (this.isKeyHeld('up') ? 1 : 0) - (this.isKeyHeld('down') ? 1 : 0);
     if (keyX || keyY) {
       moveX = clamp(moveX + keyX, -1, 1);
       moveY = clamp(moveY + keyY, -1, 1);
     }
+    if (this.touch.x || this.touch.y) {
+      moveX = clamp(moveX + this.touch.x, -1, 1);
+      moveY = clamp(moveY + this.touch.y, -1, 1);
+    }
+    if (pad.moveX || pad.moveY) {
+      moveX = clamp(moveX + pad.moveX, -1, 1);
+      moveY = clamp(moveY + pad.moveY, -1, 1);
+    }
 
-    const boost = clamp((hasMouth ? face.boost : 0) + (this.keys.boost ? 1 : 0), 0, 1);
-    const stop = this.stopHeld || this.stopToggled || this.keys.stop;
-
-    const fireGuns = (hasMouth && face.fireHold) || this.keys.fire;
-    const fireGunsBurst = (hasMouth && face.fireBurst) || this.queuedGunBurst;
-    const fireMissile = this.queuedMissile;
+    const boost = clamp(
+      (hasMouth ? face.boost : (scan?.boost ?? 0)) + (this.isKeyHeld('boost') || this.touch.boost ? 1 : 0) + pad.boost,
+      0,
+      1,
+    );
+    // Facial gestures, mapped through the player's bindings.
+    const gestures = this.gestures.update(hasMouth ? face.expressions : null, nowMs);
+    const bound = (action: GestureAction, set: Set<FaceGesture>) => {
+      for (const g of set) if (this.gestureBindings[g] === action) return true;
+      return false;
+    };
+    if (bound('flip', gestures.onsets)) this.queueFlip('z', 1);
+    if (bound('pause', gestures.onsets)) this.onTogglePause?.();
+
+    const stop =
+      this.stopHeld || this.stopToggled || this.isKeyHeld('stop') || bound('stop', gestures.held) || pad.held.has('stop');
+
+    const fireGuns =
+      (hasMouth && face.fireHold) ||
+      this.isKeyHeld('fire') ||
+      this.touch.fire ||
+      bound('fireGuns', gestures.held) ||
+      pad.held.has('fire');
+    const fireGunsBurst =
+      (hasMouth && face.fireBurst) ||
+      this.queuedGunBurst ||
+      bound('fireGuns', gestures.onsets) ||
+      Boolean(scan?.fireBurst) ||
+      pad.onsets.has('fire');
+    const fireMissile =
+      this.queuedMissile ||
+      bound('fireMissile', gestures.onsets) ||
+      Boolean(scan?.fireMissile) ||
+      pad.onsets.has('missile');
     const flip = this.queuedFlip;
 
     const s = this.state.current;
@@ -192,6 +333,8 @@ export class InputRouter {
     s.fireMissile = fireMissile;
     s.flip = flip;
     s.hasCamera = this.hasCamera || hasMouth;
+    s.scan = scan;
+    this.telemetry?.pushFrame(nowMs, s);
 
     // Consume one-frame actions.
     this.queuedGunBurst = false;
@@ -206,62 +349,67 @@ export class InputRouter {
     return Boolean(target?.isContentEditable);
   }
 
-  private onKeyDown = (e: KeyboardEvent) => {
-    if (this.shouldIgnoreKeyEvent(e)) return;
+  private isSwitchKey(e: KeyboardEvent) {
+    if (this.switchScan == null) return false;
+    const key = eventKey(e);
+    return key != null && SWITCH_KEYS.includes(key);
+  }
 
-    const k = e.key.toLowerCase();
+  // Space/Enter on a focused button or link should press it, not the switch.
+  private isControlTarget(e: KeyboardEvent) {
+    const target = e.target as any;
+    const tag = String(target?.tagName || '').toUpperCase();
+    return tag === 'BUTTON' || tag === 'A' || tag === 'SUMMARY' || target?.getAttribute?.('role') === 'button';
+  }
 
-    if (k === 'a' || e.key === 'ArrowLeft') {
-      this.keys.left = true;
-      e.preventDefault();
-    }
-    if (k === 'd' || e.key === 'ArrowRight') {
-      this.keys.right = true;
-      e.preventDefault();
-    }
-    if (k === 'w' || e.key === 'ArrowUp') {
-      this.keys.up = true;
-      e.preventDefault();
-    }
-    if (k === 's' || e.key === 'ArrowDown') {
-      this.keys.down = true;
-      e.preventDefault();
-    }
-    if (e.key === 'Shift') this.keys.boost = true;
+  private isKeyHeld(action: KeyAction) {
+    for (const key of this.heldKeys) if (this.keyMap.get(key)?.includes(action)) return true;
+    return false;
+  }
 
-    if (k === 'x' || k === 'c') {
-      this.keys.stop = true;
-      e.preventDefault();
-    }
+  private onKeyDown = (e: KeyboardEvent) => {
+    if (this.shouldIgnoreKeyEvent(e)) return;
 
-    if (e.key === ' ') {
-      this.keys.fire = true;
-      if (!e.repeat) this.queueGunBurst();
+    if (this.isSwitchKey(e)) {
+      if (this.isControlTarget(e)) return;
+      if (!e.repeat) this.pressSwitch();
       e.preventDefault();
+      return;
     }
 
-    if (k === 'f') {
-      this.queueGunBurst();
-    }
-    if (k === 'm') {
-      if (!e.repeat) this.queueMissile();
-    }
-    if (k === 'p') {
-      if (!e.repeat) this.onTogglePause?.();
+    const key = eventKey(e);
+    const actions = key ? this.keyMap.get(key) : undefined;
+    if (!key || !actions) return;
+    this.heldKeys.add(key);
+    e.preventDefault();
+
+    for (const action of actions) {
+      // Bursts repeat with key repeat; the other one-shot actions need a fresh press.
+      if (action === 'burst') this.queueGunBurst();
+      if (e.repeat) continue;
+      if (action === 'fire') this.queueGunBurst();
+      if (action === 'missile') this.queueMissile();
+      if (action === 'pause') this.onTogglePause?.();
+      const flip = FLIP_ACTIONS[action];
+      if (flip) this.queueFlip(flip.axis, flip.dir);
     }
   };
 
   private onKeyUp = (e: KeyboardEvent) => {
     if (this.shouldIgnoreKeyEvent(e)) return;
 
-    const k = e.key.toLowerCase();
+    if (this.isSwitchKey(e)) {
+      this.releaseSwitch();
+      return;
+    }
+
+    const key = eventKey(e);
+    if (key) this.heldKeys.delete(key);
+  };
 
-    if (k === 'a' || e.key === 'ArrowLeft') this.keys.left = false;
-    if (k === 'd' || e.key === 'ArrowRight') this.keys.right = false;
-    if (k === 'w' || e.key === 'ArrowUp') this.keys.up = false;
-    if (k === 's' || e.key === 'ArrowDown') this.keys.down = false;
-    if (e.key === 'Shift') this.keys.boost = false;
-    if (k === 'x' || k === 'c') this.keys.stop = false;
-    if (e.key === ' ') this.keys.fire = false;
+  // Keyups that happen while another window has focus never arrive.
+  private onBlur = () => {
+    this.heldKeys.clear();
+    this.releaseSwitch();
   };
 }
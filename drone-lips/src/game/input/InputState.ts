@@ -1,4 +1,6 @@
-export type ControlMode = 'mouth' | 'keyboard';
+import type { ScanHighlight } from './SwitchScanner';
+
+export type ControlMode = 'mouth' | 'keyboard' | 'gamepad' | 'switch';
 
 export type FlipCommand = { axis: 'x' | 'z'; dir: 1 | -1 };
 
@@ -13,6 +15,7 @@ export type InputState = {
   fireMissile: boolean; // momentary
   flip: FlipCommand | null; // momentary
   hasCamera: boolean;
+  scan: ScanHighlight | null; // switch scanning highlight (switch mode only)
 };
 
 export function createDefaultInputState(): InputState {
@@ -27,6 +30,7 @@ export function createDefaultInputState(): InputState {
     fireMissile: false,
     flip: null,
     hasCamera: false,
+    scan: null,
   };
 }
 
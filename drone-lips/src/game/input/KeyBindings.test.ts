@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+  bindKey,
+  DEFAULT_KEY_BINDINGS,
+  eventKey,
+  findKeyConflicts,
+  findSwitchKeyConflicts,
+  keyLabel,
+  normalizeKey,
+  sanitizeKeyBindings,
+} from './KeyBindings';
+
+describe('KeyBindings', () => {
+  it('binds physical keys and refuses reserved ones', () => {
+    expect(eventKey({ code: 'Digit1', key: '!' })).toBe('Digit1');
+    expect(eventKey({ code: 'KeyW', key: 'W' })).toBe('KeyW');
+    expect(eventKey({ code: '', key: 'Enter' })).toBe('Enter');
+    expect(normalizeKey('Escape')).toBeNull();
+    expect(normalizeKey('Tab')).toBeNull();
+    expect(keyLabel('KeyW')).toBe('W');
+    expect(keyLabel('ShiftLeft')).toBe('Left Shift');
+    expect(keyLabel('Slash')).toBe('/');
+  });
+
+  it('rebinds a slot without touching other actions', () => {
+    const next = bindKey(DEFAULT_KEY_BINDINGS, 'left', 1, 'KeyJ');
+    expect(next.left).toEqual(['KeyA', 'KeyJ']);
+    expect(next.right).toEqual(DEFAULT_KEY_BINDINGS.right);
+    expect(DEFAULT_KEY_BINDINGS.left).toEqual(['KeyA', 'ArrowLeft']);
+    expect(bindKey(next, 'left', 0, null).left).toEqual(['KeyJ']);
+  });
+
+  it('reports keys bound to more than one action', () => {
+    expect(findKeyConflicts(DEFAULT_KEY_BINDINGS)).toEqual([]);
+    const clash = bindKey(DEFAULT_KEY_BINDINGS, 'missile', 0, 'KeyA');
+    expect(findKeyConflicts(clash)).toEqual([{ key: 'KeyA', actions: ['left', 'missile'] }]);
+  });
+
+  it('flags keys that switch access takes over', () => {
+    expect(findSwitchKeyConflicts(DEFAULT_KEY_BINDINGS)).toEqual([
+      { key: 'Space', actions: ['fire'] },
+    ]);
+    const moved = bindKey(bindKey(DEFAULT_KEY_BINDINGS, 'fire', 0, 'KeyG'), 'missile', 0, 'Enter');
+    expect(findSwitchKeyConflicts(moved)).toEqual([{ key: 'Enter', actions: ['missile'] }]);
+  });
+
+  it('sanitizes stored maps, including ones saved as key values', () => {
+    const out = sanitizeKeyBindings({
+      fire: ['Enter', 'Enter', 'Escape', 3, 'KeyK', 'KeyL'],
+      boost: 'Shift',
+      left: ['j', ' '],
+    });
+    expect(out.fire).toEqual(['Enter', 'KeyK']);
+    expect(out.boost).toEqual(DEFAULT_KEY_BINDINGS.boost);
+    expect(out.left).toEqual(['KeyJ', 'Space']);
+    expect(sanitizeKeyBindings(null)).toEqual(DEFAULT_KEY_BINDINGS);
+  });
+});
@@ -0,0 +1,201 @@
+import type { FlipCommand } from './InputState';
+
+// Keyboard map used by InputRouter. Keys are KeyboardEvent.code values (physical keys), so holding Shift
+// (boost) never changes which key was pressed, and a key released after its modifier still matches.
+
+export type KeyAction =
+  | 'left'
+  | 'right'
+  | 'up'
+  | 'down'
+  | 'boost'
+  | 'fire'
+  | 'burst'
+  | 'missile'
+  | 'stop'
+  | 'pause'
+  | 'flipLeft'
+  | 'flipRight'
+  | 'flipUp'
+  | 'flipDown';
+
+// Every action takes up to this many keys (e.g. WASD and the arrows).
+export const KEYS_PER_ACTION = 2;
+
+export type KeyBindings = Record<KeyAction, string[]>;
+
+export const KEY_ACTIONS: ReadonlyArray<{ id: KeyAction; label: string }> = [
+  { id: 'left', label: 'Left' },
+  { id: 'right', label: 'Right' },
+  { id: 'up', label: 'Up' },
+  { id: 'down', label: 'Down' },
+  { id: 'boost', label: 'Boost (hold)' },
+  { id: 'fire', label: 'Fire guns (hold)' },
+  { id: 'burst', label: 'Gun burst' },
+  { id: 'missile', label: 'Fire missile' },
+  { id: 'stop', label: 'Stop (hold)' },
+  { id: 'pause', label: 'Pause' },
+  { id: 'flipLeft', label: 'Flip left' },
+  { id: 'flipRight', label: 'Flip right' },
+  { id: 'flipUp', label: 'Flip up' },
+  { id: 'flipDown', label: 'Flip down' },
+];
+
+export const DEFAULT_KEY_BINDINGS: KeyBindings = {
+  left: ['KeyA', 'ArrowLeft'],
+  right: ['KeyD', 'ArrowRight'],
+  up: ['KeyW', 'ArrowUp'],
+  down: ['KeyS', 'ArrowDown'],
+  boost: ['ShiftLeft', 'ShiftRight'],
+  fire: ['Space'],
+  burst: ['KeyF'],
+  missile: ['KeyM'],
+  stop: ['KeyX', 'KeyC'],
+  pause: ['KeyP'],
+  flipLeft: ['KeyQ'],
+  flipRight: ['KeyE'],
+  flipUp: ['KeyR'],
+  flipDown: ['KeyV'],
+};
+
+// Same flips the voice commands trigger.
+export const FLIP_ACTIONS: Partial<Record<KeyAction, FlipCommand>> = {
+  flipLeft: { axis: 'z', dir: -1 },
+  flipRight: { axis: 'z', dir: 1 },
+  flipUp: { axis: 'x', dir: -1 },
+  flipDown: { axis: 'x', dir: 1 },
+};
+
+// Keys that can't be bound: Escape cancels rebinding, Tab keeps keyboard navigation working.
+const RESERVED_KEYS = new Set(['Escape', 'Tab']);
+
+// KeyboardEvent.key values for keys whose code differs. Used for maps saved before bindings moved to codes,
+// and for events without a code (some on-screen keyboards and switch interfaces).
+const KEY_TO_CODE: Record<string, string> = {
+  ' ': 'Space',
+  Shift: 'ShiftLeft',
+  Control: 'ControlLeft',
+  Alt: 'AltLeft',
+  Meta: 'MetaLeft',
+  '-': 'Minus',
+  '=': 'Equal',
+  '[': 'BracketLeft',
+  ']': 'BracketRight',
+  ';': 'Semicolon',
+  "'": 'Quote',
+  ',': 'Comma',
+  '.': 'Period',
+  '/': 'Slash',
+  '\\': 'Backslash',
+  '`': 'Backquote',
+};
+
+/** A key code to bind, or null for keys that can't be bound. Also accepts KeyboardEvent.key values. */
+export function normalizeKey(key: string): string | null {
+  if (!key || key === 'Unidentified' || key === 'Dead' || RESERVED_KEYS.has(key)) return null;
+  if (/^[a-z]$/i.test(key)) return `Key${key.toUpperCase()}`;
+  if (/^[0-9]$/.test(key)) return `Digit${key}`;
+  if (key.length === 1) return KEY_TO_CODE[key] ?? null;
+  return KEY_TO_CODE[key] ?? key;
+}
+
+export function eventKey(e: Pick<KeyboardEvent, 'code' | 'key'>): string | null {
+  return normalizeKey(e.code || e.key);
+}
+
+const KEY_LABELS: Record<string, string> = {
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ShiftLeft: 'Left Shift',
+  ShiftRight: 'Right Shift',
+  ControlLeft: 'Left Ctrl',
+  ControlRight: 'Right Ctrl',
+  AltLeft: 'Left Alt',
+  AltRight: 'Right Alt',
+  MetaLeft: 'Left Meta',
+  MetaRight: 'Right Meta',
+  NumpadEnter: 'Num Enter',
+};
+for (const [key, code] of Object.entries(KEY_TO_CODE)) {
+  if (key.length === 1 && key !== ' ') KEY_LABELS[code] = key;
+}
+
+// Key names follow a US layout (KeyA is the key left of S, whatever it prints).
+export function keyLabel(key: string): string {
+  if (KEY_LABELS[key]) return KEY_LABELS[key];
+  const m = /^(?:Key|Digit)(.)$/.exec(key);
+  if (m) return m[1];
+  if (key.startsWith('Numpad')) return `Num ${key.slice('Numpad'.length)}`;
+  return key;
+}
+
+export function sanitizeKeyBindings(raw: any): KeyBindings {
+  const out: KeyBindings = cloneKeyBindings(DEFAULT_KEY_BINDINGS);
+  if (!raw || typeof raw !== 'object') return out;
+  for (const { id } of KEY_ACTIONS) {
+    const keys = raw[id];
+    if (!Array.isArray(keys)) continue;
+    const clean = keys
+      .map((k) => (typeof k === 'string' ? normalizeKey(k) : null))
+      .filter((k): k is string => k !== null);
+    out[id] = [...new Set(clean)].slice(0, KEYS_PER_ACTION);
+  }
+  return out;
+}
+
+export function cloneKeyBindings(bindings: KeyBindings): KeyBindings {
+  const out = {} as KeyBindings;
+  for (const { id } of KEY_ACTIONS) out[id] = [...(bindings[id] ?? [])];
+  return out;
+}
+
+/** Puts `key` in the given slot of `action` (null clears the slot). Other actions keep their keys. */
+export function bindKey(
+  bindings: KeyBindings,
+  action: KeyAction,
+  slot: number,
+  key: string | null,
+): KeyBindings {
+  const next = cloneKeyBindings(bindings);
+  if (slot < 0 || slot >= KEYS_PER_ACTION) return next;
+  const normalized = key == null ? null : normalizeKey(key);
+  if (normalized == null) {
+    next[action].splice(slot, 1);
+    return next;
+  }
+  const keys = next[action].filter((k) => k !== normalized);
+  if (slot < keys.length) keys[slot] = normalized;
+  else keys.push(normalized);
+  next[action] = keys;
+  return next;
+}
+
+export type KeyConflict = { key: string; actions: KeyAction[] };
+
+// Keys bound to more than one action. They still work (every bound action runs), but usually by mistake.
+export function findKeyConflicts(bindings: KeyBindings): KeyConflict[] {
+  return [...indexKeyBindings(bindings)]
+    .filter(([, actions]) => actions.length > 1)
+    .map(([key, actions]) => ({ key, actions }));
+}
+
+// Keys that act as the switch while switch access is scanning (see InputRouter).
+export const SWITCH_KEYS: ReadonlyArray<string> = ['Space', 'Enter', 'NumpadEnter'];
+
+// Bound switch keys: while scanning they press the switch instead, so their actions never run.
+export function findSwitchKeyConflicts(bindings: KeyBindings): KeyConflict[] {
+  return [...indexKeyBindings(bindings)]
+    .filter(([key]) => SWITCH_KEYS.includes(key))
+    .map(([key, actions]) => ({ key, actions }));
+}
+
+// key -> actions, for the router's keydown/keyup lookups.
+export function indexKeyBindings(bindings: KeyBindings): Map<string, KeyAction[]> {
+  const byKey = new Map<string, KeyAction[]>();
+  for (const { id } of KEY_ACTIONS) {
+    for (const key of bindings[id]) byKey.set(key, [...(byKey.get(key) ?? []), id]);
+  }
+  return byKey;
+}
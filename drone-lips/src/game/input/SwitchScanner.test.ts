@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest';
+
+import { SCAN_ITEMS, SwitchScanner, sanitizeSwitchScanSettings } from './SwitchScanner';
+
+// Press and release the switch between two frames.
+function tap(s: SwitchScanner) {
+  s.press();
+  s.release();
+}
+
+describe('SwitchScanner', () => {
+  it('steps through the items on the scan timer', () => {
+    const s = new SwitchScanner({ scanMs: 1000 });
+    expect(s.update(0).highlighted).toBe('left');
+    expect(s.update(500).progress).toBeCloseTo(0.5);
+    expect(s.update(1000).highlighted).toBe('right');
+    expect(s.update(2100).highlighted).toBe('up');
+    expect(s.update(1000 * SCAN_ITEMS.length).highlighted).toBe('left');
+  });
+
+  it('pulses a selected direction and then resumes scanning', () => {
+    const s = new SwitchScanner({ scanMs: 1000, hold: 'pulse', pulseMs: 800 });
+    s.update(0);
+    s.update(1000); // right
+    tap(s);
+    const f = s.update(1100);
+    expect(f.active).toBe('right');
+    expect(f.moveX).toBe(1);
+    expect(s.update(1500).moveX).toBe(1); // scanning is paused while moving
+    expect(s.update(1900).active).toBeNull();
+    expect(s.update(1950).highlighted).toBe('right');
+    expect(s.update(2900).highlighted).toBe('up');
+  });
+
+  it('latches until the next press', () => {
+    const s = new SwitchScanner({ scanMs: 1000, hold: 'latch' });
+    s.update(0);
+    tap(s);
+    expect(s.update(10).moveX).toBe(-1);
+    expect(s.update(9000).moveX).toBe(-1);
+    tap(s);
+    expect(s.update(9010).active).toBeNull();
+  });
+
+  it('moves while the switch is held', () => {
+    const s = new SwitchScanner({ scanMs: 1000, hold: 'hold' });
+    s.update(0);
+    s.update(2000); // up
+    s.press();
+    expect(s.update(2010).moveY).toBe(1);
+    expect(s.update(4000).moveY).toBe(1);
+    s.release();
+    expect(s.update(4010).moveY).toBe(0);
+  });
+
+  it('fires one-frame actions', () => {
+    const s = new SwitchScanner({ scanMs: 1000 });
+    s.update(0);
+    s.update(5000); // fire
+    tap(s);
+    expect(s.update(5010).fireBurst).toBe(true);
+    expect(s.update(5020).fireBurst).toBe(false);
+    expect(s.update(5030).highlighted).toBe('fire');
+  });
+
+  it('sanitizes settings', () => {
+    expect(sanitizeSwitchScanSettings({ scanMs: 50, hold: 'nope', pulseMs: 'x' })).toEqual({
+      scanMs: 500,
+      hold: 'pulse',
+      pulseMs: 900,
+    });
+  });
+});
@@ -0,0 +1,201 @@
+// Single-switch scanning: the highlight steps through directions and actions on a timer and one switch
+// press selects the highlighted one. For players using one assistive switch (or a key mapped to it).
+
+export type ScanItem = 'left' | 'right' | 'up' | 'down' | 'boost' | 'fire' | 'missile' | 'stop';
+
+export const SCAN_ITEMS: ReadonlyArray<{ id: ScanItem; label: string }> = [
+  { id: 'left', label: '◀ Left' },
+  { id: 'right', label: 'Right ▶' },
+  { id: 'up', label: '▲ Up' },
+  { id: 'down', label: '▼ Down' },
+  { id: 'boost', label: 'Boost' },
+  { id: 'fire', label: 'Fire' },
+  { id: 'missile', label: 'Missile' },
+  { id: 'stop', label: 'Hover' },
+];
+
+// What a selected direction or boost does:
+// - pulse: runs for pulseMs, then scanning resumes
+// - latch: runs until the next press
+// - hold: runs while the switch is held down
+export type SwitchHoldMode = 'pulse' | 'latch' | 'hold';
+
+export const SWITCH_HOLD_MODES: ReadonlyArray<{ id: SwitchHoldMode; label: string }> = [
+  { id: 'pulse', label: 'Short move per press' },
+  { id: 'latch', label: 'Press to start, press again to stop' },
+  { id: 'hold', label: 'Move while the switch is held' },
+];
+
+export type SwitchScanSettings = {
+  scanMs: number; // time on each item
+  hold: SwitchHoldMode;
+  pulseMs: number; // move length in pulse mode
+};
+
+export const DEFAULT_SWITCH_SCAN_SETTINGS: SwitchScanSettings = {
+  scanMs: 1200,
+  hold: 'pulse',
+  pulseMs: 900,
+};
+
+export const SWITCH_SCAN_LIMITS = {
+  scanMs: { min: 500, max: 4000, step: 100 },
+  pulseMs: { min: 300, max: 3000, step: 100 },
+} as const;
+
+export function sanitizeSwitchScanSettings(raw: unknown): SwitchScanSettings {
+  const src = raw && typeof raw === 'object' ? (raw as Partial<SwitchScanSettings>) : {};
+  const num = (v: unknown, lim: { min: number; max: number }, fallback: number) => {
+    const n = Number(v);
+    return Number.isFinite(n) ? Math.min(lim.max, Math.max(lim.min, n)) : fallback;
+  };
+  return {
+    scanMs: num(src.scanMs, SWITCH_SCAN_LIMITS.scanMs, DEFAULT_SWITCH_SCAN_SETTINGS.scanMs),
+    hold: SWITCH_HOLD_MODES.some((m) => m.id === src.hold)
+      ? (src.hold as SwitchHoldMode)
+      : DEFAULT_SWITCH_SCAN_SETTINGS.hold,
+    pulseMs: num(src.pulseMs, SWITCH_SCAN_LIMITS.pulseMs, DEFAULT_SWITCH_SCAN_SETTINGS.pulseMs),
+  };
+}
+
+// Shown by the HUD.
+export type ScanHighlight = {
+  highlighted: ScanItem;
+  progress: number; // 0..1 toward the next item
+  active: ScanItem | null; // direction/boost currently applied
+};
+
+export type SwitchScanFrame = ScanHighlight & {
+  moveX: number;
+  moveY: number;
+  boost: number;
+  // One-frame actions.
+  fireBurst: boolean;
+  fireMissile: boolean;
+  toggleStop: boolean;
+};
+
+const MOVES: Partial<Record<ScanItem, { x: number; y: number }>> = {
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 },
+  up: { x: 0, y: 1 },
+  down: { x: 0, y: -1 },
+};
+
+export class SwitchScanner {
+  private settings: SwitchScanSettings;
+  private index = 0;
+  private stepStartMs: number | null = null;
+  private active: { item: ScanItem; untilMs: number | null } | null = null;
+  private pendingPress = false;
+  private pendingRelease = false;
+  private down = false;
+
+  // Reused every update.
+  private readonly frame: SwitchScanFrame = {
+    highlighted: SCAN_ITEMS[0].id,
+    progress: 0,
+    active: null,
+    moveX: 0,
+    moveY: 0,
+    boost: 0,
+    fireBurst: false,
+    fireMissile: false,
+    toggleStop: false,
+  };
+
+  constructor(settings: Partial<SwitchScanSettings> = {}) {
+    this.settings = sanitizeSwitchScanSettings({ ...DEFAULT_SWITCH_SCAN_SETTINGS, ...settings });
+  }
+
+  setSettings(settings: Partial<SwitchScanSettings>) {
+    this.settings = sanitizeSwitchScanSettings({ ...this.settings, ...settings });
+  }
+
+  // Switch events are applied on the next update(), on the game clock.
+  press() {
+    if (this.down) return;
+    this.down = true;
+    this.pendingPress = true;
+  }
+
+  release() {
+    if (!this.down) return;
+    this.down = false;
+    this.pendingRelease = true;
+  }
+
+  reset() {
+    this.index = 0;
+    this.stepStartMs = null;
+    this.active = null;
+    this.pendingPress = false;
+    this.pendingRelease = false;
+    this.down = false;
+  }
+
+  update(nowMs: number): SwitchScanFrame {
+    const f = this.frame;
+    f.fireBurst = false;
+    f.fireMissile = false;
+    f.toggleStop = false;
+    this.stepStartMs ??= nowMs;
+
+    if (this.pendingPress) {
+      this.pendingPress = false;
+      this.select(nowMs);
+    } else if (this.pendingRelease) {
+      // A press and release in the same frame still applies the press for one frame first.
+      this.pendingRelease = false;
+      if (this.active && this.settings.hold === 'hold') this.stopActive(nowMs);
+    }
+
+    if (this.active?.untilMs != null && nowMs >= this.active.untilMs) this.stopActive(nowMs);
+
+    if (!this.active) {
+      const elapsed = nowMs - this.stepStartMs;
+      if (elapsed >= this.settings.scanMs * SCAN_ITEMS.length) {
+        // Long gap (tab hidden, paused): don't spin through the list.
+        this.stepStartMs = nowMs;
+      }
+      while (nowMs - this.stepStartMs >= this.settings.scanMs) {
+        this.index = (this.index + 1) % SCAN_ITEMS.length;
+        this.stepStartMs += this.settings.scanMs;
+      }
+    }
+
+    const item = this.active?.item ?? null;
+    const move = item ? MOVES[item] : undefined;
+    f.highlighted = SCAN_ITEMS[this.index].id;
+    f.progress = this.active ? 0 : Math.min(1, (nowMs - this.stepStartMs) / this.settings.scanMs);
+    f.active = item;
+    f.moveX = move?.x ?? 0;
+    f.moveY = move?.y ?? 0;
+    f.boost = item === 'boost' ? 1 : 0;
+    return f;
+  }
+
+  private select(nowMs: number) {
+    if (this.active && this.settings.hold === 'latch') {
+      this.stopActive(nowMs);
+      return;
+    }
+
+    const item = SCAN_ITEMS[this.index].id;
+    // Selecting restarts the dwell on the same item, so it can be picked again right away.
+    this.stepStartMs = nowMs;
+    if (item === 'fire') this.frame.fireBurst = true;
+    else if (item === 'missile') this.frame.fireMissile = true;
+    else if (item === 'stop') this.frame.toggleStop = true;
+    else
+      this.active = {
+        item,
+        untilMs: this.settings.hold === 'pulse' ? nowMs + this.settings.pulseMs : null,
+      };
+  }
+
+  private stopActive(nowMs: number) {
+    this.active = null;
+    this.stepStartMs = nowMs;
+  }
+}
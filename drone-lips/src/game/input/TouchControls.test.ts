@@ -0,0 +1,24 @@
+import { describe, expect, it } from 'vitest';
+
+import { sanitizeTouchControlsMode, showTouchControls, stickVector } from './TouchControls';
+
+describe('stickVector', () => {
+  it('ignores small offsets and clamps at the rim', () => {
+    expect(stickVector(3, -3, 50)).toEqual({ x: 0, y: 0 });
+    const up = stickVector(0, -200, 50);
+    expect(up.x).toBeCloseTo(0);
+    expect(up.y).toBeCloseTo(1); // finger above center steers up
+    expect(stickVector(25, 0, 50).x).toBeGreaterThan(0.4);
+    expect(stickVector(25, 0, 50).x).toBeLessThan(0.5);
+  });
+});
+
+describe('showTouchControls', () => {
+  it('hides the controls in mouth mode only when asked to', () => {
+    expect(showTouchControls('auto', 'mouth')).toBe(false);
+    expect(showTouchControls('auto', 'keyboard')).toBe(true);
+    expect(showTouchControls('always', 'mouth')).toBe(true);
+    expect(showTouchControls('off', 'keyboard')).toBe(false);
+    expect(sanitizeTouchControlsMode('sometimes')).toBe('auto');
+  });
+});
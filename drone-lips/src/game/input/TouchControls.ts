@@ -0,0 +1,35 @@
+import type { ControlMode } from './InputState';
+
+// On-screen stick and buttons for phones and tablets.
+
+// auto: shown unless the player is steering with their mouth.
+export type TouchControlsMode = 'auto' | 'always' | 'off';
+
+export const TOUCH_CONTROLS_MODES: ReadonlyArray<{ id: TouchControlsMode; label: string }> = [
+  { id: 'auto', label: 'Hide while steering with the mouth' },
+  { id: 'always', label: 'Always show' },
+  { id: 'off', label: 'Never show' },
+];
+
+export function sanitizeTouchControlsMode(raw: unknown): TouchControlsMode {
+  return TOUCH_CONTROLS_MODES.some((m) => m.id === raw) ? (raw as TouchControlsMode) : 'auto';
+}
+
+export function showTouchControls(mode: TouchControlsMode, controlMode: ControlMode): boolean {
+  if (mode === 'off') return false;
+  return mode === 'always' || controlMode !== 'mouth';
+}
+
+const STICK_DEADZONE = 0.12;
+
+/**
+ * Finger offset from the stick center (px, screen y down) to a move vector (+up), clamped to the unit
+ * circle. The deadzone is rescaled away so small pushes still start from zero.
+ */
+export function stickVector(dx: number, dy: number, radius: number): { x: number; y: number } {
+  const mag = Math.hypot(dx, dy) / Math.max(1, radius);
+  if (mag <= STICK_DEADZONE) return { x: 0, y: 0 };
+  const scaled =
+    Math.min(1, (mag - STICK_DEADZONE) / (1 - STICK_DEADZONE)) / mag / Math.max(1, radius);
+  return { x: dx * scaled, y: -dy * scaled };
+}
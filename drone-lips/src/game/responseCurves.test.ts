@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest';
+
+import { RESPONSE_CURVES, applyResponseCurve } from './responseCurves';
+
+describe('applyResponseCurve', () => {
+  it('maps 0..1 onto 0..1 and rises monotonically for every curve', () => {
+    for (const { id } of RESPONSE_CURVES) {
+      expect(applyResponseCurve(0, id)).toBeCloseTo(0);
+      expect(applyResponseCurve(1, id)).toBeCloseTo(1);
+      let prev = -1;
+      for (let t = 0; t <= 1; t += 0.05) {
+        const v = applyResponseCurve(t, id);
+        expect(v).toBeGreaterThanOrEqual(prev);
+        prev = v;
+      }
+    }
+  });
+
+  it('shapes the middle of the range', () => {
+    expect(applyResponseCurve(0.5, 'linear')).toBeCloseTo(0.5);
+    expect(applyResponseCurve(0.5, 'exponential')).toBeLessThan(0.3);
+    expect(applyResponseCurve(0.5, 'sCurve')).toBeCloseTo(0.5);
+    expect(applyResponseCurve(0.2, 'sCurve')).toBeLessThan(0.2);
+  });
+
+  it('clamps out-of-range input', () => {
+    expect(applyResponseCurve(-1, 'exponential')).toBe(0);
+    expect(applyResponseCurve(2, 'sCurve')).toBe(1);
+  });
+});
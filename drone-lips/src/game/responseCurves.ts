@@ -0,0 +1,24 @@
+import { clamp } from './math';
+
+// Shapes a 0..1 input into a 0..1 output, e.g. mouth opening into throttle.
+export type ResponseCurve = 'linear' | 'exponential' | 'sCurve';
+
+export const RESPONSE_CURVES: ReadonlyArray<{ id: ResponseCurve; label: string }> = [
+  { id: 'linear', label: 'Linear' },
+  { id: 'exponential', label: 'Exponential (fine control at low throttle)' },
+  { id: 'sCurve', label: 'S-curve (soft at both ends)' },
+];
+
+const EXP_K = 3;
+const EXP_DENOM = Math.exp(EXP_K) - 1;
+
+export function applyResponseCurve(t: number, curve: ResponseCurve): number {
+  const x = clamp(t, 0, 1);
+  if (curve === 'exponential') return (Math.exp(EXP_K * x) - 1) / EXP_DENOM;
+  if (curve === 'sCurve') return x * x * (3 - 2 * x);
+  return x;
+}
+
+export function isResponseCurve(value: unknown): value is ResponseCurve {
+  return RESPONSE_CURVES.some((c) => c.id === value);
+}
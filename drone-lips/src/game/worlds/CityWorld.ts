@@ -0,0 +1,253 @@
+import * as THREE from 'three';
+
+import type { EnemySpawnBounds } from '../Enemy';
+import type { LevelConfig } from '../levels';
+import { clamp, pickOne, randRange } from '../math';
+
+import {
+  PickupField,
+  ScrollingGround,
+  computeObstacleCount,
+  computePickupPoolSize,
+  createBoxObstacle,
+  findBoxHit,
+  hitsAnyBox,
+  pushOutOfBox,
+  writeBoxInstances,
+  type BoxObstacle,
+} from './common';
+import type {
+  World,
+  WorldInitArgs,
+  WorldPlayerBounds,
+  WorldPush,
+  WorldUpdateArgs,
+  WorldUpdateResult,
+} from './World';
+
+type Building = BoxObstacle & { side: -1 | 1 };
+
+const GROUND_Y = -6.5;
+const TILE_LENGTH = 90;
+const TILE_COUNT = 3;
+
+const WORLD_Z_SPAWN_MIN = 55;
+const WORLD_Z_SPAWN_MAX = 220;
+const WORLD_Z_BEHIND = -32;
+
+// Buildings are laid out back-to-back along each side of the street and recycle by one full span.
+const STREET_SPAN = WORLD_Z_SPAWN_MAX - WORLD_Z_BEHIND;
+const STREET_HALF_WIDTH = 8.6;
+
+const FACADE_COLORS = ['#39425a', '#2f3547', '#4a4f63', '#565d73', '#2b3a4f'] as const;
+
+export class CityWorld implements World {
+  readonly environment: World['environment'];
+  readonly level: LevelConfig;
+
+  readonly playerBounds: WorldPlayerBounds = { xMin: -7, xMax: 7, yMin: -3.5, yMax: 6 };
+  readonly enemySpawnBounds: EnemySpawnBounds = { xRange: 7, yRange: 4.5, zMin: 95, zMax: 170 };
+  readonly behindZ = WORLD_Z_BEHIND;
+
+  private readonly scene: THREE.Scene;
+  private readonly isIOS: boolean;
+
+  private readonly root = new THREE.Group();
+  private readonly push: WorldPush = { x: 0, y: 0 };
+  private readonly temp = new THREE.Object3D();
+
+  private ground: ScrollingGround | null = null;
+  private pickups: PickupField | null = null;
+
+  private boxGeo: THREE.BufferGeometry | null = null;
+  private buildingMat: THREE.Material | null = null;
+  private bridgeMat: THREE.Material | null = null;
+
+  private buildingMesh: THREE.InstancedMesh | null = null;
+  private buildings: Building[] = [];
+
+  // Sky bridges span the street and force a climb or a dive.
+  private bridgeMesh: THREE.InstancedMesh | null = null;
+  private bridges: BoxObstacle[] = [];
+
+  constructor(args: WorldInitArgs) {
+    this.environment = args.level.environment;
+    this.level = args.level;
+    this.scene = args.scene;
+    this.isIOS = args.isIOS;
+  }
+
+  create() {
+    this.scene.add(this.root);
+
+    const sky = new THREE.Color('#27304a');
+    this.scene.background = sky;
+    this.scene.fog = new THREE.Fog(sky, 24, 200);
+
+    this.ground = new ScrollingGround(
+      this.root,
+      {
+        width: 70,
+        tileLength: TILE_LENGTH,
+        tileCount: TILE_COUNT,
+        y: GROUND_Y,
+        color: '#2a2c31',
+        roughness: 0.85,
+      },
+      WORLD_Z_BEHIND,
+    );
+
+    const boxGeo = new THREE.BoxGeometry(1, 1, 1);
+    const buildingMat = new THREE.MeshStandardMaterial({
+      color: '#ffffff',
+      emissive: '#ffcf7a',
+      emissiveIntensity: 0.08,
+      metalness: 0.35,
+      roughness: 0.6,
+    });
+    const bridgeMat = new THREE.MeshStandardMaterial({
+      color: '#8d97ab',
+      emissive: '#63b3ff',
+      emissiveIntensity: 0.25,
+      metalness: 0.6,
+      roughness: 0.35,
+    });
+    this.boxGeo = boxGeo;
+    this.buildingMat = buildingMat;
+    this.bridgeMat = bridgeMat;
+
+    const perSide = Math.round(computeObstacleCount(this.level, 16, 40, this.isIOS) / 2);
+    const buildings: Building[] = [];
+    for (const side of [-1, 1] as const) {
+      for (let i = 0; i < perSide; i += 1) buildings.push({ ...createBoxObstacle(), side });
+    }
+    const buildingMesh = new THREE.InstancedMesh(boxGeo, buildingMat, buildings.length);
+    buildingMesh.frustumCulled = false;
+    const color = new THREE.Color();
+    for (let i = 0; i < buildings.length; i += 1)
+      buildingMesh.setColorAt(i, color.set(pickOne(FACADE_COLORS)));
+    this.root.add(buildingMesh);
+    this.buildingMesh = buildingMesh;
+    this.buildings = buildings;
+
+    const bridgeCount = Math.max(1, Math.round(clamp(this.level.obstacleDensity, 0, 1) * 6));
+    const bridges = Array.from({ length: bridgeCount }, () => createBoxObstacle());
+    const bridgeMesh = new THREE.InstancedMesh(boxGeo, bridgeMat, bridgeCount);
+    bridgeMesh.frustumCulled = false;
+    this.root.add(bridgeMesh);
+    this.bridgeMesh = bridgeMesh;
+    this.bridges = bridges;
+
+    this.pickups = new PickupField(this.root, computePickupPoolSize(this.level, this.isIOS), {
+      xMin: this.playerBounds.xMin,
+      xMax: this.playerBounds.xMax,
+      yMin: -2,
+      yMax: 5,
+      zMin: WORLD_Z_SPAWN_MIN,
+      zMax: WORLD_Z_SPAWN_MAX,
+      zBehind: WORLD_Z_BEHIND,
+    });
+
+    this.reset(new THREE.Vector3(0, 0, 0));
+  }
+
+  reset(_playerPos: THREE.Vector3) {
+    this.ground?.reset();
+
+    for (const side of [-1, 1] as const) {
+      const row = this.buildings.filter((b) => b.side === side);
+      const slot = STREET_SPAN / Math.max(1, row.length);
+      row.forEach((b, i) => this.placeBuilding(b, WORLD_Z_BEHIND + slot * (i + 0.5), slot));
+    }
+
+    const bridgeSlot = (WORLD_Z_SPAWN_MAX - WORLD_Z_SPAWN_MIN) / Math.max(1, this.bridges.length);
+    this.bridges.forEach((b, i) =>
+      this.placeBridge(b, WORLD_Z_SPAWN_MIN + bridgeSlot * (i + randRange(0.2, 0.8))),
+    );
+
+    this.pickups?.reset();
+    this.renderInstances();
+  }
+
+  update(args: WorldUpdateArgs): WorldUpdateResult {
+    const { speed, dt } = args;
+
+    this.ground?.update(speed, dt);
+
+    const slot = STREET_SPAN / Math.max(1, this.buildings.length / 2);
+    for (const b of this.buildings) {
+      b.pos.z -= speed * dt;
+      if (b.pos.z + b.half.z < WORLD_Z_BEHIND) this.placeBuilding(b, b.pos.z + STREET_SPAN, slot);
+    }
+
+    for (const b of this.bridges) {
+      b.pos.z -= speed * dt;
+      if (b.pos.z + b.half.z < WORLD_Z_BEHIND)
+        this.placeBridge(b, randRange(WORLD_Z_SPAWN_MAX - 40, WORLD_Z_SPAWN_MAX));
+    }
+
+    this.pickups?.update(args);
+    this.renderInstances();
+
+    const { playerPos, playerRadius } = args;
+    const box =
+      findBoxHit(this.buildings, playerPos, playerRadius) ??
+      findBoxHit(this.bridges, playerPos, playerRadius);
+    if (!box) return { hit: false };
+    pushOutOfBox(playerPos, playerRadius, box.pos.x, box.pos.y, box.half.x, box.half.y, this.push);
+    return { hit: true, push: this.push };
+  }
+
+  hitTest(p: THREE.Vector3, radius: number): boolean {
+    return hitsAnyBox(this.buildings, p, radius) || hitsAnyBox(this.bridges, p, radius);
+  }
+
+  dispose() {
+    this.scene.remove(this.root);
+
+    this.ground?.dispose();
+    this.ground = null;
+    this.pickups?.dispose();
+    this.pickups = null;
+
+    this.boxGeo?.dispose();
+    this.boxGeo = null;
+    (this.buildingMat as any)?.dispose?.();
+    this.buildingMat = null;
+    (this.bridgeMat as any)?.dispose?.();
+    this.bridgeMat = null;
+
+    this.buildingMesh = null;
+    this.bridgeMesh = null;
+    this.buildings = [];
+    this.bridges = [];
+
+    this.root.clear();
+    this.scene.fog = null;
+  }
+
+  private placeBuilding(b: Building, z: number, slot: number) {
+    const density = clamp(this.level.obstacleDensity, 0, 1);
+    const width = randRange(5, 11);
+    const height = randRange(14, 46);
+    const depth = slot * randRange(0.7, 0.95);
+
+    // Denser cities push more facades into the flight lane.
+    const intrusion = Math.random() < density * 0.45 ? randRange(1, 3.2) : 0;
+    const innerEdge = STREET_HALF_WIDTH - intrusion;
+
+    b.half.set(width / 2, height / 2, depth / 2);
+    b.pos.set(b.side * (innerEdge + width / 2), GROUND_Y + height / 2, z);
+  }
+
+  private placeBridge(b: BoxObstacle, z: number) {
+    const y = randRange(-2.2, 4.6);
+    b.half.set(STREET_HALF_WIDTH + 2, 0.55, 1.4);
+    b.pos.set(0, y, z);
+  }
+
+  private renderInstances() {
+    if (this.buildingMesh) writeBoxInstances(this.buildingMesh, this.temp, this.buildings);
+    if (this.bridgeMesh) writeBoxInstances(this.bridgeMesh, this.temp, this.bridges);
+  }
+}
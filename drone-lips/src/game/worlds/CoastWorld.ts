@@ -0,0 +1,308 @@
+import * as THREE from 'three';
+
+import type { EnemySpawnBounds } from '../Enemy';
+import type { LevelConfig } from '../levels';
+import { clamp, randRange } from '../math';
+
+import {
+  PickupField,
+  ScrollingGround,
+  computeObstacleCount,
+  computePickupPoolSize,
+} from './common';
+import type {
+  World,
+  WorldInitArgs,
+  WorldPlayerBounds,
+  WorldPush,
+  WorldUpdateArgs,
+  WorldUpdateResult,
+} from './World';
+
+type SeaStack = {
+  pos: THREE.Vector3; // base position (y == waterY)
+  height: number;
+  radius: number;
+  rotY: number;
+};
+
+type GustStreak = {
+  pos: THREE.Vector3;
+  length: number;
+};
+
+const WATER_Y = -6.5;
+const TILE_LENGTH = 90;
+const TILE_COUNT = 3;
+
+const WORLD_Z_SPAWN_MIN = 55;
+const WORLD_Z_SPAWN_MAX = 210;
+const WORLD_Z_BEHIND = -32;
+
+const GUST_COUNT = 70;
+// Streaks drift sideways much faster than the drone is pushed so gusts read clearly on screen.
+const GUST_LATERAL_SPEED = 26;
+
+export class CoastWorld implements World {
+  readonly environment: World['environment'];
+  readonly level: LevelConfig;
+
+  readonly playerBounds: WorldPlayerBounds = { xMin: -8, xMax: 8, yMin: -3.5, yMax: 6.5 };
+  readonly enemySpawnBounds: EnemySpawnBounds = { xRange: 8, yRange: 4.5, zMin: 95, zMax: 170 };
+  readonly behindZ = WORLD_Z_BEHIND;
+
+  private readonly scene: THREE.Scene;
+  private readonly isIOS: boolean;
+
+  private readonly root = new THREE.Group();
+  private readonly push: WorldPush = { x: 0, y: 0 };
+  private readonly temp = new THREE.Object3D();
+
+  private water: ScrollingGround | null = null;
+  private beach: ScrollingGround | null = null;
+  private pickups: PickupField | null = null;
+
+  private stackGeo: THREE.BufferGeometry | null = null;
+  private stackMat: THREE.Material | null = null;
+  private stackMesh: THREE.InstancedMesh | null = null;
+  private stacks: SeaStack[] = [];
+
+  private gustGeo: THREE.BufferGeometry | null = null;
+  private gustMat: THREE.MeshBasicMaterial | null = null;
+  private gustMesh: THREE.InstancedMesh | null = null;
+  private gusts: GustStreak[] = [];
+
+  constructor(args: WorldInitArgs) {
+    this.environment = args.level.environment;
+    this.level = args.level;
+    this.scene = args.scene;
+    this.isIOS = args.isIOS;
+  }
+
+  create() {
+    this.scene.add(this.root);
+
+    const sky = new THREE.Color('#9fd3ff');
+    this.scene.background = sky;
+    this.scene.fog = new THREE.Fog(sky, 26, 210);
+
+    this.water = new ScrollingGround(
+      this.root,
+      {
+        width: 120,
+        tileLength: TILE_LENGTH,
+        tileCount: TILE_COUNT,
+        y: WATER_Y,
+        color: '#1f6fb2',
+        roughness: 0.25,
+      },
+      WORLD_Z_BEHIND,
+    );
+    this.beach = new ScrollingGround(
+      this.root,
+      {
+        width: 30,
+        tileLength: TILE_LENGTH,
+        tileCount: TILE_COUNT,
+        x: 28,
+        y: WATER_Y + 0.05,
+        color: '#e6cf98',
+      },
+      WORLD_Z_BEHIND,
+    );
+
+    // Sea stacks: tall rock columns rising out of the water.
+    const stackGeo = new THREE.CylinderGeometry(0.75, 1, 1, 7, 1, false);
+    stackGeo.translate(0, 0.5, 0);
+    const stackMat = new THREE.MeshStandardMaterial({
+      color: '#6f6a63',
+      metalness: 0.05,
+      roughness: 0.95,
+      flatShading: true,
+    });
+    this.stackGeo = stackGeo;
+    this.stackMat = stackMat;
+
+    const stackCount = computeObstacleCount(this.level, 8, 34, this.isIOS);
+    const stackMesh = new THREE.InstancedMesh(stackGeo, stackMat, stackCount);
+    stackMesh.frustumCulled = false;
+    this.root.add(stackMesh);
+    this.stackMesh = stackMesh;
+    this.stacks = Array.from({ length: stackCount }, () => ({
+      pos: new THREE.Vector3(0, WATER_Y, 0),
+      height: 1,
+      radius: 1,
+      rotY: 0,
+    }));
+
+    const gustGeo = new THREE.BoxGeometry(0.05, 0.05, 1);
+    const gustMat = new THREE.MeshBasicMaterial({
+      color: '#ffffff',
+      transparent: true,
+      opacity: 0,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending,
+    });
+    this.gustGeo = gustGeo;
+    this.gustMat = gustMat;
+
+    const gustCount = this.isIOS ? Math.round(GUST_COUNT * 0.6) : GUST_COUNT;
+    const gustMesh = new THREE.InstancedMesh(gustGeo, gustMat, gustCount);
+    gustMesh.frustumCulled = false;
+    this.root.add(gustMesh);
+    this.gustMesh = gustMesh;
+    this.gusts = Array.from({ length: gustCount }, () => ({ pos: new THREE.Vector3(), length: 1 }));
+
+    this.pickups = new PickupField(this.root, computePickupPoolSize(this.level, this.isIOS), {
+      xMin: this.playerBounds.xMin,
+      xMax: this.playerBounds.xMax,
+      yMin: -2,
+      yMax: 5,
+      zMin: WORLD_Z_SPAWN_MIN,
+      zMax: WORLD_Z_SPAWN_MAX,
+      zBehind: WORLD_Z_BEHIND,
+    });
+
+    this.reset(new THREE.Vector3(0, 0, 0));
+  }
+
+  reset(_playerPos: THREE.Vector3) {
+    this.water?.reset();
+    this.beach?.reset();
+
+    for (const s of this.stacks)
+      this.placeStack(s, randRange(WORLD_Z_SPAWN_MIN, WORLD_Z_SPAWN_MAX));
+    for (const g of this.gusts) this.placeGust(g, randRange(0, WORLD_Z_SPAWN_MAX * 0.6));
+
+    this.pickups?.reset();
+    this.renderStacks();
+    this.renderGusts(0);
+  }
+
+  update(args: WorldUpdateArgs): WorldUpdateResult {
+    const { speed, dt, playerPos, playerRadius } = args;
+
+    this.water?.update(speed, dt);
+    this.beach?.update(speed, dt);
+
+    let hit = false;
+    for (const s of this.stacks) {
+      s.pos.z -= speed * dt;
+      if (s.pos.z < WORLD_Z_BEHIND)
+        this.placeStack(s, randRange(WORLD_Z_SPAWN_MAX - 50, WORLD_Z_SPAWN_MAX));
+
+      // Collision: vertical cylinder (ignores the slight taper).
+      if (playerPos.y - playerRadius < s.pos.y + s.height) {
+        const dx = s.pos.x - playerPos.x;
+        const dz = s.pos.z - playerPos.z;
+        const r = s.radius + playerRadius;
+        if (dx * dx + dz * dz < r * r) {
+          hit = true;
+          // Out past the side, or up over the top if that's closer.
+          const side = (dx > 0 ? -r : r) + dx;
+          const over = s.pos.y + s.height + playerRadius - playerPos.y;
+          if (Math.abs(side) <= over) {
+            this.push.x = side;
+            this.push.y = 0;
+          } else {
+            this.push.x = 0;
+            this.push.y = over;
+          }
+        }
+      }
+    }
+
+    const windX = clamp(args.windX, -1, 1);
+    for (const g of this.gusts) {
+      g.pos.z -= (speed + 6) * dt;
+      // Camera looks down +Z, so world -X is screen right; match the drift Game applies to the drone.
+      g.pos.x -= windX * GUST_LATERAL_SPEED * dt;
+      if (g.pos.z < WORLD_Z_BEHIND || Math.abs(g.pos.x) > 26)
+        this.placeGust(g, randRange(30, WORLD_Z_SPAWN_MAX * 0.6));
+    }
+
+    this.pickups?.update(args);
+    this.renderStacks();
+    this.renderGusts(windX);
+
+    return hit ? { hit, push: this.push } : { hit };
+  }
+
+  dispose() {
+    this.scene.remove(this.root);
+
+    this.water?.dispose();
+    this.water = null;
+    this.beach?.dispose();
+    this.beach = null;
+    this.pickups?.dispose();
+    this.pickups = null;
+
+    this.stackGeo?.dispose();
+    this.stackGeo = null;
+    (this.stackMat as any)?.dispose?.();
+    this.stackMat = null;
+    this.stackMesh = null;
+    this.stacks = [];
+
+    this.gustGeo?.dispose();
+    this.gustGeo = null;
+    this.gustMat?.dispose();
+    this.gustMat = null;
+    this.gustMesh = null;
+    this.gusts = [];
+
+    this.root.clear();
+    this.scene.fog = null;
+  }
+
+  private placeStack(s: SeaStack, z: number) {
+    const density = clamp(this.level.obstacleDensity, 0, 1);
+    // Sparse coasts keep most stacks off the flight line; dense ones crowd the middle.
+    const spread = this.playerBounds.xMax + 6 - density * 4;
+    s.pos.set(randRange(-spread, spread), WATER_Y, z);
+    s.radius = randRange(0.9, 1.8);
+    s.height = randRange(4, 13);
+    s.rotY = Math.random() * Math.PI * 2;
+  }
+
+  private placeGust(g: GustStreak, z: number) {
+    g.pos.set(randRange(-22, 22), randRange(-3, 7), z);
+    g.length = randRange(1.5, 4.5);
+  }
+
+  private renderStacks() {
+    const mesh = this.stackMesh;
+    if (!mesh) return;
+    for (let i = 0; i < this.stacks.length; i += 1) {
+      const s = this.stacks[i];
+      this.temp.position.copy(s.pos);
+      this.temp.rotation.set(0, s.rotY, 0);
+      this.temp.scale.set(s.radius, s.height, s.radius);
+      this.temp.updateMatrix();
+      mesh.setMatrixAt(i, this.temp.matrix);
+    }
+    mesh.instanceMatrix.needsUpdate = true;
+  }
+
+  private renderGusts(windX: number) {
+    const mesh = this.gustMesh;
+    const mat = this.gustMat;
+    if (!mesh || !mat) return;
+
+    const strength = Math.abs(windX);
+    mat.opacity = clamp(strength * 1.8, 0, 0.55);
+
+    // Streaks lean into the wind: the stronger the gust, the more sideways they point.
+    const yaw = Math.atan2(-windX * GUST_LATERAL_SPEED, 12);
+    for (let i = 0; i < this.gusts.length; i += 1) {
+      const g = this.gusts[i];
+      this.temp.position.copy(g.pos);
+      this.temp.rotation.set(0, yaw, 0);
+      this.temp.scale.set(1, 1, g.length * (0.4 + strength * 2));
+      this.temp.updateMatrix();
+      mesh.setMatrixAt(i, this.temp.matrix);
+    }
+    mesh.instanceMatrix.needsUpdate = true;
+  }
+}
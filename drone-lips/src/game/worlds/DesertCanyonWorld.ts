@@ -0,0 +1,275 @@
+import * as THREE from 'three';
+
+import type { EnemySpawnBounds } from '../Enemy';
+import type { LevelConfig } from '../levels';
+import { clamp, lerp, randRange } from '../math';
+
+import {
+  PickupField,
+  ScrollingGround,
+  computeObstacleCount,
+  computePickupPoolSize,
+  createBoxObstacle,
+  findBoxHit,
+  hitsAnyBox,
+  pushOutOfBox,
+  writeBoxInstances,
+  type BoxObstacle,
+} from './common';
+import type {
+  World,
+  WorldInitArgs,
+  WorldPlayerBounds,
+  WorldPush,
+  WorldUpdateArgs,
+  WorldUpdateResult,
+} from './World';
+
+const GROUND_Y = -6.5;
+const TILE_LENGTH = 90;
+const TILE_COUNT = 3;
+
+const WORLD_Z_SPAWN_MIN = 60;
+const WORLD_Z_SPAWN_MAX = 220;
+const WORLD_Z_BEHIND = -32;
+
+// Canyon walls are built from fixed-length segments; each recycled segment continues the winding path.
+const SEGMENT_LENGTH = 8;
+const SEGMENT_COUNT = Math.ceil((WORLD_Z_SPAWN_MAX - WORLD_Z_BEHIND) / SEGMENT_LENGTH);
+const WALL_THICKNESS = 10;
+const WALL_HEIGHT = 30;
+const MIN_HALF_WIDTH = 4.6;
+
+export class DesertCanyonWorld implements World {
+  readonly environment: World['environment'];
+  readonly level: LevelConfig;
+
+  readonly playerBounds: WorldPlayerBounds = { xMin: -9, xMax: 9, yMin: -3.5, yMax: 6 };
+  readonly enemySpawnBounds: EnemySpawnBounds = { xRange: 4.5, yRange: 4, zMin: 95, zMax: 165 };
+  readonly behindZ = WORLD_Z_BEHIND;
+
+  private readonly scene: THREE.Scene;
+  private readonly isIOS: boolean;
+
+  private readonly root = new THREE.Group();
+  private readonly push: WorldPush = { x: 0, y: 0 };
+  private readonly temp = new THREE.Object3D();
+
+  private ground: ScrollingGround | null = null;
+  private pickups: PickupField | null = null;
+
+  private boxGeo: THREE.BufferGeometry | null = null;
+  private wallMat: THREE.Material | null = null;
+  private rockMat: THREE.Material | null = null;
+
+  private wallMesh: THREE.InstancedMesh | null = null;
+  private walls: BoxObstacle[] = []; // [left0, right0, left1, right1, ...]
+  private segmentIndex = 0;
+
+  private rockMesh: THREE.InstancedMesh | null = null;
+  private rocks: BoxObstacle[] = [];
+
+  constructor(args: WorldInitArgs) {
+    this.environment = args.level.environment;
+    this.level = args.level;
+    this.scene = args.scene;
+    this.isIOS = args.isIOS;
+  }
+
+  create() {
+    this.scene.add(this.root);
+
+    const sky = new THREE.Color('#f2c38b');
+    this.scene.background = sky;
+    this.scene.fog = new THREE.Fog(sky, 30, 210);
+
+    this.ground = new ScrollingGround(
+      this.root,
+      { width: 80, tileLength: TILE_LENGTH, tileCount: TILE_COUNT, y: GROUND_Y, color: '#d9a55b' },
+      WORLD_Z_BEHIND,
+    );
+
+    const boxGeo = new THREE.BoxGeometry(1, 1, 1);
+    const wallMat = new THREE.MeshStandardMaterial({
+      color: '#b5653a',
+      metalness: 0.02,
+      roughness: 0.95,
+      flatShading: true,
+    });
+    const rockMat = new THREE.MeshStandardMaterial({
+      color: '#8f4f2c',
+      metalness: 0.02,
+      roughness: 0.9,
+      flatShading: true,
+    });
+    this.boxGeo = boxGeo;
+    this.wallMat = wallMat;
+    this.rockMat = rockMat;
+
+    const walls = Array.from({ length: SEGMENT_COUNT * 2 }, () => createBoxObstacle());
+    const wallMesh = new THREE.InstancedMesh(boxGeo, wallMat, walls.length);
+    wallMesh.frustumCulled = false;
+    this.root.add(wallMesh);
+    this.wallMesh = wallMesh;
+    this.walls = walls;
+
+    // Pillars and low arches inside the corridor.
+    const rockCount = computeObstacleCount(this.level, 4, 16, this.isIOS);
+    const rocks = Array.from({ length: rockCount }, () => createBoxObstacle());
+    const rockMesh = new THREE.InstancedMesh(boxGeo, rockMat, rockCount);
+    rockMesh.frustumCulled = false;
+    this.root.add(rockMesh);
+    this.rockMesh = rockMesh;
+    this.rocks = rocks;
+
+    this.pickups = new PickupField(this.root, computePickupPoolSize(this.level, this.isIOS), {
+      xMin: -MIN_HALF_WIDTH + 1.5,
+      xMax: MIN_HALF_WIDTH - 1.5,
+      yMin: -2,
+      yMax: 4.5,
+      zMin: WORLD_Z_SPAWN_MIN,
+      zMax: WORLD_Z_SPAWN_MAX,
+      zBehind: WORLD_Z_BEHIND,
+      place: (pos) => {
+        const { center, halfWidth } = this.corridorAtZ(pos.z);
+        pos.x = center + clamp(pos.x, -halfWidth + 1.5, halfWidth - 1.5);
+      },
+    });
+
+    this.reset(new THREE.Vector3(0, 0, 0));
+  }
+
+  reset(_playerPos: THREE.Vector3) {
+    this.ground?.reset();
+
+    this.segmentIndex = 0;
+    for (let i = 0; i < SEGMENT_COUNT; i += 1) {
+      this.placeSegment(i, WORLD_Z_BEHIND + (i + 0.5) * SEGMENT_LENGTH);
+    }
+
+    for (const r of this.rocks) this.placeRock(r, randRange(WORLD_Z_SPAWN_MIN, WORLD_Z_SPAWN_MAX));
+
+    this.pickups?.reset();
+    this.renderInstances();
+  }
+
+  update(args: WorldUpdateArgs): WorldUpdateResult {
+    const { speed, dt } = args;
+
+    this.ground?.update(speed, dt);
+
+    for (let i = 0; i < SEGMENT_COUNT; i += 1) {
+      const left = this.walls[i * 2];
+      const right = this.walls[i * 2 + 1];
+      left.pos.z -= speed * dt;
+      right.pos.z -= speed * dt;
+      if (left.pos.z + SEGMENT_LENGTH * 0.5 < WORLD_Z_BEHIND) {
+        this.placeSegment(i, left.pos.z + SEGMENT_COUNT * SEGMENT_LENGTH);
+      }
+    }
+
+    for (const r of this.rocks) {
+      r.pos.z -= speed * dt;
+      if (r.pos.z + r.half.z < WORLD_Z_BEHIND)
+        this.placeRock(r, randRange(WORLD_Z_SPAWN_MAX - 40, WORLD_Z_SPAWN_MAX));
+    }
+
+    this.pickups?.update(args);
+    this.renderInstances();
+
+    const { playerPos, playerRadius } = args;
+    const box =
+      findBoxHit(this.walls, playerPos, playerRadius) ??
+      findBoxHit(this.rocks, playerPos, playerRadius);
+    if (!box) return { hit: false };
+    pushOutOfBox(playerPos, playerRadius, box.pos.x, box.pos.y, box.half.x, box.half.y, this.push);
+    return { hit: true, push: this.push };
+  }
+
+  hitTest(p: THREE.Vector3, radius: number): boolean {
+    return hitsAnyBox(this.walls, p, radius) || hitsAnyBox(this.rocks, p, radius);
+  }
+
+  dispose() {
+    this.scene.remove(this.root);
+
+    this.ground?.dispose();
+    this.ground = null;
+    this.pickups?.dispose();
+    this.pickups = null;
+
+    this.boxGeo?.dispose();
+    this.boxGeo = null;
+    (this.wallMat as any)?.dispose?.();
+    this.wallMat = null;
+    (this.rockMat as any)?.dispose?.();
+    this.rockMat = null;
+
+    this.wallMesh = null;
+    this.rockMesh = null;
+    this.walls = [];
+    this.rocks = [];
+
+    this.root.clear();
+    this.scene.fog = null;
+  }
+
+  // Corridor center and half-width along the path; denser levels wind harder and squeeze tighter.
+  private corridorAt(index: number) {
+    const density = clamp(this.level.obstacleDensity, 0, 1);
+    const t = index * SEGMENT_LENGTH;
+    // Start straight around the player, then ease into the winding.
+    const ramp = clamp((index - 6) / 10, 0, 1);
+    const center =
+      ramp * (Math.sin(t * 0.018) * lerp(1.5, 3.5, density) + Math.sin(t * 0.047 + 1.7) * 1.2);
+    const halfWidth = Math.max(
+      MIN_HALF_WIDTH,
+      lerp(9, 6.4, density) + Math.sin(t * 0.031 + 0.4) * 1.4,
+    );
+    return { center, halfWidth };
+  }
+
+  // Approximate corridor at a depth ahead of the player, based on the most recently placed segment.
+  private corridorAtZ(z: number) {
+    const ahead = Math.round((z - WORLD_Z_BEHIND) / SEGMENT_LENGTH);
+    return this.corridorAt(Math.max(0, this.segmentIndex - SEGMENT_COUNT + ahead));
+  }
+
+  private placeSegment(slot: number, z: number) {
+    const { center, halfWidth } = this.corridorAt(this.segmentIndex);
+    this.segmentIndex += 1;
+
+    const left = this.walls[slot * 2];
+    const right = this.walls[slot * 2 + 1];
+    const height = WALL_HEIGHT * randRange(0.85, 1.1);
+    for (const [wall, side] of [
+      [left, -1],
+      [right, 1],
+    ] as const) {
+      wall.half.set(WALL_THICKNESS / 2, height / 2, SEGMENT_LENGTH / 2 + 0.05);
+      wall.pos.set(center + side * (halfWidth + WALL_THICKNESS / 2), GROUND_Y + height / 2, z);
+    }
+  }
+
+  private placeRock(r: BoxObstacle, z: number) {
+    // Rocks follow the corridor at their spawn depth so they never sit inside a wall.
+    const { center, halfWidth } = this.corridorAtZ(z);
+
+    if (Math.random() < 0.35) {
+      // Arch: a beam across the corridor up high, fly underneath.
+      r.half.set(halfWidth + 1, 1.2, 1.5);
+      r.pos.set(center, randRange(3.4, 5.2), z);
+      return;
+    }
+
+    const width = randRange(1.2, 2.4);
+    const height = randRange(5, 12);
+    r.half.set(width / 2, height / 2, width / 2);
+    r.pos.set(center + randRange(-halfWidth + 1.5, halfWidth - 1.5), GROUND_Y + height / 2, z);
+  }
+
+  private renderInstances() {
+    if (this.wallMesh) writeBoxInstances(this.wallMesh, this.temp, this.walls);
+    if (this.rockMesh) writeBoxInstances(this.rockMesh, this.temp, this.rocks);
+  }
+}
@@ -4,7 +4,15 @@ import type { EnemySpawnBounds } from '../Enemy';
 import type { LevelConfig } from '../levels';
 import { randRange } from '../math';
 
-import type { World, WorldInitArgs, WorldPlayerBounds, WorldUpdateArgs, WorldUpdateResult } from './World';
+import { pushOutOfSphere } from './common';
+import type {
+  World,
+  WorldInitArgs,
+  WorldPlayerBounds,
+  WorldPush,
+  WorldUpdateArgs,
+  WorldUpdateResult,
+} from './World';
 
 type GroundTile = {
   mesh: THREE.Mesh;
@@ -56,6 +64,7 @@ export class EarthParkWorld implements World {
   private readonly isIOS: boolean;
 
   private readonly root = new THREE.Group();
+  private readonly push: WorldPush = { x: 0, y: 0 };
 
   private groundTiles: GroundTile[] = [];
   private groundGeo: THREE.BufferGeometry | null = null;
@@ -255,7 +264,10 @@ export class EarthParkWorld implements World {
         const dy = cy - args.playerPos.y;
         const dz = cz - args.playerPos.z;
         const r = args.playerRadius + t.radius;
-        if (dx * dx + dy * dy + dz * dz < r * r) return { hit: true };
+        if (dx * dx + dy * dy + dz * dz < r * r) {
+          pushOutOfSphere(args.playerPos, args.playerRadius, cx, cy, t.radius, this.push);
+          return { hit: true, push: this.push };
+        }
       }
     }
 
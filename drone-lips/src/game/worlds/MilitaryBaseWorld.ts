@@ -0,0 +1,350 @@
+import * as THREE from 'three';
+
+import type { EnemySpawnBounds } from '../Enemy';
+import type { LevelConfig } from '../levels';
+import { clamp, randRange } from '../math';
+
+import {
+  PickupField,
+  ScrollingGround,
+  computeObstacleCount,
+  computePickupPoolSize,
+  createBoxObstacle,
+  findBoxHit,
+  hitsAnyBox,
+  pushOutOfBox,
+  sphereHitsBox,
+  writeBoxInstances,
+  type BoxObstacle,
+} from './common';
+import type {
+  World,
+  WorldInitArgs,
+  WorldPlayerBounds,
+  WorldPush,
+  WorldUpdateArgs,
+  WorldUpdateResult,
+} from './World';
+
+type Turret = {
+  group: THREE.Group;
+  head: THREE.Object3D;
+  height: number;
+};
+
+const GROUND_Y = -6.5;
+const TILE_LENGTH = 90;
+const TILE_COUNT = 3;
+
+const WORLD_Z_SPAWN_MIN = 55;
+const WORLD_Z_SPAWN_MAX = 210;
+const WORLD_Z_BEHIND = -32;
+
+const HANGAR_SPAN = WORLD_Z_SPAWN_MAX - WORLD_Z_BEHIND;
+const TURRET_HALF_WIDTH = 0.9;
+
+export class MilitaryBaseWorld implements World {
+  readonly environment: World['environment'];
+  readonly level: LevelConfig;
+
+  readonly playerBounds: WorldPlayerBounds = { xMin: -8, xMax: 8, yMin: -3.5, yMax: 6.5 };
+  readonly enemySpawnBounds: EnemySpawnBounds = { xRange: 8, yRange: 4.5, zMin: 95, zMax: 170 };
+  readonly behindZ = WORLD_Z_BEHIND;
+
+  private readonly scene: THREE.Scene;
+  private readonly isIOS: boolean;
+
+  private readonly root = new THREE.Group();
+  private readonly push: WorldPush = { x: 0, y: 0 };
+  private readonly temp = new THREE.Object3D();
+  private readonly aimTarget = new THREE.Vector3();
+
+  private ground: ScrollingGround | null = null;
+  private pickups: PickupField | null = null;
+
+  private readonly geometries: THREE.BufferGeometry[] = [];
+  private readonly materials: THREE.Material[] = [];
+
+  private hangarMesh: THREE.InstancedMesh | null = null;
+  private hangars: BoxObstacle[] = [];
+
+  // Blast barriers sit in the flight lane and block one side at a time.
+  private barrierMesh: THREE.InstancedMesh | null = null;
+  private barriers: BoxObstacle[] = [];
+
+  private turrets: Turret[] = [];
+
+  constructor(args: WorldInitArgs) {
+    this.environment = args.level.environment;
+    this.level = args.level;
+    this.scene = args.scene;
+    this.isIOS = args.isIOS;
+  }
+
+  create() {
+    this.scene.add(this.root);
+
+    const sky = new THREE.Color('#9aa7b0');
+    this.scene.background = sky;
+    this.scene.fog = new THREE.Fog(sky, 22, 190);
+
+    this.ground = new ScrollingGround(
+      this.root,
+      {
+        width: 80,
+        tileLength: TILE_LENGTH,
+        tileCount: TILE_COUNT,
+        y: GROUND_Y,
+        color: '#5b6157',
+        roughness: 0.9,
+      },
+      WORLD_Z_BEHIND,
+    );
+
+    const boxGeo = new THREE.BoxGeometry(1, 1, 1);
+    const hangarMat = new THREE.MeshStandardMaterial({
+      color: '#56604f',
+      metalness: 0.3,
+      roughness: 0.7,
+    });
+    const barrierMat = new THREE.MeshStandardMaterial({
+      color: '#c9c3b3',
+      emissive: '#ff9f0a',
+      emissiveIntensity: 0.12,
+      metalness: 0.05,
+      roughness: 0.85,
+    });
+    const turretMat = new THREE.MeshStandardMaterial({
+      color: '#3b4236',
+      metalness: 0.6,
+      roughness: 0.45,
+    });
+    const barrelMat = new THREE.MeshStandardMaterial({
+      color: '#1c1f1a',
+      emissive: '#ff3b30',
+      emissiveIntensity: 0.35,
+      metalness: 0.8,
+      roughness: 0.3,
+    });
+    const baseGeo = new THREE.CylinderGeometry(0.7, 0.9, 1, 10, 1, false);
+    baseGeo.translate(0, 0.5, 0);
+    const headGeo = new THREE.BoxGeometry(1.5, 0.8, 1.5);
+    const barrelGeo = new THREE.CylinderGeometry(0.09, 0.11, 1.8, 8, 1, false);
+    barrelGeo.rotateX(Math.PI / 2);
+    barrelGeo.translate(0, 0, 1.2);
+
+    this.geometries.push(boxGeo, baseGeo, headGeo, barrelGeo);
+    this.materials.push(hangarMat, barrierMat, turretMat, barrelMat);
+
+    const hangarCount = Math.max(
+      6,
+      Math.round(computeObstacleCount(this.level, 8, 18, this.isIOS) / 2) * 2,
+    );
+    this.hangars = Array.from({ length: hangarCount }, () => createBoxObstacle());
+    const hangarMesh = new THREE.InstancedMesh(boxGeo, hangarMat, hangarCount);
+    hangarMesh.frustumCulled = false;
+    this.root.add(hangarMesh);
+    this.hangarMesh = hangarMesh;
+
+    const barrierCount = computeObstacleCount(this.level, 3, 12, this.isIOS);
+    this.barriers = Array.from({ length: barrierCount }, () => createBoxObstacle());
+    const barrierMesh = new THREE.InstancedMesh(boxGeo, barrierMat, barrierCount);
+    barrierMesh.frustumCulled = false;
+    this.root.add(barrierMesh);
+    this.barrierMesh = barrierMesh;
+
+    const turretCount = computeObstacleCount(this.level, 3, 10, this.isIOS);
+    for (let i = 0; i < turretCount; i += 1) {
+      const group = new THREE.Group();
+      const base = new THREE.Mesh(baseGeo, turretMat);
+      group.add(base);
+
+      const head = new THREE.Group();
+      head.add(new THREE.Mesh(headGeo, turretMat));
+      for (const side of [-1, 1]) {
+        const barrel = new THREE.Mesh(barrelGeo, barrelMat);
+        barrel.position.x = side * 0.35;
+        head.add(barrel);
+      }
+      group.add(head);
+
+      this.root.add(group);
+      this.turrets.push({ group, head, height: 1 });
+    }
+
+    this.pickups = new PickupField(this.root, computePickupPoolSize(this.level, this.isIOS), {
+      xMin: this.playerBounds.xMin,
+      xMax: this.playerBounds.xMax,
+      yMin: -2,
+      yMax: 5,
+      zMin: WORLD_Z_SPAWN_MIN,
+      zMax: WORLD_Z_SPAWN_MAX,
+      zBehind: WORLD_Z_BEHIND,
+    });
+
+    this.reset(new THREE.Vector3(0, 0, 0));
+  }
+
+  reset(_playerPos: THREE.Vector3) {
+    this.ground?.reset();
+
+    const perSide = this.hangars.length / 2;
+    this.hangars.forEach((h, i) => {
+      const side = i % 2 === 0 ? -1 : 1;
+      this.placeHangar(
+        h,
+        side,
+        WORLD_Z_BEHIND + (HANGAR_SPAN / perSide) * (Math.floor(i / 2) + 0.5),
+      );
+    });
+
+    for (const b of this.barriers)
+      this.placeBarrier(b, randRange(WORLD_Z_SPAWN_MIN, WORLD_Z_SPAWN_MAX));
+    for (const t of this.turrets)
+      this.placeTurret(t, randRange(WORLD_Z_SPAWN_MIN, WORLD_Z_SPAWN_MAX));
+
+    this.pickups?.reset();
+    this.renderInstances();
+  }
+
+  update(args: WorldUpdateArgs): WorldUpdateResult {
+    const { speed, dt, playerPos, playerRadius } = args;
+
+    this.ground?.update(speed, dt);
+
+    for (let i = 0; i < this.hangars.length; i += 1) {
+      const h = this.hangars[i];
+      h.pos.z -= speed * dt;
+      if (h.pos.z + h.half.z < WORLD_Z_BEHIND)
+        this.placeHangar(h, i % 2 === 0 ? -1 : 1, h.pos.z + HANGAR_SPAN);
+    }
+
+    for (const b of this.barriers) {
+      b.pos.z -= speed * dt;
+      if (b.pos.z + b.half.z < WORLD_Z_BEHIND)
+        this.placeBarrier(b, randRange(WORLD_Z_SPAWN_MAX - 40, WORLD_Z_SPAWN_MAX));
+    }
+
+    let hit = false;
+    for (const t of this.turrets) {
+      const g = t.group.position;
+      g.z -= speed * dt;
+      if (g.z < WORLD_Z_BEHIND)
+        this.placeTurret(t, randRange(WORLD_Z_SPAWN_MAX - 40, WORLD_Z_SPAWN_MAX));
+
+      // Heads track the drone while it is in front of them.
+      if (g.z > playerPos.z + 2) {
+        this.aimTarget.set(playerPos.x, playerPos.y, playerPos.z);
+        t.head.lookAt(this.aimTarget);
+      }
+
+      const halfH = (t.height + 0.8) / 2;
+      if (
+        sphereHitsBox(
+          playerPos,
+          playerRadius,
+          g.x,
+          g.y + halfH,
+          g.z,
+          TURRET_HALF_WIDTH,
+          halfH,
+          TURRET_HALF_WIDTH,
+        )
+      ) {
+        hit = true;
+        pushOutOfBox(
+          playerPos,
+          playerRadius,
+          g.x,
+          g.y + halfH,
+          TURRET_HALF_WIDTH,
+          halfH,
+          this.push,
+        );
+      }
+    }
+
+    this.pickups?.update(args);
+    this.renderInstances();
+
+    if (hit) return { hit, push: this.push };
+    const box =
+      findBoxHit(this.hangars, playerPos, playerRadius) ??
+      findBoxHit(this.barriers, playerPos, playerRadius);
+    if (!box) return { hit: false };
+    pushOutOfBox(playerPos, playerRadius, box.pos.x, box.pos.y, box.half.x, box.half.y, this.push);
+    return { hit: true, push: this.push };
+  }
+
+  hitTest(p: THREE.Vector3, radius: number): boolean {
+    return hitsAnyBox(this.hangars, p, radius) || hitsAnyBox(this.barriers, p, radius);
+  }
+
+  dispose() {
+    this.scene.remove(this.root);
+
+    this.ground?.dispose();
+    this.ground = null;
+    this.pickups?.dispose();
+    this.pickups = null;
+
+    for (const g of this.geometries) g.dispose();
+    for (const m of this.materials) m.dispose();
+    this.geometries.length = 0;
+    this.materials.length = 0;
+
+    this.hangarMesh = null;
+    this.barrierMesh = null;
+    this.hangars = [];
+    this.barriers = [];
+    this.turrets = [];
+
+    this.root.clear();
+    this.scene.fog = null;
+  }
+
+  private placeHangar(h: BoxObstacle, side: -1 | 1, z: number) {
+    const width = randRange(8, 14);
+    const height = randRange(7, 13);
+    const depth = randRange(12, 22);
+    h.half.set(width / 2, height / 2, depth / 2);
+    h.pos.set(
+      side * (this.playerBounds.xMax + 2.5 + width / 2 + randRange(0, 4)),
+      GROUND_Y + height / 2,
+      z,
+    );
+  }
+
+  private placeBarrier(b: BoxObstacle, z: number) {
+    const density = clamp(this.level.obstacleDensity, 0, 1);
+    // Blocks one half of the lane, leaving the other half (or the air above) open.
+    const width = randRange(4, 6 + density * 4);
+    const height = randRange(2.5, 4 + density * 3);
+    const side = Math.random() < 0.5 ? -1 : 1;
+    b.half.set(width / 2, height / 2, 0.6);
+    b.pos.set(
+      side * (this.playerBounds.xMax - width / 2 + randRange(0, 1.5)),
+      GROUND_Y + height / 2,
+      z,
+    );
+  }
+
+  private placeTurret(t: Turret, z: number) {
+    const density = clamp(this.level.obstacleDensity, 0, 1);
+    // Raised turrets (on masts) reach into the flight band; denser bases have more of them mid-lane.
+    const inLane = Math.random() < 0.3 + density * 0.4;
+    const x = inLane
+      ? randRange(this.playerBounds.xMin + 1, this.playerBounds.xMax - 1)
+      : (Math.random() < 0.5 ? -1 : 1) * randRange(9, 12);
+    t.height = inLane ? randRange(2, 6.5) : randRange(1, 3);
+    t.group.position.set(x, GROUND_Y, z);
+    t.group.children[0].scale.set(1, t.height, 1);
+    t.head.position.set(0, t.height + 0.4, 0);
+    t.head.rotation.set(0, Math.PI, 0);
+  }
+
+  private renderInstances() {
+    if (this.hangarMesh) writeBoxInstances(this.hangarMesh, this.temp, this.hangars);
+    if (this.barrierMesh) writeBoxInstances(this.barrierMesh, this.temp, this.barriers);
+  }
+}
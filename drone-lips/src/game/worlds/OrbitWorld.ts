@@ -4,7 +4,15 @@ import type { EnemySpawnBounds } from '../Enemy';
 import type { LevelConfig } from '../levels';
 import { randRange } from '../math';
 
-import type { World, WorldInitArgs, WorldPlayerBounds, WorldUpdateArgs, WorldUpdateResult } from './World';
+import { pushOutOfSphere } from './common';
+import type {
+  World,
+  WorldInitArgs,
+  WorldPlayerBounds,
+  WorldPush,
+  WorldUpdateArgs,
+  WorldUpdateResult,
+} from './World';
 
 type Asteroid = {
   pos: THREE.Vector3;
@@ -141,6 +149,7 @@ export class OrbitWorld implements World {
   private readonly isIOS: boolean;
 
   private readonly root = new THREE.Group();
+  private readonly push: WorldPush = { x: 0, y: 0 };
 
   private star: ReturnType<typeof createStarfield> | null = null;
 
@@ -290,7 +299,10 @@ export class OrbitWorld implements World {
           const dy = a.pos.y - args.playerPos.y;
           const dz = a.pos.z - args.playerPos.z;
           const r = args.playerRadius + a.radius;
-          if (dx * dx + dy * dy + dz * dz < r * r) return { hit: true };
+          if (dx * dx + dy * dy + dz * dz < r * r) {
+            pushOutOfSphere(args.playerPos, args.playerRadius, a.pos.x, a.pos.y, a.radius, this.push);
+            return { hit: true, push: this.push };
+          }
         }
       }
     }
@@ -16,11 +16,22 @@ export type WorldUpdateArgs = {
   speed: number;
   playerPos: THREE.Vector3;
   playerRadius: number;
+  windX: number; // current lateral wind drift (-1..1), 0 when calm
   onCollectPickup: (count: number) => void;
 };
 
+// Offset that moves the player clear of an obstacle it overlaps. Only x and y: the player can't move
+// along z.
+export type WorldPush = {
+  x: number;
+  y: number;
+};
+
 export type WorldUpdateResult = {
   hit: boolean;
+  // Set with `hit`, so the player doesn't stay inside the obstacle (and take another hit) after the
+  // post-hit grace window.
+  push?: WorldPush;
 };
 
 export type WorldInitArgs = {
@@ -39,6 +50,9 @@ export interface World {
   create(): void;
   reset(playerPos: THREE.Vector3): void;
   update(args: WorldUpdateArgs): WorldUpdateResult;
+  // Optional: whether a sphere at `p` overlaps a solid obstacle right now. Lets the dodge assist look
+  // ahead; worlds without it are only dodged for enemies.
+  hitTest?(p: THREE.Vector3, radius: number): boolean;
   dispose(): void;
 }
 
@@ -0,0 +1,95 @@
+import * as THREE from 'three';
+import { describe, expect, it } from 'vitest';
+
+import { LEVELS } from '../levels';
+
+import {
+  computeObstacleCount,
+  createBoxObstacle,
+  findBoxHit,
+  hitsAnyBox,
+  pushOutOfBox,
+  pushOutOfSphere,
+  sphereHitsBox,
+} from './common';
+
+const level = (obstacleDensity: number) => ({ ...LEVELS[0], obstacleDensity });
+
+describe('sphereHitsBox', () => {
+  const hits = (x: number, y: number, z: number, r = 1) =>
+    sphereHitsBox(new THREE.Vector3(x, y, z), r, 0, 0, 0, 2, 1, 3);
+
+  it('hits inside the box and just past a face, but not at or beyond the radius', () => {
+    expect(hits(0, 0, 0)).toBe(true);
+    expect(hits(2.9, 0, 0)).toBe(true);
+    expect(hits(3, 0, 0)).toBe(false);
+    expect(hits(0, -1.5, 0)).toBe(true);
+    expect(hits(0, 0, 4.5)).toBe(false);
+  });
+
+  it('measures to the nearest edge or corner, not the bounding cube', () => {
+    // 0.8 past both the x and y faces: 1.13 from the edge, outside a unit sphere.
+    expect(hits(2.8, 1.8, 0)).toBe(false);
+    expect(hits(2.6, 1.6, 0)).toBe(true);
+    expect(hits(2.5, 1.5, 3.5)).toBe(true);
+    expect(hits(2.6, 1.6, 3.6)).toBe(false);
+  });
+
+  it('finds a hit among several boxes', () => {
+    const a = createBoxObstacle();
+    const b = createBoxObstacle();
+    b.pos.set(10, 0, 0);
+    const p = new THREE.Vector3(11.5, 0, 0);
+    expect(hitsAnyBox([a, b], p, 1)).toBe(true);
+    expect(hitsAnyBox([a], p, 1)).toBe(false);
+    expect(hitsAnyBox([], p, 1)).toBe(false);
+    expect(findBoxHit([a, b], p, 1)).toBe(b);
+  });
+});
+
+describe('pushing the player out', () => {
+  const out = { x: 0, y: 0 };
+
+  it('leaves a box through the nearest side face', () => {
+    // Box 4 wide and 2 tall at the origin; unit sphere.
+    const p = new THREE.Vector3(1.5, 0.2, 0);
+    expect(pushOutOfBox(p, 1, 0, 0, 2, 1, out)).toEqual({ x: 1.5, y: 0 });
+    p.x += out.x;
+    expect(sphereHitsBox(p, 1, 0, 0, 0, 2, 1, 3)).toBe(false);
+
+    p.set(-0.5, -0.6, 1);
+    expect(pushOutOfBox(p, 1, 0, 0, 2, 1, out)).toEqual({ x: 0, y: expect.closeTo(-1.4) });
+    p.y += out.y;
+    expect(sphereHitsBox(p, 1, 0, 0, 1, 2, 1, 3)).toBe(false);
+  });
+
+  it('leaves a sphere sideways from its center, or upward when dead ahead', () => {
+    const p = new THREE.Vector3(0.6, 0.8, 0.5);
+    pushOutOfSphere(p, 0.5, 0, 0, 1.5, out);
+    expect(out.x).toBeCloseTo(0.6);
+    expect(out.y).toBeCloseTo(0.8);
+    p.set(p.x + out.x, p.y + out.y, p.z);
+    expect(p.length()).toBeGreaterThanOrEqual(2);
+
+    p.set(0, 0, 1);
+    expect(pushOutOfSphere(p, 0.5, 0, 0, 1.5, out)).toEqual({ x: 0, y: 2 });
+  });
+});
+
+describe('computeObstacleCount', () => {
+  it('scales between min and max with the level density', () => {
+    expect(computeObstacleCount(level(0), 10, 30, false)).toBe(10);
+    expect(computeObstacleCount(level(0.5), 10, 30, false)).toBe(20);
+    expect(computeObstacleCount(level(1), 10, 30, false)).toBe(30);
+  });
+
+  it('clamps density outside 0..1', () => {
+    expect(computeObstacleCount(level(-1), 10, 30, false)).toBe(10);
+    expect(computeObstacleCount(level(3), 10, 30, false)).toBe(30);
+  });
+
+  it('thins out on iOS without going below the minimum', () => {
+    expect(computeObstacleCount(level(1), 10, 30, true)).toBe(25);
+    expect(computeObstacleCount(level(0), 10, 30, true)).toBe(10);
+  });
+});
@@ -0,0 +1,298 @@
+import * as THREE from 'three';
+
+import type { LevelConfig } from '../levels';
+import { clamp, randRange } from '../math';
+
+import type { WorldPush, WorldUpdateArgs } from './World';
+
+// Shared building blocks for the Earth worlds (ground strips, pickups, box collision).
+
+export type PickupArea = {
+  xMin: number;
+  xMax: number;
+  yMin: number;
+  yMax: number;
+  zMin: number;
+  zMax: number;
+  zBehind: number;
+  // Optional adjustment after a random spawn inside the area (e.g. to follow a winding corridor).
+  place?: (pos: THREE.Vector3) => void;
+};
+
+// Axis-aligned box obstacle rendered as a scaled instance of a unit box.
+export type BoxObstacle = {
+  pos: THREE.Vector3; // center
+  half: THREE.Vector3; // half extents
+};
+
+type Pickup = {
+  pos: THREE.Vector3;
+  rot: THREE.Euler;
+  spin: number;
+  radius: number;
+};
+
+export function computeObstacleCount(
+  level: LevelConfig,
+  min: number,
+  max: number,
+  isIOS: boolean,
+): number {
+  const density = clamp(level.obstacleDensity, 0, 1);
+  const n = Math.round(min + density * (max - min));
+  return Math.max(min, Math.round(isIOS ? n * 0.82 : n));
+}
+
+export function computePickupPoolSize(level: LevelConfig, isIOS: boolean): number {
+  const est = Math.max(6, Math.min(26, Math.round(level.pickupRate * 14 + 4)));
+  return isIOS ? Math.round(est * 0.9) : est;
+}
+
+// Sphere vs axis-aligned box (center + half extents).
+export function sphereHitsBox(
+  p: THREE.Vector3,
+  r: number,
+  cx: number,
+  cy: number,
+  cz: number,
+  hx: number,
+  hy: number,
+  hz: number,
+): boolean {
+  const dx = Math.max(Math.abs(p.x - cx) - hx, 0);
+  const dy = Math.max(Math.abs(p.y - cy) - hy, 0);
+  const dz = Math.max(Math.abs(p.z - cz) - hz, 0);
+  return dx * dx + dy * dy + dz * dz < r * r;
+}
+
+export function createBoxObstacle(): BoxObstacle {
+  return { pos: new THREE.Vector3(), half: new THREE.Vector3(1, 1, 1) };
+}
+
+export function findBoxHit(
+  items: readonly BoxObstacle[],
+  p: THREE.Vector3,
+  r: number,
+): BoxObstacle | null {
+  for (const b of items) {
+    if (sphereHitsBox(p, r, b.pos.x, b.pos.y, b.pos.z, b.half.x, b.half.y, b.half.z)) return b;
+  }
+  return null;
+}
+
+export function hitsAnyBox(items: readonly BoxObstacle[], p: THREE.Vector3, r: number): boolean {
+  return findBoxHit(items, p, r) != null;
+}
+
+// Out of a box (center + half extents) past the nearest of its four side faces.
+export function pushOutOfBox(
+  p: THREE.Vector3,
+  r: number,
+  cx: number,
+  cy: number,
+  hx: number,
+  hy: number,
+  out: WorldPush,
+): WorldPush {
+  const left = cx - hx - r - p.x;
+  const right = cx + hx + r - p.x;
+  const below = cy - hy - r - p.y;
+  const above = cy + hy + r - p.y;
+  const x = -left < right ? left : right;
+  const y = -below < above ? below : above;
+  if (Math.abs(x) <= Math.abs(y)) {
+    out.x = x;
+    out.y = 0;
+  } else {
+    out.x = 0;
+    out.y = y;
+  }
+  return out;
+}
+
+// Out of a sphere (center + radius) along the player's offset from it across the view; straight up when
+// dead ahead.
+export function pushOutOfSphere(
+  p: THREE.Vector3,
+  r: number,
+  cx: number,
+  cy: number,
+  radius: number,
+  out: WorldPush,
+): WorldPush {
+  const dx = p.x - cx;
+  const dy = p.y - cy;
+  const d = Math.sqrt(dx * dx + dy * dy);
+  const clear = r + radius;
+  if (d < 1e-6) {
+    out.x = 0;
+    out.y = clear;
+  } else {
+    out.x = (dx / d) * clear - dx;
+    out.y = (dy / d) * clear - dy;
+  }
+  return out;
+}
+
+export function writeBoxInstances(
+  mesh: THREE.InstancedMesh,
+  temp: THREE.Object3D,
+  items: readonly BoxObstacle[],
+) {
+  for (let i = 0; i < items.length; i += 1) {
+    const b = items[i];
+    temp.position.copy(b.pos);
+    temp.rotation.set(0, 0, 0);
+    temp.scale.set(b.half.x * 2, b.half.y * 2, b.half.z * 2);
+    temp.updateMatrix();
+    mesh.setMatrixAt(i, temp.matrix);
+  }
+  mesh.instanceMatrix.needsUpdate = true;
+}
+
+export type GroundOptions = {
+  width: number;
+  tileLength: number;
+  tileCount: number;
+  x?: number;
+  y: number;
+  color: string;
+  roughness?: number;
+};
+
+export class ScrollingGround {
+  private readonly tiles: THREE.Mesh[] = [];
+  private readonly tileLength: number;
+  private readonly zBehind: number;
+  private readonly geo: THREE.BufferGeometry;
+  private readonly mat: THREE.Material;
+
+  constructor(root: THREE.Object3D, opts: GroundOptions, zBehind: number) {
+    this.tileLength = opts.tileLength;
+    this.zBehind = zBehind;
+
+    const geo = new THREE.PlaneGeometry(opts.width, opts.tileLength, 1, 1);
+    geo.rotateX(-Math.PI / 2);
+    const mat = new THREE.MeshStandardMaterial({
+      color: opts.color,
+      metalness: 0.05,
+      roughness: opts.roughness ?? 0.95,
+    });
+    this.geo = geo;
+    this.mat = mat;
+
+    for (let i = 0; i < opts.tileCount; i += 1) {
+      const mesh = new THREE.Mesh(geo, mat);
+      mesh.position.set(opts.x ?? 0, opts.y, 0);
+      root.add(mesh);
+      this.tiles.push(mesh);
+    }
+    this.reset();
+  }
+
+  reset() {
+    for (let i = 0; i < this.tiles.length; i += 1) this.tiles[i].position.z = i * this.tileLength;
+  }
+
+  update(speed: number, dt: number) {
+    for (const t of this.tiles) {
+      t.position.z -= speed * dt;
+      if (t.position.z < this.zBehind - this.tileLength * 0.5)
+        t.position.z += this.tileLength * this.tiles.length;
+    }
+  }
+
+  dispose() {
+    this.geo.dispose();
+    this.mat.dispose();
+  }
+}
+
+export class PickupField {
+  private readonly items: Pickup[];
+  private readonly mesh: THREE.InstancedMesh;
+  private readonly temp = new THREE.Object3D();
+  private readonly area: PickupArea;
+  private readonly geo: THREE.BufferGeometry;
+  private readonly mat: THREE.Material;
+
+  constructor(root: THREE.Object3D, count: number, area: PickupArea) {
+    this.area = area;
+
+    const geo = new THREE.OctahedronGeometry(0.55, 0);
+    const mat = new THREE.MeshStandardMaterial({
+      color: '#ff4fb8',
+      emissive: '#ff4fb8',
+      emissiveIntensity: 1.4,
+      metalness: 0.35,
+      roughness: 0.25,
+    });
+    this.geo = geo;
+    this.mat = mat;
+
+    const mesh = new THREE.InstancedMesh(geo, mat, count);
+    mesh.frustumCulled = false;
+    root.add(mesh);
+    this.mesh = mesh;
+
+    this.items = Array.from({ length: count }, () => ({
+      pos: new THREE.Vector3(),
+      rot: new THREE.Euler(0, 0, 0),
+      spin: randRange(0.8, 2.0),
+      radius: 0.55,
+    }));
+    this.reset();
+  }
+
+  reset() {
+    for (const p of this.items) {
+      this.respawn(p);
+      p.rot.set(0, 0, 0);
+      p.spin = randRange(0.8, 2.0);
+    }
+    this.render();
+  }
+
+  update(args: WorldUpdateArgs) {
+    const { dt, speed, playerPos, playerRadius } = args;
+    for (const p of this.items) {
+      p.pos.z -= speed * dt;
+      p.rot.y += p.spin * dt;
+      p.rot.x += p.spin * 0.35 * dt;
+      if (p.pos.z < this.area.zBehind) this.respawn(p);
+
+      const dx = p.pos.x - playerPos.x;
+      const dy = p.pos.y - playerPos.y;
+      const dz = p.pos.z - playerPos.z;
+      const r = playerRadius + p.radius;
+      if (dx * dx + dy * dy + dz * dz < r * r) {
+        args.onCollectPickup(1);
+        this.respawn(p);
+      }
+    }
+    this.render();
+  }
+
+  dispose() {
+    this.geo.dispose();
+    this.mat.dispose();
+  }
+
+  private respawn(p: Pickup) {
+    const a = this.area;
+    p.pos.set(randRange(a.xMin, a.xMax), randRange(a.yMin, a.yMax), randRange(a.zMin, a.zMax));
+    a.place?.(p.pos);
+  }
+
+  private render() {
+    for (let i = 0; i < this.items.length; i += 1) {
+      const p = this.items[i];
+      this.temp.position.copy(p.pos);
+      this.temp.rotation.copy(p.rot);
+      this.temp.scale.setScalar(1);
+      this.temp.updateMatrix();
+      this.mesh.setMatrixAt(i, this.temp.matrix);
+    }
+    this.mesh.instanceMatrix.needsUpdate = true;
+  }
+}
@@ -1,6 +1,10 @@
 import type { LevelConfig } from '../levels';
 
+import { CityWorld } from './CityWorld';
+import { CoastWorld } from './CoastWorld';
+import { DesertCanyonWorld } from './DesertCanyonWorld';
 import { EarthParkWorld } from './EarthParkWorld';
+import { MilitaryBaseWorld } from './MilitaryBaseWorld';
 import { OrbitWorld } from './OrbitWorld';
 import type { World, WorldInitArgs } from './World';
 
@@ -9,7 +13,19 @@ function isSpaceEnvironment(env: LevelConfig['environment']): boolean {
 }
 
 export function createWorld(args: WorldInitArgs): World {
-  if (isSpaceEnvironment(args.level.environment)) return new OrbitWorld(args);
-  return new EarthParkWorld(args);
-}
+  const env = args.level.environment;
+  if (isSpaceEnvironment(env)) return new OrbitWorld(args);
 
+  switch (env) {
+    case 'city':
+      return new CityWorld(args);
+    case 'coast':
+      return new CoastWorld(args);
+    case 'desert':
+      return new DesertCanyonWorld(args);
+    case 'military':
+      return new MilitaryBaseWorld(args);
+    default:
+      return new EarthParkWorld(args);
+  }
+}